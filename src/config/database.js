@@ -2,6 +2,9 @@ import Database from 'better-sqlite3';
 import { readFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { DateTime } from 'luxon';
+import { encryptPlainHeaders } from '../utils/credentials.js';
+import { toIANATimezone } from '../utils/timezone.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -35,18 +38,321 @@ export function initializeDatabase() {
   console.log('Database initialized successfully');
 }
 
+/**
+ * Add a column to a table if it does not exist yet
+ * @returns {boolean} true if the column was added
+ */
+function addColumnIfMissing(database, table, column, definition) {
+  const columns = database.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(col => col.name === column)) {
+    return false;
+  }
+
+  database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`Migration: Added ${column} column to ${table}`);
+  return true;
+}
+
 /**
  * Run database migrations
  */
 function runMigrations(database) {
   // Migration: Add timezone column to oauth_tokens if not exists
-  const columns = database.prepare('PRAGMA table_info(oauth_tokens)').all();
-  const hasTimezone = columns.some(col => col.name === 'timezone');
+  addColumnIfMissing(database, 'oauth_tokens', 'timezone', 'TEXT DEFAULT \'UTC\'');
+
+  // Migration: Modified occurrences of recurring events
+  addColumnIfMissing(database, 'events', 'recurrence_id', 'TEXT');
+
+  // Migration: Original timezone (IANA) of timed events
+  addColumnIfMissing(database, 'events', 'timezone', 'TEXT');
+
+  // Migration: Organizer, attendees (JSON) and the user's own response
+  addColumnIfMissing(database, 'events', 'organizer', 'TEXT');
+  addColumnIfMissing(database, 'events', 'attendees', 'TEXT');
+  addColumnIfMissing(database, 'events', 'response_status', 'TEXT');
 
-  if (!hasTimezone) {
-    database.exec('ALTER TABLE oauth_tokens ADD COLUMN timezone TEXT DEFAULT \'UTC\'');
-    console.log('Migration: Added timezone column to oauth_tokens');
+  // Migration: Content hash of events, to skip unchanged events on sync
+  addColumnIfMissing(database, 'events', 'content_hash', 'TEXT');
+
+  // Migration: Timed events stored with an offset (or none) before they were stored in UTC
+  migrateEventTimesToUTC(database);
+
+  // Migration: Target calendar for busy mirroring
+  addColumnIfMissing(database, 'sources', 'mirror_target_id', 'INTEGER REFERENCES sources(id) ON DELETE SET NULL');
+
+  // Migration: Privacy level of the events of each source in iCal feeds
+  addColumnIfMissing(database, 'sources', 'privacy', 'TEXT NOT NULL DEFAULT \'full\' CHECK(privacy IN (\'full\', \'titles\', \'busy\'))');
+
+  // Migration: Daily agenda digest settings
+  addColumnIfMissing(database, 'user_settings', 'digest_enabled', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing(database, 'user_settings', 'digest_time', 'TEXT NOT NULL DEFAULT \'08:00\'');
+  addColumnIfMissing(database, 'user_settings', 'digest_weekdays_only', 'INTEGER NOT NULL DEFAULT 1');
+  addColumnIfMissing(database, 'user_settings', 'digest_last_sent', 'TEXT');
+
+  // Migration: Pre-meeting reminders
+  addColumnIfMissing(database, 'user_settings', 'reminder_minutes', 'INTEGER');
+
+  // Migration: Several accounts per provider
+  migrateOAuthTokensPerAccount(database);
+
+  // Migration: Several named feeds per user
+  migrateFeedTokensPerFeed(database);
+
+  // Migration: Link google/microsoft sources to the account they belong to
+  if (addColumnIfMissing(database, 'sources', 'oauth_token_id', 'INTEGER REFERENCES oauth_tokens(id) ON DELETE CASCADE')) {
+    database.exec(`
+      UPDATE sources SET oauth_token_id = (
+        SELECT t.id FROM oauth_tokens t
+        WHERE t.slack_user_id = sources.slack_user_id AND t.provider = sources.type
+        ORDER BY t.id LIMIT 1
+      )
+      WHERE type IN ('google', 'microsoft')
+    `);
   }
+
+  // Migration: CalDAV sources
+  migrateSourcesCalDAVType(database);
+
+  // Migration: Encrypt the headers stored in plaintext in remote iCal sources
+  migrateSourceHeaders(database);
+}
+
+/**
+ * Check if a table has a UNIQUE constraint on exactly these columns
+ * @returns {boolean}
+ */
+function hasUniqueConstraint(database, table, columns) {
+  return database.prepare(`PRAGMA index_list(${table})`).all()
+    .filter(index => index.unique && index.origin === 'u')
+    .some(index => {
+      const indexColumns = database.prepare(`PRAGMA index_info(${index.name})`).all().map(col => col.name);
+      return indexColumns.length === columns.length && columns.every(col => indexColumns.includes(col));
+    });
+}
+
+/**
+ * Recreate a table with a new definition, keeping its rows
+ * SQLite cannot drop or change constraints in place
+ * @param {string} createSql - CREATE TABLE statement for `${table}_new`
+ * @param {string[]} columns - Columns copied from the old table
+ * @param {string[]} indexes - CREATE INDEX statements run after the rename
+ */
+function rebuildTable(database, table, createSql, columns, indexes = []) {
+  database.pragma('foreign_keys = OFF');
+  try {
+    database.transaction(() => {
+      database.exec(createSql);
+      database.exec(`INSERT INTO ${table}_new (${columns.join(', ')}) SELECT ${columns.join(', ')} FROM ${table}`);
+      database.exec(`DROP TABLE ${table}`);
+      database.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+      indexes.forEach(sql => database.exec(sql));
+    })();
+  } finally {
+    database.pragma('foreign_keys = ON');
+  }
+}
+
+/**
+ * Rebuild oauth_tokens so the unique key includes account_email
+ */
+function migrateOAuthTokensPerAccount(database) {
+  if (!hasUniqueConstraint(database, 'oauth_tokens', ['slack_user_id', 'provider'])) {
+    return;
+  }
+
+  rebuildTable(
+    database,
+    'oauth_tokens',
+    `CREATE TABLE oauth_tokens_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slack_user_id TEXT NOT NULL,
+      slack_team_id TEXT,
+      slack_user_name TEXT,
+      provider TEXT NOT NULL DEFAULT 'google' CHECK(provider IN ('google', 'microsoft')),
+      access_token_encrypted TEXT NOT NULL,
+      refresh_token_encrypted TEXT NOT NULL,
+      token_type TEXT DEFAULT 'Bearer',
+      scope TEXT,
+      expires_at INTEGER,
+      account_email TEXT,
+      timezone TEXT DEFAULT 'UTC',
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(slack_user_id, provider, account_email)
+    )`,
+    [
+      'id', 'slack_user_id', 'slack_team_id', 'slack_user_name', 'provider',
+      'access_token_encrypted', 'refresh_token_encrypted', 'token_type', 'scope',
+      'expires_at', 'account_email', 'timezone', 'created_at', 'updated_at'
+    ],
+    [
+      'CREATE INDEX IF NOT EXISTS idx_oauth_tokens_slack_user ON oauth_tokens(slack_user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_oauth_tokens_provider ON oauth_tokens(provider)'
+    ]
+  );
+
+  console.log('Migration: oauth_tokens now allows several accounts per provider');
+}
+
+/**
+ * Rebuild feed_tokens so a user can have several named feeds
+ */
+function migrateFeedTokensPerFeed(database) {
+  if (!hasUniqueConstraint(database, 'feed_tokens', ['slack_user_id'])) {
+    return;
+  }
+
+  rebuildTable(
+    database,
+    'feed_tokens',
+    `CREATE TABLE feed_tokens_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slack_user_id TEXT NOT NULL,
+      name TEXT NOT NULL DEFAULT 'Mi calendario',
+      token TEXT NOT NULL UNIQUE,
+      source_ids TEXT,
+      past_days INTEGER,
+      future_days INTEGER,
+      include_keywords TEXT,
+      exclude_keywords TEXT,
+      privacy TEXT NOT NULL DEFAULT 'full' CHECK(privacy IN ('full', 'titles', 'busy')),
+      created_at TEXT DEFAULT (datetime('now')),
+      last_used_at TEXT
+    )`,
+    ['id', 'slack_user_id', 'token', 'created_at', 'last_used_at'],
+    [
+      'CREATE INDEX IF NOT EXISTS idx_feed_tokens_token ON feed_tokens(token)',
+      'CREATE INDEX IF NOT EXISTS idx_feed_tokens_slack_user ON feed_tokens(slack_user_id)'
+    ]
+  );
+
+  console.log('Migration: feed_tokens now allows several feeds per user');
+}
+
+/**
+ * Rebuild sources so its type CHECK accepts 'caldav'
+ */
+function migrateSourcesCalDAVType(database) {
+  const { sql } = database.prepare('SELECT sql FROM sqlite_master WHERE type = \'table\' AND name = \'sources\'').get();
+  if (sql.includes('\'caldav\'')) {
+    return;
+  }
+
+  rebuildTable(
+    database,
+    'sources',
+    `CREATE TABLE sources_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slack_user_id TEXT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('google', 'ical_remote', 'ical_local', 'microsoft', 'caldav')),
+      config TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      color TEXT,
+      mirror_target_id INTEGER REFERENCES sources(id) ON DELETE SET NULL,
+      oauth_token_id INTEGER REFERENCES oauth_tokens(id) ON DELETE CASCADE,
+      privacy TEXT NOT NULL DEFAULT 'full' CHECK(privacy IN ('full', 'titles', 'busy')),
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    )`,
+    [
+      'id', 'slack_user_id', 'name', 'type', 'config', 'enabled', 'color',
+      'mirror_target_id', 'oauth_token_id', 'privacy', 'created_at', 'updated_at'
+    ],
+    ['CREATE INDEX IF NOT EXISTS idx_sources_slack_user ON sources(slack_user_id)']
+  );
+
+  console.log('Migration: sources now accepts CalDAV calendars');
+}
+
+/**
+ * Convert a stored start/end value to UTC (dates of all-day events are kept)
+ * Values without offset were always read as UTC
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function toStoredUTC(value) {
+  if (!value || !value.includes('T') || value.endsWith('Z')) return value;
+  const date = DateTime.fromISO(value, { zone: 'utc' });
+  return date.isValid ? date.toUTC().toISO() : value;
+}
+
+/**
+ * Rewrite the times of events synced before they were stored in UTC
+ * (Google kept the offset of the calendar, Outlook a local time without it).
+ * Incremental syncs never fetch unchanged events again, and a table mixing formats
+ * breaks the string comparisons of the date range queries
+ */
+function migrateEventTimesToUTC(database) {
+  const rows = database.prepare(`
+    SELECT id, start_datetime, end_datetime, recurrence_id, timezone, raw_data FROM events
+    WHERE (start_datetime LIKE '%T%' AND start_datetime NOT LIKE '%Z')
+      OR (end_datetime LIKE '%T%' AND end_datetime NOT LIKE '%Z')
+      OR (recurrence_id LIKE '%T%' AND recurrence_id NOT LIKE '%Z')
+  `).all();
+  if (rows.length === 0) return;
+
+  // The content hash no longer matches: the event is compared again on its next sync
+  const update = database.prepare(`
+    UPDATE events SET start_datetime = ?, end_datetime = ?, recurrence_id = ?, timezone = ?, content_hash = NULL
+    WHERE id = ?
+  `);
+
+  database.transaction(() => {
+    for (const row of rows) {
+      // Keep the original timezone, so recurrences still expand in local time
+      let timezone = row.timezone;
+      if (!timezone && row.start_datetime.includes('T')) {
+        try {
+          const raw = JSON.parse(row.raw_data || 'null');
+          timezone = toIANATimezone(raw?.start?.timeZone) || toIANATimezone(raw?.originalStartTimeZone);
+        } catch {
+          // raw_data is informative only
+        }
+      }
+
+      update.run(
+        toStoredUTC(row.start_datetime),
+        toStoredUTC(row.end_datetime),
+        toStoredUTC(row.recurrence_id),
+        timezone || null,
+        row.id
+      );
+    }
+  })();
+
+  console.log(`Migration: ${rows.length} event(s) now stored in UTC`);
+}
+
+/**
+ * Move the plaintext headers of remote iCal sources (config.headers) to encrypted
+ * storage: auth_* fields when possible, headers_encrypted for the rest
+ */
+function migrateSourceHeaders(database) {
+  const rows = database.prepare(`
+    SELECT id, config FROM sources
+    WHERE type = 'ical_remote' AND json_extract(config, '$.headers') IS NOT NULL
+  `).all();
+  if (rows.length === 0) return;
+
+  const update = database.prepare('UPDATE sources SET config = ?, updated_at = datetime(\'now\') WHERE id = ?');
+
+  try {
+    database.transaction(() => {
+      for (const row of rows) {
+        const config = encryptPlainHeaders(JSON.parse(row.config));
+        if (config) {
+          update.run(JSON.stringify(config), row.id);
+        }
+      }
+    })();
+  } catch (error) {
+    // Without TOKEN_ENCRYPTION_KEY the headers stay as they are until the next start
+    console.error('Migration: could not encrypt the headers of iCal sources:', error.message);
+    return;
+  }
+
+  console.log(`Migration: encrypted the headers of ${rows.length} iCal source(s)`);
 }
 
 /**
@@ -5,10 +5,13 @@ CREATE TABLE IF NOT EXISTS sources (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     slack_user_id TEXT,
     name TEXT NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('google', 'ical_remote', 'ical_local', 'microsoft')),
+    type TEXT NOT NULL CHECK(type IN ('google', 'ical_remote', 'ical_local', 'microsoft', 'caldav')),
     config TEXT NOT NULL,
     enabled INTEGER DEFAULT 1,
     color TEXT,
+    mirror_target_id INTEGER REFERENCES sources(id) ON DELETE SET NULL,
+    oauth_token_id INTEGER REFERENCES oauth_tokens(id) ON DELETE CASCADE,
+    privacy TEXT NOT NULL DEFAULT 'full' CHECK(privacy IN ('full', 'titles', 'busy')),
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now'))
 );
@@ -24,9 +27,15 @@ CREATE TABLE IF NOT EXISTS events (
     start_datetime TEXT NOT NULL,
     end_datetime TEXT,
     all_day INTEGER DEFAULT 0,
+    timezone TEXT,
     status TEXT,
+    organizer TEXT,
+    attendees TEXT,
+    response_status TEXT,
     recurrence TEXT,
+    recurrence_id TEXT,
     raw_data TEXT,
+    content_hash TEXT,
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now')),
     FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
@@ -68,7 +77,7 @@ CREATE TABLE IF NOT EXISTS oauth_tokens (
     timezone TEXT DEFAULT 'UTC',
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now')),
-    UNIQUE(slack_user_id, provider)
+    UNIQUE(slack_user_id, provider, account_email)
 );
 
 -- Migracion: agregar columna timezone si no existe
@@ -78,11 +87,20 @@ CREATE TABLE IF NOT EXISTS oauth_tokens (
 CREATE INDEX IF NOT EXISTS idx_oauth_tokens_slack_user ON oauth_tokens(slack_user_id);
 CREATE INDEX IF NOT EXISTS idx_oauth_tokens_provider ON oauth_tokens(provider);
 
--- Tabla: feed_tokens (tokens unicos para acceder al feed iCal)
+-- Tabla: feed_tokens (feeds iCal con nombre, cada uno con su token unico)
+-- source_ids, include_keywords y exclude_keywords son arrays JSON (NULL = sin filtro)
+-- past_days/future_days NULL = ventana por defecto (FEED_PAST_DAYS / FEED_FUTURE_DAYS)
 CREATE TABLE IF NOT EXISTS feed_tokens (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    slack_user_id TEXT NOT NULL UNIQUE,
+    slack_user_id TEXT NOT NULL,
+    name TEXT NOT NULL DEFAULT 'Mi calendario',
     token TEXT NOT NULL UNIQUE,
+    source_ids TEXT,
+    past_days INTEGER,
+    future_days INTEGER,
+    include_keywords TEXT,
+    exclude_keywords TEXT,
+    privacy TEXT NOT NULL DEFAULT 'full' CHECK(privacy IN ('full', 'titles', 'busy')),
     created_at TEXT DEFAULT (datetime('now')),
     last_used_at TEXT
 );
@@ -90,3 +108,115 @@ CREATE TABLE IF NOT EXISTS feed_tokens (
 -- Indices para feed_tokens
 CREATE INDEX IF NOT EXISTS idx_feed_tokens_token ON feed_tokens(token);
 CREATE INDEX IF NOT EXISTS idx_feed_tokens_slack_user ON feed_tokens(slack_user_id);
+
+
+-- Tabla: push_channels (canales de notificaciones push por fuente)
+CREATE TABLE IF NOT EXISTS push_channels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source_id INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    channel_id TEXT NOT NULL UNIQUE,
+    resource_id TEXT,
+    token TEXT,
+    expires_at INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE
+);
+
+-- Indices para push_channels
+CREATE INDEX IF NOT EXISTS idx_push_channels_source ON push_channels(source_id);
+CREATE INDEX IF NOT EXISTS idx_push_channels_expires ON push_channels(expires_at);
+
+-- Tabla: mirrored_events (bloques "Ocupado" creados en un calendario destino)
+-- origin_key identifica la ocurrencia de origen: external_id + recurrence_id
+CREATE TABLE IF NOT EXISTS mirrored_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_source_id INTEGER NOT NULL,
+    origin_source_id INTEGER NOT NULL,
+    origin_key TEXT NOT NULL,
+    target_event_id TEXT NOT NULL,
+    start_datetime TEXT NOT NULL,
+    end_datetime TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (target_source_id) REFERENCES sources(id) ON DELETE CASCADE,
+    UNIQUE(target_source_id, origin_source_id, origin_key)
+);
+
+-- Indices para mirrored_events
+CREATE INDEX IF NOT EXISTS idx_mirrored_events_target ON mirrored_events(target_source_id);
+
+-- Tabla: user_settings (preferencias de cada usuario de Slack)
+-- work_days: dias laborables ISO separados por comas (1 = lunes ... 7 = domingo)
+-- digest_last_sent: ultimo dia (YYYY-MM-DD en la timezone del usuario) en que se envio el resumen
+-- reminder_minutes: minutos de antelacion de los recordatorios de reuniones (NULL = desactivados)
+CREATE TABLE IF NOT EXISTS user_settings (
+    slack_user_id TEXT PRIMARY KEY,
+    work_start TEXT NOT NULL DEFAULT '09:00',
+    work_end TEXT NOT NULL DEFAULT '18:00',
+    work_days TEXT NOT NULL DEFAULT '1,2,3,4,5',
+    digest_enabled INTEGER NOT NULL DEFAULT 0,
+    digest_time TEXT NOT NULL DEFAULT '08:00',
+    digest_weekdays_only INTEGER NOT NULL DEFAULT 1,
+    digest_last_sent TEXT,
+    reminder_minutes INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Tabla: sent_reminders (recordatorios de reuniones ya enviados)
+-- event_key identifica la ocurrencia: external_id + recurrence_id
+-- Evita repetir avisos tras reinicios o resincronizaciones
+CREATE TABLE IF NOT EXISTS sent_reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slack_user_id TEXT NOT NULL,
+    source_id INTEGER NOT NULL,
+    event_key TEXT NOT NULL,
+    start_datetime TEXT NOT NULL,
+    sent_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
+    UNIQUE(slack_user_id, source_id, event_key, start_datetime)
+);
+
+-- Indices para sent_reminders
+CREATE INDEX IF NOT EXISTS idx_sent_reminders_start ON sent_reminders(start_datetime);
+
+-- Tabla: status_settings (estado de Slack automatico segun el evento en curso)
+-- user_token_encrypted: token de usuario de Slack (users.profile:write), encriptado
+-- source_ids: JSON array de sources que cuentan (NULL = todos)
+-- focus_keywords / ignore_keywords: JSON arrays de palabras clave
+-- active_*: estado puesto por el bot (NULL = ninguno); previous_*: estado a restaurar despues
+-- active_event_key: ultimo evento gestionado, para no volver a ponerlo si el usuario lo cambio a mano
+CREATE TABLE IF NOT EXISTS status_settings (
+    slack_user_id TEXT PRIMARY KEY,
+    enabled INTEGER NOT NULL DEFAULT 0,
+    user_token_encrypted TEXT,
+    source_ids TEXT,
+    focus_keywords TEXT,
+    ignore_keywords TEXT,
+    active_kind TEXT CHECK(active_kind IN ('meeting', 'ooo', 'focus')),
+    active_event_key TEXT,
+    active_text TEXT,
+    active_emoji TEXT,
+    active_expiration INTEGER,
+    previous_text TEXT,
+    previous_emoji TEXT,
+    previous_expiration INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Tabla: api_tokens (tokens de acceso a la API REST, uno o varios por usuario)
+-- Solo se guarda el hash SHA-256 del token; token_prefix sirve para reconocerlo en /ajustes
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slack_user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_used_at TEXT
+);
+
+-- Indices para api_tokens
+CREATE INDEX IF NOT EXISTS idx_api_tokens_slack_user ON api_tokens(slack_user_id);
@@ -1,20 +1,38 @@
 import express from 'express';
+import { DateTime } from 'luxon';
 import { initializeDatabase, closeDatabase } from './config/database.js';
 import { getSyncScheduler } from './jobs/SyncScheduler.js';
 import slackApp from './slack/app.js';
 import { registerAjustesCommand } from './slack/commands/ajustes.js';
 import { registerCalendarioCommand } from './slack/commands/calendario.js';
+import { registerEventoCommand } from './slack/commands/evento.js';
+import { registerDisponibilidadCommand } from './slack/commands/disponibilidad.js';
 import { registerSourceActions } from './slack/actions/sources.js';
+import { registerBusyMirrorActions } from './slack/actions/busyMirror.js';
+import { registerFeedActions } from './slack/actions/feeds.js';
+import { registerWorkingHoursActions } from './slack/actions/workingHours.js';
+import { registerDigestActions } from './slack/actions/digest.js';
+import { registerReminderActions } from './slack/actions/reminders.js';
+import { registerStatusActions } from './slack/actions/status.js';
+import { registerApiTokenActions } from './slack/actions/apiTokens.js';
+import { registerInvitationActions } from './slack/actions/invitations.js';
 import { exchangeCodeForTokens, validateOAuthState, getGoogleUserInfo, updateSlackMessage } from './slack/actions/oauth.js';
 import { exchangeMicrosoftCodeForTokens, validateMicrosoftOAuthState, getMicrosoftUserInfo } from './slack/actions/microsoft-oauth.js';
+import { exchangeSlackCodeForToken, validateSlackOAuthState } from './slack/actions/slack-oauth.js';
 import { OAuthToken } from './models/OAuthToken.js';
+import { StatusSettings } from './models/StatusSettings.js';
 import { FeedToken } from './models/FeedToken.js';
 import { ICalGenerator } from './services/ICalGenerator.js';
+import { EventExporter } from './services/EventExporter.js';
+import { getFeedCache } from './services/FeedCache.js';
 import { Source } from './models/Source.js';
 import { getSyncService } from './services/SyncService.js';
+import { getPushNotificationService } from './services/PushNotificationService.js';
+import { createApiRouter } from './routes/api.js';
+import { createCalDAVRouter } from './routes/caldav.js';
+import { escapeXML } from './utils/xml.js';
 
 const app = express();
-app.use(express.json());
 
 const PORT = process.env.PORT || 3000;
 
@@ -109,8 +127,8 @@ app.get('/auth/google/callback', async (req, res) => {
       console.warn('[OAuth] No se pudo obtener email de Google:', e.message);
     }
 
-    // Guardar tokens en la base de datos
-    OAuthToken.upsert({
+    // Guardar tokens en la base de datos (una fila por cuenta)
+    const tokenRecord = OAuthToken.upsert({
       slack_user_id: stateData.slackUserId,
       slack_team_id: stateData.slackTeamId,
       slack_user_name: stateData.slackUserName,
@@ -125,23 +143,26 @@ app.get('/auth/google/callback', async (req, res) => {
 
     console.log(`[OAuth] Tokens guardados para usuario Slack: ${stateData.slackUserId} (${googleEmail || 'email desconocido'})`);
 
-    // Create Google Calendar source for this user (if not exists)
-    const existingGoogleSources = Source.findBySlackUserId(stateData.slackUserId)
-      .filter(s => s.type === 'google');
+    // Create a calendar source for this account (if not exists)
+    const accountSources = Source.findByOAuthTokenId(tokenRecord.id);
 
-    if (existingGoogleSources.length === 0) {
+    if (accountSources.length === 0) {
       Source.createForUser({
         name: `Google Calendar (${googleEmail || 'primary'})`,
         type: 'google',
         config: { calendarId: 'primary' },
         enabled: 1,
-        color: '#4285F4'
+        color: '#4285F4',
+        oauth_token_id: tokenRecord.id
       }, stateData.slackUserId);
-      console.log(`[OAuth] Created Google Calendar source for user: ${stateData.slackUserId}`);
+      console.log(`[OAuth] Created Google Calendar source for user: ${stateData.slackUserId} (${googleEmail || 'email desconocido'})`);
     }
 
-    // Sincronizar todos los calendarios del usuario
+    // Descartar providers en cache creados con los tokens anteriores (ej: ampliacion de permisos)
     const syncService = getSyncService();
+    accountSources.forEach(s => syncService.aggregator.clearProvider(s));
+
+    // Sincronizar todos los calendarios del usuario
     syncService.syncUserSources(stateData.slackUserId).catch(err => {
       console.error('[OAuth] Error syncing user sources:', err.message);
     });
@@ -299,7 +320,7 @@ app.get('/auth/azure/callback', async (req, res) => {
 
   try {
     // Intercambiar codigo por tokens
-    const tokens = await exchangeMicrosoftCodeForTokens(code);
+    const tokens = await exchangeMicrosoftCodeForTokens(code, { write: stateData.write });
 
     // Obtener email de Microsoft
     let microsoftEmail = null;
@@ -310,8 +331,8 @@ app.get('/auth/azure/callback', async (req, res) => {
       console.warn('[OAuth Microsoft] No se pudo obtener email:', e.message);
     }
 
-    // Guardar tokens en la base de datos
-    OAuthToken.upsert({
+    // Guardar tokens en la base de datos (una fila por cuenta)
+    const tokenRecord = OAuthToken.upsert({
       slack_user_id: stateData.slackUserId,
       slack_team_id: stateData.slackTeamId,
       slack_user_name: stateData.slackUserName,
@@ -326,23 +347,26 @@ app.get('/auth/azure/callback', async (req, res) => {
 
     console.log(`[OAuth Microsoft] Tokens guardados para usuario Slack: ${stateData.slackUserId} (${microsoftEmail || 'email desconocido'})`);
 
-    // Create Microsoft Calendar source for this user (if not exists)
-    const existingMicrosoftSources = Source.findBySlackUserId(stateData.slackUserId)
-      .filter(s => s.type === 'microsoft');
+    // Create a calendar source for this account (if not exists)
+    const accountSources = Source.findByOAuthTokenId(tokenRecord.id);
 
-    if (existingMicrosoftSources.length === 0) {
+    if (accountSources.length === 0) {
       Source.createForUser({
         name: `Outlook Calendar (${microsoftEmail || 'primary'})`,
         type: 'microsoft',
         config: { calendarId: 'primary' },
         enabled: 1,
-        color: '#0078D4' // Azul de Microsoft
+        color: '#0078D4', // Azul de Microsoft
+        oauth_token_id: tokenRecord.id
       }, stateData.slackUserId);
-      console.log(`[OAuth Microsoft] Created Microsoft Calendar source for user: ${stateData.slackUserId}`);
+      console.log(`[OAuth Microsoft] Created Microsoft Calendar source for user: ${stateData.slackUserId} (${microsoftEmail || 'email desconocido'})`);
     }
 
-    // Sincronizar todos los calendarios del usuario
+    // Descartar providers en cache creados con los tokens anteriores (ej: ampliacion de permisos)
     const syncService = getSyncService();
+    accountSources.forEach(s => syncService.aggregator.clearProvider(s));
+
+    // Sincronizar todos los calendarios del usuario
     syncService.syncUserSources(stateData.slackUserId).catch(err => {
       console.error('[OAuth Microsoft] Error syncing user sources:', err.message);
     });
@@ -420,37 +444,211 @@ app.get('/auth/azure/callback', async (req, res) => {
   }
 });
 
+// ============================================
+// SLACK OAUTH CALLBACK (estado automatico)
+// ============================================
+
+/**
+ * GET /auth/slack/callback
+ * Callback para autorizar a la app a cambiar el estado de Slack del usuario
+ */
+app.get('/auth/slack/callback', async (req, res) => {
+  const { code, error, state } = req.query;
+
+  const errorPageStyle = `
+    body { font-family: system-ui, -apple-system, sans-serif; padding: 40px; text-align: center; background: #f5f5f5; }
+    .container { max-width: 400px; margin: 0 auto; background: white; padding: 40px; border-radius: 12px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+    h1 { color: #dc3545; }
+  `;
+
+  if (error || !code) {
+    return res.status(400).send(`
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8">
+        <title>Error de autenticacion</title>
+        <style>${errorPageStyle}</style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Error de autenticacion</h1>
+          <p>${error ? escapeXML(error) : 'No se recibio el codigo de autorizacion.'}</p>
+          <p>Puedes cerrar esta ventana.</p>
+        </div>
+      </body>
+      </html>
+    `);
+  }
+
+  // Validar state
+  const stateData = validateSlackOAuthState(state);
+  if (!stateData || !stateData.slackUserId) {
+    return res.status(400).send(`
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8">
+        <title>Sesion expirada</title>
+        <style>${errorPageStyle}</style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Sesion expirada</h1>
+          <p>El enlace de autorizacion ha expirado o es invalido.</p>
+          <p>Por favor, vuelve a Slack y ejecuta /ajustes nuevamente.</p>
+        </div>
+      </body>
+      </html>
+    `);
+  }
+
+  try {
+    const { slackUserId, accessToken } = await exchangeSlackCodeForToken(code);
+
+    // El token debe ser del mismo usuario que inicio el flujo
+    if (slackUserId !== stateData.slackUserId) {
+      throw new Error('La cuenta de Slack autorizada no coincide con la que abrio /ajustes');
+    }
+
+    StatusSettings.saveUserToken(slackUserId, accessToken);
+    console.log(`[OAuth Slack] Token de usuario guardado para: ${slackUserId}`);
+
+    if (stateData.responseUrl) {
+      await updateSlackMessage(stateData.responseUrl, [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: ':white_check_mark: *Estado de Slack automatico activado*\nEjecuta `/ajustes` para elegir que eventos cuentan.'
+          }
+        }
+      ], 'Estado de Slack automatico activado');
+    }
+
+    res.send(`
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8">
+        <title>Conexion exitosa</title>
+        <style>
+          body { font-family: system-ui, -apple-system, sans-serif; padding: 40px; text-align: center; background: #f5f5f5; }
+          .container { max-width: 400px; margin: 0 auto; background: white; padding: 40px; border-radius: 12px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+          h1 { color: #4A154B; }
+          .icon { font-size: 48px; margin-bottom: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="icon">OK</div>
+          <h1>Conexion exitosa!</h1>
+          <p>Tu estado de Slack cambiara automaticamente segun tu calendario.</p>
+          <p><strong>Puedes cerrar esta ventana y volver a Slack.</strong></p>
+        </div>
+      </body>
+      </html>
+    `);
+  } catch (err) {
+    console.error('[OAuth Slack] Error:', err.message);
+
+    res.status(500).send(`
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8">
+        <title>Error</title>
+        <style>${errorPageStyle}</style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Error</h1>
+          <p>No se pudo completar la autenticacion: ${escapeXML(err.message)}</p>
+        </div>
+      </body>
+      </html>
+    `);
+  }
+});
+
 // ============================================
 // ICAL FEED ENDPOINT
 // ============================================
 
+// Longest window that can be asked for with ?past_days= and ?future_days=
+const MAX_FEED_DAYS = 3650;
+
 /**
- * GET /feed/:token/orbitando.ics
- * Returns iCal feed for a user (all their calendars, current year)
+ * Read a number of days from a feed query parameter
+ * @param {*} value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {{ days: number|undefined, error: string|null }}
+ */
+function parseDaysParam(value, name) {
+  if (value === undefined || value === '') return { days: undefined, error: null };
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_FEED_DAYS) {
+    return { days: undefined, error: `${name} must be a whole number of days between 0 and ${MAX_FEED_DAYS}` };
+  }
+  return { days, error: null };
+}
+
+/**
+ * GET /feed/:token/orbitando.ics?past_days=30&future_days=365
+ * Returns a named iCal feed of a user (its calendars, date window, keyword rules and privacy)
+ * past_days/future_days change the default window, or narrow the one set on the feed
+ * Sends ETag/Last-Modified and answers If-None-Match/If-Modified-Since with 304
  */
 app.get('/feed/:token/orbitando.ics', (req, res) => {
   const { token } = req.params;
 
-  // Find user by token
+  // Find feed by token
   const feedToken = FeedToken.findByToken(token);
   if (!feedToken) {
     return res.status(404).send('Feed not found');
   }
 
+  const pastDays = parseDaysParam(req.query.past_days, 'past_days');
+  const futureDays = parseDaysParam(req.query.future_days, 'future_days');
+  if (pastDays.error || futureDays.error) {
+    return res.status(400).send(pastDays.error || futureDays.error);
+  }
+
   // Update last used timestamp
   FeedToken.updateLastUsed(token);
 
   // Get user timezone
   const userTimezone = OAuthToken.getTimezone(feedToken.slack_user_id) || 'UTC';
-
-  // Generate iCal feed for this user
-  const generator = new ICalGenerator({
-    calendarName: 'Mi Calendario Unificado'
-  });
-  const icalContent = generator.generateForUser(feedToken.slack_user_id, {
-    timezone: userTimezone
+  const options = {
+    timezone: userTimezone,
+    pastDays: pastDays.days,
+    futureDays: futureDays.days
+  };
+
+  // Conditional GET: clients polling an unchanged feed get a 304
+  const feedCache = getFeedCache();
+  const version = feedCache.getVersion(feedToken, options);
+  res.set({
+    'ETag': version.etag,
+    'Last-Modified': version.lastModified.toUTCString(),
+    'Cache-Control': 'private, no-cache'
   });
 
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Generate iCal feed with the feed settings (reused until its data changes)
+  let icalContent = feedCache.get(version);
+  if (!icalContent) {
+    const generator = new ICalGenerator({
+      calendarName: feedToken.name
+    });
+    icalContent = generator.generateForFeed(feedToken, options);
+    feedCache.set(version, icalContent);
+  }
+
   // Return as iCal
   res.set({
     'Content-Type': 'text/calendar; charset=utf-8',
@@ -459,6 +657,195 @@ app.get('/feed/:token/orbitando.ics', (req, res) => {
   res.send(icalContent);
 });
 
+/**
+ * Read the filters of a feed export request (?from=&to=&past_days=&future_days=&source=)
+ * A date-only "to" includes that whole day
+ * @param {Object} query - req.query
+ * @returns {{ filters: Object, error: string|null }}
+ */
+function parseFeedExportQuery(query) {
+  const filters = {};
+
+  const from = query.from ? DateTime.fromISO(String(query.from), { zone: 'utc' }) : null;
+  if (from && !from.isValid) {
+    return { filters, error: 'from must be an ISO 8601 date or datetime' };
+  }
+
+  let to = query.to ? DateTime.fromISO(String(query.to), { zone: 'utc' }) : null;
+  if (to && !to.isValid) {
+    return { filters, error: 'to must be an ISO 8601 date or datetime' };
+  }
+  if (to && !String(query.to).includes('T')) {
+    to = to.plus({ days: 1 });
+  }
+
+  if (from && to && to <= from) {
+    return { filters, error: 'to must be after from' };
+  }
+
+  const pastDays = parseDaysParam(query.past_days, 'past_days');
+  const futureDays = parseDaysParam(query.future_days, 'future_days');
+  if (pastDays.error || futureDays.error) {
+    return { filters, error: pastDays.error || futureDays.error };
+  }
+  filters.pastDays = pastDays.days;
+  filters.futureDays = futureDays.days;
+
+  if (query.source) {
+    const sourceIds = String(query.source).split(',').map(id => parseInt(id, 10));
+    if (sourceIds.some(Number.isNaN)) {
+      return { filters, error: 'source must be a comma-separated list of source ids' };
+    }
+    filters.sourceIds = sourceIds;
+  }
+
+  if (from) filters.startDate = from.toUTC().toISO();
+  if (to) filters.endDate = to.toUTC().toISO();
+
+  return { filters, error: null };
+}
+
+/**
+ * Find the feed of an export request and build its exporter
+ * Sends the error response and returns null when the request is not valid
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {{ feedToken: FeedToken, exporter: EventExporter, filters: Object }|null}
+ */
+function getFeedExport(req, res) {
+  const feedToken = FeedToken.findByToken(req.params.token);
+  if (!feedToken) {
+    res.status(404).send('Feed not found');
+    return null;
+  }
+
+  const { filters, error } = parseFeedExportQuery(req.query);
+  if (error) {
+    res.status(400).send(error);
+    return null;
+  }
+
+  FeedToken.updateLastUsed(req.params.token);
+
+  const exporter = new EventExporter({
+    calendarName: feedToken.name,
+    timezone: OAuthToken.getTimezone(feedToken.slack_user_id) || 'UTC'
+  });
+
+  return { feedToken, exporter, filters };
+}
+
+/**
+ * GET /feed/:token/events.json?from=2025-01-01&to=2025-01-31&source=1,2&format=jcal
+ * Events of a named feed as JSON (one entry per occurrence), or as jCal with format=jcal
+ */
+app.get('/feed/:token/events.json', (req, res) => {
+  const feedExport = getFeedExport(req, res);
+  if (!feedExport) return;
+
+  const { feedToken, exporter, filters } = feedExport;
+
+  if (req.query.format === 'jcal') {
+    res.set('Content-Type', 'application/calendar+json; charset=utf-8');
+    return res.send(JSON.stringify(exporter.toJCal(feedToken, filters)));
+  }
+
+  res.json(exporter.toJSON(feedToken, filters));
+});
+
+/**
+ * GET /feed/:token/events.csv?from=2025-01-01&to=2025-01-31&source=1,2
+ * Events of a named feed as CSV (one row per occurrence)
+ */
+app.get('/feed/:token/events.csv', (req, res) => {
+  const feedExport = getFeedExport(req, res);
+  if (!feedExport) return;
+
+  const { feedToken, exporter, filters } = feedExport;
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="events.csv"'
+  });
+  res.send(exporter.toCSV(feedToken, filters));
+});
+
+// ============================================
+// PUSH NOTIFICATIONS (WEBHOOKS)
+// ============================================
+
+/**
+ * POST /webhooks/google
+ * Recibe notificaciones de los canales watch de Google Calendar
+ * Google solo envia cabeceras X-Goog-*, el body viene vacio
+ */
+app.post('/webhooks/google', (req, res) => {
+  const pushService = getPushNotificationService();
+
+  const accepted = pushService.handleGoogleNotification({
+    channelId: req.get('X-Goog-Channel-ID'),
+    resourceId: req.get('X-Goog-Resource-ID'),
+    resourceState: req.get('X-Goog-Resource-State'),
+    token: req.get('X-Goog-Channel-Token')
+  });
+
+  // La sincronizacion corre en segundo plano, respondemos de inmediato
+  res.status(accepted ? 200 : 404).end();
+});
+
+/**
+ * POST /webhooks/microsoft
+ * Recibe notificaciones de cambios de las suscripciones de Microsoft Graph
+ * Al crear la suscripcion, Graph valida el endpoint enviando ?validationToken=...
+ */
+app.post('/webhooks/microsoft', express.json(), (req, res) => {
+  const { validationToken } = req.query;
+
+  // Validacion del endpoint: devolver el token en texto plano
+  if (validationToken) {
+    return res.status(200).type('text/plain').send(validationToken);
+  }
+
+  const pushService = getPushNotificationService();
+  const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+
+  for (const notification of notifications) {
+    pushService.handleMicrosoftNotification({
+      subscriptionId: notification.subscriptionId,
+      clientState: notification.clientState
+    });
+  }
+
+  // Graph exige respuesta en menos de 3 segundos, la sincronizacion corre en segundo plano
+  res.status(202).end();
+});
+
+// ============================================
+// REST API
+// ============================================
+
+/**
+ * /api/*
+ * API JSON autenticada con tokens por usuario (Authorization: Bearer <token>)
+ */
+app.use('/api', createApiRouter());
+
+// ============================================
+// CALDAV SERVER
+// ============================================
+
+/**
+ * /caldav/*
+ * Servidor CalDAV de solo lectura: cada feed como cuenta de calendario
+ * (cualquier usuario, el token del feed como contraseña)
+ */
+app.use('/caldav', createCalDAVRouter());
+
+// Descubrimiento de la cuenta CalDAV (RFC 6764)
+app.all('/.well-known/caldav', (req, res) => {
+  res.redirect(301, '/caldav/');
+});
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -490,7 +877,17 @@ async function start() {
     // Registrar comandos y acciones de Slack
     registerAjustesCommand(slackApp);
     registerCalendarioCommand(slackApp);
+    registerEventoCommand(slackApp);
+    registerDisponibilidadCommand(slackApp);
     registerSourceActions(slackApp);
+    registerBusyMirrorActions(slackApp);
+    registerFeedActions(slackApp);
+    registerWorkingHoursActions(slackApp);
+    registerDigestActions(slackApp);
+    registerReminderActions(slackApp);
+    registerStatusActions(slackApp);
+    registerApiTokenActions(slackApp);
+    registerInvitationActions(slackApp);
 
     // Iniciar bot de Slack (Socket Mode)
     await slackApp.start();
@@ -501,7 +898,14 @@ async function start() {
       console.log('\nEndpoints disponibles:');
       console.log('  GET  /auth/google/callback      - Callback OAuth Google');
       console.log('  GET  /auth/azure/callback       - Callback OAuth Microsoft');
+      console.log('  GET  /auth/slack/callback       - Callback OAuth Slack (estado automatico)');
       console.log('  GET  /feed/:token/orbitando.ics - Feed iCal unificado');
+      console.log('  GET  /feed/:token/events.json  - Eventos del feed en JSON/jCal');
+      console.log('  GET  /feed/:token/events.csv   - Eventos del feed en CSV');
+      console.log('  POST /webhooks/google           - Notificaciones push Google');
+      console.log('  POST /webhooks/microsoft        - Notificaciones push Microsoft');
+      console.log('  *    /api/*                     - API REST (token de API)');
+      console.log('  *    /caldav/*                  - Servidor CalDAV de solo lectura (token del feed)');
       console.log('  GET  /health                    - Estado del servicio');
       console.log('\nComandos de Slack:');
       console.log('  /ajustes    - Configurar cuentas y calendarios');
@@ -1,5 +1,10 @@
 import { CronJob } from 'cron';
 import { getSyncService } from '../services/SyncService.js';
+import { getPushNotificationService } from '../services/PushNotificationService.js';
+import { getDigestService } from '../services/DigestService.js';
+import { getReminderService } from '../services/ReminderService.js';
+import { getStatusService } from '../services/StatusService.js';
+import slackApp from '../slack/app.js';
 
 /**
  * Scheduler for automatic calendar synchronization
@@ -9,7 +14,15 @@ export class SyncScheduler {
     this.cronExpression = options.cronExpression || process.env.SYNC_CRON || '0 */15 * * * *'; // Every 15 minutes
     this.timezone = options.timezone || 'UTC';
     this.syncOnStartup = options.syncOnStartup ?? (process.env.SYNC_ON_STARTUP !== 'false');
+    this.channelCronExpression = options.channelCronExpression || process.env.PUSH_CHANNEL_CRON || '0 0 * * * *'; // Every hour
+    this.digestCronExpression = options.digestCronExpression || process.env.DIGEST_CRON || '0 * * * * *'; // Every minute
+    this.reminderCronExpression = options.reminderCronExpression || process.env.REMINDER_CRON || '30 * * * * *'; // Every minute
+    this.statusCronExpression = options.statusCronExpression || process.env.STATUS_CRON || '45 * * * * *'; // Every minute
     this.job = null;
+    this.channelJob = null;
+    this.digestJob = null;
+    this.reminderJob = null;
+    this.statusJob = null;
     this.running = false;
   }
 
@@ -43,6 +56,88 @@ export class SyncScheduler {
       // Delay startup sync slightly to allow server to fully initialize
       setTimeout(() => this.runSync(), 5000);
     }
+
+    this.startChannelRenewal();
+    this.startDigests();
+    this.startReminders();
+    this.startStatuses();
+  }
+
+  /**
+   * Start the daily digest job (each user's digest is sent at their own time)
+   */
+  startDigests() {
+    console.log(`[SyncScheduler] Starting daily digests with cron: ${this.digestCronExpression}`);
+
+    this.digestJob = new CronJob(
+      this.digestCronExpression,
+      async () => {
+        await this.runDigests();
+      },
+      null,
+      true,
+      this.timezone
+    );
+  }
+
+  /**
+   * Start the pre-meeting reminders job
+   */
+  startReminders() {
+    console.log(`[SyncScheduler] Starting meeting reminders with cron: ${this.reminderCronExpression}`);
+
+    this.reminderJob = new CronJob(
+      this.reminderCronExpression,
+      async () => {
+        await this.runReminders();
+      },
+      null,
+      true,
+      this.timezone
+    );
+  }
+
+  /**
+   * Start the automatic Slack status job
+   */
+  startStatuses() {
+    console.log(`[SyncScheduler] Starting automatic status with cron: ${this.statusCronExpression}`);
+
+    this.statusJob = new CronJob(
+      this.statusCronExpression,
+      async () => {
+        await this.runStatuses();
+      },
+      null,
+      true,
+      this.timezone
+    );
+  }
+
+  /**
+   * Start the push channel renewal job (only if push notifications are enabled)
+   */
+  startChannelRenewal() {
+    const pushService = getPushNotificationService();
+    if (!pushService.isEnabled()) {
+      console.log('[SyncScheduler] Push notifications disabled, channel renewal not scheduled');
+      return;
+    }
+
+    console.log(`[SyncScheduler] Starting channel renewal with cron: ${this.channelCronExpression}`);
+
+    this.channelJob = new CronJob(
+      this.channelCronExpression,
+      async () => {
+        await this.runChannelRenewal();
+      },
+      null,
+      true,
+      this.timezone
+    );
+
+    // Create missing channels once the server is listening for webhooks
+    setTimeout(() => this.runChannelRenewal(), 10000);
   }
 
   /**
@@ -55,6 +150,26 @@ export class SyncScheduler {
       this.running = false;
       console.log('[SyncScheduler] Scheduler stopped');
     }
+
+    if (this.channelJob) {
+      this.channelJob.stop();
+      this.channelJob = null;
+    }
+
+    if (this.digestJob) {
+      this.digestJob.stop();
+      this.digestJob = null;
+    }
+
+    if (this.reminderJob) {
+      this.reminderJob.stop();
+      this.reminderJob = null;
+    }
+
+    if (this.statusJob) {
+      this.statusJob.stop();
+      this.statusJob = null;
+    }
   }
 
   /**
@@ -77,6 +192,59 @@ export class SyncScheduler {
     }
   }
 
+  /**
+   * Re-create push channels that are missing or about to expire
+   */
+  async runChannelRenewal() {
+    try {
+      await getPushNotificationService().renewChannels();
+    } catch (error) {
+      console.error('[SyncScheduler] Channel renewal failed:', error.message);
+    }
+  }
+
+  /**
+   * Send the daily digests that are due
+   */
+  async runDigests() {
+    try {
+      const result = await getDigestService().sendDueDigests(slackApp.client);
+      if (result.sent.length || result.failed.length) {
+        console.log(`[SyncScheduler] Digests: ${result.sent.length} sent, ${result.failed.length} failed`);
+      }
+    } catch (error) {
+      console.error('[SyncScheduler] Digests failed:', error.message);
+    }
+  }
+
+  /**
+   * Send the reminders of the meetings starting soon
+   */
+  async runReminders() {
+    try {
+      const result = await getReminderService().sendDueReminders(slackApp.client);
+      if (result.sent || result.failed.length) {
+        console.log(`[SyncScheduler] Reminders: ${result.sent} sent, ${result.failed.length} failed`);
+      }
+    } catch (error) {
+      console.error('[SyncScheduler] Reminders failed:', error.message);
+    }
+  }
+
+  /**
+   * Update the Slack status of the users from their current events
+   */
+  async runStatuses() {
+    try {
+      const result = await getStatusService().syncStatuses(slackApp.client);
+      if (result.set || result.restored || result.failed.length) {
+        console.log(`[SyncScheduler] Statuses: ${result.set} set, ${result.restored} restored, ${result.failed.length} failed`);
+      }
+    } catch (error) {
+      console.error('[SyncScheduler] Statuses failed:', error.message);
+    }
+  }
+
   /**
    * Get scheduler status
    */
@@ -85,7 +253,27 @@ export class SyncScheduler {
       running: this.running,
       cronExpression: this.cronExpression,
       timezone: this.timezone,
-      nextRun: this.job ? this.job.nextDate().toISO() : null
+      nextRun: this.job ? this.job.nextDate().toISO() : null,
+      channelRenewal: {
+        running: Boolean(this.channelJob),
+        cronExpression: this.channelCronExpression,
+        nextRun: this.channelJob ? this.channelJob.nextDate().toISO() : null
+      },
+      digests: {
+        running: Boolean(this.digestJob),
+        cronExpression: this.digestCronExpression,
+        nextRun: this.digestJob ? this.digestJob.nextDate().toISO() : null
+      },
+      reminders: {
+        running: Boolean(this.reminderJob),
+        cronExpression: this.reminderCronExpression,
+        nextRun: this.reminderJob ? this.reminderJob.nextDate().toISO() : null
+      },
+      statuses: {
+        running: Boolean(this.statusJob),
+        cronExpression: this.statusCronExpression,
+        nextRun: this.statusJob ? this.statusJob.nextDate().toISO() : null
+      }
     };
   }
 
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { getDatabase } from '../config/database.js';
+
+// Prefix that makes API tokens easy to recognize (and to find if leaked)
+const TOKEN_PREFIX = 'ocs_';
+
+/**
+ * Hash an API token (only hashes are stored)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export class ApiToken {
+  constructor(data) {
+    this.id = data.id;
+    this.slack_user_id = data.slack_user_id;
+    this.name = data.name;
+    this.token_prefix = data.token_prefix;
+    this.created_at = data.created_at;
+    this.last_used_at = data.last_used_at;
+  }
+
+  /**
+   * Find the API token matching a plain token value
+   * @param {string} token
+   * @returns {ApiToken|null}
+   */
+  static findByToken(token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?').get(hashToken(token));
+    return row ? new ApiToken(row) : null;
+  }
+
+  /**
+   * Find all the API tokens of a Slack user
+   * @param {string} slackUserId
+   * @returns {ApiToken[]}
+   */
+  static findAllBySlackUserId(slackUserId) {
+    const db = getDatabase();
+    const rows = db.prepare(
+      'SELECT * FROM api_tokens WHERE slack_user_id = ? ORDER BY id'
+    ).all(slackUserId);
+    return rows.map(row => new ApiToken(row));
+  }
+
+  /**
+   * Create an API token for a user
+   * The plain token is only returned here; it cannot be recovered later
+   * @param {string} name - Label chosen by the user (e.g. "Dashboard")
+   * @param {string} slackUserId
+   * @returns {{ apiToken: ApiToken, token: string }}
+   */
+  static createForUser(name, slackUserId) {
+    const db = getDatabase();
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const stmt = db.prepare(`
+      INSERT INTO api_tokens (slack_user_id, name, token_hash, token_prefix)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(slackUserId, name, hashToken(token), token.substring(0, TOKEN_PREFIX.length + 6));
+    const row = db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(result.lastInsertRowid);
+
+    return { apiToken: new ApiToken(row), token };
+  }
+
+  /**
+   * Update the last_used_at timestamp
+   * @param {number} id
+   */
+  static updateLastUsed(id) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE api_tokens
+      SET last_used_at = datetime('now')
+      WHERE id = ?
+    `);
+    stmt.run(id);
+  }
+
+  /**
+   * Revoke an API token checking that it belongs to the user
+   * @param {number} id
+   * @param {string} slackUserId
+   * @returns {boolean}
+   */
+  static deleteForUser(id, slackUserId) {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM api_tokens WHERE id = ? AND slack_user_id = ?');
+    const result = stmt.run(id, slackUserId);
+    return result.changes > 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      slack_user_id: this.slack_user_id,
+      name: this.name,
+      token_prefix: this.token_prefix,
+      created_at: this.created_at,
+      last_used_at: this.last_used_at
+    };
+  }
+}
+
+export default ApiToken;
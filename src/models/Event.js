@@ -1,4 +1,26 @@
+import { createHash } from 'crypto';
 import { getDatabase } from '../config/database.js';
+import { expandEvents, expandRecurringEvent, getAllDayBounds } from '../utils/recurrence.js';
+import { getContentHash } from '../utils/eventDiff.js';
+
+/**
+ * Parse a JSON column (objects built in memory are kept as they are)
+ * @param {string|Object|null} value
+ * @returns {Object|null}
+ */
+function parseJSON(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value ?? null;
+}
+
+/**
+ * Serialize a value for a JSON column
+ * @param {Object|null} value
+ * @returns {string|null}
+ */
+function toJSONColumn(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
 
 export class Event {
   constructor(data) {
@@ -11,9 +33,15 @@ export class Event {
     this.start_datetime = data.start_datetime;
     this.end_datetime = data.end_datetime;
     this.all_day = data.all_day ?? 0;
+    this.timezone = data.timezone ?? null;
     this.status = data.status;
+    this.organizer = parseJSON(data.organizer);
+    this.attendees = parseJSON(data.attendees) || [];
+    this.response_status = data.response_status ?? null;
     this.recurrence = data.recurrence;
+    this.recurrence_id = data.recurrence_id ?? null;
     this.raw_data = typeof data.raw_data === 'string' ? JSON.parse(data.raw_data) : data.raw_data;
+    this.content_hash = data.content_hash ?? null;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -47,8 +75,8 @@ export class Event {
     const rawData = typeof data.raw_data === 'object' ? JSON.stringify(data.raw_data) : data.raw_data;
 
     const stmt = db.prepare(`
-      INSERT INTO events (source_id, external_id, summary, description, location, start_datetime, end_datetime, all_day, status, recurrence, raw_data)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO events (source_id, external_id, summary, description, location, start_datetime, end_datetime, all_day, timezone, status, organizer, attendees, response_status, recurrence, recurrence_id, raw_data, content_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(source_id, external_id) DO UPDATE SET
         summary = excluded.summary,
         description = excluded.description,
@@ -56,10 +84,16 @@ export class Event {
         start_datetime = excluded.start_datetime,
         end_datetime = excluded.end_datetime,
         all_day = excluded.all_day,
+        timezone = excluded.timezone,
         status = excluded.status,
+        organizer = excluded.organizer,
+        attendees = excluded.attendees,
+        response_status = excluded.response_status,
         recurrence = excluded.recurrence,
+        recurrence_id = excluded.recurrence_id,
         raw_data = excluded.raw_data,
-        updated_at = datetime('now')
+        updated_at = CASE WHEN events.content_hash IS excluded.content_hash THEN events.updated_at ELSE datetime('now') END,
+        content_hash = excluded.content_hash
     `);
 
     stmt.run(
@@ -71,9 +105,15 @@ export class Event {
       data.start_datetime,
       data.end_datetime,
       data.all_day ?? 0,
+      data.timezone ?? null,
       data.status,
+      toJSONColumn(data.organizer),
+      toJSONColumn(data.attendees?.length ? data.attendees : null),
+      data.response_status ?? null,
       data.recurrence,
-      rawData
+      data.recurrence_id ?? null,
+      rawData,
+      data.content_hash ?? getContentHash(data)
     );
 
     return Event.findByExternalId(data.source_id, data.external_id);
@@ -82,8 +122,8 @@ export class Event {
   static bulkUpsert(events) {
     const db = getDatabase();
     const stmt = db.prepare(`
-      INSERT INTO events (source_id, external_id, summary, description, location, start_datetime, end_datetime, all_day, status, recurrence, raw_data)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO events (source_id, external_id, summary, description, location, start_datetime, end_datetime, all_day, timezone, status, organizer, attendees, response_status, recurrence, recurrence_id, raw_data, content_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(source_id, external_id) DO UPDATE SET
         summary = excluded.summary,
         description = excluded.description,
@@ -91,10 +131,16 @@ export class Event {
         start_datetime = excluded.start_datetime,
         end_datetime = excluded.end_datetime,
         all_day = excluded.all_day,
+        timezone = excluded.timezone,
         status = excluded.status,
+        organizer = excluded.organizer,
+        attendees = excluded.attendees,
+        response_status = excluded.response_status,
         recurrence = excluded.recurrence,
+        recurrence_id = excluded.recurrence_id,
         raw_data = excluded.raw_data,
-        updated_at = datetime('now')
+        updated_at = CASE WHEN events.content_hash IS excluded.content_hash THEN events.updated_at ELSE datetime('now') END,
+        content_hash = excluded.content_hash
     `);
 
     const upsertMany = db.transaction((events) => {
@@ -109,9 +155,15 @@ export class Event {
           data.start_datetime,
           data.end_datetime,
           data.all_day ?? 0,
+          data.timezone ?? null,
           data.status,
+          toJSONColumn(data.organizer),
+          toJSONColumn(data.attendees?.length ? data.attendees : null),
+          data.response_status ?? null,
           data.recurrence,
-          rawData
+          data.recurrence_id ?? null,
+          rawData,
+          data.content_hash ?? getContentHash(data)
         );
       }
     });
@@ -137,6 +189,38 @@ export class Event {
     return result.changes;
   }
 
+  /**
+   * Get the content hash of every stored event of a source
+   * Events stored before hashes existed have a NULL hash (they are updated once)
+   * @param {number} sourceId
+   * @returns {Map<string, string|null>} Hash by external_id
+   */
+  static findContentHashes(sourceId) {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT external_id, content_hash FROM events WHERE source_id = ?').all(sourceId);
+    return new Map(rows.map(row => [row.external_id, row.content_hash]));
+  }
+
+  /**
+   * Find the external IDs of the events read from some resources of a source
+   * (CalDAV objects, whose path is kept in raw_data.href)
+   * @param {number} sourceId
+   * @param {string[]} hrefs
+   * @returns {string[]}
+   */
+  static findExternalIdsByHref(sourceId, hrefs) {
+    if (!hrefs.length) return [];
+
+    const db = getDatabase();
+    const placeholders = hrefs.map(() => '?').join(',');
+    const rows = db.prepare(`
+      SELECT external_id FROM events
+      WHERE source_id = ? AND json_extract(raw_data, '$.href') IN (${placeholders})
+    `).all(sourceId, ...hrefs);
+
+    return rows.map(row => row.external_id);
+  }
+
   /**
    * Find events by multiple source IDs with optional date filter
    * @param {number[]} sourceIds - Array of source IDs
@@ -170,6 +254,125 @@ export class Event {
     return rows.map(row => new Event(row));
   }
 
+  /**
+   * Summary of the stored events of some sources, to detect changes without reading them
+   * updated_at only has one-second resolution, so the summary also includes a digest
+   * of the content hash of every event (events stored before hashes use updated_at)
+   * @param {number[]} sourceIds - Array of source IDs
+   * @returns {{ count: number, last_id: number|null, last_updated: string|null, digest: string|null }}
+   */
+  static getChangeInfo(sourceIds) {
+    if (!sourceIds.length) return { count: 0, last_id: null, last_updated: null, digest: null };
+
+    const db = getDatabase();
+    const placeholders = sourceIds.map(() => '?').join(',');
+
+    const { markers, ...info } = db.prepare(`
+      SELECT COUNT(*) AS count, MAX(id) AS last_id, MAX(updated_at) AS last_updated,
+        group_concat(marker, ',') AS markers
+      FROM (
+        SELECT id, updated_at, id || ':' || IFNULL(content_hash, updated_at) AS marker
+        FROM events
+        WHERE source_id IN (${placeholders})
+        ORDER BY id
+      )
+    `).get(...sourceIds);
+
+    return {
+      ...info,
+      digest: markers ? createHash('sha1').update(markers).digest('hex') : null
+    };
+  }
+
+  /**
+   * Find the stored events that touch a window, without expanding recurrences
+   * Events already in progress at the start of the window are included, and so
+   * are recurring events starting before it if one of their occurrences falls inside
+   * @param {number[]} sourceIds - Array of source IDs
+   * @param {Object} options
+   * @param {string} options.startDate - Start date filter (ISO string)
+   * @param {string} options.endDate - End date filter (ISO string)
+   * @returns {Event[]} Events sorted by start_datetime
+   */
+  static findInWindow(sourceIds, { startDate, endDate }) {
+    if (!sourceIds.length) return [];
+
+    const db = getDatabase();
+    const placeholders = sourceIds.map(() => '?').join(',');
+
+    const rows = db.prepare(`
+      SELECT * FROM events
+      WHERE source_id IN (${placeholders})
+        AND (
+          (recurrence IS NULL AND recurrence_id IS NULL
+            AND start_datetime <= ? AND COALESCE(end_datetime, start_datetime) >= ?)
+          OR (recurrence IS NOT NULL AND recurrence_id IS NULL AND start_datetime <= ?)
+          OR (recurrence_id IS NOT NULL AND recurrence_id >= ? AND recurrence_id <= ?)
+        )
+      ORDER BY start_datetime ASC
+    `).all(...sourceIds, endDate, startDate, endDate, startDate, endDate);
+
+    return rows
+      .map(row => new Event(row))
+      .filter(event => !event.recurrence || event.recurrence_id
+        || event.start_datetime >= startDate
+        || expandRecurringEvent(event, { startDate, endDate }).length > 0);
+  }
+
+  /**
+   * Find events by multiple source IDs with recurring events expanded
+   * Events and occurrences overlapping the window are included (also those already
+   * in progress at its start), and so are recurring events starting before it as
+   * long as one of their occurrences overlaps it. All-day events get a day of margin
+   * on each side (see getAllDayBounds): callers filter them by local day
+   * @param {number[]} sourceIds - Array of source IDs
+   * @param {Object} options
+   * @param {string} [options.startDate] - Start date filter (ISO string)
+   * @param {string} options.endDate - End date filter (ISO string)
+   * @returns {Event[]} Events and occurrences sorted by start_datetime
+   */
+  static findOccurrences(sourceIds, { startDate, endDate }) {
+    if (!sourceIds.length) return [];
+
+    const db = getDatabase();
+    const placeholders = sourceIds.map(() => '?').join(',');
+    const rangeStart = startDate || '';
+    const { startDay = '', endDay } = getAllDayBounds({ startDate, endDate });
+
+    const rows = db.prepare(`
+      SELECT * FROM events
+      WHERE source_id IN (${placeholders})
+        AND (
+          (recurrence IS NULL AND COALESCE(all_day, 0) = 0
+            AND start_datetime <= ? AND COALESCE(end_datetime, start_datetime) >= ?)
+          OR (recurrence IS NULL AND all_day = 1
+            AND start_datetime <= ? AND COALESCE(end_datetime, start_datetime) >= ?)
+          OR (recurrence IS NOT NULL AND recurrence_id IS NULL AND start_datetime <= ?)
+          OR (recurrence_id IS NOT NULL AND recurrence_id >= ? AND recurrence_id <= ?)
+        )
+      ORDER BY start_datetime ASC
+    `).all(...sourceIds, endDate, rangeStart, endDay, startDay, endDay, startDay, endDay);
+
+    return expandEvents(rows.map(row => new Event(row)), { startDate, endDate });
+  }
+
+  /**
+   * Build an occurrence of this recurring event
+   * @param {Object} occurrence
+   * @param {string} occurrence.start_datetime
+   * @param {string|null} occurrence.end_datetime
+   * @param {string} occurrence.recurrence_id
+   * @returns {Event}
+   */
+  toOccurrence({ start_datetime, end_datetime, recurrence_id }) {
+    return new Event({
+      ...this,
+      start_datetime,
+      end_datetime,
+      recurrence_id
+    });
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -181,8 +384,13 @@ export class Event {
       start_datetime: this.start_datetime,
       end_datetime: this.end_datetime,
       all_day: Boolean(this.all_day),
+      timezone: this.timezone,
       status: this.status,
+      organizer: this.organizer,
+      attendees: this.attendees,
+      response_status: this.response_status,
       recurrence: this.recurrence,
+      recurrence_id: this.recurrence_id,
       raw_data: this.raw_data,
       created_at: this.created_at,
       updated_at: this.updated_at
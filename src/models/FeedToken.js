@@ -1,15 +1,87 @@
 import { getDatabase } from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
+import { PRIVACY_LEVELS } from '../utils/privacy.js';
+
+const DEFAULT_FEED_NAME = 'Mi calendario';
+
+/**
+ * Parse a JSON array column
+ * @param {string|Array|null} value
+ * @returns {Array|null}
+ */
+function parseList(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Serialize an array column (empty arrays are stored as NULL)
+ * @param {Array|null} value
+ * @returns {string|null}
+ */
+function serializeList(value) {
+  return Array.isArray(value) && value.length ? JSON.stringify(value) : null;
+}
+
+/**
+ * Validate a privacy level (unknown levels fall back to 'full')
+ * @param {string} privacy
+ * @returns {string}
+ */
+function normalizePrivacy(privacy) {
+  return PRIVACY_LEVELS.includes(privacy) ? privacy : 'full';
+}
 
 export class FeedToken {
   constructor(data) {
     this.id = data.id;
     this.slack_user_id = data.slack_user_id;
+    this.name = data.name || DEFAULT_FEED_NAME;
     this.token = data.token;
+    this.source_ids = parseList(data.source_ids);
+    this.past_days = data.past_days ?? null;
+    this.future_days = data.future_days ?? null;
+    this.include_keywords = parseList(data.include_keywords) || [];
+    this.exclude_keywords = parseList(data.exclude_keywords) || [];
+    this.privacy = data.privacy || 'full';
     this.created_at = data.created_at;
     this.last_used_at = data.last_used_at;
   }
 
+  /**
+   * Check if the feed includes a source
+   * @param {number} sourceId
+   * @returns {boolean}
+   */
+  includesSource(sourceId) {
+    return !this.source_ids || this.source_ids.includes(sourceId);
+  }
+
+  /**
+   * Check if an event passes the keyword rules of the feed
+   * Keywords are matched case-insensitively against title, description and location
+   * @param {Object} event
+   * @returns {boolean}
+   */
+  matchesKeywords(event) {
+    const text = [event.summary, event.description, event.location]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+
+    if (this.include_keywords.length && !this.include_keywords.some(k => text.includes(k.toLowerCase()))) {
+      return false;
+    }
+
+    return !this.exclude_keywords.some(k => text.includes(k.toLowerCase()));
+  }
+
   /**
    * Find a feed token by its token value
    * @param {string} token
@@ -22,62 +94,143 @@ export class FeedToken {
   }
 
   /**
-   * Find a feed token by Slack user ID
+   * Find a feed by ID checking that it belongs to the user
+   * @param {number} id
+   * @param {string} slackUserId
+   * @returns {FeedToken|null}
+   */
+  static findByIdAndUser(id, slackUserId) {
+    const db = getDatabase();
+    const row = db.prepare(
+      'SELECT * FROM feed_tokens WHERE id = ? AND slack_user_id = ?'
+    ).get(id, slackUserId);
+    return row ? new FeedToken(row) : null;
+  }
+
+  /**
+   * Find the first feed of a Slack user
    * @param {string} slackUserId
    * @returns {FeedToken|null}
    */
   static findBySlackUserId(slackUserId) {
     const db = getDatabase();
-    const row = db.prepare('SELECT * FROM feed_tokens WHERE slack_user_id = ?').get(slackUserId);
+    const row = db.prepare(
+      'SELECT * FROM feed_tokens WHERE slack_user_id = ? ORDER BY id LIMIT 1'
+    ).get(slackUserId);
     return row ? new FeedToken(row) : null;
   }
 
   /**
-   * Create a new feed token for a user (or return existing)
+   * Find all the feeds of a Slack user
+   * @param {string} slackUserId
+   * @returns {FeedToken[]}
+   */
+  static findAllBySlackUserId(slackUserId) {
+    const db = getDatabase();
+    const rows = db.prepare(
+      'SELECT * FROM feed_tokens WHERE slack_user_id = ? ORDER BY id'
+    ).all(slackUserId);
+    return rows.map(row => new FeedToken(row));
+  }
+
+  /**
+   * Get the first feed of a user, creating a default one (all calendars) if needed
    * @param {string} slackUserId
    * @returns {FeedToken}
    */
   static getOrCreateForUser(slackUserId) {
-    const existing = FeedToken.findBySlackUserId(slackUserId);
-    if (existing) {
-      return existing;
-    }
+    return FeedToken.findBySlackUserId(slackUserId)
+      || FeedToken.createForUser({ name: DEFAULT_FEED_NAME }, slackUserId);
+  }
 
+  /**
+   * Create a named feed for a user
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {number[]|null} [data.source_ids] - null = all the user's calendars
+   * @param {number|null} [data.past_days] - null = default window (FEED_PAST_DAYS days before now)
+   * @param {number|null} [data.future_days] - null = default window (FEED_FUTURE_DAYS days after now)
+   * @param {string[]} [data.include_keywords]
+   * @param {string[]} [data.exclude_keywords]
+   * @param {string} [data.privacy] - One of PRIVACY_LEVELS
+   * @param {string} slackUserId
+   * @returns {FeedToken}
+   */
+  static createForUser(data, slackUserId) {
     const db = getDatabase();
-    const token = uuidv4();
 
     const stmt = db.prepare(`
-      INSERT INTO feed_tokens (slack_user_id, token)
-      VALUES (?, ?)
+      INSERT INTO feed_tokens (
+        slack_user_id, name, token, source_ids, past_days, future_days,
+        include_keywords, exclude_keywords, privacy
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    stmt.run(slackUserId, token);
-    return FeedToken.findBySlackUserId(slackUserId);
+    const result = stmt.run(
+      slackUserId,
+      data.name || DEFAULT_FEED_NAME,
+      uuidv4(),
+      serializeList(data.source_ids),
+      data.past_days ?? null,
+      data.future_days ?? null,
+      serializeList(data.include_keywords),
+      serializeList(data.exclude_keywords),
+      normalizePrivacy(data.privacy)
+    );
+
+    return FeedToken.findByIdAndUser(result.lastInsertRowid, slackUserId);
   }
 
   /**
-   * Regenerate the token for a user
+   * Update the settings of a feed checking that it belongs to the user
+   * @param {number} id
    * @param {string} slackUserId
+   * @param {Object} data - Same fields as createForUser()
    * @returns {FeedToken|null}
    */
-  static regenerateToken(slackUserId) {
+  static updateForUser(id, slackUserId, data) {
     const db = getDatabase();
-    const newToken = uuidv4();
 
     const stmt = db.prepare(`
       UPDATE feed_tokens
-      SET token = ?, created_at = datetime('now'), last_used_at = NULL
-      WHERE slack_user_id = ?
+      SET name = ?, source_ids = ?, past_days = ?, future_days = ?,
+          include_keywords = ?, exclude_keywords = ?, privacy = ?
+      WHERE id = ? AND slack_user_id = ?
     `);
 
-    const result = stmt.run(newToken, slackUserId);
+    stmt.run(
+      data.name || DEFAULT_FEED_NAME,
+      serializeList(data.source_ids),
+      data.past_days ?? null,
+      data.future_days ?? null,
+      serializeList(data.include_keywords),
+      serializeList(data.exclude_keywords),
+      normalizePrivacy(data.privacy),
+      id,
+      slackUserId
+    );
 
-    if (result.changes === 0) {
-      // No existing token, create new one
-      return FeedToken.getOrCreateForUser(slackUserId);
-    }
+    return FeedToken.findByIdAndUser(id, slackUserId);
+  }
+
+  /**
+   * Regenerate the token of a feed (invalidates the previous URL)
+   * @param {number} id
+   * @param {string} slackUserId
+   * @returns {FeedToken|null}
+   */
+  static regenerateToken(id, slackUserId) {
+    const db = getDatabase();
+
+    const stmt = db.prepare(`
+      UPDATE feed_tokens
+      SET token = ?, created_at = datetime('now'), last_used_at = NULL
+      WHERE id = ? AND slack_user_id = ?
+    `);
 
-    return FeedToken.findBySlackUserId(slackUserId);
+    stmt.run(uuidv4(), id, slackUserId);
+    return FeedToken.findByIdAndUser(id, slackUserId);
   }
 
   /**
@@ -95,14 +248,15 @@ export class FeedToken {
   }
 
   /**
-   * Delete a feed token for a user
+   * Delete a feed checking that it belongs to the user
+   * @param {number} id
    * @param {string} slackUserId
    * @returns {boolean}
    */
-  static delete(slackUserId) {
+  static deleteForUser(id, slackUserId) {
     const db = getDatabase();
-    const stmt = db.prepare('DELETE FROM feed_tokens WHERE slack_user_id = ?');
-    const result = stmt.run(slackUserId);
+    const stmt = db.prepare('DELETE FROM feed_tokens WHERE id = ? AND slack_user_id = ?');
+    const result = stmt.run(id, slackUserId);
     return result.changes > 0;
   }
 
@@ -110,7 +264,14 @@ export class FeedToken {
     return {
       id: this.id,
       slack_user_id: this.slack_user_id,
+      name: this.name,
       token: this.token,
+      source_ids: this.source_ids,
+      past_days: this.past_days,
+      future_days: this.future_days,
+      include_keywords: this.include_keywords,
+      exclude_keywords: this.exclude_keywords,
+      privacy: this.privacy,
       created_at: this.created_at,
       last_used_at: this.last_used_at
     };
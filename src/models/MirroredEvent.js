@@ -0,0 +1,86 @@
+import { getDatabase } from '../config/database.js';
+
+export class MirroredEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.target_source_id = data.target_source_id;
+    this.origin_source_id = data.origin_source_id;
+    this.origin_key = data.origin_key;
+    this.target_event_id = data.target_event_id;
+    this.start_datetime = data.start_datetime;
+    this.end_datetime = data.end_datetime;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Find all placeholders created in a target source
+   * @param {number} targetSourceId
+   * @returns {MirroredEvent[]}
+   */
+  static findByTargetSourceId(targetSourceId) {
+    const db = getDatabase();
+    const rows = db.prepare(
+      'SELECT * FROM mirrored_events WHERE target_source_id = ? ORDER BY start_datetime ASC'
+    ).all(targetSourceId);
+    return rows.map(row => new MirroredEvent(row));
+  }
+
+  static create(data) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO mirrored_events (target_source_id, origin_source_id, origin_key, target_event_id, start_datetime, end_datetime)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      data.target_source_id,
+      data.origin_source_id,
+      data.origin_key,
+      data.target_event_id,
+      data.start_datetime,
+      data.end_datetime || null
+    );
+
+    return new MirroredEvent({ id: result.lastInsertRowid, ...data });
+  }
+
+  /**
+   * Update the times of a placeholder after it was moved in the target calendar
+   * @param {number} id
+   * @param {string} startDateTime
+   * @param {string|null} endDateTime
+   */
+  static updateTimes(id, startDateTime, endDateTime) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE mirrored_events
+      SET start_datetime = ?, end_datetime = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `);
+    stmt.run(startDateTime, endDateTime || null, id);
+  }
+
+  static delete(id) {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM mirrored_events WHERE id = ?');
+    const result = stmt.run(id);
+    return result.changes > 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      target_source_id: this.target_source_id,
+      origin_source_id: this.origin_source_id,
+      origin_key: this.origin_key,
+      target_event_id: this.target_event_id,
+      start_datetime: this.start_datetime,
+      end_datetime: this.end_datetime,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default MirroredEvent;
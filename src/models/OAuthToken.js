@@ -73,25 +73,61 @@ export class OAuthToken {
 
   // ============ Static Methods ============
 
+  /**
+   * Busca un token por ID
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM oauth_tokens WHERE id = ?').get(id);
+    return row ? new OAuthToken(row) : null;
+  }
+
+  /**
+   * Busca un token por ID verificando propiedad del usuario
+   */
+  static findByIdAndUser(id, slackUserId) {
+    const db = getDatabase();
+    const row = db.prepare(
+      'SELECT * FROM oauth_tokens WHERE id = ? AND slack_user_id = ?'
+    ).get(id, slackUserId);
+    return row ? new OAuthToken(row) : null;
+  }
+
   /**
    * Busca tokens por slack_user_id
+   * Con varias cuentas del mismo proveedor devuelve la primera conectada
    */
   static findBySlackUserId(slackUserId, provider = 'google') {
     const db = getDatabase();
     const row = db.prepare(
-      'SELECT * FROM oauth_tokens WHERE slack_user_id = ? AND provider = ?'
+      'SELECT * FROM oauth_tokens WHERE slack_user_id = ? AND provider = ? ORDER BY id LIMIT 1'
     ).get(slackUserId, provider);
     return row ? new OAuthToken(row) : null;
   }
 
   /**
-   * Busca todos los tokens de un usuario (todos los proveedores)
+   * Busca el token de una cuenta concreta de un proveedor
    */
-  static findAllBySlackUserId(slackUserId) {
+  static findByAccount(slackUserId, provider, accountEmail) {
     const db = getDatabase();
-    const rows = db.prepare(
-      'SELECT * FROM oauth_tokens WHERE slack_user_id = ?'
-    ).all(slackUserId);
+    const row = db.prepare(
+      'SELECT * FROM oauth_tokens WHERE slack_user_id = ? AND provider = ? AND account_email IS ?'
+    ).get(slackUserId, provider, accountEmail || null);
+    return row ? new OAuthToken(row) : null;
+  }
+
+  /**
+   * Busca todos los tokens de un usuario (opcionalmente de un solo proveedor)
+   */
+  static findAllBySlackUserId(slackUserId, provider = null) {
+    const db = getDatabase();
+    const rows = provider
+      ? db.prepare(
+        'SELECT * FROM oauth_tokens WHERE slack_user_id = ? AND provider = ? ORDER BY id'
+      ).all(slackUserId, provider)
+      : db.prepare(
+        'SELECT * FROM oauth_tokens WHERE slack_user_id = ? ORDER BY id'
+      ).all(slackUserId);
     return rows.map(row => new OAuthToken(row));
   }
 
@@ -104,10 +140,11 @@ export class OAuthToken {
   }
 
   /**
-   * Guarda o actualiza tokens para un usuario
+   * Guarda o actualiza los tokens de una cuenta (slack_user_id + provider + account_email)
    */
   static upsert(data) {
     const db = getDatabase();
+    const provider = data.provider || 'google';
 
     // Encriptar tokens
     const accessTokenEncrypted = data.access_token
@@ -117,84 +154,103 @@ export class OAuthToken {
       ? encrypt(data.refresh_token, ENCRYPTION_KEY)
       : null;
 
-    const stmt = db.prepare(`
+    // account_email puede ser NULL, que no entra en el UNIQUE: buscar la cuenta a mano
+    const existing = OAuthToken.findByAccount(data.slack_user_id, provider, data.account_email);
+
+    if (existing) {
+      db.prepare(`
+        UPDATE oauth_tokens SET
+          slack_team_id = ?,
+          slack_user_name = ?,
+          access_token_encrypted = COALESCE(?, access_token_encrypted),
+          refresh_token_encrypted = COALESCE(?, refresh_token_encrypted),
+          token_type = ?,
+          scope = ?,
+          expires_at = ?,
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        data.slack_team_id || null,
+        data.slack_user_name || null,
+        accessTokenEncrypted,
+        refreshTokenEncrypted,
+        data.token_type || 'Bearer',
+        data.scope || null,
+        data.expires_at || null,
+        existing.id
+      );
+
+      return OAuthToken.findById(existing.id);
+    }
+
+    const result = db.prepare(`
       INSERT INTO oauth_tokens (
         slack_user_id, slack_team_id, slack_user_name, provider,
         access_token_encrypted, refresh_token_encrypted,
-        token_type, scope, expires_at, account_email
+        token_type, scope, expires_at, account_email, timezone
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(slack_user_id, provider) DO UPDATE SET
-        slack_team_id = excluded.slack_team_id,
-        slack_user_name = excluded.slack_user_name,
-        access_token_encrypted = COALESCE(excluded.access_token_encrypted, oauth_tokens.access_token_encrypted),
-        refresh_token_encrypted = COALESCE(excluded.refresh_token_encrypted, oauth_tokens.refresh_token_encrypted),
-        token_type = excluded.token_type,
-        scope = excluded.scope,
-        expires_at = excluded.expires_at,
-        account_email = COALESCE(excluded.account_email, oauth_tokens.account_email),
-        updated_at = datetime('now')
-    `);
-
-    stmt.run(
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
       data.slack_user_id,
       data.slack_team_id || null,
       data.slack_user_name || null,
-      data.provider || 'google',
+      provider,
       accessTokenEncrypted,
       refreshTokenEncrypted,
       data.token_type || 'Bearer',
       data.scope || null,
       data.expires_at || null,
-      data.account_email || null
+      data.account_email || null,
+      OAuthToken.getTimezone(data.slack_user_id) || 'UTC'
     );
 
-    return OAuthToken.findBySlackUserId(data.slack_user_id, data.provider || 'google');
+    return OAuthToken.findById(result.lastInsertRowid);
   }
 
   /**
    * Actualiza solo el access_token (despues de renovacion)
    */
-  static updateAccessToken(slackUserId, accessToken, expiresAt, provider = 'google') {
+  static updateAccessToken(id, accessToken, expiresAt) {
     const db = getDatabase();
     const accessTokenEncrypted = encrypt(accessToken, ENCRYPTION_KEY);
 
     const stmt = db.prepare(`
       UPDATE oauth_tokens
       SET access_token_encrypted = ?, expires_at = ?, updated_at = datetime('now')
-      WHERE slack_user_id = ? AND provider = ?
+      WHERE id = ?
     `);
 
-    stmt.run(accessTokenEncrypted, expiresAt, slackUserId, provider);
-    return OAuthToken.findBySlackUserId(slackUserId, provider);
+    stmt.run(accessTokenEncrypted, expiresAt, id);
+    return OAuthToken.findById(id);
   }
 
   /**
    * Actualiza refresh_token (cuando Google emite uno nuevo)
    */
-  static updateRefreshToken(slackUserId, refreshToken, provider = 'google') {
+  static updateRefreshToken(id, refreshToken) {
     const db = getDatabase();
     const refreshTokenEncrypted = encrypt(refreshToken, ENCRYPTION_KEY);
 
     const stmt = db.prepare(`
       UPDATE oauth_tokens
       SET refresh_token_encrypted = ?, updated_at = datetime('now')
-      WHERE slack_user_id = ? AND provider = ?
+      WHERE id = ?
     `);
 
-    stmt.run(refreshTokenEncrypted, slackUserId, provider);
-    return OAuthToken.findBySlackUserId(slackUserId, provider);
+    stmt.run(refreshTokenEncrypted, id);
+    return OAuthToken.findById(id);
   }
 
   /**
-   * Elimina tokens de un usuario
+   * Elimina los tokens de una cuenta verificando propiedad del usuario
+   * Los sources de la cuenta se eliminan en cascada
    */
-  static delete(slackUserId, provider = 'google') {
+  static deleteForUser(id, slackUserId) {
     const db = getDatabase();
     const stmt = db.prepare(
-      'DELETE FROM oauth_tokens WHERE slack_user_id = ? AND provider = ?'
+      'DELETE FROM oauth_tokens WHERE id = ? AND slack_user_id = ?'
     );
-    const result = stmt.run(slackUserId, provider);
+    const result = stmt.run(id, slackUserId);
     return result.changes > 0;
   }
 
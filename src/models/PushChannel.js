@@ -0,0 +1,102 @@
+import { getDatabase } from '../config/database.js';
+
+export class PushChannel {
+  constructor(data) {
+    this.id = data.id;
+    this.source_id = data.source_id;
+    this.provider = data.provider;
+    this.channel_id = data.channel_id;
+    this.resource_id = data.resource_id;
+    this.token = data.token;
+    this.expires_at = data.expires_at;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Check if the channel expires before the given timestamp
+   * @param {number} timestamp - Epoch milliseconds
+   * @returns {boolean}
+   */
+  expiresBefore(timestamp) {
+    if (!this.expires_at) return true;
+    return this.expires_at <= timestamp;
+  }
+
+  static findAll() {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM push_channels ORDER BY expires_at ASC').all();
+    return rows.map(row => new PushChannel(row));
+  }
+
+  /**
+   * Find a channel by the provider channel ID
+   * @param {string} channelId
+   * @returns {PushChannel|null}
+   */
+  static findByChannelId(channelId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM push_channels WHERE channel_id = ?').get(channelId);
+    return row ? new PushChannel(row) : null;
+  }
+
+  /**
+   * Find all channels of a source (newest first)
+   * @param {number} sourceId
+   * @returns {PushChannel[]}
+   */
+  static findBySourceId(sourceId) {
+    const db = getDatabase();
+    const rows = db.prepare(
+      'SELECT * FROM push_channels WHERE source_id = ? ORDER BY expires_at DESC'
+    ).all(sourceId);
+    return rows.map(row => new PushChannel(row));
+  }
+
+  static create(data) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO push_channels (source_id, provider, channel_id, resource_id, token, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      data.source_id,
+      data.provider,
+      data.channel_id,
+      data.resource_id || null,
+      data.token || null,
+      data.expires_at || null
+    );
+
+    return PushChannel.findByChannelId(data.channel_id);
+  }
+
+  static updateExpiration(channelId, expiresAt) {
+    const db = getDatabase();
+    const stmt = db.prepare('UPDATE push_channels SET expires_at = ? WHERE channel_id = ?');
+    stmt.run(expiresAt, channelId);
+    return PushChannel.findByChannelId(channelId);
+  }
+
+  static delete(channelId) {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM push_channels WHERE channel_id = ?');
+    const result = stmt.run(channelId);
+    return result.changes > 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      source_id: this.source_id,
+      provider: this.provider,
+      channel_id: this.channel_id,
+      resource_id: this.resource_id,
+      expires_at: this.expires_at,
+      created_at: this.created_at
+      // No incluir token por seguridad
+    };
+  }
+}
+
+export default PushChannel;
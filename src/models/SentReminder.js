@@ -0,0 +1,71 @@
+import { getDatabase } from '../config/database.js';
+
+export class SentReminder {
+  constructor(data) {
+    this.id = data.id;
+    this.slack_user_id = data.slack_user_id;
+    this.source_id = data.source_id;
+    this.event_key = data.event_key;
+    this.start_datetime = data.start_datetime;
+    this.sent_at = data.sent_at;
+  }
+
+  /**
+   * Reserve the reminder of an occurrence before sending it
+   * The UNIQUE constraint makes this atomic: only the first call wins, so
+   * restarts and resyncs never notify the same occurrence twice
+   * @param {Object} data
+   * @param {string} data.slack_user_id
+   * @param {number} data.source_id
+   * @param {string} data.event_key - Occurrence identifier
+   * @param {string} data.start_datetime - Start of the occurrence (UTC ISO)
+   * @returns {boolean} true if the reminder was not sent yet
+   */
+  static claim(data) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO sent_reminders (slack_user_id, source_id, event_key, start_datetime)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(data.slack_user_id, data.source_id, data.event_key, data.start_datetime);
+    return result.changes > 0;
+  }
+
+  /**
+   * Undo a claim when the reminder could not be delivered, so it is retried
+   * @param {Object} data - Same fields as claim()
+   */
+  static release(data) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      DELETE FROM sent_reminders
+      WHERE slack_user_id = ? AND source_id = ? AND event_key = ? AND start_datetime = ?
+    `);
+    stmt.run(data.slack_user_id, data.source_id, data.event_key, data.start_datetime);
+  }
+
+  /**
+   * Delete the records of occurrences that already started
+   * @param {string} before - UTC ISO datetime
+   * @returns {number} Deleted records
+   */
+  static deleteStartedBefore(before) {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM sent_reminders WHERE start_datetime < ?');
+    return stmt.run(before).changes;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      slack_user_id: this.slack_user_id,
+      source_id: this.source_id,
+      event_key: this.event_key,
+      start_datetime: this.start_datetime,
+      sent_at: this.sent_at
+    };
+  }
+}
+
+export default SentReminder;
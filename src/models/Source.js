@@ -1,4 +1,5 @@
 import { getDatabase } from '../config/database.js';
+import { redactSecrets } from '../utils/credentials.js';
 
 export class Source {
   constructor(data) {
@@ -9,6 +10,9 @@ export class Source {
     this.config = typeof data.config === 'string' ? JSON.parse(data.config) : data.config;
     this.enabled = data.enabled ?? 1;
     this.color = data.color;
+    this.mirror_target_id = data.mirror_target_id ?? null;
+    this.oauth_token_id = data.oauth_token_id ?? null;
+    this.privacy = data.privacy || 'full';
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -31,6 +35,19 @@ export class Source {
     return rows.map(row => new Source(row));
   }
 
+  /**
+   * Find the enabled sources whose events are mirrored as busy blocks into a target
+   * @param {number} targetSourceId
+   * @returns {Source[]}
+   */
+  static findByMirrorTarget(targetSourceId) {
+    const db = getDatabase();
+    const rows = db.prepare(
+      'SELECT * FROM sources WHERE mirror_target_id = ? AND enabled = 1 AND id != ?'
+    ).all(targetSourceId, targetSourceId);
+    return rows.map(row => new Source(row));
+  }
+
   static create(data) {
     const db = getDatabase();
     const config = typeof data.config === 'object' ? JSON.stringify(data.config) : data.config;
@@ -69,6 +86,14 @@ export class Source {
       updates.push('color = ?');
       values.push(data.color);
     }
+    if (data.mirror_target_id !== undefined) {
+      updates.push('mirror_target_id = ?');
+      values.push(data.mirror_target_id);
+    }
+    if (data.privacy !== undefined) {
+      updates.push('privacy = ?');
+      values.push(data.privacy);
+    }
 
     if (updates.length === 0) return Source.findById(id);
 
@@ -145,8 +170,8 @@ export class Source {
       : data.config;
 
     const stmt = db.prepare(`
-      INSERT INTO sources (slack_user_id, name, type, config, enabled, color)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO sources (slack_user_id, name, type, config, enabled, color, oauth_token_id, privacy)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
@@ -155,7 +180,9 @@ export class Source {
       data.type,
       config,
       data.enabled ?? 1,
-      data.color || null
+      data.color || null,
+      data.oauth_token_id || null,
+      data.privacy || 'full'
     );
     return Source.findById(result.lastInsertRowid);
   }
@@ -176,18 +203,31 @@ export class Source {
   }
 
   /**
-   * Elimina todos los sources de un proveedor para un usuario
-   * Util para desconectar una cuenta OAuth completa
+   * Encuentra los sources de una cuenta OAuth
+   * @param {number} oauthTokenId
+   * @returns {Source[]}
+   */
+  static findByOAuthTokenId(oauthTokenId) {
+    const db = getDatabase();
+    const rows = db.prepare(
+      'SELECT * FROM sources WHERE oauth_token_id = ? ORDER BY created_at DESC'
+    ).all(oauthTokenId);
+    return rows.map(row => new Source(row));
+  }
+
+  /**
+   * Elimina todos los sources de una cuenta OAuth de un usuario
+   * Util para desconectar una cuenta completa
+   * @param {number} oauthTokenId - ID del token OAuth de la cuenta
    * @param {string} slackUserId - ID del usuario Slack
-   * @param {string} provider - 'google' | 'microsoft'
    * @returns {number} - Cantidad de sources eliminados
    */
-  static deleteByProviderForUser(slackUserId, provider) {
+  static deleteByOAuthTokenForUser(oauthTokenId, slackUserId) {
     const db = getDatabase();
     const stmt = db.prepare(
-      'DELETE FROM sources WHERE slack_user_id = ? AND type = ?'
+      'DELETE FROM sources WHERE oauth_token_id = ? AND slack_user_id = ?'
     );
-    const result = stmt.run(slackUserId, provider);
+    const result = stmt.run(oauthTokenId, slackUserId);
     return result.changes;
   }
 
@@ -212,9 +252,13 @@ export class Source {
       slack_user_id: this.slack_user_id,
       name: this.name,
       type: this.type,
-      config: this.config,
+      // Encrypted credentials never leave the server
+      config: redactSecrets(this.config),
       enabled: Boolean(this.enabled),
       color: this.color,
+      mirror_target_id: this.mirror_target_id,
+      oauth_token_id: this.oauth_token_id,
+      privacy: this.privacy,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
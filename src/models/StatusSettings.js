@@ -0,0 +1,284 @@
+import { getDatabase } from '../config/database.js';
+import { encrypt, decrypt } from '../utils/crypto.js';
+
+const ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+
+// Titles that mark focus time when the user did not choose their own keywords
+const DEFAULT_FOCUS_KEYWORDS = ['focus', 'foco', 'concentracion', 'concentración'];
+
+/**
+ * Parse a JSON array column
+ * @param {string|Array|null} value
+ * @returns {Array|null}
+ */
+function parseList(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Serialize an array column (empty arrays are stored as NULL)
+ * @param {Array|null} value
+ * @returns {string|null}
+ */
+function serializeList(value) {
+  return Array.isArray(value) && value.length ? JSON.stringify(value) : null;
+}
+
+/**
+ * Check if the title of an event contains any of the keywords
+ * @param {Object} event
+ * @param {string[]} keywords
+ * @returns {boolean}
+ */
+function titleMatches(event, keywords) {
+  const title = (event.summary || '').toLowerCase();
+  return keywords.some(k => title.includes(k.toLowerCase()));
+}
+
+/**
+ * Automatic Slack status settings of a user, and the status currently set by the bot
+ */
+export class StatusSettings {
+  constructor(data) {
+    this.slack_user_id = data.slack_user_id;
+    this.enabled = data.enabled ?? 0;
+    this.source_ids = parseList(data.source_ids);
+    this.focus_keywords = parseList(data.focus_keywords) || DEFAULT_FOCUS_KEYWORDS;
+    this.ignore_keywords = parseList(data.ignore_keywords) || [];
+    this.active_kind = data.active_kind ?? null;
+    this.active_event_key = data.active_event_key ?? null;
+    this.active_text = data.active_text ?? null;
+    this.active_emoji = data.active_emoji ?? null;
+    this.active_expiration = data.active_expiration ?? null;
+    this.previous_text = data.previous_text ?? null;
+    this.previous_emoji = data.previous_emoji ?? null;
+    this.previous_expiration = data.previous_expiration ?? null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+
+    // Encrypted token (not exposed directly)
+    this._user_token_encrypted = data.user_token_encrypted;
+  }
+
+  /**
+   * Decrypted Slack user token
+   */
+  get userToken() {
+    if (!this._user_token_encrypted) return null;
+    try {
+      return decrypt(this._user_token_encrypted, ENCRYPTION_KEY);
+    } catch (error) {
+      console.error('[StatusSettings] Error decrypting user token:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether the user authorized the app to change their status
+   */
+  get isConnected() {
+    return Boolean(this._user_token_encrypted);
+  }
+
+  /**
+   * Check if the events of a source count for the status
+   * @param {number} sourceId
+   * @returns {boolean}
+   */
+  includesSource(sourceId) {
+    return !this.source_ids || this.source_ids.includes(sourceId);
+  }
+
+  /**
+   * Check if an event is ignored by its title
+   * @param {Object} event
+   * @returns {boolean}
+   */
+  isIgnored(event) {
+    return titleMatches(event, this.ignore_keywords);
+  }
+
+  /**
+   * Check if an event is focus time by its title
+   * @param {Object} event
+   * @returns {boolean}
+   */
+  isFocusTime(event) {
+    return titleMatches(event, this.focus_keywords);
+  }
+
+  /**
+   * Find the settings of a user
+   * @param {string} slackUserId
+   * @returns {StatusSettings|null}
+   */
+  static findBySlackUserId(slackUserId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM status_settings WHERE slack_user_id = ?').get(slackUserId);
+    return row ? new StatusSettings(row) : null;
+  }
+
+  /**
+   * Get the settings of a user, with the defaults if they were never saved
+   * @param {string} slackUserId
+   * @returns {StatusSettings}
+   */
+  static getForUser(slackUserId) {
+    return StatusSettings.findBySlackUserId(slackUserId)
+      || new StatusSettings({ slack_user_id: slackUserId });
+  }
+
+  /**
+   * Find the users with automatic status enabled and a user token
+   * @returns {StatusSettings[]}
+   */
+  static findEnabled() {
+    const db = getDatabase();
+    const rows = db.prepare(
+      'SELECT * FROM status_settings WHERE enabled = 1 AND user_token_encrypted IS NOT NULL'
+    ).all();
+    return rows.map(row => new StatusSettings(row));
+  }
+
+  /**
+   * Save the Slack user token of a user (enables the automatic status)
+   * @param {string} slackUserId
+   * @param {string} userToken
+   * @returns {StatusSettings}
+   */
+  static saveUserToken(slackUserId, userToken) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO status_settings (slack_user_id, enabled, user_token_encrypted)
+      VALUES (?, 1, ?)
+      ON CONFLICT(slack_user_id) DO UPDATE SET
+        enabled = 1,
+        user_token_encrypted = excluded.user_token_encrypted,
+        updated_at = datetime('now')
+    `);
+
+    stmt.run(slackUserId, encrypt(userToken, ENCRYPTION_KEY));
+    return StatusSettings.findBySlackUserId(slackUserId);
+  }
+
+  /**
+   * Forget the Slack user token of a user (revoked or disconnected)
+   * @param {string} slackUserId
+   */
+  static removeUserToken(slackUserId) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE status_settings
+      SET user_token_encrypted = NULL, active_kind = NULL, updated_at = datetime('now')
+      WHERE slack_user_id = ?
+    `);
+    stmt.run(slackUserId);
+  }
+
+  /**
+   * Save the rules of a user
+   * @param {string} slackUserId
+   * @param {Object} data
+   * @param {boolean} data.enabled
+   * @param {number[]|null} data.source_ids - null = all sources
+   * @param {string[]} data.focus_keywords - Empty = default keywords
+   * @param {string[]} data.ignore_keywords
+   * @returns {StatusSettings}
+   */
+  static updateRules(slackUserId, data) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO status_settings (slack_user_id, enabled, source_ids, focus_keywords, ignore_keywords)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(slack_user_id) DO UPDATE SET
+        enabled = excluded.enabled,
+        source_ids = excluded.source_ids,
+        focus_keywords = excluded.focus_keywords,
+        ignore_keywords = excluded.ignore_keywords,
+        updated_at = datetime('now')
+    `);
+
+    stmt.run(
+      slackUserId,
+      data.enabled ? 1 : 0,
+      serializeList(data.source_ids),
+      serializeList(data.focus_keywords),
+      serializeList(data.ignore_keywords)
+    );
+    return StatusSettings.findBySlackUserId(slackUserId);
+  }
+
+  /**
+   * Record the status set by the bot
+   * @param {string} slackUserId
+   * @param {Object} active
+   * @param {string} active.kind - meeting, ooo or focus
+   * @param {string} active.eventKey
+   * @param {string} active.text
+   * @param {string} active.emoji
+   * @param {number} active.expiration - Unix timestamp (seconds)
+   * @param {Object} [previous] - Status to restore afterwards (only when there was no active status)
+   */
+  static markApplied(slackUserId, active, previous = null) {
+    const db = getDatabase();
+
+    db.prepare(`
+      UPDATE status_settings
+      SET active_kind = ?, active_event_key = ?, active_text = ?, active_emoji = ?, active_expiration = ?,
+          updated_at = datetime('now')
+      WHERE slack_user_id = ?
+    `).run(active.kind, active.eventKey, active.text, active.emoji, active.expiration, slackUserId);
+
+    if (previous) {
+      db.prepare(`
+        UPDATE status_settings
+        SET previous_text = ?, previous_emoji = ?, previous_expiration = ?
+        WHERE slack_user_id = ?
+      `).run(previous.text || null, previous.emoji || null, previous.expiration || null, slackUserId);
+    }
+  }
+
+  /**
+   * Forget the status set by the bot (restored, expired or replaced by the user)
+   * The event key is kept so the same event does not set the status again
+   * @param {string} slackUserId
+   */
+  static clearApplied(slackUserId) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE status_settings
+      SET active_kind = NULL, active_text = NULL, active_emoji = NULL, active_expiration = NULL,
+          previous_text = NULL, previous_emoji = NULL, previous_expiration = NULL,
+          updated_at = datetime('now')
+      WHERE slack_user_id = ?
+    `);
+    stmt.run(slackUserId);
+  }
+
+  toJSON() {
+    return {
+      slack_user_id: this.slack_user_id,
+      enabled: Boolean(this.enabled),
+      connected: this.isConnected,
+      source_ids: this.source_ids,
+      focus_keywords: this.focus_keywords,
+      ignore_keywords: this.ignore_keywords,
+      active_kind: this.active_kind,
+      active_event_key: this.active_event_key,
+      active_text: this.active_text,
+      active_emoji: this.active_emoji,
+      active_expiration: this.active_expiration,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default StatusSettings;
@@ -0,0 +1,181 @@
+import { getDatabase } from '../config/database.js';
+
+// Settings used for users that never configured them
+const DEFAULT_SETTINGS = {
+  work_start: '09:00',
+  work_end: '18:00',
+  work_days: '1,2,3,4,5',
+  digest_enabled: 0,
+  digest_time: '08:00',
+  digest_weekdays_only: 1,
+  reminder_minutes: null
+};
+
+export class UserSettings {
+  constructor(data) {
+    this.slack_user_id = data.slack_user_id;
+    this.work_start = data.work_start || DEFAULT_SETTINGS.work_start;
+    this.work_end = data.work_end || DEFAULT_SETTINGS.work_end;
+    this.work_days = typeof data.work_days === 'string'
+      ? data.work_days.split(',').map(day => parseInt(day, 10)).filter(Boolean)
+      : data.work_days || DEFAULT_SETTINGS.work_days.split(',').map(Number);
+    this.digest_enabled = data.digest_enabled ?? DEFAULT_SETTINGS.digest_enabled;
+    this.digest_time = data.digest_time || DEFAULT_SETTINGS.digest_time;
+    this.digest_weekdays_only = data.digest_weekdays_only ?? DEFAULT_SETTINGS.digest_weekdays_only;
+    this.digest_last_sent = data.digest_last_sent ?? null;
+    this.reminder_minutes = data.reminder_minutes ?? DEFAULT_SETTINGS.reminder_minutes;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Check if a weekday is a working day
+   * @param {number} weekday - ISO weekday (1 = Monday ... 7 = Sunday)
+   * @returns {boolean}
+   */
+  isWorkDay(weekday) {
+    return this.work_days.includes(weekday);
+  }
+
+  /**
+   * Find the settings of a user
+   * @param {string} slackUserId
+   * @returns {UserSettings|null}
+   */
+  static findBySlackUserId(slackUserId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM user_settings WHERE slack_user_id = ?').get(slackUserId);
+    return row ? new UserSettings(row) : null;
+  }
+
+  /**
+   * Find the users that receive the daily digest
+   * @returns {UserSettings[]}
+   */
+  static findWithDigestEnabled() {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM user_settings WHERE digest_enabled = 1').all();
+    return rows.map(row => new UserSettings(row));
+  }
+
+  /**
+   * Find the users that receive pre-meeting reminders
+   * @returns {UserSettings[]}
+   */
+  static findWithRemindersEnabled() {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM user_settings WHERE reminder_minutes IS NOT NULL').all();
+    return rows.map(row => new UserSettings(row));
+  }
+
+  /**
+   * Get the settings of a user, with the defaults if they were never saved
+   * @param {string} slackUserId
+   * @returns {UserSettings}
+   */
+  static getForUser(slackUserId) {
+    return UserSettings.findBySlackUserId(slackUserId)
+      || new UserSettings({ slack_user_id: slackUserId, ...DEFAULT_SETTINGS });
+  }
+
+  /**
+   * Save the working hours of a user
+   * @param {string} slackUserId
+   * @param {Object} data
+   * @param {string} data.work_start - HH:mm
+   * @param {string} data.work_end - HH:mm
+   * @param {number[]} data.work_days - ISO weekdays
+   * @returns {UserSettings}
+   */
+  static upsert(slackUserId, data) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO user_settings (slack_user_id, work_start, work_end, work_days)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(slack_user_id) DO UPDATE SET
+        work_start = excluded.work_start,
+        work_end = excluded.work_end,
+        work_days = excluded.work_days,
+        updated_at = datetime('now')
+    `);
+
+    stmt.run(slackUserId, data.work_start, data.work_end, data.work_days.join(','));
+    return UserSettings.findBySlackUserId(slackUserId);
+  }
+
+  /**
+   * Save the daily digest settings of a user
+   * @param {string} slackUserId
+   * @param {Object} data
+   * @param {boolean} data.digest_enabled
+   * @param {string} data.digest_time - HH:mm in the user's timezone
+   * @param {boolean} data.digest_weekdays_only - Only from Monday to Friday
+   * @returns {UserSettings}
+   */
+  static updateDigest(slackUserId, data) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO user_settings (slack_user_id, digest_enabled, digest_time, digest_weekdays_only)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(slack_user_id) DO UPDATE SET
+        digest_enabled = excluded.digest_enabled,
+        digest_time = excluded.digest_time,
+        digest_weekdays_only = excluded.digest_weekdays_only,
+        updated_at = datetime('now')
+    `);
+
+    stmt.run(slackUserId, data.digest_enabled ? 1 : 0, data.digest_time, data.digest_weekdays_only ? 1 : 0);
+    return UserSettings.findBySlackUserId(slackUserId);
+  }
+
+  /**
+   * Record the day the digest was sent, so it is sent once per day
+   * @param {string} slackUserId
+   * @param {string} date - YYYY-MM-DD in the user's timezone
+   */
+  static markDigestSent(slackUserId, date) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE user_settings SET digest_last_sent = ? WHERE slack_user_id = ?
+    `);
+    stmt.run(date, slackUserId);
+  }
+
+  /**
+   * Save how long before each meeting a user is reminded
+   * @param {string} slackUserId
+   * @param {number|null} minutes - null disables the reminders
+   * @returns {UserSettings}
+   */
+  static updateReminders(slackUserId, minutes) {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      INSERT INTO user_settings (slack_user_id, reminder_minutes)
+      VALUES (?, ?)
+      ON CONFLICT(slack_user_id) DO UPDATE SET
+        reminder_minutes = excluded.reminder_minutes,
+        updated_at = datetime('now')
+    `);
+
+    stmt.run(slackUserId, minutes ?? null);
+    return UserSettings.findBySlackUserId(slackUserId);
+  }
+
+  toJSON() {
+    return {
+      slack_user_id: this.slack_user_id,
+      work_start: this.work_start,
+      work_end: this.work_end,
+      work_days: this.work_days,
+      digest_enabled: Boolean(this.digest_enabled),
+      digest_time: this.digest_time,
+      digest_weekdays_only: Boolean(this.digest_weekdays_only),
+      digest_last_sent: this.digest_last_sent,
+      reminder_minutes: this.reminder_minutes,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default UserSettings;
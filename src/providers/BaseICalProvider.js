@@ -0,0 +1,186 @@
+import { createHash } from 'crypto';
+import BaseProvider from './BaseProvider.js';
+import ICAL from 'ical.js';
+import { Event } from '../models/Event.js';
+import { diffEvents } from '../utils/eventDiff.js';
+import { getOccurrenceKey } from '../utils/recurrence.js';
+import { getICalTimeZone, icalTimeToUTC } from '../utils/timezone.js';
+
+/**
+ * Base class for providers reading iCalendar data (remote URLs and local files)
+ * Handles parsing, normalization and diffing, subclasses only fetch the raw data
+ */
+export class BaseICalProvider extends BaseProvider {
+  /**
+   * Turn the whole set of events of the calendar into a sync result
+   * with only the new, changed and removed events
+   * @param {Array} events - Every normalized event of the calendar
+   * @param {Object} newSyncState
+   * @returns {Object} Sync result
+   */
+  diffWithStored(events, newSyncState) {
+    const diff = diffEvents(events, Event.findContentHashes(this.source.id));
+
+    console.log(`[${this.type}] Diff: ${diff.events.length} new or changed, ${diff.deleted.length} deleted, ${diff.unchangedCount} unchanged`);
+
+    if (diff.events.length === 0 && diff.deleted.length === 0) {
+      return { events: [], deleted: [], newSyncState, unchanged: true };
+    }
+
+    return { events: diff.events, deleted: diff.deleted, newSyncState };
+  }
+
+  parseICalData(icalData) {
+    const jcalData = ICAL.parse(icalData);
+    const vcalendar = new ICAL.Component(jcalData);
+    const vevents = vcalendar.getAllSubcomponents('vevent');
+
+    return vevents.map(vevent => {
+      const event = new ICAL.Event(vevent);
+      return this.normalizeEvent(event);
+    });
+  }
+
+  normalizeEvent(icalEvent) {
+    const startDate = icalEvent.startDate;
+    const endDate = icalEvent.endDate;
+
+    // Determine if all-day event
+    const isAllDay = startDate.isDate;
+
+    // Format dates
+    const startDateTime = isAllDay
+      ? startDate.toString().split('T')[0]
+      : icalTimeToUTC(startDate);
+
+    const endDateTime = endDate
+      ? (isAllDay ? endDate.toString().split('T')[0] : icalTimeToUTC(endDate))
+      : null;
+
+    // Modified occurrences share the UID of their recurring event
+    const recurrenceId = icalEvent.isRecurrenceException()
+      ? getOccurrenceKey(icalEvent.recurrenceId)
+      : null;
+
+    // Get recurrence rule if present
+    const rrule = icalEvent.component.getFirstPropertyValue('rrule');
+    const recurrence = rrule && !recurrenceId ? rrule.toString() : null;
+
+    // Events without UID get one from their start and title, so it is the same on every sync
+    const uid = icalEvent.uid || `${this.source.id}-${createHash('sha1')
+      .update(`${startDate.toString()}|${icalEvent.summary || ''}`)
+      .digest('hex')}`;
+    const tzid = startDate.zone?.tzid;
+
+    return {
+      source_id: this.source.id,
+      external_id: recurrenceId ? `${uid}_${recurrenceId}` : uid,
+      summary: icalEvent.summary || '(Sin título)',
+      description: icalEvent.description || null,
+      location: icalEvent.location || null,
+      start_datetime: startDateTime,
+      end_datetime: endDateTime,
+      all_day: isAllDay ? 1 : 0,
+      timezone: isAllDay ? null : getICalTimeZone(startDate),
+      status: this.mapStatus(icalEvent.component.getFirstPropertyValue('status')),
+      organizer: this.getPerson(icalEvent.component.getFirstProperty('organizer')),
+      attendees: icalEvent.attendees.map(property => this.getAttendee(property)).filter(Boolean),
+      // The owner of a feed is unknown: their response is not available
+      response_status: null,
+      recurrence: recurrence,
+      recurrence_id: recurrenceId,
+      raw_data: {
+        uid: icalEvent.uid,
+        summary: icalEvent.summary,
+        description: icalEvent.description,
+        location: icalEvent.location,
+        dtstart: startDate.toString(),
+        dtend: endDate?.toString(),
+        tzid: tzid && tzid !== 'floating' ? tzid : null,
+        rrule: recurrence,
+        exdate: recurrence ? this.getDateKeys(icalEvent.component, 'exdate') : [],
+        rdate: recurrence ? this.getDateKeys(icalEvent.component, 'rdate') : [],
+        transparency: icalEvent.component.getFirstPropertyValue('transp')?.toLowerCase() || null,
+        class: icalEvent.component.getFirstPropertyValue('class')?.toLowerCase() || null
+      }
+    };
+  }
+
+  /**
+   * Get the occurrence keys of all EXDATE or RDATE values of a VEVENT
+   * @param {ICAL.Component} vevent
+   * @param {string} name - 'exdate' | 'rdate'
+   * @returns {string[]}
+   */
+  getDateKeys(vevent, name) {
+    const keys = [];
+
+    for (const property of vevent.getAllProperties(name)) {
+      for (const value of property.getValues()) {
+        // RDATE can also be a PERIOD, only its start matters
+        const time = value instanceof ICAL.Period ? value.start : value;
+        if (time instanceof ICAL.Time) {
+          keys.push(getOccurrenceKey(time));
+        }
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Read an ORGANIZER or ATTENDEE property
+   * @param {ICAL.Property|null} property
+   * @returns {{ email: string, name: string|null }|null} null without a mailto: address
+   */
+  getPerson(property) {
+    const value = property?.getFirstValue();
+    if (typeof value !== 'string' || !/^mailto:/i.test(value)) return null;
+
+    return {
+      email: value.replace(/^mailto:/i, ''),
+      name: property.getParameter('cn') || null
+    };
+  }
+
+  /**
+   * Read an ATTENDEE property with its PARTSTAT, ROLE and CUTYPE
+   * @param {ICAL.Property} property
+   * @returns {Object|null}
+   */
+  getAttendee(property) {
+    const person = this.getPerson(property);
+    if (!person) return null;
+
+    const partstat = (property.getParameter('partstat') || 'NEEDS-ACTION').toLowerCase();
+    const cutype = (property.getParameter('cutype') || '').toUpperCase();
+    const role = (property.getParameter('role') || '').toUpperCase();
+
+    let attendeeRole = 'required';
+    if (cutype === 'RESOURCE' || cutype === 'ROOM') {
+      attendeeRole = 'resource';
+    } else if (role === 'OPT-PARTICIPANT' || role === 'NON-PARTICIPANT') {
+      attendeeRole = 'optional';
+    }
+
+    return {
+      ...person,
+      status: ['accepted', 'declined', 'tentative'].includes(partstat) ? partstat : 'needs-action',
+      role: attendeeRole
+    };
+  }
+
+  mapStatus(icalStatus) {
+    if (!icalStatus) return 'confirmed';
+
+    const statusMap = {
+      'CONFIRMED': 'confirmed',
+      'TENTATIVE': 'tentative',
+      'CANCELLED': 'cancelled'
+    };
+
+    return statusMap[icalStatus.toUpperCase()] || 'confirmed';
+  }
+}
+
+export default BaseICalProvider;
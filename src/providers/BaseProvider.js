@@ -52,6 +52,10 @@ export class BaseProvider {
 
   /**
    * Normalize a raw event to the common format
+   * People are normalized as organizer { email, name } and attendees
+   * [{ email, name, status, role }], with status one of accepted, declined,
+   * tentative or needs-action and role one of required, optional or resource.
+   * response_status is the user's own answer (null if they are not invited)
    * @param {Object} rawEvent - Raw event from the provider
    * @returns {Object} Normalized event
    */
@@ -74,6 +78,107 @@ export class BaseProvider {
   supportsPushNotifications() {
     return false;
   }
+
+  /**
+   * Check if the provider can create events in the source calendar
+   * @returns {boolean}
+   */
+  supportsWrite() {
+    return false;
+  }
+
+  /**
+   * Create an event in the source calendar
+   * Only called when supportsWrite() returns true
+   * @param {Object} _event
+   * @param {string} _event.summary
+   * @param {string} _event.start - ISO datetime (YYYY-MM-DD for all-day events)
+   * @param {string} _event.end - ISO datetime (YYYY-MM-DD for all-day events)
+   * @param {boolean} [_event.allDay]
+   * @param {string} [_event.timezone] - IANA timezone identifier
+   * @param {string} [_event.location]
+   * @param {string} [_event.description]
+   * @param {string[]} [_event.attendees] - Attendee emails
+   * @param {boolean} [_event.busyPlaceholder] - Private "Busy" block created by busy mirroring
+   * @returns {Promise<Object>} Normalized created event
+   */
+  async createEvent(_event) {
+    throw new Error('createEvent() must be implemented');
+  }
+
+  /**
+   * Update an event in the source calendar
+   * @param {string} _eventId - Provider event ID (external_id)
+   * @param {Object} _event - Same fields as createEvent()
+   * @returns {Promise<Object>} Normalized updated event
+   */
+  async updateEvent(_eventId, _event) {
+    throw new Error('updateEvent() must be implemented');
+  }
+
+  /**
+   * Delete an event from the source calendar
+   * @param {string} _eventId - Provider event ID (external_id)
+   * @returns {Promise<void>}
+   */
+  async deleteEvent(_eventId) {
+    throw new Error('deleteEvent() must be implemented');
+  }
+
+  /**
+   * Answer an invitation on behalf of the user, notifying the organizer
+   * Only called when supportsWrite() returns true
+   * @param {string} _eventId - Provider event ID (external_id)
+   * @param {'accepted'|'tentative'|'declined'} _response
+   * @returns {Promise<Object>} Normalized updated event
+   */
+  async respondToInvitation(_eventId, _response) {
+    throw new Error('respondToInvitation() must be implemented');
+  }
+
+  /**
+   * List the calendars of the account behind the source
+   * Providers that are not backed by an account return an empty list
+   * @returns {Promise<Array>} Array of { id, name, primary, kind, color }
+   *   where id is 'primary' for the default calendar and kind is
+   *   'primary' | 'own' | 'shared' | 'holidays'
+   */
+  async listCalendars() {
+    return [];
+  }
+
+  /**
+   * Create a push notification channel for the source
+   * Only called when supportsPushNotifications() returns true
+   * @param {string} _webhookUrl - Public HTTPS URL that receives notifications
+   * @param {string} _channelId - Unique channel identifier
+   * @param {Object} _options - Provider specific options (token, ttl...)
+   * @returns {Promise<Object>} Object containing { channelId, resourceId, expiresAt }
+   */
+  async watchEvents(_webhookUrl, _channelId, _options = {}) {
+    throw new Error('watchEvents() must be implemented');
+  }
+
+  /**
+   * Extend the expiration of an existing push notification channel
+   * Providers that cannot renew in place return null and the channel is re-created
+   * @param {string} _channelId
+   * @param {Object} _options - Provider specific options (ttl...)
+   * @returns {Promise<Object|null>} Object containing { channelId, expiresAt } or null
+   */
+  async renewWatch(_channelId, _options = {}) {
+    return null;
+  }
+
+  /**
+   * Stop a push notification channel
+   * @param {string} _channelId
+   * @param {string} _resourceId
+   * @returns {Promise<void>}
+   */
+  async stopWatch(_channelId, _resourceId) {
+    throw new Error('stopWatch() must be implemented');
+  }
 }
 
 export default BaseProvider;
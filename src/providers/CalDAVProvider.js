@@ -0,0 +1,152 @@
+import { DateTime } from 'luxon';
+import BaseICalProvider from './BaseICalProvider.js';
+import CalDAVCalendarService from '../services/caldav-calendar.js';
+import { Event } from '../models/Event.js';
+import { decryptSecret } from '../utils/credentials.js';
+
+// Window of the full sync (incremental syncs receive every change)
+const SYNC_PAST_DAYS = 365;
+const SYNC_FUTURE_DAYS = 730;
+
+/**
+ * Provider for CalDAV servers (Nextcloud, Fastmail, iCloud...)
+ * Full syncs query a time range, later syncs use sync-collection (RFC 6578)
+ * when the server supports it, or the collection CTag to skip unchanged calendars
+ */
+export class CalDAVProvider extends BaseICalProvider {
+  constructor(source) {
+    super(source);
+    this.service = null;
+  }
+
+  get type() {
+    return 'caldav';
+  }
+
+  /**
+   * URL of the calendar collection of the source
+   * @returns {string}
+   */
+  get calendarUrl() {
+    return this.source.config.calendar_url || this.source.config.url;
+  }
+
+  async initialize() {
+    const { url, username, password_encrypted: passwordEncrypted, timeout } = this.source.config || {};
+    if (!url || !username || !passwordEncrypted) {
+      throw new Error('CalDAV requiere URL, usuario y contraseña');
+    }
+
+    this.service = new CalDAVCalendarService({
+      url,
+      username,
+      password: decryptSecret(passwordEncrypted),
+      timeout
+    });
+  }
+
+  /**
+   * Normalize the iCalendar objects of some CalDAV resources
+   * Each event keeps the path of its resource to detect later deletions
+   * @param {Array<{ href: string, data: string }>} resources
+   * @returns {Array} Normalized events
+   */
+  parseResources(resources) {
+    const events = [];
+
+    for (const { href, data } of resources) {
+      try {
+        for (const event of this.parseICalData(data)) {
+          events.push({ ...event, raw_data: { ...event.raw_data, href } });
+        }
+      } catch (error) {
+        console.warn(`[CalDAV] Skipping invalid resource ${href}: ${error.message}`);
+      }
+    }
+
+    return events;
+  }
+
+  async fetchEvents(options = {}) {
+    const now = DateTime.utc();
+    const resources = await this.service.queryEvents(this.calendarUrl, {
+      start: options.startDate || now.minus({ days: SYNC_PAST_DAYS }).toISO(),
+      end: options.endDate || now.plus({ days: SYNC_FUTURE_DAYS }).toISO()
+    });
+
+    const events = this.parseResources(resources);
+    console.log(`[CalDAV] Fetched ${resources.length} resources (${events.length} events)`);
+    return events;
+  }
+
+  async sync(syncState) {
+    if (syncState?.sync_token) {
+      const result = await this.service.syncCollection(this.calendarUrl, syncState.sync_token);
+      if (result) {
+        return this.applyChanges(result, syncState);
+      }
+    }
+
+    // Read the state before the events: changes made meanwhile are sent again next time
+    const { syncToken, ctag } = await this.service.getCollectionState(this.calendarUrl);
+
+    // Servers without sync-collection: the CTag changes with any event of the calendar
+    if (!syncToken && ctag && syncState?.etag === ctag) {
+      return {
+        events: [],
+        deleted: [],
+        newSyncState: { etag: ctag },
+        unchanged: true
+      };
+    }
+
+    const events = await this.fetchEvents();
+    return this.diffWithStored(events, { sync_token: syncToken, etag: ctag });
+  }
+
+  /**
+   * Turn the result of a sync-collection report into a sync result
+   * @param {{ changed: string[], deleted: string[], syncToken: string }} result
+   * @param {SyncState} syncState
+   * @returns {Promise<Object>}
+   */
+  async applyChanges({ changed, deleted, syncToken }, syncState) {
+    const newSyncState = { sync_token: syncToken || syncState.sync_token, etag: syncState.etag };
+
+    if (changed.length === 0 && deleted.length === 0) {
+      return { events: [], deleted: [], newSyncState, unchanged: true };
+    }
+
+    const events = this.parseResources(await this.service.getResources(this.calendarUrl, changed));
+
+    // Events of changed resources that are gone (e.g. a removed modified occurrence)
+    // and every event of the deleted resources
+    const currentIds = new Set(events.map(event => event.external_id));
+    const deletedIds = [
+      ...Event.findExternalIdsByHref(this.source.id, changed).filter(id => !currentIds.has(id)),
+      ...Event.findExternalIdsByHref(this.source.id, deleted)
+    ];
+
+    console.log(`[CalDAV] Incremental sync: ${changed.length} changed, ${deleted.length} deleted resources`);
+
+    return { events, deleted: deletedIds, newSyncState };
+  }
+
+  supportsIncrementalSync() {
+    return true;
+  }
+
+  async listCalendars() {
+    const calendars = await this.service.discoverCalendars();
+
+    return calendars.map((calendar, index) => ({
+      id: calendar.id,
+      name: calendar.name,
+      primary: index === 0,
+      kind: 'own',
+      color: calendar.color
+    }));
+  }
+}
+
+export default CalDAVProvider;
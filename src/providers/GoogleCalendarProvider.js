@@ -1,5 +1,7 @@
 import BaseProvider from './BaseProvider.js';
 import GoogleCalendarService from '../services/google-calendar.js';
+import { normalizeDate } from '../utils/eventNormalizer.js';
+import { toIANATimezone } from '../utils/timezone.js';
 
 /**
  * Provider for Google Calendar
@@ -9,6 +11,8 @@ export class GoogleCalendarProvider extends BaseProvider {
   constructor(source) {
     super(source);
     this.service = null;
+    // Timezone of the calendar, for events without their own
+    this.calendarTimezone = null;
   }
 
   get type() {
@@ -21,8 +25,8 @@ export class GoogleCalendarProvider extends BaseProvider {
     });
 
     if (this.source.slack_user_id) {
-      // Use OAuth tokens from database for this Slack user
-      await this.service.initOAuthFromDB(this.source.slack_user_id);
+      // Use the OAuth tokens of the account this source belongs to
+      await this.service.initOAuthFromDB(this.source.slack_user_id, this.source.oauth_token_id);
     } else {
       throw new Error('Google Calendar requiere un slack_user_id para autenticación OAuth');
     }
@@ -35,6 +39,7 @@ export class GoogleCalendarProvider extends BaseProvider {
 
   async sync(syncState) {
     const result = await this.service.syncEvents(syncState?.sync_token);
+    this.calendarTimezone = result.timeZone || this.calendarTimezone;
 
     const events = [];
     const deleted = [];
@@ -58,8 +63,13 @@ export class GoogleCalendarProvider extends BaseProvider {
 
   normalizeEvent(rawEvent) {
     const isAllDay = !rawEvent.start?.dateTime;
-    const startDateTime = rawEvent.start?.dateTime || rawEvent.start?.date;
-    const endDateTime = rawEvent.end?.dateTime || rawEvent.end?.date;
+
+    // Timed events come with their offset: they are stored in UTC with their timezone aside
+    const startDateTime = isAllDay ? rawEvent.start?.date : normalizeDate(rawEvent.start.dateTime);
+    const endDateTime = isAllDay ? rawEvent.end?.date : normalizeDate(rawEvent.end?.dateTime);
+    const timezone = isAllDay
+      ? null
+      : toIANATimezone(rawEvent.start.timeZone) || toIANATimezone(this.calendarTimezone);
 
     return {
       source_id: this.source.id,
@@ -70,12 +80,53 @@ export class GoogleCalendarProvider extends BaseProvider {
       start_datetime: startDateTime,
       end_datetime: endDateTime,
       all_day: isAllDay ? 1 : 0,
+      timezone,
       status: rawEvent.status || 'confirmed',
+      organizer: rawEvent.organizer?.email
+        ? { email: rawEvent.organizer.email, name: rawEvent.organizer.displayName || null }
+        : null,
+      attendees: (rawEvent.attendees || []).map(attendee => ({
+        email: attendee.email,
+        name: attendee.displayName || null,
+        status: this.mapResponseStatus(attendee.responseStatus),
+        role: attendee.resource ? 'resource' : (attendee.optional ? 'optional' : 'required')
+      })),
+      response_status: this.getResponseStatus(rawEvent),
       recurrence: rawEvent.recurrence ? JSON.stringify(rawEvent.recurrence) : null,
       raw_data: rawEvent
     };
   }
 
+  /**
+   * Map a Google attendee responseStatus to the common format
+   * Google uses needsAction, declined, tentative and accepted
+   * @param {string} responseStatus
+   * @returns {string}
+   */
+  mapResponseStatus(responseStatus) {
+    const responseMap = {
+      'accepted': 'accepted',
+      'declined': 'declined',
+      'tentative': 'tentative',
+      'needsAction': 'needs-action'
+    };
+
+    return responseMap[responseStatus] || 'needs-action';
+  }
+
+  /**
+   * Get the response of the calendar owner to an event
+   * @param {Object} rawEvent
+   * @returns {string|null} null when the owner is not among the attendees
+   */
+  getResponseStatus(rawEvent) {
+    const self = rawEvent.attendees?.find(attendee => attendee.self);
+    if (self) {
+      return this.mapResponseStatus(self.responseStatus);
+    }
+    return rawEvent.organizer?.self && rawEvent.attendees?.length ? 'accepted' : null;
+  }
+
   supportsIncrementalSync() {
     return true;
   }
@@ -84,8 +135,62 @@ export class GoogleCalendarProvider extends BaseProvider {
     return true;
   }
 
-  async watchEvents(webhookUrl, channelId) {
-    return this.service.watchEvents(webhookUrl, channelId);
+  supportsWrite() {
+    return true;
+  }
+
+  async createEvent(event) {
+    const rawEvent = await this.service.createEvent(event);
+    return this.normalizeEvent(rawEvent);
+  }
+
+  async updateEvent(eventId, event) {
+    const rawEvent = await this.service.updateEvent(eventId, event);
+    return this.normalizeEvent(rawEvent);
+  }
+
+  async deleteEvent(eventId) {
+    return this.service.deleteEvent(eventId);
+  }
+
+  async respondToInvitation(eventId, response) {
+    // Google uses the same values for accepted, tentative and declined
+    const rawEvent = await this.service.respondToEvent(eventId, response);
+    return this.normalizeEvent(rawEvent);
+  }
+
+  async listCalendars() {
+    const calendars = await this.service.listCalendars();
+
+    return calendars.map(calendar => {
+      let kind = 'shared';
+      if (calendar.primary) {
+        kind = 'primary';
+      } else if (calendar.id.endsWith('#holiday@group.v.calendar.google.com')) {
+        kind = 'holidays';
+      } else if (calendar.accessRole === 'owner') {
+        kind = 'own';
+      }
+
+      return {
+        // The primary calendar keeps the 'primary' alias used by existing sources
+        id: calendar.primary ? 'primary' : calendar.id,
+        name: calendar.summaryOverride || calendar.summary || calendar.id,
+        primary: Boolean(calendar.primary),
+        kind,
+        color: calendar.backgroundColor || null
+      };
+    });
+  }
+
+  async watchEvents(webhookUrl, channelId, options = {}) {
+    const channel = await this.service.watchEvents(webhookUrl, channelId, options);
+
+    return {
+      channelId: channel.id,
+      resourceId: channel.resourceId,
+      expiresAt: channel.expiration ? Number(channel.expiration) : null
+    };
   }
 
   async stopWatch(channelId, resourceId) {
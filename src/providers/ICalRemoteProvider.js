@@ -1,13 +1,17 @@
-import BaseProvider from './BaseProvider.js';
-import ICAL from 'ical.js';
+import BaseICalProvider from './BaseICalProvider.js';
+import { getAuthHeaders, getCustomHeaders, redactUrl } from '../utils/credentials.js';
+
+// Prefix of the Last-Modified dates kept as validator (sync_state.etag)
+// for servers that send no ETag
+const LAST_MODIFIED_PREFIX = 'last-modified:';
 
 /**
  * Provider for remote iCal URLs (HTTP/HTTPS)
  */
-export class ICalRemoteProvider extends BaseProvider {
+export class ICalRemoteProvider extends BaseICalProvider {
   constructor(source) {
     super(source);
-    this.lastEtag = null;
+    this.lastValidator = null;
   }
 
   get type() {
@@ -18,10 +22,45 @@ export class ICalRemoteProvider extends BaseProvider {
     // No initialization needed for remote iCal
   }
 
-  async fetchEvents(_options = {}) {
-    const { url, headers = {}, timeout = 30000 } = this.source.config;
+  /**
+   * Get the headers of a request to the calendar URL
+   * Custom headers of the config, then the credentials (both stored encrypted)
+   * @param {Object} [extra] - Request-specific headers (e.g. If-None-Match)
+   * @returns {Object}
+   */
+  getRequestHeaders(extra = {}) {
+    return {
+      'Accept': 'text/calendar',
+      ...extra,
+      ...getCustomHeaders(this.source.config),
+      ...getAuthHeaders(this.source.config)
+    };
+  }
+
+  /**
+   * Get the conditional headers for the validator stored in the sync state
+   * @param {string|null} validator - ETag, or Last-Modified date with its prefix
+   * @returns {Object}
+   */
+  getConditionalHeaders(validator) {
+    if (!validator) return {};
+
+    if (validator.startsWith(LAST_MODIFIED_PREFIX)) {
+      return { 'If-Modified-Since': validator.slice(LAST_MODIFIED_PREFIX.length) };
+    }
+    return { 'If-None-Match': validator };
+  }
 
-    console.log(`[ICalRemote] Fetching: ${url}`);
+  /**
+   * Download the calendar
+   * @param {Object} [conditionalHeaders] - If-None-Match / If-Modified-Since
+   * @returns {Promise<{ notModified: boolean, icalData?: string, validator?: string|null }>}
+   *   validator is the ETag of the response, or its Last-Modified date when it has no ETag
+   */
+  async download(conditionalHeaders = {}) {
+    const { url, timeout = 30000 } = this.source.config;
+
+    console.log(`[ICalRemote] Fetching: ${redactUrl(url)}`);
     const startTime = Date.now();
 
     const controller = new AbortController();
@@ -29,30 +68,35 @@ export class ICalRemoteProvider extends BaseProvider {
 
     try {
       const response = await fetch(url, {
-        headers: {
-          'Accept': 'text/calendar',
-          ...headers
-        },
+        headers: this.getRequestHeaders(conditionalHeaders),
         signal: controller.signal
       });
 
-      clearTimeout(timeoutId);
+      // Not modified - no changes
+      if (response.status === 304) {
+        clearTimeout(timeoutId);
+        console.log(`[ICalRemote] Not modified (304) in ${Date.now() - startTime}ms`);
+        return { notModified: true };
+      }
 
       if (!response.ok) {
         console.error(`[ICalRemote] HTTP error: ${response.status} ${response.statusText}`);
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      this.lastEtag = response.headers.get('etag');
       const icalData = await response.text();
-      const elapsed = Date.now() - startTime;
+      clearTimeout(timeoutId);
 
-      console.log(`[ICalRemote] Fetched ${icalData.length} bytes in ${elapsed}ms`);
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
 
-      const events = this.parseICalData(icalData);
-      console.log(`[ICalRemote] Parsed ${events.length} events`);
+      console.log(`[ICalRemote] Fetched ${icalData.length} bytes in ${Date.now() - startTime}ms`);
 
-      return events;
+      return {
+        notModified: false,
+        icalData,
+        validator: etag || (lastModified ? `${LAST_MODIFIED_PREFIX}${lastModified}` : null)
+      };
     } catch (error) {
       clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
@@ -64,145 +108,42 @@ export class ICalRemoteProvider extends BaseProvider {
     }
   }
 
-  async sync(syncState) {
-    const { url, headers = {}, timeout = 30000 } = this.source.config;
-
-    // Try conditional fetch with ETag
-    if (syncState?.etag) {
-      console.log(`[ICalRemote] Sync with ETag: ${syncState.etag.substring(0, 20)}...`);
-      const startTime = Date.now();
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      try {
-        const response = await fetch(url, {
-          headers: {
-            'Accept': 'text/calendar',
-            'If-None-Match': syncState.etag,
-            ...headers
-          },
-          signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-        const elapsed = Date.now() - startTime;
-
-        // Not modified - no changes
-        if (response.status === 304) {
-          console.log(`[ICalRemote] Not modified (304) in ${elapsed}ms`);
-          return {
-            events: [],
-            deleted: [],
-            newSyncState: { etag: syncState.etag },
-            unchanged: true
-          };
-        }
-
-        if (!response.ok) {
-          console.error(`[ICalRemote] HTTP error: ${response.status} ${response.statusText}`);
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const newEtag = response.headers.get('etag');
-        const icalData = await response.text();
-        console.log(`[ICalRemote] Fetched ${icalData.length} bytes in ${elapsed}ms (ETag changed)`);
-
-        const events = this.parseICalData(icalData);
-        console.log(`[ICalRemote] Parsed ${events.length} events`);
-
-        return {
-          events,
-          deleted: [],
-          newSyncState: { etag: newEtag },
-          fullRefresh: true
-        };
-      } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-          console.error(`[ICalRemote] Request timeout after ${timeout}ms`);
-          throw new Error(`Request timeout after ${timeout}ms`);
-        }
-        console.error(`[ICalRemote] Sync error: ${error.message}`);
-        throw error;
-      }
-    }
-
-    // No ETag available - full fetch
-    console.log('[ICalRemote] No ETag, performing full fetch');
-    const events = await this.fetchEvents();
-    return {
-      events,
-      deleted: [],
-      newSyncState: { etag: this.lastEtag },
-      fullRefresh: true
-    };
-  }
+  async fetchEvents(_options = {}) {
+    const { icalData, validator } = await this.download();
+    this.lastValidator = validator;
 
-  parseICalData(icalData) {
-    const jcalData = ICAL.parse(icalData);
-    const vcalendar = new ICAL.Component(jcalData);
-    const vevents = vcalendar.getAllSubcomponents('vevent');
+    const events = this.parseICalData(icalData);
+    console.log(`[ICalRemote] Parsed ${events.length} events`);
 
-    return vevents.map(vevent => {
-      const event = new ICAL.Event(vevent);
-      return this.normalizeEvent(event);
-    });
+    return events;
   }
 
-  normalizeEvent(icalEvent) {
-    const startDate = icalEvent.startDate;
-    const endDate = icalEvent.endDate;
-
-    // Determine if all-day event
-    const isAllDay = startDate.isDate;
-
-    // Format dates
-    const startDateTime = isAllDay
-      ? startDate.toString().split('T')[0]
-      : startDate.toJSDate().toISOString();
+  async sync(syncState) {
+    const validator = syncState?.etag || null;
 
-    const endDateTime = endDate
-      ? (isAllDay ? endDate.toString().split('T')[0] : endDate.toJSDate().toISOString())
-      : null;
+    // Conditional fetch with the ETag, or the Last-Modified date when the server sends no ETag
+    if (validator) {
+      console.log(`[ICalRemote] Sync with validator: ${validator.substring(0, 40)}...`);
+    } else {
+      console.log('[ICalRemote] No validator, performing full fetch');
+    }
 
-    // Get recurrence rule if present
-    const rrule = icalEvent.component.getFirstPropertyValue('rrule');
-    const recurrence = rrule ? rrule.toString() : null;
+    const result = await this.download(this.getConditionalHeaders(validator));
 
-    return {
-      source_id: this.source.id,
-      external_id: icalEvent.uid || `${this.source.id}-${Date.now()}-${Math.random()}`,
-      summary: icalEvent.summary || '(Sin título)',
-      description: icalEvent.description || null,
-      location: icalEvent.location || null,
-      start_datetime: startDateTime,
-      end_datetime: endDateTime,
-      all_day: isAllDay ? 1 : 0,
-      status: this.mapStatus(icalEvent.component.getFirstPropertyValue('status')),
-      recurrence: recurrence,
-      raw_data: {
-        uid: icalEvent.uid,
-        summary: icalEvent.summary,
-        description: icalEvent.description,
-        location: icalEvent.location,
-        dtstart: startDate.toString(),
-        dtend: endDate?.toString(),
-        rrule: recurrence
-      }
-    };
-  }
-
-  mapStatus(icalStatus) {
-    if (!icalStatus) return 'confirmed';
+    if (result.notModified) {
+      return {
+        events: [],
+        deleted: [],
+        newSyncState: { etag: validator },
+        unchanged: true
+      };
+    }
 
-    const statusMap = {
-      'CONFIRMED': 'confirmed',
-      'TENTATIVE': 'tentative',
-      'CANCELLED': 'cancelled'
-    };
+    const events = this.parseICalData(result.icalData);
+    console.log(`[ICalRemote] Parsed ${events.length} events`);
 
-    return statusMap[icalStatus.toUpperCase()] || 'confirmed';
+    // The whole calendar is downloaded: keep only the events that changed
+    return this.diffWithStored(events, { etag: result.validator });
   }
 }
 
@@ -1,5 +1,9 @@
 import BaseProvider from './BaseProvider.js';
 import MicrosoftCalendarService from '../services/microsoft-calendar.js';
+import { toIANATimezone, toUTCDateTime } from '../utils/timezone.js';
+
+// Graph limita la vida de las suscripciones sobre eventos de Outlook
+const MAX_SUBSCRIPTION_MINUTES = 4230;
 
 /**
  * Provider for Microsoft Outlook Calendar
@@ -21,8 +25,8 @@ export class MicrosoftCalendarProvider extends BaseProvider {
     });
 
     if (this.source.slack_user_id) {
-      // Use OAuth tokens from database for this Slack user
-      await this.service.initOAuthFromDB(this.source.slack_user_id);
+      // Use the OAuth tokens of the account this source belongs to
+      await this.service.initOAuthFromDB(this.source.slack_user_id, this.source.oauth_token_id);
     } else {
       throw new Error('MicrosoftCalendarProvider requires slack_user_id for OAuth');
     }
@@ -68,17 +72,30 @@ export class MicrosoftCalendarProvider extends BaseProvider {
   normalizeEvent(rawEvent) {
     const isAllDay = rawEvent.isAllDay === true;
 
-    // Microsoft envia dateTime en formato: 2024-01-15T09:00:00.0000000
-    // Para eventos all-day, extraemos solo la fecha
-    let startDateTime = rawEvent.start?.dateTime;
-    let endDateTime = rawEvent.end?.dateTime;
+    // Microsoft envia dateTime sin offset (2024-01-15T09:00:00.0000000) junto a su timeZone
+    // Los eventos con hora se guardan en UTC; para eventos all-day, extraemos solo la fecha
+    let startDateTime = toUTCDateTime(rawEvent.start?.dateTime, rawEvent.start?.timeZone);
+    let endDateTime = toUTCDateTime(rawEvent.end?.dateTime, rawEvent.end?.timeZone);
 
     if (isAllDay && startDateTime) {
       // Para eventos all-day, Microsoft envia la fecha a medianoche
-      startDateTime = startDateTime.split('T')[0];
+      startDateTime = rawEvent.start.dateTime.split('T')[0];
     }
     if (isAllDay && endDateTime) {
-      endDateTime = endDateTime.split('T')[0];
+      endDateTime = rawEvent.end.dateTime.split('T')[0];
+    }
+
+    // Zona horaria en la que se creo el evento (nombre de Windows, ej: "Romance Standard Time")
+    const timezone = isAllDay
+      ? null
+      : toIANATimezone(rawEvent.originalStartTimeZone) || toIANATimezone(rawEvent.start?.timeZone);
+
+    // Las instancias modificadas de una serie reemplazan a la ocurrencia original
+    let recurrenceId = null;
+    if (rawEvent.seriesMasterId && rawEvent.originalStart) {
+      recurrenceId = isAllDay
+        ? rawEvent.originalStart.split('T')[0]
+        : new Date(rawEvent.originalStart).toISOString();
     }
 
     return {
@@ -90,8 +107,25 @@ export class MicrosoftCalendarProvider extends BaseProvider {
       start_datetime: startDateTime,
       end_datetime: endDateTime,
       all_day: isAllDay ? 1 : 0,
+      timezone,
       status: this._mapStatus(rawEvent),
+      organizer: rawEvent.organizer?.emailAddress?.address
+        ? {
+          email: rawEvent.organizer.emailAddress.address,
+          name: rawEvent.organizer.emailAddress.name || null
+        }
+        : null,
+      attendees: (rawEvent.attendees || [])
+        .filter(attendee => attendee.emailAddress?.address)
+        .map(attendee => ({
+          email: attendee.emailAddress.address,
+          name: attendee.emailAddress.name || null,
+          status: this._mapResponse(attendee.status?.response) || 'needs-action',
+          role: attendee.type === 'optional' || attendee.type === 'resource' ? attendee.type : 'required'
+        })),
+      response_status: rawEvent.attendees?.length ? this._mapResponse(rawEvent.responseStatus?.response) : null,
       recurrence: rawEvent.recurrence ? JSON.stringify(rawEvent.recurrence) : null,
+      recurrence_id: recurrenceId,
       raw_data: rawEvent
     };
   }
@@ -118,12 +152,134 @@ export class MicrosoftCalendarProvider extends BaseProvider {
     return showAsMap[rawEvent.showAs] || 'confirmed';
   }
 
+  /**
+   * Mapea una respuesta de Microsoft al formato unificado
+   * Microsoft usa none, organizer, tentativelyAccepted, accepted, declined y notResponded
+   * @param {string} response
+   * @returns {string|null} null si no hay respuesta (ej: eventos propios sin invitados)
+   */
+  _mapResponse(response) {
+    const responseMap = {
+      'organizer': 'accepted',
+      'accepted': 'accepted',
+      'tentativelyAccepted': 'tentative',
+      'declined': 'declined',
+      'notResponded': 'needs-action'
+    };
+
+    return responseMap[response] || null;
+  }
+
   supportsIncrementalSync() {
     return true;
   }
 
   supportsPushNotifications() {
-    return false; // No implementamos webhooks por ahora
+    return true;
+  }
+
+  supportsWrite() {
+    return true;
+  }
+
+  async createEvent(event) {
+    const rawEvent = await this.service.createEvent(event);
+    return this.normalizeEvent(rawEvent);
+  }
+
+  async updateEvent(eventId, event) {
+    const rawEvent = await this.service.updateEvent(eventId, event);
+    return this.normalizeEvent(rawEvent);
+  }
+
+  async deleteEvent(eventId) {
+    return this.service.deleteEvent(eventId);
+  }
+
+  async respondToInvitation(eventId, response) {
+    // Graph tiene una accion por cada respuesta
+    const actions = {
+      'accepted': 'accept',
+      'tentative': 'tentativelyAccept',
+      'declined': 'decline'
+    };
+
+    const rawEvent = await this.service.respondToEvent(eventId, actions[response]);
+    return this.normalizeEvent(rawEvent);
+  }
+
+  async listCalendars() {
+    const calendars = await this.service.listCalendars();
+    const accountEmail = this.service.tokenRecord?.account_email?.toLowerCase();
+
+    return calendars.map(calendar => {
+      const ownerEmail = calendar.owner?.address?.toLowerCase();
+      let kind = 'own';
+      if (calendar.isDefaultCalendar) {
+        kind = 'primary';
+      } else if (/holiday|festivo/i.test(calendar.name || '') && calendar.canEdit === false) {
+        kind = 'holidays';
+      } else if (ownerEmail && accountEmail && ownerEmail !== accountEmail) {
+        kind = 'shared';
+      }
+
+      return {
+        // El calendario predeterminado conserva el alias 'primary' de los sources existentes
+        id: calendar.isDefaultCalendar ? 'primary' : calendar.id,
+        name: calendar.name,
+        primary: Boolean(calendar.isDefaultCalendar),
+        kind,
+        color: calendar.hexColor || null
+      };
+    });
+  }
+
+  /**
+   * Calcula la expiracion de una suscripcion respetando el maximo de Graph
+   * @param {number} [ttl] - Duracion solicitada en segundos
+   * @returns {Date}
+   */
+  _getSubscriptionExpiration(ttl) {
+    const maxSeconds = MAX_SUBSCRIPTION_MINUTES * 60;
+    const seconds = ttl ? Math.min(ttl, maxSeconds) : maxSeconds;
+    return new Date(Date.now() + seconds * 1000);
+  }
+
+  /**
+   * Crea una suscripcion de Graph (el id lo genera Microsoft, no se usa channelId)
+   * El token se envia como clientState para verificar cada notificacion
+   */
+  async watchEvents(webhookUrl, _channelId, options = {}) {
+    const subscription = await this.service.createSubscription(
+      webhookUrl,
+      options.token,
+      this._getSubscriptionExpiration(options.ttl)
+    );
+
+    return {
+      channelId: subscription.id,
+      resourceId: subscription.resource,
+      expiresAt: Date.parse(subscription.expirationDateTime)
+    };
+  }
+
+  /**
+   * Graph permite extender una suscripcion sin recrearla
+   */
+  async renewWatch(channelId, options = {}) {
+    const subscription = await this.service.renewSubscription(
+      channelId,
+      this._getSubscriptionExpiration(options.ttl)
+    );
+
+    return {
+      channelId: subscription.id || channelId,
+      expiresAt: Date.parse(subscription.expirationDateTime)
+    };
+  }
+
+  async stopWatch(channelId, _resourceId) {
+    return this.service.deleteSubscription(channelId);
   }
 }
 
@@ -0,0 +1,413 @@
+import express, { Router } from 'express';
+import { DateTime } from 'luxon';
+import { ApiToken } from '../models/ApiToken.js';
+import { Source } from '../models/Source.js';
+import { Event } from '../models/Event.js';
+import { SyncState } from '../models/SyncState.js';
+import { getSyncService } from '../services/SyncService.js';
+import { deleteSource, refreshBusyMirror, pickSourceColor } from '../slack/actions/sources.js';
+import { PRIVACY_LEVELS } from '../utils/privacy.js';
+import { AUTH_TYPES, applyAuthConfig, hasAuthSecret, isValidHeaderName } from '../utils/credentials.js';
+
+// Longest date range accepted by GET /api/events
+const MAX_RANGE_DAYS = 366;
+
+// Range returned by GET /api/events when no dates are given
+const DEFAULT_RANGE_DAYS = 7;
+
+/**
+ * Error with an HTTP status, turned into a JSON response by the error handler
+ */
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error handler (Express 4)
+ * @param {Function} handler
+ * @returns {Function}
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Authenticate requests with a per-user API token (Authorization: Bearer <token>)
+ */
+function authenticate(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const apiToken = scheme === 'Bearer' ? ApiToken.findByToken(token) : null;
+
+  if (!apiToken) {
+    return res.status(401).json({ error: 'Invalid or missing API token' });
+  }
+
+  ApiToken.updateLastUsed(apiToken.id);
+  req.slackUserId = apiToken.slack_user_id;
+  next();
+}
+
+/**
+ * Get a source of the authenticated user or fail with 404
+ * @param {Object} req
+ * @returns {Source}
+ */
+function getOwnSource(req) {
+  const id = parseInt(req.params.id, 10);
+  const source = Number.isNaN(id) ? null : Source.findByIdAndUser(id, req.slackUserId);
+  if (!source) {
+    throw new ApiError(404, 'Source not found');
+  }
+  return source;
+}
+
+/**
+ * Validate the URL of a remote iCal source
+ * @param {*} url
+ * @param {string} slackUserId
+ * @param {number} [excludeId] - Source being updated
+ * @returns {string}
+ */
+function validateSourceUrl(url, slackUserId, excludeId = null) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ApiError(400, 'url must be a complete URL (https://...)');
+  }
+
+  if (!['http:', 'https:', 'webcal:'].includes(parsed.protocol)) {
+    throw new ApiError(400, 'url must use http, https or webcal');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new ApiError(400, 'url must not include credentials, use auth instead');
+  }
+
+  const duplicate = Source.findBySlackUserId(slackUserId)
+    .find(s => s.config?.url === url && s.id !== excludeId);
+  if (duplicate) {
+    throw new ApiError(409, `Source ${duplicate.id} already uses this url`);
+  }
+
+  return url;
+}
+
+/**
+ * Validate the credentials of a remote iCal source
+ * Body: { type, username?, header?, secret? } (secret can be left out to keep the stored one)
+ * @param {*} auth
+ * @param {Object} [currentConfig] - Config of the source being updated
+ * @returns {Object} Credentials for applyAuthConfig()
+ */
+function validateSourceAuth(auth, currentConfig = {}) {
+  if (auth === null) {
+    return { type: 'none' };
+  }
+  if (typeof auth !== 'object' || !AUTH_TYPES.includes(auth.type)) {
+    throw new ApiError(400, `auth.type must be one of: ${AUTH_TYPES.join(', ')}`);
+  }
+
+  const { type, username, header, secret } = auth;
+  if (type === 'none') {
+    return { type };
+  }
+  if (type === 'basic' && (typeof username !== 'string' || !username.trim())) {
+    throw new ApiError(400, 'auth.username is required for basic auth');
+  }
+  if (type === 'header' && !isValidHeaderName(header)) {
+    throw new ApiError(400, 'auth.header must be a valid header name like X-API-Key');
+  }
+  if (secret !== undefined && typeof secret !== 'string') {
+    throw new ApiError(400, 'auth.secret must be a string');
+  }
+  if (!secret && !hasAuthSecret(currentConfig, type)) {
+    throw new ApiError(400, 'auth.secret is required');
+  }
+
+  return { type, username: type === 'basic' ? username.trim() : undefined, header, secret };
+}
+
+/**
+ * Read the editable fields of a source from a request body
+ * @param {Object} body
+ * @returns {Object}
+ */
+function readSourceFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new ApiError(400, 'name must be a non-empty string');
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      throw new ApiError(400, 'enabled must be a boolean');
+    }
+    fields.enabled = body.enabled ? 1 : 0;
+  }
+
+  if (body.color !== undefined) {
+    if (body.color !== null && !/^#[0-9a-fA-F]{6}$/.test(body.color)) {
+      throw new ApiError(400, 'color must be a hex color like #4285F4');
+    }
+    fields.color = body.color;
+  }
+
+  if (body.privacy !== undefined) {
+    if (!PRIVACY_LEVELS.includes(body.privacy)) {
+      throw new ApiError(400, `privacy must be one of: ${PRIVACY_LEVELS.join(', ')}`);
+    }
+    fields.privacy = body.privacy;
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a date or datetime query parameter (interpreted in UTC)
+ * @param {string|undefined} value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {DateTime|null}
+ */
+function parseDateParam(value, name) {
+  if (!value) return null;
+  const date = DateTime.fromISO(value, { zone: 'utc' });
+  if (!date.isValid) {
+    throw new ApiError(400, `${name} must be an ISO 8601 date or datetime`);
+  }
+  return date.toUTC();
+}
+
+/**
+ * Sync state of a source, without provider internals (sync tokens, ETags)
+ * @param {Source} source
+ * @returns {Object}
+ */
+function toSyncStateJSON(source) {
+  const state = SyncState.findBySourceId(source.id);
+  return {
+    source_id: source.id,
+    source_name: source.name,
+    enabled: Boolean(source.enabled),
+    last_sync: state?.last_sync ?? null,
+    last_sync_status: state?.last_sync_status ?? null,
+    last_error: state?.last_error ?? null,
+    events_count: state?.events_count ?? 0
+  };
+}
+
+/**
+ * Build the router of the REST API
+ * @returns {import('express').Router}
+ */
+export function createApiRouter() {
+  const router = Router();
+
+  router.use(authenticate);
+  router.use(express.json());
+
+  /**
+   * GET /api/sources
+   * List the sources of the user
+   */
+  router.get('/sources', (req, res) => {
+    res.json({ sources: Source.findBySlackUserId(req.slackUserId) });
+  });
+
+  /**
+   * GET /api/sources/:id
+   */
+  router.get('/sources/:id', (req, res) => {
+    res.json({ source: getOwnSource(req) });
+  });
+
+  /**
+   * POST /api/sources
+   * Create a remote iCal source (Google and Outlook accounts are connected from /ajustes)
+   * Body: { name, url, auth?, color?, privacy?, enabled? }
+   */
+  router.post('/sources', (req, res) => {
+    const body = req.body || {};
+    if (body.name === undefined || body.url === undefined) {
+      throw new ApiError(400, 'name and url are required');
+    }
+
+    const fields = readSourceFields(body);
+    const url = validateSourceUrl(body.url, req.slackUserId);
+    const auth = body.auth !== undefined ? validateSourceAuth(body.auth) : { type: 'none' };
+
+    const source = Source.createForUser({
+      ...fields,
+      type: 'ical_remote',
+      config: applyAuthConfig({ url }, auth),
+      color: fields.color || pickSourceColor(Source.findBySlackUserId(req.slackUserId))
+    }, req.slackUserId);
+
+    console.log(`[API] Source created: "${source.name}" for user ${req.slackUserId}`);
+
+    // Sync in the background, like sources added from Slack
+    if (source.enabled) {
+      getSyncService().syncSource(source.id).catch(err => {
+        console.error(`[API] Error syncing source ${source.id}:`, err.message);
+      });
+    }
+
+    res.status(201).json({ source });
+  });
+
+  /**
+   * PATCH /api/sources/:id
+   * Body: { name?, enabled?, color?, privacy?, url?, auth? } (url and auth only for remote iCal sources)
+   */
+  router.patch('/sources/:id', asyncHandler(async (req, res) => {
+    const source = getOwnSource(req);
+    const body = req.body || {};
+    const fields = readSourceFields(body);
+
+    if (body.url !== undefined) {
+      if (source.type !== 'ical_remote') {
+        throw new ApiError(400, `url cannot be changed for ${source.type} sources`);
+      }
+      fields.config = { ...source.config, url: validateSourceUrl(body.url, req.slackUserId, source.id) };
+    }
+
+    if (body.auth !== undefined) {
+      if (source.type !== 'ical_remote') {
+        throw new ApiError(400, `auth cannot be changed for ${source.type} sources`);
+      }
+      fields.config = applyAuthConfig(fields.config || source.config, validateSourceAuth(body.auth, source.config));
+    }
+
+    const updated = Source.updateForUser(source.id, req.slackUserId, fields);
+
+    // The cached provider has the previous url and credentials
+    if (fields.config) {
+      getSyncService().aggregator.clearProvider(source);
+    }
+
+    // Enabling or disabling a source changes the busy blocks built from it
+    if (fields.enabled !== undefined && fields.enabled !== source.enabled) {
+      await refreshBusyMirror(source);
+    }
+
+    res.json({ source: updated });
+  }));
+
+  /**
+   * DELETE /api/sources/:id
+   */
+  router.delete('/sources/:id', asyncHandler(async (req, res) => {
+    const source = getOwnSource(req);
+    await deleteSource(source, req.slackUserId);
+
+    console.log(`[API] Source deleted: "${source.name}" (ID: ${source.id})`);
+    res.status(204).end();
+  }));
+
+  /**
+   * POST /api/sources/:id/sync
+   * Sync a source now; with { "force": true } (or ?force=true) discard its events and sync tokens first
+   */
+  router.post('/sources/:id/sync', asyncHandler(async (req, res) => {
+    const source = getOwnSource(req);
+    const force = req.body?.force === true || req.query.force === 'true';
+
+    if (!source.enabled) {
+      throw new ApiError(409, 'Source is disabled');
+    }
+
+    const syncService = getSyncService();
+    const result = force
+      ? await syncService.forceResync(source.id)
+      : await syncService.syncSource(source.id);
+
+    res.json({ result, sync_state: toSyncStateJSON(source) });
+  }));
+
+  /**
+   * POST /api/sync
+   * Sync all the enabled sources of the user
+   */
+  router.post('/sync', asyncHandler(async (req, res) => {
+    const result = await getSyncService().syncUserSources(req.slackUserId);
+    res.json({ result });
+  }));
+
+  /**
+   * GET /api/sync-state
+   * Last sync of each source of the user
+   */
+  router.get('/sync-state', (req, res) => {
+    res.json({ sync_state: Source.findBySlackUserId(req.slackUserId).map(toSyncStateJSON) });
+  });
+
+  /**
+   * GET /api/events?start=2025-01-01&end=2025-01-31&source_id=1,2
+   * Events (with recurring occurrences expanded) between start and end
+   * Defaults to the next 7 days from today
+   */
+  router.get('/events', (req, res) => {
+    const sources = Source.findBySlackUserId(req.slackUserId);
+    let sourceIds = sources.map(s => s.id);
+
+    if (req.query.source_id) {
+      const requested = String(req.query.source_id).split(',').map(id => parseInt(id, 10));
+      const unknown = requested.filter(id => !sourceIds.includes(id));
+      if (unknown.length) {
+        throw new ApiError(404, `Source not found: ${unknown.join(', ')}`);
+      }
+      sourceIds = requested;
+    }
+
+    const start = parseDateParam(req.query.start, 'start') || DateTime.utc().startOf('day');
+    const end = parseDateParam(req.query.end, 'end') || start.plus({ days: DEFAULT_RANGE_DAYS });
+
+    if (end <= start) {
+      throw new ApiError(400, 'end must be after start');
+    }
+    if (end.diff(start, 'days').days > MAX_RANGE_DAYS) {
+      throw new ApiError(400, `The range cannot be longer than ${MAX_RANGE_DAYS} days`);
+    }
+
+    const events = Event.findOccurrences(sourceIds, { startDate: start.toISO(), endDate: end.toISO() })
+      .map(event => {
+        const { raw_data: _rawData, ...json } = event.toJSON();
+        return json;
+      });
+
+    res.json({ start: start.toISO(), end: end.toISO(), events });
+  });
+
+  // Unknown endpoints
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Errors of the handlers, as JSON
+  router.use((err, req, res, _next) => {
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    // Malformed body, rejected by express.json()
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    // Details of unexpected errors (SQLite, providers, paths) stay in the log
+    console.error('[API] Error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+}
+
+export default createApiRouter;
@@ -0,0 +1,423 @@
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { DateTime } from 'luxon';
+import { FeedToken } from '../models/FeedToken.js';
+import { ICalGenerator } from '../services/ICalGenerator.js';
+import { getFeedCache } from '../services/FeedCache.js';
+import { parseXML, getChild, getChildren, escapeXML } from '../utils/xml.js';
+
+// Methods of the read-only server (writes are rejected with 405)
+const ALLOWED_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PROPFIND', 'REPORT'];
+
+// Namespaces of the responses
+const NAMESPACES = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:cs="http://calendarserver.org/ns/"';
+
+// Name of the calendar collection of a feed
+const CALENDAR_NAME = 'orbitando';
+
+/**
+ * Authenticate with HTTP Basic: any username, the feed token as password
+ * Each feed token gives access to one calendar, the feed itself
+ */
+function authenticate(req, res, next) {
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  const decoded = scheme === 'Basic' && credentials ? Buffer.from(credentials, 'base64').toString() : '';
+  const password = decoded.substring(decoded.indexOf(':') + 1);
+  const feed = password ? FeedToken.findByToken(password) : null;
+
+  if (!feed) {
+    res.set('WWW-Authenticate', 'Basic realm="Orbitando", charset="UTF-8"');
+    return res.status(401).send('Invalid or missing feed token');
+  }
+
+  FeedToken.updateLastUsed(feed.token);
+  req.feed = feed;
+  next();
+}
+
+/**
+ * Build an XML property element
+ * @param {string} name - Prefixed name (e.g. 'd:displayname')
+ * @param {string} [content] - XML content, already escaped
+ * @returns {string}
+ */
+function prop(name, content = '') {
+  return content ? `<${name}>${content}</${name}>` : `<${name}/>`;
+}
+
+/**
+ * Build an XML href element
+ * @param {string} path
+ * @returns {string}
+ */
+function href(path) {
+  return `<d:href>${escapeXML(path)}</d:href>`;
+}
+
+/**
+ * Get the names of the properties asked for in a PROPFIND or REPORT body
+ * @param {Object} root - Parsed XML body
+ * @returns {string[]|null} Local names, or null for all properties (allprop or empty body)
+ */
+function getRequestedProps(root) {
+  const propElement = getChild(root.children[0], 'prop');
+  return propElement ? propElement.children.map(child => child.name) : null;
+}
+
+/**
+ * Build the response of a resource in a Multi-Status
+ * Properties that are not known are left out
+ * @param {string} path
+ * @param {Object} props - XML of each property, by local name (or a function
+ *   returning it, for properties that are costly to build)
+ * @param {string[]|null} requested - Local names asked for (null = all)
+ * @returns {string}
+ */
+function buildResponse(path, props, requested) {
+  const names = requested || Object.keys(props).filter(name => name !== 'calendar-data');
+  const found = names.filter(name => props[name] !== undefined);
+  const xml = found.map(name => (typeof props[name] === 'function' ? props[name]() : props[name])).join('');
+
+  return `<d:response>${href(path)}<d:propstat><d:prop>${xml}</d:prop>`
+    + '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>';
+}
+
+/**
+ * Send a 207 Multi-Status response
+ * @param {Object} res
+ * @param {string[]} responses
+ */
+function sendMultistatus(res, responses) {
+  res.status(207)
+    .set('Content-Type', 'application/xml; charset=utf-8')
+    .send(`<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${NAMESPACES}>${responses.join('')}</d:multistatus>`);
+}
+
+/**
+ * Get the calendar object resources of a feed
+ * Events sharing a UID (a recurring event and its modified occurrences) go in one resource
+ * @param {FeedToken} feed
+ * @returns {Array<{ uid: string, name: string, etag: string, events: Event[], getData: Function }>}
+ */
+function getFeedResources(feed) {
+  const generator = new ICalGenerator({ calendarName: feed.name });
+  const { events, sources } = generator.getFeedEvents(feed);
+  const sourcesMap = generator.toSourcesMap(sources);
+
+  const groups = new Map();
+  for (const event of events) {
+    const uid = generator.getEventUid(event) || `event-${event.id}`;
+    if (!groups.has(uid)) {
+      groups.set(uid, []);
+    }
+    groups.get(uid).push(event);
+  }
+
+  return [...groups].map(([uid, uidEvents]) => {
+    // The output depends on the events, the feed privacy and their sources (name, privacy)
+    const version = JSON.stringify({
+      privacy: feed.privacy,
+      sources: [...new Set(uidEvents.map(e => e.source_id))]
+        .map(id => [id, sourcesMap[id]?.updated_at]),
+      events: uidEvents.map(e => [e.id, e.updated_at, e.content_hash])
+    });
+
+    return {
+      uid,
+      name: `${crypto.createHash('sha1').update(uid).digest('hex')}.ics`,
+      etag: `"${crypto.createHash('sha1').update(version).digest('hex')}"`,
+      events: uidEvents,
+      getData: () => generator.buildCalendarObject(uidEvents, sourcesMap, { privacy: feed.privacy })
+    };
+  });
+}
+
+/**
+ * Get the properties of a calendar object resource
+ * @param {Object} resource - From getFeedResources()
+ * @returns {Object}
+ */
+function getResourceProps(resource) {
+  return {
+    'resourcetype': prop('d:resourcetype'),
+    'getetag': prop('d:getetag', escapeXML(resource.etag)),
+    'getcontenttype': prop('d:getcontenttype', 'text/calendar; charset=utf-8; component=vevent'),
+    'calendar-data': () => prop('c:calendar-data', escapeXML(resource.getData()))
+  };
+}
+
+/**
+ * Parse a CalDAV UTC time (e.g. 20240115T090000Z) into an ISO datetime
+ * @param {string|undefined} value
+ * @returns {string|undefined}
+ */
+function parseCalDAVTime(value) {
+  if (!value) return undefined;
+  const date = DateTime.fromFormat(value, 'yyyyMMdd\'T\'HHmmss\'Z\'', { zone: 'utc' });
+  return date.isValid ? date.toISO() : undefined;
+}
+
+/**
+ * Decode the name of a resource in a path
+ * @param {string} value
+ * @returns {string|null} null when it has a malformed percent-escape
+ */
+function decodeName(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the first element with a local name in a tree
+ * @param {Object|null} node
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function findElement(node, name) {
+  if (!node) return null;
+  if (node.name === name) return node;
+
+  for (const child of node.children) {
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Create the router of the read-only CalDAV server
+ *
+ * Exposes each feed as a calendar account: the principal, a calendar home and
+ * one calendar with the events of the feed (its sources, window, keyword rules
+ * and privacy). Clients discover it from /.well-known/caldav and refresh with
+ * the CTag of the calendar and the ETags of its resources.
+ *
+ * @returns {Router}
+ */
+export function createCalDAVRouter() {
+  const router = Router();
+
+  // Request bodies are XML, whatever the Content-Type sent by the client
+  router.use(express.text({ type: () => true, limit: '1mb' }));
+
+  router.options('*', (req, res) => {
+    res.set({
+      'DAV': '1, 3, calendar-access',
+      'Allow': ALLOWED_METHODS.join(', ')
+    });
+    res.status(200).end();
+  });
+
+  router.use(authenticate);
+
+  /**
+   * Get the collections of the account, by path relative to the router
+   * @param {Object} req
+   * @returns {Object} Path (absolute), properties and child paths of each collection
+   */
+  function getCollections(req) {
+    const { feed } = req;
+    const principalPath = `${req.baseUrl}/principal/`;
+    const homePath = `${req.baseUrl}/calendars/`;
+    const calendarPath = `${homePath}${CALENDAR_NAME}/`;
+    const common = {
+      'current-user-principal': prop('d:current-user-principal', href(principalPath)),
+      'principal-URL': prop('d:principal-URL', href(principalPath)),
+      'calendar-home-set': prop('c:calendar-home-set', href(homePath)),
+      'current-user-privilege-set': prop('d:current-user-privilege-set',
+        '<d:privilege><d:read/></d:privilege><d:privilege><d:read-current-user-privilege-set/></d:privilege>')
+    };
+
+    return {
+      '/': {
+        path: `${req.baseUrl}/`,
+        props: { ...common, 'resourcetype': prop('d:resourcetype', '<d:collection/>') }
+      },
+      '/principal/': {
+        path: principalPath,
+        props: {
+          ...common,
+          'resourcetype': prop('d:resourcetype', '<d:collection/><d:principal/>'),
+          'displayname': prop('d:displayname', escapeXML(feed.name))
+        }
+      },
+      '/calendars/': {
+        path: homePath,
+        props: { ...common, 'resourcetype': prop('d:resourcetype', '<d:collection/>') },
+        children: [`/calendars/${CALENDAR_NAME}/`]
+      },
+      [`/calendars/${CALENDAR_NAME}/`]: {
+        path: calendarPath,
+        props: {
+          ...common,
+          'resourcetype': prop('d:resourcetype', '<d:collection/><c:calendar/>'),
+          'displayname': prop('d:displayname', escapeXML(feed.name)),
+          // Changes with any change of the feed output (same version as the iCal feed)
+          'getctag': () => prop('cs:getctag', escapeXML(getFeedCache().getVersion(feed).etag.replace(/"/g, ''))),
+          'supported-calendar-component-set': prop('c:supported-calendar-component-set', '<c:comp name="VEVENT"/>'),
+          'supported-report-set': prop('d:supported-report-set',
+            '<d:supported-report><d:report><c:calendar-query/></d:report></d:supported-report>'
+            + '<d:supported-report><d:report><c:calendar-multiget/></d:report></d:supported-report>')
+        },
+        resources: true
+      }
+    };
+  }
+
+  /**
+   * Find the collection of a request path
+   * @param {Object} req
+   * @returns {Object|null}
+   */
+  function findCollection(req) {
+    const path = req.path.endsWith('/') ? req.path : `${req.path}/`;
+    return getCollections(req)[path] || null;
+  }
+
+  /**
+   * Find a calendar object resource of the feed by its path
+   * @param {Object} req
+   * @param {string} path - Relative to the router
+   * @returns {Object|null}
+   */
+  function findResource(req, path) {
+    const prefix = `/calendars/${CALENDAR_NAME}/`;
+    if (!path.startsWith(prefix)) return null;
+
+    const name = decodeName(path.substring(prefix.length));
+    if (!name) return null;
+
+    return getFeedResources(req.feed).find(resource => resource.name === name) || null;
+  }
+
+  router.propfind('*', (req, res) => {
+    const requested = getRequestedProps(parseXML(req.body || ''));
+    const depth = req.get('Depth') === '0' ? 0 : 1;
+    const collection = findCollection(req);
+
+    if (!collection) {
+      const resource = findResource(req, req.path);
+      if (!resource) {
+        return res.status(404).send('Not found');
+      }
+      return sendMultistatus(res, [
+        buildResponse(`${req.baseUrl}${req.path}`, getResourceProps(resource), requested)
+      ]);
+    }
+
+    const responses = [buildResponse(collection.path, collection.props, requested)];
+
+    if (depth > 0) {
+      const collections = getCollections(req);
+      for (const child of collection.children || []) {
+        responses.push(buildResponse(collections[child].path, collections[child].props, requested));
+      }
+      if (collection.resources) {
+        for (const resource of getFeedResources(req.feed)) {
+          responses.push(buildResponse(`${collection.path}${resource.name}`, getResourceProps(resource), requested));
+        }
+      }
+    }
+
+    sendMultistatus(res, responses);
+  });
+
+  router.report(`/calendars/${CALENDAR_NAME}/`, (req, res) => {
+    const root = parseXML(req.body || '');
+    const report = root.children[0];
+    const requested = getRequestedProps(root);
+    const calendarPath = `${req.baseUrl}/calendars/${CALENDAR_NAME}/`;
+    const resources = getFeedResources(req.feed);
+
+    if (report?.name === 'calendar-multiget') {
+      const byName = new Map(resources.map(resource => [resource.name, resource]));
+      const responses = getChildren(report, 'href').map(({ text }) => {
+        const path = text.trim();
+        const resource = byName.get(decodeName(path.substring(path.lastIndexOf('/') + 1)));
+        return resource
+          ? buildResponse(path, getResourceProps(resource), requested)
+          : `<d:response>${href(path)}<d:status>HTTP/1.1 404 Not Found</d:status></d:response>`;
+      });
+      return sendMultistatus(res, responses);
+    }
+
+    if (report?.name === 'calendar-query') {
+      // Only events are served: a query for other components (e.g. VTODO) matches nothing
+      const filter = getChild(report, 'filter');
+      const components = [];
+      for (let node = getChild(filter, 'comp-filter'); node; node = getChild(node, 'comp-filter')) {
+        components.push(node.attributes.name?.toUpperCase());
+      }
+      if (components.some(name => !['VCALENDAR', 'VEVENT'].includes(name))) {
+        return sendMultistatus(res, []);
+      }
+
+      // Resources with an event in the time range (narrowed to the feed window)
+      let matching = resources;
+      const timeRange = findElement(filter, 'time-range');
+      if (timeRange) {
+        const generator = new ICalGenerator();
+        const { events } = generator.getFeedEvents(req.feed, {
+          startDate: parseCalDAVTime(timeRange.attributes.start),
+          endDate: parseCalDAVTime(timeRange.attributes.end)
+        });
+        const uids = new Set(events.map(event => generator.getEventUid(event) || `event-${event.id}`));
+        matching = resources.filter(resource => uids.has(resource.uid));
+      }
+
+      return sendMultistatus(res, matching.map(resource =>
+        buildResponse(`${calendarPath}${resource.name}`, getResourceProps(resource), requested)));
+    }
+
+    res.status(403)
+      .set('Content-Type', 'application/xml; charset=utf-8')
+      .send('<?xml version="1.0" encoding="utf-8"?>\n<d:error xmlns:d="DAV:"><d:supported-report/></d:error>');
+  });
+
+  // GET/HEAD of a calendar object (answers If-None-Match with 304)
+  router.get(`/calendars/${CALENDAR_NAME}/:name`, (req, res) => {
+    const resource = findResource(req, req.path);
+    if (!resource) {
+      return res.status(404).send('Not found');
+    }
+
+    res.set({
+      'ETag': resource.etag,
+      'Cache-Control': 'private, no-cache'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(resource.getData());
+  });
+
+  // The calendar is read-only: any other method is not allowed
+  router.use((req, res) => {
+    if (ALLOWED_METHODS.includes(req.method)) {
+      return res.status(404).send('Not found');
+    }
+
+    res.set('Allow', ALLOWED_METHODS.join(', '));
+    res.status(405).send('This calendar is read-only');
+  });
+
+  // Errors as plain text (e.g. a malformed percent-escape in a path, which Express rejects with 400)
+  router.use((err, req, res, _next) => {
+    if (err.status >= 400 && err.status < 500) {
+      return res.sendStatus(err.status);
+    }
+
+    console.error('[CalDAV] Error:', err.message);
+    res.status(500).send('Internal server error');
+  });
+
+  return router;
+}
+
+export default createCalDAVRouter;
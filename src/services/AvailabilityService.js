@@ -0,0 +1,194 @@
+import { DateTime } from 'luxon';
+import { Source } from '../models/Source.js';
+import { Event } from '../models/Event.js';
+import { UserSettings } from '../models/UserSettings.js';
+import { isTransparent } from '../utils/privacy.js';
+import { getAllDayInterval } from '../utils/timezone.js';
+
+// Candidate slots start every SLOT_STEP_MINUTES
+const SLOT_STEP_MINUTES = 30;
+
+// Slots returned, and at most per day so suggestions are spread over the range
+const MAX_SLOTS = 8;
+const MAX_SLOTS_PER_DAY = 3;
+
+/**
+ * Parse a stored datetime
+ * Values without offset (Microsoft Graph) are already in UTC
+ * @param {string} value
+ * @returns {DateTime}
+ */
+function toDateTime(value) {
+  return DateTime.fromISO(value, { zone: 'utc' });
+}
+
+/**
+ * Parse a HH:mm time into minutes since midnight
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Service to find common free slots of several Slack users
+ * Reads the synced events of each user and respects their timezone and working hours
+ */
+export class AvailabilityService {
+  /**
+   * Check if an event makes its user unavailable
+   * Cancelled and free events are skipped; all-day events block their whole days
+   * unless they are free (e.g. holidays or birthdays marked as transparent)
+   * @param {Event} event
+   * @returns {boolean}
+   */
+  blocksTime(event) {
+    if (!event.all_day && !event.end_datetime) return false;
+    if (event.status === 'cancelled') return false;
+    return !isTransparent(event);
+  }
+
+  /**
+   * Get the busy intervals of a user in a range
+   * @param {string} slackUserId
+   * @param {DateTime} rangeStart
+   * @param {DateTime} rangeEnd
+   * @param {string} timezone - IANA timezone of the user, for the days of all-day events
+   * @returns {{ hasCalendars: boolean, busy: Array<{ start: DateTime, end: DateTime }> }}
+   */
+  getBusyIntervals(slackUserId, rangeStart, rangeEnd, timezone) {
+    const sourceIds = Source.findBySlackUserId(slackUserId)
+      .filter(source => source.enabled)
+      .map(source => source.id);
+
+    const events = Event.findOccurrences(sourceIds, {
+      startDate: rangeStart.toUTC().toISO(),
+      endDate: rangeEnd.toUTC().toISO()
+    });
+
+    const busy = events
+      .filter(event => this.blocksTime(event))
+      .map(event => (event.all_day
+        ? getAllDayInterval(event, timezone)
+        : { start: toDateTime(event.start_datetime), end: toDateTime(event.end_datetime) }))
+      .filter(interval => interval.end > rangeStart && interval.start < rangeEnd);
+
+    return { hasCalendars: sourceIds.length > 0, busy };
+  }
+
+  /**
+   * Get how comfortably a slot fits in the working hours of a participant
+   * @param {Object} participant - { timezone, settings }
+   * @param {DateTime} start
+   * @param {number} durationMinutes
+   * @returns {number|null} Minutes to the nearest edge of the working day, null if outside it
+   */
+  getWorkingHoursMargin(participant, start, durationMinutes) {
+    const { settings, timezone } = participant;
+    const localStart = start.setZone(timezone);
+    const localEnd = localStart.plus({ minutes: durationMinutes });
+
+    if (!settings.isWorkDay(localStart.weekday)) return null;
+
+    const startMinutes = localStart.hour * 60 + localStart.minute;
+    const endMinutes = startMinutes + durationMinutes;
+    const workStart = toMinutes(settings.work_start);
+    const workEnd = toMinutes(settings.work_end);
+
+    // Slots crossing midnight never fit in a working day
+    if (localEnd.toISODate() !== localStart.toISODate() && !(localEnd.hour === 0 && localEnd.minute === 0)) {
+      return null;
+    }
+    if (startMinutes < workStart || endMinutes > workEnd) return null;
+
+    return Math.min(startMinutes - workStart, workEnd - endMinutes);
+  }
+
+  /**
+   * Find the free slots common to several users, best ranked first
+   * A slot is ranked by the smallest margin to the edges of the working day of any
+   * participant, so slots at 8:00 for one timezone and 18:00 for another go last
+   * @param {Object} options
+   * @param {Array<{ slackUserId: string, timezone: string }>} options.participants
+   * @param {number} options.durationMinutes
+   * @param {string} options.startDate - First day YYYY-MM-DD (in options.timezone)
+   * @param {string} options.endDate - Last day YYYY-MM-DD (in options.timezone)
+   * @param {string} options.timezone - IANA timezone of the requester
+   * @returns {{ slots: Array<{ start: DateTime, end: DateTime, score: number }>, withoutCalendars: string[] }}
+   */
+  findCommonSlots({ participants, durationMinutes, startDate, endDate, timezone }) {
+    const rangeEnd = DateTime.fromISO(endDate, { zone: timezone }).endOf('day');
+    let rangeStart = DateTime.fromISO(startDate, { zone: timezone }).startOf('day');
+
+    // Never suggest slots in the past: start at the next step from now
+    const now = DateTime.now().setZone(timezone);
+    if (rangeStart < now) {
+      const minutes = Math.ceil((now.hour * 60 + now.minute + 1) / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES;
+      rangeStart = now.startOf('day').plus({ minutes });
+    }
+
+    const people = participants.map(participant => ({
+      ...participant,
+      settings: UserSettings.getForUser(participant.slackUserId),
+      ...this.getBusyIntervals(participant.slackUserId, rangeStart, rangeEnd, participant.timezone)
+    }));
+
+    const candidates = [];
+    for (
+      let start = rangeStart;
+      start.plus({ minutes: durationMinutes }) <= rangeEnd;
+      start = start.plus({ minutes: SLOT_STEP_MINUTES })
+    ) {
+      const end = start.plus({ minutes: durationMinutes });
+      let score = Infinity;
+
+      for (const person of people) {
+        const margin = this.getWorkingHoursMargin(person, start, durationMinutes);
+        if (margin === null || person.busy.some(interval => interval.start < end && interval.end > start)) {
+          score = null;
+          break;
+        }
+        score = Math.min(score, margin);
+      }
+
+      if (score !== null) {
+        candidates.push({ start, end, score });
+      }
+    }
+
+    candidates.sort((a, b) => b.score - a.score || a.start - b.start);
+
+    // Pick the best slots without overlaps and spread over the days
+    const slots = [];
+    const perDay = new Map();
+    for (const candidate of candidates) {
+      if (slots.length >= MAX_SLOTS) break;
+
+      const day = candidate.start.toISODate();
+      if ((perDay.get(day) || 0) >= MAX_SLOTS_PER_DAY) continue;
+      if (slots.some(slot => slot.start < candidate.end && slot.end > candidate.start)) continue;
+
+      slots.push(candidate);
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+    }
+
+    return {
+      slots,
+      withoutCalendars: people.filter(person => !person.hasCalendars).map(person => person.slackUserId)
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getAvailabilityService() {
+  if (!instance) {
+    instance = new AvailabilityService();
+  }
+  return instance;
+}
+
+export default AvailabilityService;
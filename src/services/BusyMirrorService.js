@@ -0,0 +1,236 @@
+import { DateTime } from 'luxon';
+import { Source } from '../models/Source.js';
+import { Event } from '../models/Event.js';
+import { MirroredEvent } from '../models/MirroredEvent.js';
+import { isBusyPlaceholder } from '../utils/busyPlaceholder.js';
+import { isTransparent } from '../utils/privacy.js';
+import { getSeriesId } from '../utils/recurrence.js';
+import { getSyncService } from './SyncService.js';
+
+// Only upcoming events are mirrored
+const MIRROR_DAYS = parseInt(process.env.BUSY_MIRROR_DAYS, 10) || 30;
+
+const PLACEHOLDER_TITLE = process.env.BUSY_MIRROR_TITLE || 'Ocupado';
+
+/**
+ * Normalize a stored datetime to an ISO UTC string
+ * Values without offset (Microsoft Graph) are already in UTC
+ * @param {string} value
+ * @returns {string}
+ */
+function toUTCString(value) {
+  return DateTime.fromISO(value, { zone: 'utc' }).toUTC().toISO();
+}
+
+/**
+ * Service for busy mirroring
+ * Writes opaque "Busy" placeholders into a target Google/Microsoft calendar for
+ * every event of the sources mirrored into it, and keeps them up to date
+ */
+export class BusyMirrorService {
+  constructor() {
+    this.inFlight = new Set();
+    this.queued = new Set();
+  }
+
+  /**
+   * Check if a source can receive placeholders
+   * @param {Source} source
+   * @returns {boolean}
+   */
+  canBeTarget(source) {
+    return Boolean(source) && (source.type === 'google' || source.type === 'microsoft');
+  }
+
+  /**
+   * Mirror a source after it was synced
+   * @param {Source} source
+   * @returns {Promise<Object|null>} Summary of the mirroring, null if the source is not mirrored
+   */
+  async mirrorSource(source) {
+    if (!source.mirror_target_id) {
+      return null;
+    }
+
+    return this.syncTarget(source.mirror_target_id);
+  }
+
+  /**
+   * Reconcile the placeholders of a target source with the events of its origins
+   * Runs once at a time per target; calls made while it runs are coalesced into one more run
+   * @param {number} targetSourceId
+   * @returns {Promise<Object|null>}
+   */
+  async syncTarget(targetSourceId) {
+    if (this.inFlight.has(targetSourceId)) {
+      this.queued.add(targetSourceId);
+      return null;
+    }
+
+    this.inFlight.add(targetSourceId);
+
+    try {
+      let results;
+      do {
+        this.queued.delete(targetSourceId);
+        results = await this.reconcile(targetSourceId);
+      } while (this.queued.has(targetSourceId));
+      return results;
+    } finally {
+      this.inFlight.delete(targetSourceId);
+    }
+  }
+
+  /**
+   * Create, update and delete placeholders so they match the origin events
+   * @param {number} targetSourceId
+   * @returns {Promise<Object>} Summary of the changes
+   */
+  async reconcile(targetSourceId) {
+    const results = { created: 0, updated: 0, deleted: 0, failed: 0 };
+    const target = Source.findById(targetSourceId);
+
+    if (!this.canBeTarget(target)) {
+      return results;
+    }
+
+    const provider = await getSyncService().aggregator.getProvider(target);
+    const existing = MirroredEvent.findByTargetSourceId(targetSourceId);
+    const desired = target.enabled ? this.getDesiredBlocks(target) : new Map();
+
+    // Placeholders that no longer have an origin event
+    const windowStart = new Date().toISOString();
+    for (const mirrored of existing) {
+      const key = `${mirrored.origin_source_id}:${mirrored.origin_key}`;
+      if (desired.has(key)) continue;
+
+      // Past placeholders are kept in the calendar, the mapping is no longer needed
+      if ((mirrored.end_datetime || mirrored.start_datetime) < windowStart) {
+        MirroredEvent.delete(mirrored.id);
+        continue;
+      }
+
+      try {
+        await provider.deleteEvent(mirrored.target_event_id);
+        MirroredEvent.delete(mirrored.id);
+        Event.deleteByExternalIds(targetSourceId, [mirrored.target_event_id]);
+        results.deleted++;
+      } catch (error) {
+        console.error(`[BusyMirror] Failed to delete placeholder ${mirrored.target_event_id}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    const existingByKey = new Map(existing.map(m => [`${m.origin_source_id}:${m.origin_key}`, m]));
+
+    for (const [key, block] of desired) {
+      const mirrored = existingByKey.get(key);
+      const placeholder = {
+        summary: PLACEHOLDER_TITLE,
+        start: block.start_datetime,
+        end: block.end_datetime,
+        busyPlaceholder: true
+      };
+
+      try {
+        if (!mirrored) {
+          const created = await provider.createEvent(placeholder);
+          MirroredEvent.create({
+            target_source_id: targetSourceId,
+            origin_source_id: block.origin_source_id,
+            origin_key: block.origin_key,
+            target_event_id: created.external_id,
+            start_datetime: block.start_datetime,
+            end_datetime: block.end_datetime
+          });
+          Event.upsert(created);
+          results.created++;
+        } else if (mirrored.start_datetime !== block.start_datetime || mirrored.end_datetime !== block.end_datetime) {
+          const updated = await provider.updateEvent(mirrored.target_event_id, placeholder);
+          MirroredEvent.updateTimes(mirrored.id, block.start_datetime, block.end_datetime);
+          Event.upsert(updated);
+          results.updated++;
+        }
+      } catch (error) {
+        console.error(`[BusyMirror] Failed to mirror ${key} into source ${targetSourceId}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    if (results.created || results.updated || results.deleted || results.failed) {
+      console.log(`[BusyMirror] Target ${target.name}: ${results.created} created, ${results.updated} updated, ${results.deleted} deleted, ${results.failed} failed`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the busy blocks that should exist in a target
+   * @param {Source} target
+   * @returns {Map<string, Object>} Blocks by "originSourceId:originKey"
+   */
+  getDesiredBlocks(target) {
+    const origins = Source.findByMirrorTarget(target.id)
+      .filter(source => source.slack_user_id === target.slack_user_id);
+
+    if (!origins.length) {
+      return new Map();
+    }
+
+    // Events in progress are included, so they keep their placeholder
+    const now = new Date();
+    const endDate = new Date(now.getTime() + MIRROR_DAYS * 24 * 60 * 60 * 1000);
+    const occurrences = Event.findOccurrences(origins.map(s => s.id), {
+      startDate: now.toISOString(),
+      endDate: endDate.toISOString()
+    });
+
+    const blocks = new Map();
+
+    for (const event of occurrences) {
+      if (!this.blocksTime(event)) continue;
+      if (toUTCString(event.end_datetime) <= now.toISOString()) continue;
+
+      // Occurrences of a series are identified by the series and the occurrence
+      const originKey = event.recurrence_id
+        ? `${getSeriesId(event)}_${event.recurrence_id}`
+        : event.external_id;
+
+      blocks.set(`${event.source_id}:${originKey}`, {
+        origin_source_id: event.source_id,
+        origin_key: originKey,
+        start_datetime: toUTCString(event.start_datetime),
+        end_datetime: toUTCString(event.end_datetime)
+      });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Check if an event should block time in the target
+   * All-day, cancelled, free and placeholder events are skipped
+   * @param {Event} event
+   * @returns {boolean}
+   */
+  blocksTime(event) {
+    if (event.all_day || !event.end_datetime) return false;
+    if (event.status === 'cancelled') return false;
+    if (isTransparent(event)) return false;
+
+    // Never mirror placeholders back (loop prevention)
+    return !isBusyPlaceholder(event);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getBusyMirrorService() {
+  if (!instance) {
+    instance = new BusyMirrorService();
+  }
+  return instance;
+}
+
+export default BusyMirrorService;
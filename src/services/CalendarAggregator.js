@@ -2,6 +2,7 @@ import GoogleCalendarProvider from '../providers/GoogleCalendarProvider.js';
 import MicrosoftCalendarProvider from '../providers/MicrosoftCalendarProvider.js';
 import ICalRemoteProvider from '../providers/ICalRemoteProvider.js';
 import ICalLocalProvider from '../providers/ICalLocalProvider.js';
+import CalDAVProvider from '../providers/CalDAVProvider.js';
 
 /**
  * Factory to create the appropriate provider for a source
@@ -16,6 +17,8 @@ export function createProvider(source) {
     return new ICalRemoteProvider(source);
   case 'ical_local':
     return new ICalLocalProvider(source);
+  case 'caldav':
+    return new CalDAVProvider(source);
   default:
     throw new Error(`Unknown source type: ${source.type}`);
   }
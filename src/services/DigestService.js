@@ -0,0 +1,155 @@
+import { DateTime } from 'luxon';
+import { Source } from '../models/Source.js';
+import { Event } from '../models/Event.js';
+import { UserSettings } from '../models/UserSettings.js';
+import { buildDayBlocks } from '../slack/commands/calendario.js';
+import { getUserTimezone } from '../slack/commands/evento.js';
+import { getEventDateInZone } from '../utils/timezone.js';
+
+// Digests are only sent during the hour after their time, so a restart at noon
+// does not deliver the morning agenda
+const SEND_WINDOW_MINUTES = 60;
+
+/**
+ * Service for the daily agenda digest sent by DM
+ */
+export class DigestService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Check if the digest of a user is due
+   * @param {UserSettings} settings
+   * @param {DateTime} localNow - Current time in the user's timezone
+   * @returns {boolean}
+   */
+  isDue(settings, localNow) {
+    if (!settings.digest_enabled) return false;
+    if (settings.digest_last_sent === localNow.toISODate()) return false;
+    if (settings.digest_weekdays_only && localNow.weekday > 5) return false;
+
+    const [hours, minutes] = settings.digest_time.split(':').map(Number);
+    const sendAt = localNow.set({ hour: hours, minute: minutes, second: 0, millisecond: 0 });
+
+    return localNow >= sendAt && localNow < sendAt.plus({ minutes: SEND_WINDOW_MINUTES });
+  }
+
+  /**
+   * Build the Slack blocks of the agenda of a day
+   * @param {string} slackUserId
+   * @param {string} date - YYYY-MM-DD in the user's timezone
+   * @param {string} timezone - IANA timezone identifier
+   * @returns {{ blocks: Array, eventCount: number }}
+   */
+  buildDigest(slackUserId, date, timezone) {
+    const sources = Source.findBySlackUserId(slackUserId);
+    const sourceMap = new Map(sources.map(s => [s.id, s]));
+    const dayStart = DateTime.fromISO(date, { zone: timezone }).startOf('day');
+
+    // Stored times are UTC: query the local day, from the day before so that
+    // all-day events (stored as dates) are included, then keep only the local date
+    const events = Event.findOccurrences(sources.map(s => s.id), {
+      startDate: dayStart.minus({ days: 1 }).toUTC().toISO(),
+      endDate: dayStart.plus({ days: 1 }).toUTC().toISO()
+    })
+      .filter(event => getEventDateInZone(event, timezone) === date);
+
+    const dayBlocks = events.length
+      ? buildDayBlocks('📌', 'HOY', date, events, sourceMap, timezone)
+      : [{
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: '📌 *HOY*  •  _Sin eventos programados_' }]
+      }];
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '☀️ Tu agenda de hoy', emoji: true }
+      },
+      { type: 'divider' },
+      ...dayBlocks,
+      { type: 'divider' },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `*${events.length} evento(s)* hoy  •  _Cambia la hora del resumen en \`/ajustes\`_`
+        }]
+      }
+    ];
+
+    return { blocks, eventCount: events.length };
+  }
+
+  /**
+   * Send the digest of a user for a day
+   * @param {Object} client - Slack Web API client
+   * @param {string} slackUserId
+   * @param {string} date - YYYY-MM-DD in the user's timezone
+   * @param {string} timezone - IANA timezone identifier
+   */
+  async sendDigest(client, slackUserId, date, timezone) {
+    const { blocks, eventCount } = this.buildDigest(slackUserId, date, timezone);
+
+    await client.chat.postMessage({
+      channel: slackUserId,
+      text: `Tu agenda de hoy: ${eventCount} evento(s)`,
+      blocks
+    });
+
+    UserSettings.markDigestSent(slackUserId, date);
+  }
+
+  /**
+   * Send the digests that are due now
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<{ sent: string[], failed: Array<{ slackUserId: string, error: string }> }>}
+   */
+  async sendDueDigests(client) {
+    const results = { sent: [], failed: [] };
+
+    if (this.running) {
+      return results;
+    }
+
+    this.running = true;
+
+    try {
+      for (const settings of UserSettings.findWithDigestEnabled()) {
+        const slackUserId = settings.slack_user_id;
+
+        // Users without calendars have nothing to summarize
+        if (Source.countBySlackUserId(slackUserId) === 0) continue;
+
+        try {
+          const timezone = await getUserTimezone(client, slackUserId);
+          const localNow = DateTime.now().setZone(timezone);
+          if (!this.isDue(settings, localNow)) continue;
+
+          await this.sendDigest(client, slackUserId, localNow.toISODate(), timezone);
+          results.sent.push(slackUserId);
+        } catch (error) {
+          console.error(`[Digest] Failed to send digest to ${slackUserId}:`, error.message);
+          results.failed.push({ slackUserId, error: error.message });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getDigestService() {
+  if (!instance) {
+    instance = new DigestService();
+  }
+  return instance;
+}
+
+export default DigestService;
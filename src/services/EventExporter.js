@@ -0,0 +1,195 @@
+import ICAL from 'ical.js';
+import { DateTime } from 'luxon';
+import { ICalGenerator, BUSY_SUMMARY } from './ICalGenerator.js';
+import { expandEvents, getSeriesId } from '../utils/recurrence.js';
+import { isTransparent } from '../utils/privacy.js';
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'uid',
+  'summary',
+  'start',
+  'end',
+  'all_day',
+  'duration_minutes',
+  'status',
+  'busy',
+  'recurring',
+  'location',
+  'description',
+  'source_id',
+  'source_name',
+  'source_type'
+];
+
+/**
+ * Escape a CSV value (RFC 4180)
+ * Values starting like a formula are prefixed so spreadsheets show them as text
+ * @param {*} value
+ * @returns {string}
+ */
+function toCSVValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Service for exporting the events of a feed as JSON, jCal or CSV
+ * Uses the same selection and privacy rules as the iCal feed
+ */
+export class EventExporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - IANA timezone of the feed owner (default: 'UTC')
+   */
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+    this.generator = new ICalGenerator({ calendarName: options.calendarName });
+  }
+
+  /**
+   * Get the events of a feed, with recurring events expanded into occurrences
+   * @param {FeedToken} feed
+   * @param {Object} [filters] - startDate, endDate, sourceIds (see ICalGenerator.getFeedEvents)
+   * @returns {{ events: Event[], sources: Object, startDate: string, endDate: string }}
+   */
+  getOccurrences(feed, filters = {}) {
+    const { events, sources, startDate, endDate } = this.generator.getFeedEvents(feed, filters);
+
+    return {
+      events: expandEvents(events, { startDate, endDate }),
+      sources: this.generator.toSourcesMap(sources),
+      startDate,
+      endDate
+    };
+  }
+
+  /**
+   * Format a stored date or datetime in the owner's timezone
+   * @param {string|null} value
+   * @param {boolean|number} allDay
+   * @returns {string|null}
+   */
+  formatDateTime(value, allDay) {
+    if (!value) return null;
+    if (allDay) return value.split('T')[0];
+    return DateTime.fromISO(value, { zone: 'utc' }).setZone(this.timezone).toISO({ suppressMilliseconds: true });
+  }
+
+  /**
+   * Build the normalized record of an event, applying the privacy of the feed
+   * Busy-only events keep their times only; source metadata is only in full mode
+   * @param {Event} event
+   * @param {Source} source
+   * @param {string} feedPrivacy
+   * @returns {Object}
+   */
+  toRecord(event, source, feedPrivacy) {
+    const privacy = this.generator.getEventPrivacy(event, source, feedPrivacy);
+    const allDay = Boolean(event.all_day);
+    const start = this.formatDateTime(event.start_datetime, allDay);
+    const end = this.formatDateTime(event.end_datetime, allDay);
+
+    const record = {
+      uid: getSeriesId(event),
+      recurrence_id: event.recurrence_id,
+      summary: privacy === 'busy' ? BUSY_SUMMARY : event.summary || '(Sin título)',
+      start,
+      end,
+      all_day: allDay,
+      duration_minutes: start && end && !allDay
+        ? Math.round(DateTime.fromISO(end).diff(DateTime.fromISO(start), 'minutes').minutes)
+        : null,
+      status: event.status || null,
+      busy: !isTransparent(event),
+      recurring: Boolean(event.recurrence || event.recurrence_id),
+      privacy,
+      location: null,
+      description: null,
+      organizer: null,
+      attendees: [],
+      response_status: null,
+      source: null
+    };
+
+    if (privacy === 'full') {
+      record.location = event.location || null;
+      record.description = event.description || null;
+      record.organizer = event.organizer || null;
+      record.attendees = event.attendees || [];
+      record.response_status = event.response_status || null;
+      record.source = source
+        ? { id: source.id, name: source.name, type: source.type, color: source.color || null }
+        : { id: event.source_id };
+    }
+
+    return record;
+  }
+
+  /**
+   * Export the events of a feed as JSON
+   * @param {FeedToken} feed
+   * @param {Object} [filters]
+   * @returns {Object}
+   */
+  toJSON(feed, filters = {}) {
+    const { events, sources, startDate, endDate } = this.getOccurrences(feed, filters);
+
+    return {
+      feed: feed.name,
+      timezone: this.timezone,
+      from: startDate,
+      to: endDate,
+      generated_at: new Date().toISOString(),
+      events: events.map(event => this.toRecord(event, sources[event.source_id], feed.privacy))
+    };
+  }
+
+  /**
+   * Export the events of a feed as jCal (RFC 7265), the JSON form of the iCal feed
+   * Recurring events keep their RRULE, like in the .ics feed
+   * @param {FeedToken} feed
+   * @param {Object} [filters]
+   * @returns {Array}
+   */
+  toJCal(feed, filters = {}) {
+    const { events, sources } = this.generator.getFeedEvents(feed, filters);
+    const ics = this.generator.buildICalendar(events, this.generator.toSourcesMap(sources), this.timezone, {
+      privacy: feed.privacy
+    });
+
+    return ICAL.parse(ics);
+  }
+
+  /**
+   * Export the events of a feed as CSV, one row per occurrence
+   * @param {FeedToken} feed
+   * @param {Object} [filters]
+   * @returns {string}
+   */
+  toCSV(feed, filters = {}) {
+    const { events, sources } = this.getOccurrences(feed, filters);
+
+    const rows = events.map(event => {
+      const record = this.toRecord(event, sources[event.source_id], feed.privacy);
+      const values = {
+        ...record,
+        uid: record.recurrence_id ? `${record.uid}_${record.recurrence_id}` : record.uid,
+        source_id: record.source?.id ?? null,
+        source_name: record.source?.name ?? null,
+        source_type: record.source?.type ?? null
+      };
+      return CSV_COLUMNS.map(column => toCSVValue(values[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+export default EventExporter;
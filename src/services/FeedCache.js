@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+import { Event } from '../models/Event.js';
+import { Source } from '../models/Source.js';
+
+// Generated feeds kept in memory (the least recently used are dropped first)
+const MAX_ENTRIES = parseInt(process.env.FEED_CACHE_SIZE, 10) || 200;
+
+/**
+ * Parse a SQLite datetime('now') value (UTC)
+ * @param {string|null} value
+ * @returns {DateTime|null}
+ */
+function fromSQLite(value) {
+  if (!value) return null;
+  const date = DateTime.fromSQL(value, { zone: 'utc' });
+  return date.isValid ? date : null;
+}
+
+/**
+ * In-memory cache of generated iCal feeds, with the validators for conditional GETs
+ *
+ * Each feed gets a version built from everything its output depends on: the
+ * feed settings, its sources, a summary of their events, the timezone and the
+ * current day (the window moves with it). A body is reused while the version
+ * does not change, so a sync that touches the events invalidates it.
+ */
+export class FeedCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the current version of a feed
+   * @param {FeedToken} feed
+   * @param {Object} [options] - Generation options (timezone, pastDays, futureDays)
+   * @returns {{ key: string, etag: string, lastModified: Date }}
+   */
+  getVersion(feed, options = {}) {
+    const cacheKey = `${feed.token}:${JSON.stringify(options)}`;
+    const cached = this.entries.get(cacheKey);
+    const sources = Source.findBySlackUserId(feed.slack_user_id)
+      .filter(source => feed.includesSource(source.id));
+    const events = Event.getChangeInfo(sources.map(s => s.id));
+    const today = DateTime.utc().startOf('day');
+
+    const { created_at: _createdAt, last_used_at: _lastUsedAt, ...settings } = feed.toJSON();
+    const key = JSON.stringify({
+      settings,
+      options,
+      day: today.toISODate(),
+      sources: sources.map(s => [s.id, s.updated_at]),
+      events
+    });
+
+    const etag = `"${crypto.createHash('sha1').update(key).digest('hex')}"`;
+    if (cached?.etag === etag) {
+      return { key: cacheKey, etag, lastModified: cached.lastModified };
+    }
+
+    // Newest change of the data, or the start of the day when the window moved later.
+    // Deleted events leave no timestamp: a version replacing one already served is new now
+    const lastModified = [
+      today,
+      fromSQLite(events.last_updated),
+      ...sources.map(s => fromSQLite(s.updated_at)),
+      cached ? DateTime.utc().startOf('second') : null
+    ].filter(Boolean).reduce((latest, date) => (date > latest ? date : latest));
+
+    return { key: cacheKey, etag, lastModified: lastModified.toJSDate() };
+  }
+
+  /**
+   * Get the cached body of a feed version
+   * @param {{ key: string, etag: string }} version - From getVersion()
+   * @returns {string|null}
+   */
+  get({ key, etag }) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.etag !== etag) return null;
+
+    // Move to the end: most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.body;
+  }
+
+  /**
+   * Store the generated body of a feed version
+   * @param {{ key: string, etag: string, lastModified: Date }} version - From getVersion()
+   * @param {string} body
+   */
+  set({ key, etag, lastModified }, body) {
+    this.entries.delete(key);
+    this.entries.set(key, { etag, lastModified, body });
+
+    if (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop the cached bodies of a feed (e.g. after deleting or regenerating it)
+   * @param {string} token
+   */
+  invalidate(token) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${token}:`)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getFeedCache() {
+  if (!instance) {
+    instance = new FeedCache();
+  }
+  return instance;
+}
+
+export default FeedCache;
@@ -1,7 +1,32 @@
 import ICAL from 'ical.js';
+import { DateTime } from 'luxon';
 import { v4 as uuidv4 } from 'uuid';
 import { Event } from '../models/Event.js';
 import { Source } from '../models/Source.js';
+import { getRRuleString, getSeriesId, getRecurrenceTimezone } from '../utils/recurrence.js';
+import { buildVTimezone } from '../utils/timezone.js';
+import { mostRestrictivePrivacy, isTransparent, isPrivateEvent } from '../utils/privacy.js';
+
+// Summary of busy-only events
+export const BUSY_SUMMARY = 'Busy';
+
+// Default window of the feeds, in days before and after now
+export const DEFAULT_PAST_DAYS = parseInt(process.env.FEED_PAST_DAYS, 10) || 30;
+export const DEFAULT_FUTURE_DAYS = parseInt(process.env.FEED_FUTURE_DAYS, 10) || 365;
+
+// Timezones written as UTC times instead of with a TZID
+const UTC_TIMEZONES = ['UTC', 'Etc/UTC', 'Etc/GMT', 'GMT'];
+
+/**
+ * Pick the shortest of two optional day counts
+ * @param {number|null} feedDays - Days set on the feed
+ * @param {number|null|undefined} requestedDays - Days asked for in the request
+ * @returns {number|null}
+ */
+function narrowestDays(feedDays, requestedDays) {
+  if (requestedDays === null || requestedDays === undefined) return feedDays;
+  return feedDays === null ? requestedDays : Math.min(feedDays, requestedDays);
+}
 
 /**
  * Service for generating iCalendar output
@@ -37,60 +62,137 @@ export class ICalGenerator {
   }
 
   /**
-   * Generate iCalendar for a Slack user (all their sources, current year)
+   * Generate iCalendar for a Slack user (all their sources, default window)
    * @param {string} slackUserId
    * @param {Object} options
-   * @param {number} [options.year] - Year to filter (default: current year)
+   * @param {number} [options.year] - Whole year to include instead of the default window
+   * @param {number} [options.pastDays] - Days before now (default: FEED_PAST_DAYS)
+   * @param {number} [options.futureDays] - Days after now (default: FEED_FUTURE_DAYS)
    * @param {string} [options.timezone] - IANA timezone identifier (default: 'UTC')
    * @returns {string}
    */
   generateForUser(slackUserId, options = {}) {
-    // Get all sources for this user
     const userSources = Source.findBySlackUserId(slackUserId);
-    if (!userSources.length) {
-      return this.buildICalendar([], {}, options.timezone);
+    const { startDate, endDate } = this.getDateWindow(options);
+    const events = Event.findInWindow(userSources.map(s => s.id), { startDate, endDate });
+
+    return this.buildICalendar(events, this.toSourcesMap(userSources), options.timezone);
+  }
+
+  /**
+   * Generate iCalendar for a named feed (its sources, window, keyword rules and privacy)
+   * @param {FeedToken} feed
+   * @param {Object} options
+   * @param {string} [options.timezone] - IANA timezone identifier (default: 'UTC')
+   * @param {number} [options.pastDays] - Days before now (see getFeedEvents)
+   * @param {number} [options.futureDays] - Days after now (see getFeedEvents)
+   * @returns {string}
+   */
+  generateForFeed(feed, options = {}) {
+    const { events, sources } = this.getFeedEvents(feed, {
+      pastDays: options.pastDays,
+      futureDays: options.futureDays
+    });
+
+    return this.buildICalendar(events, this.toSourcesMap(sources), options.timezone, {
+      privacy: feed.privacy
+    });
+  }
+
+  /**
+   * Get the events of a named feed (its sources, window and keyword rules)
+   * The window and sources can be narrowed, never widened beyond the feed's own
+   * @param {FeedToken} feed
+   * @param {Object} [options]
+   * @param {number} [options.pastDays] - Days before now (default: the feed's, or FEED_PAST_DAYS)
+   * @param {number} [options.futureDays] - Days after now (default: the feed's, or FEED_FUTURE_DAYS)
+   * @param {string} [options.startDate] - ISO datetime (default: start of the feed window)
+   * @param {string} [options.endDate] - ISO datetime (default: end of the feed window)
+   * @param {number[]} [options.sourceIds] - Subset of the feed sources
+   * @returns {{ events: Event[], sources: Source[], startDate: string, endDate: string }}
+   */
+  getFeedEvents(feed, options = {}) {
+    const sources = Source.findBySlackUserId(feed.slack_user_id)
+      .filter(source => feed.includesSource(source.id))
+      .filter(source => !options.sourceIds || options.sourceIds.includes(source.id));
+
+    const window = this.getDateWindow({
+      pastDays: narrowestDays(feed.past_days, options.pastDays),
+      futureDays: narrowestDays(feed.future_days, options.futureDays)
+    });
+
+    // The days set on the feed are a limit; the default window is not
+    let startDate = options.startDate || window.startDate;
+    let endDate = options.endDate || window.endDate;
+    if (feed.past_days !== null && startDate < window.startDate) {
+      startDate = window.startDate;
+    }
+    if (feed.future_days !== null && endDate > window.endDate) {
+      endDate = window.endDate;
     }
 
-    // Build sources map
-    const sourcesMap = userSources.reduce((map, source) => {
-      map[source.id] = source;
-      return map;
-    }, {});
+    const events = Event.findInWindow(sources.map(s => s.id), { startDate, endDate })
+      .filter(event => feed.matchesKeywords(event));
 
-    // Calculate date range for current year
-    const year = options.year || new Date().getFullYear();
-    const startDate = `${year}-01-01T00:00:00.000Z`;
-    const endDate = `${year}-12-31T23:59:59.999Z`;
+    return { events, sources, startDate, endDate };
+  }
 
-    // Get source IDs
-    const sourceIds = userSources.map(s => s.id);
+  /**
+   * Get the date window of a feed
+   * A rolling window of days relative to now, or a whole year when given
+   * @param {Object} options
+   * @param {number} [options.year] - Year to include
+   * @param {number|null} [options.pastDays] - Days before now (default: DEFAULT_PAST_DAYS)
+   * @param {number|null} [options.futureDays] - Days after now (default: DEFAULT_FUTURE_DAYS)
+   * @returns {{ startDate: string, endDate: string }}
+   */
+  getDateWindow({ year, pastDays = null, futureDays = null } = {}) {
+    if (year) {
+      return {
+        startDate: `${year}-01-01T00:00:00.000Z`,
+        endDate: `${year}-12-31T23:59:59.999Z`
+      };
+    }
 
-    // Get events from all user sources within the year
-    const events = Event.findBySourceIds(sourceIds, { startDate, endDate });
+    const now = Date.now();
+    const day = 24 * 60 * 60 * 1000;
 
-    return this.buildICalendar(events, sourcesMap, options.timezone);
+    return {
+      startDate: new Date(now - (pastDays ?? DEFAULT_PAST_DAYS) * day).toISOString(),
+      endDate: new Date(now + (futureDays ?? DEFAULT_FUTURE_DAYS) * day).toISOString()
+    };
   }
 
   /**
-   * Get map of sources by ID
+   * Build a map of sources by ID
+   * @param {Source[]} sources
    * @returns {Object}
    */
-  getSourcesMap() {
-    const sources = Source.findAll();
+  toSourcesMap(sources) {
     return sources.reduce((map, source) => {
       map[source.id] = source;
       return map;
     }, {});
   }
 
+  /**
+   * Get map of sources by ID
+   * @returns {Object}
+   */
+  getSourcesMap() {
+    return this.toSourcesMap(Source.findAll());
+  }
+
   /**
    * Build the iCalendar structure
    * @param {Array} events
    * @param {Object} sources
    * @param {string} [timezone] - IANA timezone identifier
+   * @param {Object} [options]
+   * @param {string} [options.privacy] - 'full' (default), 'titles' or 'busy'
    * @returns {string}
    */
-  buildICalendar(events, sources, timezone) {
+  buildICalendar(events, sources, timezone, options = {}) {
     // Create vcalendar component
     const vcalendar = new ICAL.Component(['vcalendar', [], []]);
 
@@ -106,52 +208,149 @@ export class ICalGenerator {
       vcalendar.updatePropertyWithValue('x-wr-timezone', timezone);
     }
 
+    // VTIMEZONE of each timezone used by the events, covering their years
+    for (const [tzid, years] of this.getTimezoneYears(events)) {
+      vcalendar.addSubcomponent(buildVTimezone(tzid, years));
+    }
+
     // Add events
     for (const event of events) {
-      const vevent = this.createVEvent(event, sources[event.source_id]);
+      const vevent = this.createVEvent(event, sources[event.source_id], options);
       vcalendar.addSubcomponent(vevent);
     }
 
     return vcalendar.toString();
   }
 
+  /**
+   * Build a CalDAV calendar object: the events sharing a UID (a recurring event
+   * and its modified occurrences), without METHOD as required by RFC 4791
+   * @param {Array} events
+   * @param {Object} sources
+   * @param {Object} [options]
+   * @param {string} [options.privacy] - 'full' (default), 'titles' or 'busy'
+   * @returns {string}
+   */
+  buildCalendarObject(events, sources, options = {}) {
+    const vcalendar = new ICAL.Component(['vcalendar', [], []]);
+
+    vcalendar.updatePropertyWithValue('prodid', this.prodId);
+    vcalendar.updatePropertyWithValue('version', '2.0');
+    vcalendar.updatePropertyWithValue('calscale', 'GREGORIAN');
+
+    for (const [tzid, years] of this.getTimezoneYears(events)) {
+      vcalendar.addSubcomponent(buildVTimezone(tzid, years));
+    }
+
+    for (const event of events) {
+      vcalendar.addSubcomponent(this.createVEvent(event, sources[event.source_id], options));
+    }
+
+    return vcalendar.toString();
+  }
+
+  /**
+   * Get the UID an event is written with
+   * Modified occurrences share the UID of their recurring event
+   * @param {Event} event
+   * @returns {string|null}
+   */
+  getEventUid(event) {
+    return (event.recurrence_id ? getSeriesId(event) : event.external_id) || null;
+  }
+
+  /**
+   * Get the timezones used by timed events and the years they need to cover
+   * Up to next year at least, so recurring events keep their local times
+   * @param {Array} events
+   * @returns {Map<string, { startYear: number, endYear: number }>}
+   */
+  getTimezoneYears(events) {
+    const nextYear = new Date().getUTCFullYear() + 1;
+    const timezones = new Map();
+
+    for (const event of events) {
+      const tzid = this.getEventTimezone(event);
+      if (!tzid) continue;
+
+      const startYear = parseInt(event.start_datetime.substring(0, 4), 10);
+      const endYear = parseInt((event.end_datetime || event.start_datetime).substring(0, 4), 10);
+      const years = timezones.get(tzid) || { startYear, endYear: nextYear };
+
+      timezones.set(tzid, {
+        startYear: Math.min(years.startYear, startYear),
+        endYear: Math.max(years.endYear, endYear)
+      });
+    }
+
+    return timezones;
+  }
+
+  /**
+   * Get the timezone a timed event is written in (null = UTC)
+   * @param {Event} event
+   * @returns {string|null} IANA timezone identifier
+   */
+  getEventTimezone(event) {
+    if (event.all_day) return null;
+
+    const tzid = getRecurrenceTimezone(event);
+    return UTC_TIMEZONES.includes(tzid) ? null : tzid;
+  }
+
   /**
    * Create a VEVENT component from an event
    * @param {Event} event
    * @param {Source} source
+   * @param {Object} [options]
+   * @param {string} [options.privacy] - Privacy of the feed: 'full' (default), 'titles' or 'busy'
    * @returns {ICAL.Component}
    */
-  createVEvent(event, source) {
+  createVEvent(event, source, options = {}) {
+    const privacy = this.getEventPrivacy(event, source, options.privacy);
+    const timezone = this.getEventTimezone(event);
     const vevent = new ICAL.Component('vevent');
 
     // UID - use external_id or generate one
-    const uid = event.external_id || uuidv4();
+    const uid = this.getEventUid(event) || uuidv4();
     vevent.updatePropertyWithValue('uid', uid);
 
     // Summary con prefijo de fuente
     const sourcePrefix = source
       ? (source.type === 'google' ? '[Google]' : source.type === 'microsoft' ? '[Outlook]' : `[${source.name}]`)
       : '';
-    const summary = `${sourcePrefix} ${event.summary || '(Sin título)'}`.trim();
+    const summary = privacy === 'busy'
+      ? BUSY_SUMMARY
+      : `${sourcePrefix} ${event.summary || '(Sin título)'}`.trim();
     vevent.updatePropertyWithValue('summary', summary);
 
-    // Description
-    if (event.description) {
+    // Description and location are only exposed in full feeds
+    if (privacy === 'full' && event.description) {
       vevent.updatePropertyWithValue('description', event.description);
     }
 
-    // Location
-    if (event.location) {
+    if (privacy === 'full' && event.location) {
       vevent.updatePropertyWithValue('location', event.location);
     }
 
+    // So are the people invited, with their responses
+    if (privacy === 'full' && event.organizer) {
+      vevent.addProperty(this.createPersonProperty('organizer', event.organizer));
+    }
+
+    if (privacy === 'full') {
+      for (const attendee of event.attendees || []) {
+        vevent.addProperty(this.createAttendeeProperty(attendee));
+      }
+    }
+
     // Start date/time
-    const dtstart = this.createDateTimeProperty('dtstart', event.start_datetime, event.all_day);
+    const dtstart = this.createDateTimeProperty('dtstart', event.start_datetime, event.all_day, timezone);
     vevent.addProperty(dtstart);
 
     // End date/time
     if (event.end_datetime) {
-      const dtend = this.createDateTimeProperty('dtend', event.end_datetime, event.all_day);
+      const dtend = this.createDateTimeProperty('dtend', event.end_datetime, event.all_day, timezone);
       vevent.addProperty(dtend);
     }
 
@@ -160,45 +359,57 @@ export class ICalGenerator {
       vevent.updatePropertyWithValue('status', event.status.toUpperCase());
     }
 
+    // Free events must not block time in the subscribed calendar
+    vevent.updatePropertyWithValue('transp', isTransparent(event) ? 'TRANSPARENT' : 'OPAQUE');
+
     // Recurrence rule
-    if (event.recurrence) {
+    if (event.recurrence && !event.recurrence_id) {
       try {
-        let rruleStr = event.recurrence;
-
-        // Detect if it's Microsoft Graph JSON format (starts with '{')
-        if (rruleStr.trim().startsWith('{')) {
-          rruleStr = this.convertMicrosoftRecurrence(rruleStr);
-          if (!rruleStr) {
-            // Skip if conversion failed
-            console.warn(`[ICalGenerator] Could not convert Microsoft recurrence for event ${event.id}`);
-          }
-        } else {
-          // Standard RRULE format - strip prefix if present
-          rruleStr = rruleStr.replace(/^RRULE:?/i, '');
-        }
+        const rruleStr = getRRuleString(event.recurrence, {
+          allDay: Boolean(event.all_day),
+          timezone: getRecurrenceTimezone(event)
+        });
 
         if (rruleStr) {
           const rrule = ICAL.Recur.fromString(rruleStr);
           vevent.updatePropertyWithValue('rrule', rrule);
+        } else {
+          console.warn(`[ICalGenerator] Could not convert recurrence for event ${event.id}`);
         }
       } catch {
         // Skip invalid recurrence rules
         console.warn(`[ICalGenerator] Invalid recurrence rule for event ${event.id}: ${event.recurrence}`);
       }
+
+      for (const exdate of event.raw_data?.exdate || []) {
+        vevent.addProperty(this.createDateTimeProperty('exdate', exdate, event.all_day, timezone));
+      }
+      for (const rdate of event.raw_data?.rdate || []) {
+        vevent.addProperty(this.createDateTimeProperty('rdate', rdate, event.all_day, timezone));
+      }
     }
 
-    // Timestamps
+    // Modified occurrence of a recurring event
+    if (event.recurrence_id) {
+      vevent.addProperty(this.createDateTimeProperty('recurrence-id', event.recurrence_id, event.all_day, timezone));
+    }
+
+    // Timestamps (SQLite datetime('now') values, in UTC)
     if (event.created_at) {
-      const created = ICAL.Time.fromJSDate(new Date(event.created_at), false);
+      const created = ICAL.Time.fromJSDate(DateTime.fromSQL(event.created_at, { zone: 'utc' }).toJSDate(), true);
       vevent.updatePropertyWithValue('created', created);
     }
 
     if (event.updated_at) {
-      const dtstamp = ICAL.Time.fromJSDate(new Date(event.updated_at), false);
+      const dtstamp = ICAL.Time.fromJSDate(DateTime.fromSQL(event.updated_at, { zone: 'utc' }).toJSDate(), true);
       vevent.updatePropertyWithValue('dtstamp', dtstamp);
     }
 
-    // Custom properties for source tracking
+    // Custom properties for source tracking (they reveal the calendar, only in full mode)
+    if (privacy !== 'full') {
+      return vevent;
+    }
+
     vevent.updatePropertyWithValue('x-source-id', String(event.source_id));
     if (source) {
       vevent.updatePropertyWithValue('x-source-name', source.name);
@@ -212,65 +423,51 @@ export class ICalGenerator {
   }
 
   /**
-   * Convert Microsoft Graph recurrence format to RRULE string
-   * @param {string} jsonStr - JSON string from Microsoft Graph API
-   * @returns {string|null} RRULE string or null if conversion fails
+   * Get the privacy applied to an event: the most restrictive of the feed,
+   * its source and the event itself (private events are always busy-only)
+   * @param {Event} event
+   * @param {Source} source
+   * @param {string} [feedPrivacy]
+   * @returns {string} 'full', 'titles' or 'busy'
    */
-  convertMicrosoftRecurrence(jsonStr) {
-    try {
-      const recurrence = JSON.parse(jsonStr);
-      const pattern = recurrence.pattern;
-
-      if (!pattern) return null;
-
-      const freqMap = {
-        'daily': 'DAILY',
-        'weekly': 'WEEKLY',
-        'absoluteMonthly': 'MONTHLY',
-        'relativeMonthly': 'MONTHLY',
-        'absoluteYearly': 'YEARLY',
-        'relativeYearly': 'YEARLY'
-      };
-
-      const freq = freqMap[pattern.type];
-      if (!freq) return null;
-
-      let rrule = `FREQ=${freq}`;
-
-      if (pattern.interval && pattern.interval > 1) {
-        rrule += `;INTERVAL=${pattern.interval}`;
-      }
-
-      if (pattern.daysOfWeek?.length) {
-        const dayMap = {
-          sunday: 'SU', monday: 'MO', tuesday: 'TU',
-          wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA'
-        };
-        const days = pattern.daysOfWeek.map(d => dayMap[d]).filter(Boolean).join(',');
-        if (days) {
-          rrule += `;BYDAY=${days}`;
-        }
-      }
-
-      if (pattern.dayOfMonth) {
-        rrule += `;BYMONTHDAY=${pattern.dayOfMonth}`;
-      }
+  getEventPrivacy(event, source, feedPrivacy) {
+    return mostRestrictivePrivacy(
+      feedPrivacy,
+      source?.privacy,
+      isPrivateEvent(event) ? 'busy' : 'full'
+    );
+  }
 
-      if (pattern.month) {
-        rrule += `;BYMONTH=${pattern.month}`;
-      }
+  /**
+   * Create an ORGANIZER or ATTENDEE property
+   * @param {string} name - Property name
+   * @param {{ email: string, name: string|null }} person
+   * @returns {ICAL.Property}
+   */
+  createPersonProperty(name, person) {
+    const prop = new ICAL.Property(name);
+    prop.setValue(`mailto:${person.email}`);
+    if (person.name) {
+      prop.setParameter('cn', person.name);
+    }
+    return prop;
+  }
 
-      if (recurrence.range?.endDate && recurrence.range.type === 'endDate') {
-        const until = recurrence.range.endDate.replace(/-/g, '');
-        rrule += `;UNTIL=${until}`;
-      } else if (recurrence.range?.numberOfOccurrences) {
-        rrule += `;COUNT=${recurrence.range.numberOfOccurrences}`;
-      }
+  /**
+   * Create an ATTENDEE property with its PARTSTAT and ROLE
+   * @param {{ email: string, name: string|null, status: string, role: string }} attendee
+   * @returns {ICAL.Property}
+   */
+  createAttendeeProperty(attendee) {
+    const prop = this.createPersonProperty('attendee', attendee);
 
-      return rrule;
-    } catch {
-      return null;
+    if (attendee.role === 'resource') {
+      prop.setParameter('cutype', 'RESOURCE');
     }
+    prop.setParameter('role', attendee.role === 'optional' ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT');
+    prop.setParameter('partstat', (attendee.status || 'needs-action').toUpperCase());
+
+    return prop;
   }
 
   /**
@@ -278,9 +475,10 @@ export class ICalGenerator {
    * @param {string} name - Property name (dtstart, dtend)
    * @param {string} datetime - ISO date string or date-only string
    * @param {boolean|number} allDay
+   * @param {string|null} [timezone] - IANA timezone to write the local time in (default: UTC)
    * @returns {ICAL.Property}
    */
-  createDateTimeProperty(name, datetime, allDay) {
+  createDateTimeProperty(name, datetime, allDay, timezone = null) {
     const prop = new ICAL.Property(name);
 
     if (allDay) {
@@ -292,10 +490,22 @@ export class ICalGenerator {
       time.day = parseInt(dateStr.substring(6, 8));
       time.isDate = true;
       prop.setValue(time);
+    } else if (timezone) {
+      // Local time with TZID (defined by a VTIMEZONE of the calendar)
+      const local = DateTime.fromISO(datetime, { zone: 'utc' }).setZone(timezone);
+      prop.setValue(ICAL.Time.fromData({
+        year: local.year,
+        month: local.month,
+        day: local.day,
+        hour: local.hour,
+        minute: local.minute,
+        second: local.second
+      }));
+      prop.setParameter('tzid', timezone);
     } else {
-      // DateTime
-      const jsDate = new Date(datetime);
-      const time = ICAL.Time.fromJSDate(jsDate, false);
+      // UTC DateTime (stored values without offset are UTC too)
+      const jsDate = DateTime.fromISO(datetime, { zone: 'utc' }).toJSDate();
+      const time = ICAL.Time.fromJSDate(jsDate, true);
       prop.setValue(time);
     }
 
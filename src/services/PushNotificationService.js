@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { Source } from '../models/Source.js';
+import { PushChannel } from '../models/PushChannel.js';
+import { createProvider } from './CalendarAggregator.js';
+import { getSyncService } from './SyncService.js';
+
+// Requested channel lifetime (Google allows up to 7 days, Graph clamps it lower)
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Channels expiring within this margin are renewed by the renewal job
+const RENEWAL_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for provider push notifications
+ * (Google watch channels and Microsoft Graph subscriptions)
+ * Keeps one live channel per source and turns notifications into immediate syncs
+ */
+export class PushNotificationService {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? (process.env.PUSH_NOTIFICATIONS_ENABLED === 'true');
+    this.baseUrl = options.baseUrl || process.env.WEBHOOK_BASE_URL || process.env.BASE_URL || '';
+    this.inFlight = new Set();
+    this.queued = new Set();
+  }
+
+  /**
+   * Check if push notifications can be used
+   * Providers only deliver notifications to public HTTPS endpoints
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled && this.baseUrl.startsWith('https://');
+  }
+
+  /**
+   * Build the webhook URL for a provider
+   * @param {string} provider - 'google' | 'microsoft'
+   * @returns {string}
+   */
+  getWebhookUrl(provider) {
+    return `${this.baseUrl.replace(/\/$/, '')}/webhooks/${provider}`;
+  }
+
+  /**
+   * Check if a source type supports push notifications
+   * @param {Source} source
+   * @returns {boolean}
+   */
+  supportsPush(source) {
+    try {
+      return createProvider(source).supportsPushNotifications();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create a new channel for a source and store it
+   * @param {Source} source
+   * @returns {Promise<PushChannel>}
+   */
+  async createChannel(source) {
+    const provider = await getSyncService().aggregator.getProvider(source);
+    const channelId = uuidv4();
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const channel = await provider.watchEvents(this.getWebhookUrl(source.type), channelId, {
+      token,
+      ttl: CHANNEL_TTL_SECONDS
+    });
+
+    const pushChannel = PushChannel.create({
+      source_id: source.id,
+      provider: source.type,
+      channel_id: channel.channelId || channelId,
+      resource_id: channel.resourceId,
+      token,
+      expires_at: channel.expiresAt
+    });
+
+    console.log(`[PushNotifications] Channel ${pushChannel.channel_id} created for source ${source.name}`);
+    return pushChannel;
+  }
+
+  /**
+   * Extend an expiring channel, or replace it when the provider cannot renew in place
+   * @param {Source} source
+   * @param {PushChannel} channel
+   * @returns {Promise<boolean>} true if the channel was renewed in place
+   */
+  async renewChannel(source, channel) {
+    const provider = await getSyncService().aggregator.getProvider(source);
+
+    try {
+      const renewed = await provider.renewWatch(channel.channel_id, { ttl: CHANNEL_TTL_SECONDS });
+      if (renewed) {
+        PushChannel.updateExpiration(channel.channel_id, renewed.expiresAt);
+        console.log(`[PushNotifications] Channel ${channel.channel_id} renewed for source ${source.name}`);
+        return true;
+      }
+    } catch (error) {
+      console.warn(`[PushNotifications] Could not renew channel ${channel.channel_id}, re-creating:`, error.message);
+    }
+
+    await this.createChannel(source);
+    await this.stopChannel(channel);
+    return false;
+  }
+
+  /**
+   * Stop a channel in the provider and remove it
+   * @param {PushChannel} channel
+   */
+  async stopChannel(channel) {
+    const source = Source.findById(channel.source_id);
+
+    try {
+      if (source) {
+        const provider = await getSyncService().aggregator.getProvider(source);
+        await provider.stopWatch(channel.channel_id, channel.resource_id);
+      }
+    } catch (error) {
+      // The channel expires on its own, just forget about it
+      console.warn(`[PushNotifications] Could not stop channel ${channel.channel_id}:`, error.message);
+    }
+
+    PushChannel.delete(channel.channel_id);
+  }
+
+  /**
+   * Make sure every enabled source with push support has a live channel
+   * Channels close to expiry are renewed, or replaced before the old one is stopped
+   * @returns {Promise<Object>} Summary of the renewal
+   */
+  async renewChannels() {
+    const results = { created: 0, renewed: 0, stopped: 0, failed: 0 };
+
+    if (!this.isEnabled()) {
+      return results;
+    }
+
+    const renewBefore = Date.now() + RENEWAL_MARGIN_MS;
+    const sources = Source.findEnabled().filter(source => this.supportsPush(source));
+    const activeSourceIds = new Set(sources.map(s => s.id));
+
+    for (const source of sources) {
+      const [latest, ...older] = PushChannel.findBySourceId(source.id);
+
+      if (latest && !latest.expiresBefore(renewBefore)) continue;
+
+      try {
+        if (latest && await this.renewChannel(source, latest)) {
+          results.renewed++;
+        } else {
+          results.created++;
+        }
+
+        for (const channel of older) {
+          await this.stopChannel(channel);
+          results.stopped++;
+        }
+      } catch (error) {
+        console.error(`[PushNotifications] Failed to renew channel for source ${source.id}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    // Channels of disabled or deleted sources are no longer needed
+    for (const channel of PushChannel.findAll()) {
+      if (!activeSourceIds.has(channel.source_id)) {
+        await this.stopChannel(channel);
+        results.stopped++;
+      }
+    }
+
+    console.log(`[PushNotifications] Channels checked: ${results.created} created, ${results.renewed} renewed, ${results.stopped} stopped, ${results.failed} failed`);
+    return results;
+  }
+
+  /**
+   * Handle a Google Calendar watch notification
+   * @param {Object} notification
+   * @param {string} notification.channelId - X-Goog-Channel-ID
+   * @param {string} notification.resourceId - X-Goog-Resource-ID
+   * @param {string} notification.resourceState - X-Goog-Resource-State
+   * @param {string} notification.token - X-Goog-Channel-Token
+   * @returns {boolean} false if the channel is unknown or the token does not match
+   */
+  handleGoogleNotification({ channelId, resourceId, resourceState, token }) {
+    const channel = channelId ? PushChannel.findByChannelId(channelId) : null;
+
+    if (!channel || channel.provider !== 'google') {
+      console.warn(`[PushNotifications] Unknown Google channel: ${channelId}`);
+      return false;
+    }
+
+    if (!this.tokensMatch(channel.token, token) || (channel.resource_id && channel.resource_id !== resourceId)) {
+      console.warn(`[PushNotifications] Invalid token or resource for Google channel: ${channelId}`);
+      return false;
+    }
+
+    // The first message of every channel only confirms its creation
+    if (resourceState === 'sync') {
+      return true;
+    }
+
+    this.triggerSync(channel.source_id);
+    return true;
+  }
+
+  /**
+   * Handle a Microsoft Graph change notification
+   * @param {Object} notification - Item of the notification "value" array
+   * @param {string} notification.subscriptionId
+   * @param {string} notification.clientState
+   * @returns {boolean} false if the subscription is unknown or the clientState does not match
+   */
+  handleMicrosoftNotification({ subscriptionId, clientState }) {
+    const channel = subscriptionId ? PushChannel.findByChannelId(subscriptionId) : null;
+
+    if (!channel || channel.provider !== 'microsoft') {
+      console.warn(`[PushNotifications] Unknown Microsoft subscription: ${subscriptionId}`);
+      return false;
+    }
+
+    if (!this.tokensMatch(channel.token, clientState)) {
+      console.warn(`[PushNotifications] Invalid clientState for Microsoft subscription: ${subscriptionId}`);
+      return false;
+    }
+
+    this.triggerSync(channel.source_id);
+    return true;
+  }
+
+  /**
+   * Constant time comparison of the stored channel token and the received one
+   * @param {string} expected
+   * @param {string} received
+   * @returns {boolean}
+   */
+  tokensMatch(expected, received) {
+    if (!expected || !received) return false;
+
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+
+    return expectedBuffer.length === receivedBuffer.length
+      && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Sync a source right away
+   * Notifications arriving while the source is syncing are coalesced into one more run
+   * @param {number} sourceId
+   */
+  triggerSync(sourceId) {
+    if (this.inFlight.has(sourceId)) {
+      this.queued.add(sourceId);
+      return;
+    }
+
+    this.inFlight.add(sourceId);
+
+    const run = async () => {
+      try {
+        await getSyncService().syncSource(sourceId);
+      } catch (error) {
+        console.error(`[PushNotifications] Failed to sync source ${sourceId}:`, error.message);
+      }
+
+      if (this.queued.delete(sourceId)) {
+        return run();
+      }
+
+      this.inFlight.delete(sourceId);
+    };
+
+    run();
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getPushNotificationService(options) {
+  if (!instance) {
+    instance = new PushNotificationService(options);
+  }
+  return instance;
+}
+
+export default PushNotificationService;
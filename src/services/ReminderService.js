@@ -0,0 +1,204 @@
+import { DateTime } from 'luxon';
+import { Source } from '../models/Source.js';
+import { Event } from '../models/Event.js';
+import { SentReminder } from '../models/SentReminder.js';
+import { UserSettings } from '../models/UserSettings.js';
+import { getUserTimezone } from '../slack/commands/evento.js';
+import { isBusyPlaceholder } from '../utils/busyPlaceholder.js';
+import { getMeetingLink } from '../utils/meetingLinks.js';
+import { getSeriesId } from '../utils/recurrence.js';
+import { formatTimeInZone } from '../utils/timezone.js';
+
+// Records of reminders are kept a day after the meeting started, so an event
+// still being synced around its start time is never notified again
+const RETENTION_HOURS = 24;
+
+/**
+ * Normalize a stored datetime to an ISO UTC string
+ * Values without offset (Microsoft Graph) are already in UTC
+ * @param {string} value
+ * @returns {string}
+ */
+function toUTCString(value) {
+  return DateTime.fromISO(value, { zone: 'utc' }).toUTC().toISO();
+}
+
+/**
+ * Service for the pre-meeting reminders sent by DM
+ */
+export class ReminderService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Check if an event deserves a reminder
+   * All-day, cancelled and busy placeholder events are skipped
+   * @param {Event} event
+   * @returns {boolean}
+   */
+  isRemindable(event) {
+    if (event.all_day || event.status === 'cancelled') return false;
+    return !isBusyPlaceholder(event);
+  }
+
+  /**
+   * Identifier of an occurrence, stable across resyncs
+   * @param {Event} event
+   * @returns {string}
+   */
+  getEventKey(event) {
+    return event.recurrence_id
+      ? `${getSeriesId(event)}_${event.recurrence_id}`
+      : event.external_id;
+  }
+
+  /**
+   * Find the events of a user starting in the next minutes
+   * @param {string} slackUserId
+   * @param {number} minutes - Reminder lead time
+   * @param {DateTime} now
+   * @returns {Event[]}
+   */
+  findUpcomingEvents(slackUserId, minutes, now) {
+    const sourceIds = Source.findBySlackUserId(slackUserId)
+      .filter(source => source.enabled)
+      .map(source => source.id);
+
+    if (!sourceIds.length) {
+      return [];
+    }
+
+    // Events in progress are also returned: keep those starting inside the range
+    const from = now.toISO();
+    const until = now.plus({ minutes }).toISO();
+    const occurrences = Event.findOccurrences(sourceIds, { startDate: from, endDate: until });
+
+    return occurrences.filter(event => {
+      if (!this.isRemindable(event)) return false;
+      const start = toUTCString(event.start_datetime);
+      return start > from && start <= until;
+    });
+  }
+
+  /**
+   * Build the Slack message of a reminder
+   * @param {Event} event
+   * @param {string} timezone - IANA timezone identifier
+   * @param {DateTime} now
+   * @returns {{ text: string, blocks: Array }}
+   */
+  buildReminder(event, timezone, now) {
+    const title = event.summary || '(Sin título)';
+    const start = DateTime.fromISO(toUTCString(event.start_datetime));
+    const minutesLeft = Math.max(1, Math.round(start.diff(now, 'minutes').minutes));
+    const time = event.end_datetime
+      ? `${formatTimeInZone(start.toISO(), timezone)} - ${formatTimeInZone(toUTCString(event.end_datetime), timezone)}`
+      : formatTimeInZone(start.toISO(), timezone);
+
+    const meetingLink = getMeetingLink(event);
+    const lines = [`⏰ *${title}* empieza en ${minutesLeft} min`, `🕐 ${time}`];
+
+    // The location is usually the link itself in online meetings
+    if (event.location && event.location !== meetingLink?.url) {
+      lines.push(`📍 ${event.location}`);
+    }
+
+    const blocks = [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: lines.join('\n') }
+      }
+    ];
+
+    if (meetingLink) {
+      blocks.push({
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: `Unirse a ${meetingLink.name}`, emoji: true },
+            style: 'primary',
+            action_id: 'reminder_join',
+            url: meetingLink.url
+          }
+        ]
+      });
+    }
+
+    return { text: `${title} empieza en ${minutesLeft} min`, blocks };
+  }
+
+  /**
+   * Send the reminders of the meetings starting soon
+   * Each occurrence is claimed before sending, so restarts, resyncs and
+   * overlapping runs never notify it twice
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<{ sent: number, failed: Array<{ slackUserId: string, error: string }> }>}
+   */
+  async sendDueReminders(client) {
+    const results = { sent: 0, failed: [] };
+
+    if (this.running) {
+      return results;
+    }
+
+    this.running = true;
+
+    try {
+      const now = DateTime.utc();
+
+      for (const settings of UserSettings.findWithRemindersEnabled()) {
+        const slackUserId = settings.slack_user_id;
+
+        const pending = this.findUpcomingEvents(slackUserId, settings.reminder_minutes, now)
+          .map(event => ({
+            event,
+            claim: {
+              slack_user_id: slackUserId,
+              source_id: event.source_id,
+              event_key: this.getEventKey(event),
+              start_datetime: toUTCString(event.start_datetime)
+            }
+          }))
+          .filter(({ claim }) => SentReminder.claim(claim));
+
+        if (!pending.length) continue;
+
+        const timezone = await getUserTimezone(client, slackUserId);
+
+        for (const { event, claim } of pending) {
+          try {
+            await client.chat.postMessage({
+              channel: slackUserId,
+              ...this.buildReminder(event, timezone, now)
+            });
+            results.sent++;
+          } catch (error) {
+            console.error(`[Reminders] Failed to send reminder to ${slackUserId}:`, error.message);
+            SentReminder.release(claim);
+            results.failed.push({ slackUserId, error: error.message });
+          }
+        }
+      }
+
+      SentReminder.deleteStartedBefore(now.minus({ hours: RETENTION_HOURS }).toISO());
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getReminderService() {
+  if (!instance) {
+    instance = new ReminderService();
+  }
+  return instance;
+}
+
+export default ReminderService;
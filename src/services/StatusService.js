@@ -0,0 +1,299 @@
+import { DateTime } from 'luxon';
+import { Source } from '../models/Source.js';
+import { Event } from '../models/Event.js';
+import { StatusSettings } from '../models/StatusSettings.js';
+import { getUserTimezone } from '../slack/commands/evento.js';
+import { isBusyPlaceholder } from '../utils/busyPlaceholder.js';
+import { isTransparent } from '../utils/privacy.js';
+import { getSeriesId } from '../utils/recurrence.js';
+import { getAllDayInterval } from '../utils/timezone.js';
+
+// Status set for each kind of event, in order of priority
+export const STATUS_PRESETS = {
+  ooo: { emoji: ':palm_tree:', text: 'Fuera de la oficina' },
+  meeting: { emoji: ':spiral_calendar_pad:', text: 'En una reunión' },
+  focus: { emoji: ':headphones:', text: 'Tiempo de concentración' }
+};
+
+const KIND_PRIORITY = Object.keys(STATUS_PRESETS);
+
+// Slack errors meaning the user token can no longer be used
+const REVOKED_TOKEN_ERRORS = ['token_revoked', 'invalid_auth', 'account_inactive', 'missing_scope', 'not_authed'];
+
+/**
+ * Normalize a stored datetime to a UTC DateTime
+ * Values without offset (Microsoft Graph) are already in UTC
+ * @param {string} value
+ * @returns {DateTime}
+ */
+function toUTC(value) {
+  return DateTime.fromISO(value, { zone: 'utc' }).toUTC();
+}
+
+/**
+ * Service for the automatic Slack status
+ * Sets the status of a user while they are in a meeting, out of office or in
+ * focus time, and restores their previous status afterwards
+ */
+export class StatusService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Decide which kind of status an event sets
+   * @param {Event} event
+   * @param {StatusSettings} settings
+   * @returns {'ooo'|'meeting'|'focus'|null}
+   */
+  classify(event, settings) {
+    if (event.status === 'cancelled' || isBusyPlaceholder(event)) return null;
+    if (!settings.includesSource(event.source_id) || settings.isIgnored(event)) return null;
+
+    const rawData = event.raw_data || {};
+
+    // Microsoft showAs 'oof' and Google out of office events
+    if (rawData.showAs === 'oof' || rawData.eventType === 'outOfOffice') return 'ooo';
+
+    // Other all-day events (birthdays, holidays of the team) do not change the status
+    if (event.all_day || !event.end_datetime) return null;
+
+    if (rawData.eventType === 'focusTime' || settings.isFocusTime(event)) return 'focus';
+
+    return isTransparent(event) ? null : 'meeting';
+  }
+
+  /**
+   * Get the start and end of an event
+   * All-day dates are interpreted in the user's timezone
+   * @param {Event} event
+   * @param {Function} getTimezone - Resolves the user's timezone (only called for all-day events)
+   * @returns {Promise<{ start: DateTime, end: DateTime }>}
+   */
+  async getInterval(event, getTimezone) {
+    if (!event.all_day) {
+      return { start: toUTC(event.start_datetime), end: toUTC(event.end_datetime) };
+    }
+
+    return getAllDayInterval(event, await getTimezone());
+  }
+
+  /**
+   * Find the status a user should have now
+   * @param {StatusSettings} settings
+   * @param {DateTime} now
+   * @param {Function} getTimezone
+   * @returns {Promise<{ kind: string, eventKey: string, text: string, emoji: string, expiration: number }|null>}
+   */
+  async getDesiredStatus(settings, now, getTimezone) {
+    const sourceIds = Source.findBySlackUserId(settings.slack_user_id)
+      .filter(source => source.enabled && settings.includesSource(source.id))
+      .map(source => source.id);
+
+    if (!sourceIds.length) {
+      return null;
+    }
+
+    const occurrences = Event.findOccurrences(sourceIds, {
+      startDate: now.toISO(),
+      endDate: now.plus({ days: 1 }).toISO()
+    });
+
+    const current = [];
+
+    for (const event of occurrences) {
+      const kind = this.classify(event, settings);
+      if (!kind) continue;
+
+      const { start, end } = await this.getInterval(event, getTimezone);
+      if (start <= now && now < end) {
+        current.push({ event, kind, end });
+      }
+    }
+
+    if (!current.length) {
+      return null;
+    }
+
+    // Highest priority first; among equals, the one ending first
+    current.sort((a, b) => KIND_PRIORITY.indexOf(a.kind) - KIND_PRIORITY.indexOf(b.kind) || a.end - b.end);
+    const { event, kind, end } = current[0];
+
+    const occurrenceKey = event.recurrence_id
+      ? `${getSeriesId(event)}_${event.recurrence_id}`
+      : event.external_id;
+
+    return {
+      kind,
+      eventKey: `${event.source_id}:${occurrenceKey}`,
+      ...STATUS_PRESETS[kind],
+      expiration: Math.floor(end.toSeconds())
+    };
+  }
+
+  /**
+   * Set the Slack status of a user
+   * @param {Object} client - Slack Web API client
+   * @param {string} token - Slack user token
+   * @param {Object} status - { text, emoji, expiration }
+   */
+  async setStatus(client, token, status) {
+    await client.users.profile.set({
+      token,
+      profile: {
+        status_text: status.text || '',
+        status_emoji: status.emoji || '',
+        status_expiration: status.expiration || 0
+      }
+    });
+  }
+
+  /**
+   * Restore the status a user had before the bot changed it
+   * Nothing is restored if the user changed the status in the meantime
+   * @param {Object} client - Slack Web API client
+   * @param {StatusSettings} settings
+   * @param {Object} [profile] - Current Slack profile (fetched if missing)
+   * @returns {Promise<boolean>} true if the status was restored
+   */
+  async restore(client, settings, profile = null) {
+    if (!settings.active_kind) return false;
+
+    const token = settings.userToken;
+    if (!token) {
+      StatusSettings.clearApplied(settings.slack_user_id);
+      return false;
+    }
+
+    const current = profile || (await client.users.profile.get({ token })).profile;
+    const showsOurStatus = current.status_text === settings.active_text && current.status_emoji === settings.active_emoji;
+    const isEmpty = !current.status_text && !current.status_emoji;
+    let restored = false;
+
+    if (showsOurStatus || isEmpty) {
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const previousExpired = settings.previous_expiration && settings.previous_expiration <= nowSeconds;
+      const previous = previousExpired
+        ? {}
+        : { text: settings.previous_text, emoji: settings.previous_emoji, expiration: settings.previous_expiration };
+
+      if (!isEmpty || previous.text || previous.emoji) {
+        await this.setStatus(client, token, previous);
+        restored = true;
+      }
+    }
+
+    StatusSettings.clearApplied(settings.slack_user_id);
+    return restored;
+  }
+
+  /**
+   * Bring the Slack status of a user in line with their calendar
+   * @param {Object} client - Slack Web API client
+   * @param {StatusSettings} settings
+   * @param {DateTime} now
+   * @returns {Promise<'set'|'restored'|null>} What changed
+   */
+  async syncUser(client, settings, now) {
+    const slackUserId = settings.slack_user_id;
+    let timezone = null;
+    const getTimezone = async () => {
+      timezone = timezone || await getUserTimezone(client, slackUserId);
+      return timezone;
+    };
+
+    const desired = await this.getDesiredStatus(settings, now, getTimezone);
+
+    // Nothing to do: no event now and no status of ours to undo
+    if (!desired && !settings.active_kind) return null;
+
+    // Same event as last time (already set, or replaced by the user)
+    if (desired && desired.eventKey === settings.active_event_key) return null;
+
+    const token = settings.userToken;
+    if (!token) return null;
+
+    const { profile } = await client.users.profile.get({ token });
+
+    if (!desired) {
+      return (await this.restore(client, settings, profile)) ? 'restored' : null;
+    }
+
+    if (settings.active_kind) {
+      const showsOurStatus = profile.status_text === settings.active_text && profile.status_emoji === settings.active_emoji;
+      const isEmpty = !profile.status_text && !profile.status_emoji;
+
+      // The user set their own status during the previous event: leave it alone
+      if (!showsOurStatus && !isEmpty) {
+        StatusSettings.clearApplied(slackUserId);
+        return null;
+      }
+
+      // Back-to-back events keep the status saved before the first one
+      await this.setStatus(client, token, desired);
+      StatusSettings.markApplied(slackUserId, desired);
+      return 'set';
+    }
+
+    await this.setStatus(client, token, desired);
+    StatusSettings.markApplied(slackUserId, desired, {
+      text: profile.status_text,
+      emoji: profile.status_emoji,
+      expiration: profile.status_expiration
+    });
+    return 'set';
+  }
+
+  /**
+   * Update the Slack status of every user with automatic status enabled
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<{ set: number, restored: number, failed: Array<{ slackUserId: string, error: string }> }>}
+   */
+  async syncStatuses(client) {
+    const results = { set: 0, restored: 0, failed: [] };
+
+    if (this.running) {
+      return results;
+    }
+
+    this.running = true;
+
+    try {
+      const now = DateTime.utc();
+
+      for (const settings of StatusSettings.findEnabled()) {
+        const slackUserId = settings.slack_user_id;
+
+        try {
+          const change = await this.syncUser(client, settings, now);
+          if (change) results[change]++;
+        } catch (error) {
+          const slackError = error.data?.error;
+          if (REVOKED_TOKEN_ERRORS.includes(slackError)) {
+            console.warn(`[Status] Slack token of ${slackUserId} no longer valid (${slackError}), disconnecting`);
+            StatusSettings.removeUserToken(slackUserId);
+          } else {
+            console.error(`[Status] Failed to update status of ${slackUserId}:`, error.message);
+          }
+          results.failed.push({ slackUserId, error: error.message });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getStatusService() {
+  if (!instance) {
+    instance = new StatusService();
+  }
+  return instance;
+}
+
+export default StatusService;
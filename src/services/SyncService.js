@@ -2,6 +2,7 @@ import { Source } from '../models/Source.js';
 import { Event } from '../models/Event.js';
 import { SyncState } from '../models/SyncState.js';
 import { CalendarAggregator } from './CalendarAggregator.js';
+import { getBusyMirrorService } from './BusyMirrorService.js';
 
 /**
  * Service for synchronizing calendar sources
@@ -95,6 +96,7 @@ export class SyncService {
           sync_token: result.newSyncState?.sync_token,
           etag: result.newSyncState?.etag
         });
+        await this.mirrorBusyBlocks(source);
         return { unchanged: true, eventsCount: syncState?.events_count || 0 };
       }
 
@@ -124,6 +126,8 @@ export class SyncService {
 
       console.log(`[SyncService] Source ${source.name} synced: ${totalEvents} events`);
 
+      await this.mirrorBusyBlocks(source);
+
       return {
         unchanged: false,
         eventsCount: totalEvents,
@@ -136,6 +140,21 @@ export class SyncService {
     }
   }
 
+  /**
+   * Update the busy placeholders created from a source in its mirror target
+   * Mirroring errors never fail the sync of the source
+   * @param {Source} source
+   */
+  async mirrorBusyBlocks(source) {
+    if (!source.mirror_target_id) return;
+
+    try {
+      await getBusyMirrorService().mirrorSource(source);
+    } catch (error) {
+      console.error(`[SyncService] Failed to mirror busy blocks of source ${source.id}:`, error.message);
+    }
+  }
+
   /**
    * Sync all sources for a specific user
    * @param {string} slackUserId
@@ -0,0 +1,370 @@
+import { DateTime } from 'luxon';
+import { parseXML, getChildren, getChild, getChildText, escapeXML } from '../utils/xml.js';
+
+// Recursos pedidos por cada calendar-multiget
+const MULTIGET_BATCH_SIZE = 100;
+
+// Namespaces usados en los cuerpos de las peticiones
+const NAMESPACES = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:cs="http://calendarserver.org/ns/" xmlns:ical="http://apple.com/ns/ical/"';
+
+/**
+ * Servicio para interactuar con servidores CalDAV (Nextcloud, Fastmail, iCloud...)
+ * Utiliza autenticacion Basic con usuario y contraseña (o contraseña de aplicacion)
+ */
+class CalDAVCalendarService {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - URL del servidor o de un calendario
+   * @param {string} options.username
+   * @param {string} options.password
+   * @param {number} [options.timeout] - Timeout de cada peticion en ms
+   */
+  constructor({ url, username, password, timeout = 30000 }) {
+    this.url = url;
+    this.timeout = timeout;
+    this.authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  /**
+   * Realiza una peticion WebDAV
+   * @param {string} method - PROPFIND, REPORT...
+   * @param {string} url - URL absoluta
+   * @param {Object} [options]
+   * @param {string} [options.body] - Cuerpo XML
+   * @param {string} [options.depth] - Cabecera Depth
+   * @returns {Promise<{ status: number, text: string }>}
+   */
+  async _request(method, url, { body, depth } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': this.authorization,
+          'Content-Type': 'application/xml; charset=utf-8',
+          ...(depth !== undefined && { 'Depth': depth })
+        },
+        body,
+        signal: controller.signal
+      });
+
+      return { status: response.status, text: await response.text() };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`CalDAV Error: timeout despues de ${this.timeout}ms`);
+      }
+      throw new Error(`CalDAV Error: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Realiza una peticion que debe responder 207 Multi-Status
+   * @returns {Promise<Object>} Raiz del XML de la respuesta
+   */
+  async _multistatus(method, url, body, depth) {
+    const { status, text } = await this._request(method, url, { body, depth });
+    if (status !== 207) {
+      this._handleError(status, text);
+    }
+    return parseXML(text);
+  }
+
+  /**
+   * Convierte un href de una respuesta en URL absoluta
+   * @param {string} href
+   * @returns {string}
+   */
+  _resolve(href) {
+    return new URL(href, this.url).toString();
+  }
+
+  /**
+   * Lee las respuestas de un Multi-Status
+   * @param {Object} root - XML parseado
+   * @returns {Array<{ href: string, status: number|null, props: Object }>} props con las
+   *   propiedades encontradas (status 200), indexadas por nombre local
+   */
+  _parseResponses(root) {
+    const multistatus = getChild(root, 'multistatus');
+
+    return getChildren(multistatus, 'response').map(response => {
+      const props = {};
+      for (const propstat of getChildren(response, 'propstat')) {
+        if (parseStatus(getChildText(propstat, 'status')) !== 200) continue;
+        for (const prop of getChild(propstat, 'prop')?.children || []) {
+          props[prop.name] = prop;
+        }
+      }
+
+      return {
+        href: getChildText(response, 'href'),
+        status: parseStatus(getChildText(response, 'status')),
+        props
+      };
+    });
+  }
+
+  /**
+   * PROPFIND de unas propiedades
+   * @param {string} url
+   * @param {string[]} props - Propiedades con prefijo (ej: 'd:displayname')
+   * @param {string} [depth]
+   * @returns {Promise<Array>} Respuestas (ver _parseResponses)
+   */
+  async propfind(url, props, depth = '0') {
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind ${NAMESPACES}><d:prop>${props.map(p => `<${p}/>`).join('')}</d:prop></d:propfind>`;
+
+    return this._parseResponses(await this._multistatus('PROPFIND', url, body, depth));
+  }
+
+  /**
+   * Descubre los calendarios de eventos de la cuenta (RFC 4791 y RFC 6764)
+   * Si la URL ya es un calendario, devuelve solo ese
+   * @returns {Promise<Array<{ id: string, name: string, color: string|null }>>} id es la URL del calendario
+   */
+  async discoverCalendars() {
+    const props = ['d:resourcetype', 'd:displayname', 'd:current-user-principal', 'c:calendar-home-set',
+      'c:supported-calendar-component-set', 'ical:calendar-color'];
+
+    let [response] = await this.propfind(this.url, props);
+    if (isEventCalendar(response)) {
+      return [toCalendar(response, this.url)];
+    }
+
+    // Servidores que solo responden en la URL de descubrimiento (ej: https://servidor/)
+    let homeHref = getHref(response?.props['calendar-home-set']);
+    let principalHref = getHref(response?.props['current-user-principal']);
+    if (!homeHref && !principalHref) {
+      [response] = await this.propfind(new URL('/.well-known/caldav', this.url).toString(), props);
+      homeHref = getHref(response?.props['calendar-home-set']);
+      principalHref = getHref(response?.props['current-user-principal']);
+    }
+
+    if (!homeHref && principalHref) {
+      const [principal] = await this.propfind(this._resolve(principalHref), ['c:calendar-home-set']);
+      homeHref = getHref(principal?.props['calendar-home-set']);
+    }
+
+    if (!homeHref) {
+      throw new Error('CalDAV Error: no se encontraron calendarios en esta URL');
+    }
+
+    const homeUrl = this._resolve(homeHref);
+    const responses = await this.propfind(homeUrl, props, '1');
+
+    return responses
+      .filter(isEventCalendar)
+      .map(calendar => toCalendar(calendar, this._resolve(calendar.href)));
+  }
+
+  /**
+   * Obtiene el estado de un calendario para detectar cambios
+   * @param {string} calendarUrl
+   * @returns {Promise<{ syncToken: string|null, ctag: string|null }>}
+   */
+  async getCollectionState(calendarUrl) {
+    const [response] = await this.propfind(calendarUrl, ['d:sync-token', 'cs:getctag']);
+
+    return {
+      syncToken: response?.props['sync-token']?.text.trim() || null,
+      ctag: response?.props.getctag?.text.trim() || null
+    };
+  }
+
+  /**
+   * Obtiene los recursos con eventos que caen en un rango (calendar-query)
+   * Los eventos recurrentes se devuelven completos si alguna repeticion cae en el rango
+   * @param {string} calendarUrl
+   * @param {Object} range
+   * @param {string} range.start - ISO datetime
+   * @param {string} range.end - ISO datetime
+   * @returns {Promise<Array<{ href: string, etag: string|null, data: string }>>}
+   */
+  async queryEvents(calendarUrl, { start, end }) {
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query ${NAMESPACES}>
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${toCalDAVTime(start)}" end="${toCalDAVTime(end)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+    const root = await this._multistatus('REPORT', calendarUrl, body, '1');
+    return toResources(this._parseResponses(root));
+  }
+
+  /**
+   * Obtiene unos recursos concretos (calendar-multiget)
+   * @param {string} calendarUrl
+   * @param {string[]} hrefs
+   * @returns {Promise<Array<{ href: string, etag: string|null, data: string }>>}
+   */
+  async getResources(calendarUrl, hrefs) {
+    const resources = [];
+
+    for (let i = 0; i < hrefs.length; i += MULTIGET_BATCH_SIZE) {
+      const batch = hrefs.slice(i, i + MULTIGET_BATCH_SIZE);
+      const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-multiget ${NAMESPACES}>
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  ${batch.map(href => `<d:href>${escapeXML(href)}</d:href>`).join('\n  ')}
+</c:calendar-multiget>`;
+
+      const root = await this._multistatus('REPORT', calendarUrl, body, '1');
+      resources.push(...toResources(this._parseResponses(root)));
+    }
+
+    return resources;
+  }
+
+  /**
+   * Sincronizacion incremental con sync-collection (RFC 6578)
+   * @param {string} calendarUrl
+   * @param {string} syncToken - Token de la sincronizacion anterior
+   * @returns {Promise<Object|null>} { changed, deleted, syncToken } con los hrefs modificados
+   *   y eliminados, o null si el servidor ya no acepta el token
+   */
+  async syncCollection(calendarUrl, syncToken) {
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<d:sync-collection ${NAMESPACES}>
+  <d:sync-token>${escapeXML(syncToken)}</d:sync-token>
+  <d:sync-level>1</d:sync-level>
+  <d:prop><d:getetag/></d:prop>
+</d:sync-collection>`;
+
+    const { status, text } = await this._request('REPORT', calendarUrl, { body, depth: '0' });
+
+    // Token caducado o invalido (precondicion DAV:valid-sync-token)
+    if ((status === 403 || status === 409) && text.includes('valid-sync-token')) {
+      console.log('[CalDAV] sync-token invalido, se necesita sincronizacion completa');
+      return null;
+    }
+    if (status !== 207) {
+      this._handleError(status, text);
+    }
+
+    const root = parseXML(text);
+    const changed = [];
+    const deleted = [];
+
+    for (const response of this._parseResponses(root)) {
+      if (response.status === 404) {
+        deleted.push(response.href);
+      } else if (response.props.getetag) {
+        // Solo recursos (la propia coleccion no tiene getetag)
+        changed.push(response.href);
+      }
+    }
+
+    return {
+      changed,
+      deleted,
+      syncToken: getChildText(getChild(root, 'multistatus'), 'sync-token')
+    };
+  }
+
+  /**
+   * Maneja errores de CalDAV
+   * @param {number} status
+   * @param {string} text - Cuerpo de la respuesta
+   */
+  _handleError(status, text) {
+    const errorMap = {
+      401: 'Usuario o contraseña incorrectos',
+      403: 'Sin permisos para acceder al calendario',
+      404: 'Calendario no encontrado',
+      405: 'La URL no es de un servidor CalDAV',
+      429: 'Rate limit excedido'
+    };
+
+    const customMessage = errorMap[status] || `HTTP ${status}`;
+    console.error(`[CalDAV] Error ${status}: ${customMessage}`, text ? text.substring(0, 200) : '');
+
+    throw new Error(`CalDAV Error: ${customMessage}`);
+  }
+}
+
+/**
+ * Extrae el codigo de una linea de estado HTTP (ej: "HTTP/1.1 404 Not Found")
+ * @param {string|null} statusLine
+ * @returns {number|null}
+ */
+function parseStatus(statusLine) {
+  const match = statusLine?.match(/\s(\d{3})(\s|$)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Obtiene el href dentro de una propiedad (ej: calendar-home-set)
+ * @param {Object|undefined} prop
+ * @returns {string|null}
+ */
+function getHref(prop) {
+  return getChildText(prop, 'href');
+}
+
+/**
+ * Verifica si una respuesta de PROPFIND es un calendario que admite eventos
+ * @param {Object|undefined} response
+ * @returns {boolean}
+ */
+function isEventCalendar(response) {
+  if (!getChild(response?.props.resourcetype, 'calendar')) return false;
+
+  // Sin supported-calendar-component-set se admiten todos los componentes
+  const components = getChildren(response.props['supported-calendar-component-set'], 'comp')
+    .map(comp => comp.attributes.name?.toUpperCase());
+  return components.length === 0 || components.includes('VEVENT');
+}
+
+/**
+ * Convierte una respuesta de PROPFIND en un calendario
+ * @param {Object} response
+ * @param {string} url - URL absoluta del calendario
+ * @returns {{ id: string, name: string, color: string|null }}
+ */
+function toCalendar(response, url) {
+  const fallbackName = decodeURIComponent(new URL(url).pathname.split('/').filter(Boolean).pop() || url);
+
+  return {
+    id: url,
+    name: response.props.displayname?.text.trim() || fallbackName,
+    // Apple y Nextcloud usan #RRGGBBAA
+    color: response.props['calendar-color']?.text.trim().substring(0, 7) || null
+  };
+}
+
+/**
+ * Convierte las respuestas de un REPORT en recursos con su iCalendar
+ * @param {Array} responses
+ * @returns {Array<{ href: string, etag: string|null, data: string }>}
+ */
+function toResources(responses) {
+  return responses
+    .filter(response => response.props['calendar-data'])
+    .map(response => ({
+      href: response.href,
+      etag: response.props.getetag?.text.trim() || null,
+      data: response.props['calendar-data'].text
+    }));
+}
+
+/**
+ * Formatea una fecha ISO como fecha UTC de CalDAV (ej: 20240115T090000Z)
+ * @param {string} isoDateTime
+ * @returns {string}
+ */
+function toCalDAVTime(isoDateTime) {
+  return DateTime.fromISO(isoDateTime, { zone: 'utc' }).toUTC().toFormat('yyyyMMdd\'T\'HHmmss\'Z\'');
+}
+
+export default CalDAVCalendarService;
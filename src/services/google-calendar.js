@@ -1,6 +1,7 @@
 import { google } from 'googleapis';
 import dotenv from 'dotenv';
 import { OAuthToken } from '../models/OAuthToken.js';
+import { GOOGLE_PLACEHOLDER_PROPERTY } from '../utils/busyPlaceholder.js';
 
 dotenv.config();
 
@@ -19,12 +20,15 @@ class GoogleCalendarService {
   /**
    * Inicializa autenticacion OAuth 2.0 con tokens de la BD
    * @param {string} slackUserId - ID del usuario de Slack
+   * @param {number} [oauthTokenId] - ID del token de la cuenta (por defecto, la primera cuenta de Google)
    */
-  async initOAuthFromDB(slackUserId) {
+  async initOAuthFromDB(slackUserId, oauthTokenId = null) {
     this.slackUserId = slackUserId;
     console.log(`[GoogleCalendar] Initializing for Slack user: ${slackUserId}`);
 
-    const tokenRecord = OAuthToken.findBySlackUserId(slackUserId, 'google');
+    const tokenRecord = oauthTokenId
+      ? OAuthToken.findById(oauthTokenId)
+      : OAuthToken.findBySlackUserId(slackUserId, 'google');
     if (!tokenRecord) {
       console.error(`[GoogleCalendar] No tokens found for user: ${slackUserId}`);
       throw new Error(`No hay tokens OAuth para el usuario: ${slackUserId}`);
@@ -46,17 +50,16 @@ class GoogleCalendarService {
       // Actualizar access_token en la BD
       if (newTokens.access_token) {
         OAuthToken.updateAccessToken(
-          slackUserId,
+          tokenRecord.id,
           newTokens.access_token,
-          newTokens.expiry_date,
-          'google'
+          newTokens.expiry_date
         );
       }
 
       // Si hay nuevo refresh_token (raro pero posible)
       if (newTokens.refresh_token) {
         console.log('[GoogleCalendar] Nuevo refresh_token recibido - actualizando BD');
-        OAuthToken.updateRefreshToken(slackUserId, newTokens.refresh_token, 'google');
+        OAuthToken.updateRefreshToken(tokenRecord.id, newTokens.refresh_token);
       }
     });
 
@@ -179,6 +182,7 @@ class GoogleCalendarService {
       const allEvents = [];
       let pageToken = null;
       let newSyncToken = null;
+      let timeZone = null;
       let pageCount = 0;
 
       do {
@@ -192,6 +196,7 @@ class GoogleCalendarService {
         allEvents.push(...pageEvents);
         pageToken = response.data.nextPageToken;
         newSyncToken = response.data.nextSyncToken;
+        timeZone = response.data.timeZone || timeZone;
 
         if (pageToken) {
           console.log(`[GoogleCalendar] Page ${pageCount}: ${pageEvents.length} events, fetching more...`);
@@ -205,7 +210,8 @@ class GoogleCalendarService {
       return {
         events: allEvents,
         syncToken: newSyncToken,
-        fullSync: isFullSync
+        fullSync: isFullSync,
+        timeZone
       };
 
     } catch (error) {
@@ -230,6 +236,189 @@ class GoogleCalendarService {
     }
   }
 
+  /**
+   * Crea un canal de notificaciones push (watch) sobre los eventos del calendario
+   * @param {string} webhookUrl - URL HTTPS que recibira las notificaciones
+   * @param {string} channelId - ID unico del canal (UUID)
+   * @param {Object} [options]
+   * @param {string} [options.token] - Token que Google reenvia en X-Goog-Channel-Token
+   * @param {number} [options.ttl] - Duracion solicitada del canal en segundos
+   * @returns {Promise<Object>} - { id, resourceId, resourceUri, expiration }
+   */
+  async watchEvents(webhookUrl, channelId, options = {}) {
+    console.log(`[GoogleCalendar] Creating watch channel ${channelId} for user: ${this.slackUserId || 'unknown'}`);
+
+    try {
+      const response = await this.calendar.events.watch({
+        calendarId: this.calendarId,
+        requestBody: {
+          id: channelId,
+          type: 'web_hook',
+          address: webhookUrl,
+          ...(options.token && { token: options.token }),
+          ...(options.ttl && { params: { ttl: String(options.ttl) } })
+        }
+      });
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Detiene un canal de notificaciones push
+   * @param {string} channelId - ID del canal
+   * @param {string} resourceId - resourceId devuelto al crear el canal
+   */
+  async stopWatch(channelId, resourceId) {
+    console.log(`[GoogleCalendar] Stopping watch channel ${channelId}`);
+
+    try {
+      await this.calendar.channels.stop({
+        requestBody: { id: channelId, resourceId }
+      });
+    } catch (error) {
+      // El canal ya no existe en Google (expirado o detenido)
+      if (error.code === 404) {
+        return;
+      }
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Construye el cuerpo de un evento para la API de Google
+   * @param {Object} event - Datos del evento (ver createEvent)
+   * @returns {Object}
+   */
+  _buildEventBody(event) {
+    const toEventDate = (value) => event.allDay
+      ? { date: value }
+      : { dateTime: value, ...(event.timezone && { timeZone: event.timezone }) };
+
+    const body = {
+      summary: event.summary,
+      ...(event.description && { description: event.description }),
+      ...(event.location && { location: event.location }),
+      start: toEventDate(event.start),
+      end: toEventDate(event.end),
+      ...(event.attendees?.length && {
+        attendees: event.attendees.map(email => ({ email }))
+      })
+    };
+
+    // Bloque "Ocupado": privado, sin recordatorios y marcado para no volver a reflejarlo
+    if (event.busyPlaceholder) {
+      body.transparency = 'opaque';
+      body.visibility = 'private';
+      body.reminders = { useDefault: false, overrides: [] };
+      body.extendedProperties = { private: { [GOOGLE_PLACEHOLDER_PROPERTY]: '1' } };
+    }
+
+    return body;
+  }
+
+  /**
+   * Crea un evento en el calendario
+   * @param {Object} event - Datos del evento
+   * @param {string} event.summary - Titulo
+   * @param {string} event.start - Inicio (ISO, o YYYY-MM-DD si es de dia completo)
+   * @param {string} event.end - Fin (ISO, o YYYY-MM-DD si es de dia completo)
+   * @param {boolean} [event.allDay] - Evento de dia completo
+   * @param {string} [event.timezone] - Timezone IANA del evento
+   * @param {string} [event.location] - Ubicación
+   * @param {string} [event.description] - Descripción
+   * @param {string[]} [event.attendees] - Emails de los invitados
+   * @param {boolean} [event.busyPlaceholder] - Bloque "Ocupado" creado por el reflejo de calendarios
+   * @returns {Promise<Object>} - Evento creado (formato Google)
+   */
+  async createEvent(event) {
+    console.log(`[GoogleCalendar] Creating event for user: ${this.slackUserId || 'unknown'}`);
+
+    try {
+      const response = await this.calendar.events.insert({
+        calendarId: this.calendarId,
+        // Enviar invitaciones a los asistentes
+        sendUpdates: event.attendees?.length ? 'all' : 'none',
+        requestBody: this._buildEventBody(event)
+      });
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Actualiza un evento existente (solo los campos enviados)
+   * @param {string} eventId
+   * @param {Object} event - Datos del evento (ver createEvent)
+   * @returns {Promise<Object>} - Evento actualizado (formato Google)
+   */
+  async updateEvent(eventId, event) {
+    try {
+      const response = await this.calendar.events.patch({
+        calendarId: this.calendarId,
+        eventId,
+        sendUpdates: 'none',
+        requestBody: this._buildEventBody(event)
+      });
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Responde a una invitacion cambiando el estado del usuario entre los asistentes
+   * @param {string} eventId
+   * @param {'accepted'|'tentative'|'declined'} responseStatus
+   * @returns {Promise<Object>} - Evento actualizado (formato Google)
+   */
+  async respondToEvent(eventId, responseStatus) {
+    const event = await this.getEvent(eventId);
+    if (!event.attendees?.some(attendee => attendee.self)) {
+      throw new Error('No estás invitado a este evento');
+    }
+
+    // La lista de asistentes se reemplaza entera: se envia con solo la respuesta propia cambiada
+    const attendees = event.attendees.map(attendee => (attendee.self
+      ? { ...attendee, responseStatus }
+      : attendee));
+
+    try {
+      const response = await this.calendar.events.patch({
+        calendarId: this.calendarId,
+        eventId,
+        // Notificar la respuesta al organizador
+        sendUpdates: 'all',
+        requestBody: { attendees }
+      });
+      return response.data;
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Elimina un evento
+   * @param {string} eventId
+   */
+  async deleteEvent(eventId) {
+    try {
+      await this.calendar.events.delete({
+        calendarId: this.calendarId,
+        eventId,
+        sendUpdates: 'none'
+      });
+    } catch (error) {
+      // El evento ya no existe (404) o ya fue eliminado (410)
+      if (error.code === 404 || error.code === 410) {
+        return;
+      }
+      this._handleError(error);
+    }
+  }
+
   _handleError(error) {
     const status = error.response?.status || error.code;
     const message = error.response?.data?.error?.message || error.message;
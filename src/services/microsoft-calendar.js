@@ -1,6 +1,11 @@
 import { Client } from '@microsoft/microsoft-graph-client';
+import { DateTime } from 'luxon';
 import { OAuthToken } from '../models/OAuthToken.js';
 import { refreshMicrosoftTokens } from '../slack/actions/microsoft-oauth.js';
+import { MICROSOFT_PLACEHOLDER_CATEGORY } from '../utils/busyPlaceholder.js';
+
+// Campos de evento solicitados a Graph (type/seriesMasterId/originalStart para recurrencias)
+const EVENT_SELECT_FIELDS = 'id,subject,body,start,end,location,isAllDay,showAs,sensitivity,isCancelled,isOnlineMeeting,onlineMeeting,recurrence,type,seriesMasterId,originalStart,originalStartTimeZone,categories,organizer,attendees,responseStatus';
 
 /**
  * Servicio para interactuar con Microsoft Graph Calendar API
@@ -17,12 +22,15 @@ class MicrosoftCalendarService {
   /**
    * Inicializa autenticacion OAuth 2.0 con tokens de la BD
    * @param {string} slackUserId - ID del usuario de Slack
+   * @param {number} [oauthTokenId] - ID del token de la cuenta (por defecto, la primera cuenta de Microsoft)
    */
-  async initOAuthFromDB(slackUserId) {
+  async initOAuthFromDB(slackUserId, oauthTokenId = null) {
     this.slackUserId = slackUserId;
     console.log(`[MicrosoftCalendar] Initializing for Slack user: ${slackUserId}`);
 
-    this.tokenRecord = OAuthToken.findBySlackUserId(slackUserId, 'microsoft');
+    this.tokenRecord = oauthTokenId
+      ? OAuthToken.findById(oauthTokenId)
+      : OAuthToken.findBySlackUserId(slackUserId, 'microsoft');
     if (!this.tokenRecord) {
       console.error(`[MicrosoftCalendar] No tokens found for user: ${slackUserId}`);
       throw new Error(`No hay tokens OAuth de Microsoft para el usuario: ${slackUserId}`);
@@ -47,6 +55,13 @@ class MicrosoftCalendarService {
   _initGraphClient(accessToken) {
     this.graphClient = Client.init({
       authProvider: (done) => {
+        // El servicio puede vivir mas que el access token (cache de providers, suscripciones)
+        if (this.tokenRecord?.isExpired) {
+          this._refreshTokenIfNeeded()
+            .then(() => done(null, this.tokenRecord.accessToken))
+            .catch(error => done(error, null));
+          return;
+        }
         done(null, accessToken);
       }
     });
@@ -63,23 +78,26 @@ class MicrosoftCalendarService {
     console.log(`[MicrosoftCalendar] Refreshing tokens for user: ${this.slackUserId}`);
 
     try {
-      const newTokens = await refreshMicrosoftTokens(this.tokenRecord.refreshToken);
+      const newTokens = await refreshMicrosoftTokens(
+        this.tokenRecord.refreshToken,
+        null,
+        this.tokenRecord.scope
+      );
 
       // Actualizar en la BD
       OAuthToken.updateAccessToken(
-        this.slackUserId,
+        this.tokenRecord.id,
         newTokens.access_token,
-        newTokens.expiry_date,
-        'microsoft'
+        newTokens.expiry_date
       );
 
       if (newTokens.refresh_token && newTokens.refresh_token !== this.tokenRecord.refreshToken) {
         console.log('[MicrosoftCalendar] Nuevo refresh_token recibido - actualizando BD');
-        OAuthToken.updateRefreshToken(this.slackUserId, newTokens.refresh_token, 'microsoft');
+        OAuthToken.updateRefreshToken(this.tokenRecord.id, newTokens.refresh_token);
       }
 
       // Recargar el registro de tokens
-      this.tokenRecord = OAuthToken.findBySlackUserId(this.slackUserId, 'microsoft');
+      this.tokenRecord = OAuthToken.findById(this.tokenRecord.id);
 
       // Actualizar el cliente con el nuevo token
       this._initGraphClient(newTokens.access_token);
@@ -117,7 +135,7 @@ class MicrosoftCalendarService {
 
       const response = await this.graphClient
         .api(calendarPath)
-        .select('id,subject,body,start,end,location,isAllDay,showAs,isCancelled,recurrence')
+        .select(EVENT_SELECT_FIELDS)
         .filter(`start/dateTime ge '${timeMin}' and end/dateTime le '${timeMax}'`)
         .top(maxResults)
         .orderby('start/dateTime')
@@ -155,7 +173,7 @@ class MicrosoftCalendarService {
 
       let response = await this.graphClient
         .api(calendarPath)
-        .select('id,subject,body,start,end,location,isAllDay,showAs,isCancelled,recurrence')
+        .select(EVENT_SELECT_FIELDS)
         .filter(`start/dateTime ge '${timeMin}' and end/dateTime le '${timeMax}'`)
         .top(250) // Maximo por pagina
         .orderby('start/dateTime')
@@ -186,7 +204,7 @@ class MicrosoftCalendarService {
 
       const response = await this.graphClient
         .api(calendarPath)
-        .select('id,subject,body,start,end,location,isAllDay,showAs,isCancelled,recurrence')
+        .select(EVENT_SELECT_FIELDS)
         .get();
       return response;
     } catch (error) {
@@ -261,7 +279,7 @@ class MicrosoftCalendarService {
         try {
           const fullEvent = await this.graphClient
             .api(`/me/events/${deltaEvent.id}`)
-            .select('id,subject,body,start,end,location,isAllDay,showAs,isCancelled,recurrence')
+            .select(EVENT_SELECT_FIELDS)
             .get();
           allEvents.push(fullEvent);
         } catch (error) {
@@ -304,6 +322,207 @@ class MicrosoftCalendarService {
     }
   }
 
+  /**
+   * Obtiene el recurso de Graph sobre el que se crean las suscripciones
+   * @returns {string}
+   */
+  _getSubscriptionResource() {
+    return this.calendarId === 'primary'
+      ? 'me/events'
+      : `me/calendars/${this.calendarId}/events`;
+  }
+
+  /**
+   * Crea una suscripcion de notificaciones de cambios sobre los eventos del calendario
+   * @param {string} notificationUrl - URL HTTPS que recibira las notificaciones
+   * @param {string} clientState - Secreto que Graph reenvia en cada notificacion
+   * @param {Date} expiration - Fecha de expiracion solicitada
+   * @returns {Promise<Object>} - Suscripcion creada { id, resource, expirationDateTime }
+   */
+  async createSubscription(notificationUrl, clientState, expiration) {
+    console.log(`[MicrosoftCalendar] Creating subscription for user: ${this.slackUserId || 'unknown'}`);
+
+    try {
+      return await this.graphClient
+        .api('/subscriptions')
+        .post({
+          changeType: 'created,updated,deleted',
+          notificationUrl,
+          resource: this._getSubscriptionResource(),
+          expirationDateTime: expiration.toISOString(),
+          clientState
+        });
+    } catch (error) {
+      await this._handleError(error);
+    }
+  }
+
+  /**
+   * Extiende la expiracion de una suscripcion existente
+   * @param {string} subscriptionId
+   * @param {Date} expiration - Nueva fecha de expiracion
+   * @returns {Promise<Object>} - Suscripcion actualizada
+   */
+  async renewSubscription(subscriptionId, expiration) {
+    console.log(`[MicrosoftCalendar] Renewing subscription ${subscriptionId}`);
+
+    try {
+      return await this.graphClient
+        .api(`/subscriptions/${subscriptionId}`)
+        .patch({ expirationDateTime: expiration.toISOString() });
+    } catch (error) {
+      await this._handleError(error);
+    }
+  }
+
+  /**
+   * Elimina una suscripcion
+   * @param {string} subscriptionId
+   */
+  async deleteSubscription(subscriptionId) {
+    console.log(`[MicrosoftCalendar] Deleting subscription ${subscriptionId}`);
+
+    try {
+      await this.graphClient.api(`/subscriptions/${subscriptionId}`).delete();
+    } catch (error) {
+      // La suscripcion ya no existe en Graph (expirada o eliminada)
+      if (error.statusCode === 404) {
+        return;
+      }
+      await this._handleError(error);
+    }
+  }
+
+  /**
+   * Obtiene la ruta de Graph de los eventos del calendario
+   * @returns {string}
+   */
+  _getEventsPath() {
+    return this.calendarId === 'primary'
+      ? '/me/calendar/events'
+      : `/me/calendars/${this.calendarId}/events`;
+  }
+
+  /**
+   * Construye el cuerpo de un evento para Microsoft Graph
+   * @param {Object} event - Datos del evento (ver createEvent)
+   * @returns {Object}
+   */
+  _buildEventBody(event) {
+    // Graph espera la hora local sin offset junto a su timezone
+    const timeZone = event.allDay ? 'UTC' : (event.timezone || 'UTC');
+    const toDateTimeTimeZone = (value) => ({
+      dateTime: event.allDay
+        ? `${value}T00:00:00`
+        : DateTime.fromISO(value).setZone(timeZone).toFormat('yyyy-MM-dd\'T\'HH:mm:ss'),
+      timeZone
+    });
+
+    const body = {
+      subject: event.summary,
+      ...(event.description && { body: { contentType: 'text', content: event.description } }),
+      ...(event.location && { location: { displayName: event.location } }),
+      start: toDateTimeTimeZone(event.start),
+      end: toDateTimeTimeZone(event.end),
+      isAllDay: Boolean(event.allDay),
+      ...(event.attendees?.length && {
+        attendees: event.attendees.map(address => ({
+          emailAddress: { address },
+          type: 'required'
+        }))
+      })
+    };
+
+    // Bloque "Ocupado": privado, sin recordatorio y marcado para no volver a reflejarlo
+    if (event.busyPlaceholder) {
+      body.showAs = 'busy';
+      body.sensitivity = 'private';
+      body.isReminderOn = false;
+      body.categories = [MICROSOFT_PLACEHOLDER_CATEGORY];
+    }
+
+    return body;
+  }
+
+  /**
+   * Crea un evento en el calendario
+   * @param {Object} event - Datos del evento
+   * @param {string} event.summary - Titulo
+   * @param {string} event.start - Inicio (ISO, o YYYY-MM-DD si es de dia completo)
+   * @param {string} event.end - Fin (ISO, o YYYY-MM-DD si es de dia completo)
+   * @param {boolean} [event.allDay] - Evento de dia completo
+   * @param {string} [event.timezone] - Timezone IANA del evento
+   * @param {string} [event.location] - Ubicacion
+   * @param {string} [event.description] - Descripcion
+   * @param {string[]} [event.attendees] - Emails de los invitados
+   * @param {boolean} [event.busyPlaceholder] - Bloque "Ocupado" creado por el reflejo de calendarios
+   * @returns {Promise<Object>} - Evento creado (formato Graph, fechas en UTC)
+   */
+  async createEvent(event) {
+    console.log(`[MicrosoftCalendar] Creating event for user: ${this.slackUserId || 'unknown'}`);
+
+    try {
+      return await this.graphClient
+        .api(this._getEventsPath())
+        // Devolver las fechas en UTC, igual que en la sincronizacion
+        .header('Prefer', 'outlook.timezone="UTC"')
+        .post(this._buildEventBody(event));
+    } catch (error) {
+      await this._handleError(error);
+    }
+  }
+
+  /**
+   * Actualiza un evento existente
+   * @param {string} eventId
+   * @param {Object} event - Datos del evento (ver createEvent)
+   * @returns {Promise<Object>} - Evento actualizado (formato Graph, fechas en UTC)
+   */
+  async updateEvent(eventId, event) {
+    try {
+      return await this.graphClient
+        .api(`/me/events/${eventId}`)
+        .header('Prefer', 'outlook.timezone="UTC"')
+        .patch(this._buildEventBody(event));
+    } catch (error) {
+      await this._handleError(error);
+    }
+  }
+
+  /**
+   * Responde a una invitacion y notifica al organizador
+   * @param {string} eventId
+   * @param {'accept'|'tentativelyAccept'|'decline'} action - Accion de Graph
+   * @returns {Promise<Object>} - Evento actualizado (formato Graph)
+   */
+  async respondToEvent(eventId, action) {
+    try {
+      await this.graphClient
+        .api(`/me/events/${eventId}/${action}`)
+        .post({ sendResponse: true });
+    } catch (error) {
+      await this._handleError(error);
+    }
+
+    return this.getEvent(eventId);
+  }
+
+  /**
+   * Elimina un evento
+   * @param {string} eventId
+   */
+  async deleteEvent(eventId) {
+    try {
+      await this.graphClient.api(`/me/events/${eventId}`).delete();
+    } catch (error) {
+      // El evento ya no existe en Graph
+      if (error.statusCode === 404) {
+        return;
+      }
+      await this._handleError(error);
+    }
+  }
+
   /**
    * Maneja errores de Microsoft Graph API
    */
@@ -0,0 +1,170 @@
+import { ApiToken } from '../../models/ApiToken.js';
+import {
+  buildApiTokenModal,
+  buildApiTokenCreatedModal,
+  buildRevokeApiTokenConfirmModal
+} from '../modals/apiTokenModal.js';
+
+/**
+ * Construye la URL base de la API REST
+ * @returns {string}
+ */
+export function getApiUrl() {
+  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/api`;
+}
+
+/**
+ * Construye los bloques de Slack con los tokens de la API del usuario
+ * @param {string} slackUserId - ID del usuario de Slack
+ * @returns {Array} Bloques de Slack
+ */
+export function buildApiTokensBlocks(slackUserId) {
+  const apiTokens = ApiToken.findAllBySlackUserId(slackUserId);
+
+  const blocks = [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: apiTokens.length
+          ? '*Tokens de API*'
+          : '*Tokens de API*\n_Accede a tus calendarios, eventos y sincronizaciones desde scripts y dashboards._'
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Nuevo token', emoji: true },
+        action_id: 'open_add_api_token_modal'
+      }
+    }
+  ];
+
+  for (const apiToken of apiTokens) {
+    const lastUsed = apiToken.last_used_at ? `usado ${apiToken.last_used_at}` : 'sin usar';
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `:key: *${apiToken.name}*  \`${apiToken.token_prefix}…\`  _${lastUsed}_`
+      },
+      accessory: {
+        type: 'overflow',
+        action_id: `api_token_overflow_${apiToken.id}`,
+        options: [
+          {
+            text: { type: 'plain_text', text: 'Revocar', emoji: true },
+            value: `revoke_${apiToken.id}`
+          }
+        ]
+      }
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Registra los action handlers de los tokens de la API
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerApiTokenActions(app) {
+  // Handler para abrir el modal de nuevo token
+  app.action('open_add_api_token_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildApiTokenModal()
+      });
+    } catch (error) {
+      console.error('[ApiTokens] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Handler para el menu overflow (revocar)
+  app.action(/^api_token_overflow_\d+$/, async ({ body, ack, client, action }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const [actionType, apiTokenIdStr] = action.selected_option.value.split('_');
+    const apiToken = ApiToken.findAllBySlackUserId(slackUserId)
+      .find(t => t.id === parseInt(apiTokenIdStr, 10));
+
+    if (!apiToken || actionType !== 'revoke') {
+      console.warn(`[ApiTokens] Token ${apiTokenIdStr} no encontrado para usuario ${slackUserId}`);
+      return;
+    }
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildRevokeApiTokenConfirmModal(apiToken)
+      });
+    } catch (error) {
+      console.error('[ApiTokens] Error procesando accion:', error.message);
+    }
+  });
+
+  // Handler para el submit del modal de nuevo token
+  // El token se muestra en el propio modal: no queda en el historial de mensajes
+  app.view('add_api_token_submit', async ({ ack, body, view }) => {
+    const slackUserId = body.user.id;
+    const name = (view.state.values.api_token_name.name_input.value || '').trim();
+
+    if (!name) {
+      await ack({
+        response_action: 'errors',
+        errors: { api_token_name: 'El nombre no puede estar vacio.' }
+      });
+      return;
+    }
+
+    try {
+      const { apiToken, token } = ApiToken.createForUser(name, slackUserId);
+
+      await ack({
+        response_action: 'update',
+        view: buildApiTokenCreatedModal(apiToken, token, getApiUrl())
+      });
+
+      console.log(`[ApiTokens] Token creado: "${name}" (ID: ${apiToken.id}) para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[ApiTokens] Error creando token:', error.message);
+      await ack({
+        response_action: 'errors',
+        errors: { api_token_name: `Error al crear el token: ${error.message}` }
+      });
+    }
+  });
+
+  // Handler para confirmar la revocacion
+  app.view('revoke_api_token_confirm', async ({ ack, body, view, client }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const metadata = JSON.parse(view.private_metadata);
+
+    try {
+      const revoked = ApiToken.deleteForUser(metadata.apiTokenId, slackUserId);
+      if (!revoked) return;
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: 'Token de API revocado. Ejecuta /ajustes para ver los cambios.'
+      });
+
+      console.log(`[ApiTokens] Token revocado (ID: ${metadata.apiTokenId}) para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[ApiTokens] Error revocando token:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al revocar el token: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[ApiTokens] Action handlers registrados');
+}
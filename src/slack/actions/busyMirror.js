@@ -0,0 +1,174 @@
+import { Source } from '../../models/Source.js';
+import { getBusyMirrorService } from '../../services/BusyMirrorService.js';
+import { buildBusyMirrorModal } from '../modals/busyMirrorModal.js';
+import { buildScopeUpgradeModal } from '../modals/eventModal.js';
+import { hasWriteAccess, getWriteAuthUrl } from '../commands/evento.js';
+
+/**
+ * Obtiene los calendarios del usuario que pueden recibir bloques "Ocupado"
+ * @param {Array} sources - Sources del usuario
+ * @returns {Array}
+ */
+function getTargets(sources) {
+  return sources.filter(s => s.type === 'google' || s.type === 'microsoft');
+}
+
+/**
+ * Construye los bloques de Slack con la configuracion de bloqueo de tiempo ocupado
+ * @param {string} slackUserId - ID del usuario de Slack
+ * @returns {Array} Bloques de Slack (vacio si no hay calendarios de Google/Outlook)
+ */
+export function buildBusyMirrorBlocks(slackUserId) {
+  const sources = Source.findBySlackUserId(slackUserId);
+  const targets = getTargets(sources);
+
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const lines = targets
+    .map(target => {
+      const origins = sources.filter(s => s.mirror_target_id === target.id && s.id !== target.id);
+      return origins.length
+        ? `• *${target.name}* ← ${origins.map(s => s.name).join(', ')}`
+        : null;
+    })
+    .filter(Boolean);
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: lines.length
+          ? `*Bloquear tiempo ocupado*\n${lines.join('\n')}`
+          : '*Bloquear tiempo ocupado*\n_Refleja tus otros calendarios como bloques "Ocupado" en Google u Outlook._'
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Configurar', emoji: true },
+        action_id: 'open_busy_mirror_modal'
+      }
+    }
+  ];
+}
+
+/**
+ * Registra los action handlers del bloqueo de tiempo ocupado
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerBusyMirrorActions(app) {
+  // Handler para abrir el modal de configuracion
+  app.action('open_busy_mirror_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    const sources = Source.findBySlackUserId(body.user.id);
+    const targets = getTargets(sources);
+    if (targets.length === 0) return;
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildBusyMirrorModal({ targets, sources })
+      });
+    } catch (error) {
+      console.error('[BusyMirror] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Al cambiar el calendario destino, mostrar sus calendarios de origen
+  app.action('mirror_target_select', async ({ body, ack, client, action }) => {
+    await ack();
+
+    const sources = Source.findBySlackUserId(body.user.id);
+    const targets = getTargets(sources);
+    const target = targets.find(t => t.id === parseInt(action.selected_option.value, 10));
+    if (!target) return;
+
+    try {
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: buildBusyMirrorModal({ targets, sources, target })
+      });
+    } catch (error) {
+      console.error('[BusyMirror] Error actualizando modal:', error.message);
+    }
+  });
+
+  // Handler para el submit del modal
+  app.view('busy_mirror_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+
+    const targetId = parseInt(values.mirror_target.mirror_target_select.selected_option.value, 10);
+    const originIds = (values.mirror_origins?.origins_select?.selected_options || [])
+      .map(option => parseInt(option.value, 10));
+
+    // Verificar propiedad
+    const target = Source.findByIdAndUser(targetId, slackUserId);
+    if (!target || (target.type !== 'google' && target.type !== 'microsoft')) {
+      await ack({
+        response_action: 'errors',
+        errors: { mirror_target: 'Calendario no valido.' }
+      });
+      return;
+    }
+
+    // Crear bloques requiere permiso de escritura en el calendario destino
+    if (originIds.length && !hasWriteAccess(target)) {
+      const slackUser = { id: slackUserId, teamId: body.team?.id, name: body.user.name };
+      const authUrl = await getWriteAuthUrl(target, slackUser);
+
+      await ack({
+        response_action: 'update',
+        view: buildScopeUpgradeModal(target, authUrl)
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      // Calendarios destino afectados (el nuevo y los que pierden un origen)
+      const affectedTargets = new Set([target.id]);
+
+      for (const source of Source.findBySlackUserId(slackUserId)) {
+        if (source.id === target.id) continue;
+
+        const selected = originIds.includes(source.id);
+        if (selected && source.mirror_target_id !== target.id) {
+          if (source.mirror_target_id) affectedTargets.add(source.mirror_target_id);
+          Source.updateForUser(source.id, slackUserId, { mirror_target_id: target.id });
+        } else if (!selected && source.mirror_target_id === target.id) {
+          Source.updateForUser(source.id, slackUserId, { mirror_target_id: null });
+        }
+      }
+
+      const mirrorService = getBusyMirrorService();
+      for (const targetSourceId of affectedTargets) {
+        mirrorService.syncTarget(targetSourceId).catch(err => {
+          console.error('[BusyMirror] Error reflejando calendarios:', err.message);
+        });
+      }
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: originIds.length
+          ? `Se bloqueara tu tiempo ocupado en "${target.name}" con ${originIds.length} calendario(s).`
+          : `Ya no se bloquea tiempo ocupado en "${target.name}".`
+      });
+
+      console.log(`[BusyMirror] Configuracion actualizada: target ${target.id} con origenes [${originIds.join(', ')}]`);
+    } catch (error) {
+      console.error('[BusyMirror] Error guardando configuracion:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al guardar la configuracion: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[BusyMirror] Action handlers registrados');
+}
@@ -0,0 +1,87 @@
+import { UserSettings } from '../../models/UserSettings.js';
+import { buildDigestModal } from '../modals/digestModal.js';
+
+/**
+ * Construye los bloques de Slack con la configuracion del resumen diario
+ * @param {string} slackUserId - ID del usuario de Slack
+ * @returns {Array} Bloques de Slack
+ */
+export function buildDigestBlocks(slackUserId) {
+  const settings = UserSettings.getForUser(slackUserId);
+  const days = settings.digest_weekdays_only ? 'de lunes a viernes' : 'todos los dias';
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: settings.digest_enabled
+          ? `*Resumen diario*\n:white_check_mark: A las ${settings.digest_time}, ${days}`
+          : '*Resumen diario*\n_Recibe cada manana tu agenda del dia por mensaje directo._'
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Configurar', emoji: true },
+        action_id: 'open_digest_modal'
+      }
+    }
+  ];
+}
+
+/**
+ * Registra los action handlers del resumen diario
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerDigestActions(app) {
+  // Handler para abrir el modal de configuracion
+  app.action('open_digest_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildDigestModal(UserSettings.getForUser(body.user.id))
+      });
+    } catch (error) {
+      console.error('[Digest] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Handler para el submit del modal
+  app.view('digest_settings_submit', async ({ ack, body, view, client }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+
+    const enabled = (values.digest_enabled.enabled_checkbox.selected_options || []).length > 0;
+    const weekdaysOnly = (values.digest_weekdays.weekdays_checkbox.selected_options || []).length > 0;
+    const time = values.digest_time.time_input.selected_time;
+
+    try {
+      UserSettings.updateDigest(slackUserId, {
+        digest_enabled: enabled,
+        digest_time: time,
+        digest_weekdays_only: weekdaysOnly
+      });
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: enabled
+          ? `Recibiras tu agenda a las ${time}, ${weekdaysOnly ? 'de lunes a viernes' : 'todos los dias'}.`
+          : 'Resumen diario desactivado.'
+      });
+
+      console.log(`[Digest] Configuracion actualizada para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Digest] Error guardando configuracion:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al guardar el resumen diario: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[Digest] Action handlers registrados');
+}
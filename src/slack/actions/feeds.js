@@ -0,0 +1,391 @@
+import { FeedToken } from '../../models/FeedToken.js';
+import { Source } from '../../models/Source.js';
+import { DEFAULT_PAST_DAYS, DEFAULT_FUTURE_DAYS } from '../../services/ICalGenerator.js';
+import { getFeedCache } from '../../services/FeedCache.js';
+import {
+  buildFeedModal,
+  buildRegenerateFeedConfirmModal,
+  buildDeleteFeedConfirmModal,
+  PRIVACY_OPTIONS
+} from '../modals/feedModal.js';
+
+/**
+ * Construye la URL de un feed iCal
+ * @param {Object} feed
+ * @returns {string}
+ */
+export function getFeedUrl(feed) {
+  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/feed/${feed.token}/orbitando.ics`;
+}
+
+/**
+ * Construye la URL del servidor CalDAV (la misma para todos los feeds)
+ * @returns {string}
+ */
+export function getCalDAVUrl() {
+  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/caldav/`;
+}
+
+/**
+ * Resume los filtros de un feed en una linea
+ * @param {Object} feed
+ * @param {Array} sources - Sources del usuario
+ * @returns {string}
+ */
+function describeFeed(feed, sources) {
+  const sourceNames = feed.source_ids
+    ? sources.filter(s => feed.source_ids.includes(s.id)).map(s => s.name)
+    : [];
+  const parts = [feed.source_ids ? sourceNames.join(', ') || 'Ningun calendario' : 'Todos los calendarios'];
+
+  if (feed.past_days !== null || feed.future_days !== null) {
+    parts.push(`-${feed.past_days ?? DEFAULT_PAST_DAYS} / +${feed.future_days ?? DEFAULT_FUTURE_DAYS} dias`);
+  }
+  if (feed.include_keywords.length) {
+    parts.push(`solo: ${feed.include_keywords.join(', ')}`);
+  }
+  if (feed.exclude_keywords.length) {
+    parts.push(`sin: ${feed.exclude_keywords.join(', ')}`);
+  }
+
+  const privacy = PRIVACY_OPTIONS.find(p => p.value === feed.privacy);
+  parts.push(privacy ? privacy.label : feed.privacy);
+
+  return parts.join(' • ');
+}
+
+/**
+ * Construye los bloques de Slack con los feeds iCal del usuario
+ * @param {string} slackUserId - ID del usuario de Slack
+ * @returns {Array} Bloques de Slack (vacio si el usuario no tiene calendarios)
+ */
+export function buildFeedsBlocks(slackUserId) {
+  const sources = Source.findBySlackUserId(slackUserId);
+  if (sources.length === 0) {
+    return [];
+  }
+
+  // Todo usuario con calendarios tiene al menos el feed completo
+  FeedToken.getOrCreateForUser(slackUserId);
+  const feeds = FeedToken.findAllBySlackUserId(slackUserId);
+
+  const blocks = [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Mis Feeds iCal*\n\nSuscribete desde cualquier app de calendario:'
+      }
+    }
+  ];
+
+  for (const feed of feeds) {
+    blocks.push(
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${feed.name}*\n\`${getFeedUrl(feed)}\``
+        },
+        accessory: {
+          type: 'overflow',
+          action_id: `feed_overflow_${feed.id}`,
+          options: [
+            {
+              text: { type: 'plain_text', text: 'Editar', emoji: true },
+              value: `edit_${feed.id}`
+            },
+            {
+              text: { type: 'plain_text', text: 'Regenerar URL', emoji: true },
+              value: `regenerate_${feed.id}`
+            },
+            {
+              text: { type: 'plain_text', text: 'Eliminar', emoji: true },
+              value: `delete_${feed.id}`
+            }
+          ]
+        }
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: describeFeed(feed, sources)
+        }]
+      }
+    );
+  }
+
+  blocks.push(
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Nuevo feed', emoji: true },
+          action_id: 'open_add_feed_modal'
+        }
+      ]
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: '_Copia la URL en Google Calendar, Apple Calendar u Outlook_'
+      }]
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `_Tambien puedes agregar un feed como cuenta CalDAV (Thunderbird, iOS) en \`${getCalDAVUrl()}\`: cualquier usuario y, como contraseña, el token del feed (lo que va entre /feed/ y /orbitando.ics)_`
+      }]
+    }
+  );
+
+  return blocks;
+}
+
+/**
+ * Separa una lista de palabras clave escrita por el usuario
+ * @param {string|null} text - Palabras separadas por comas
+ * @returns {string[]}
+ */
+export function parseKeywords(text) {
+  return [...new Set((text || '').split(',').map(k => k.trim()).filter(Boolean))];
+}
+
+/**
+ * Convierte el valor de un input numerico de dias
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseDays(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? null : days;
+}
+
+/**
+ * Lee los valores del modal de feed
+ * @param {Object} values - view.state.values
+ * @param {string} slackUserId
+ * @returns {Object} Datos para FeedToken.createForUser/updateForUser
+ */
+function readFeedModalValues(values, slackUserId) {
+  const userSourceIds = Source.findBySlackUserId(slackUserId).map(s => s.id);
+
+  // Solo se aceptan calendarios del usuario; sin seleccion = todos
+  const sourceIds = (values.feed_sources?.sources_select?.selected_options || [])
+    .map(option => parseInt(option.value, 10))
+    .filter(id => userSourceIds.includes(id));
+
+  return {
+    name: values.feed_name.name_input.value.trim(),
+    source_ids: sourceIds.length ? sourceIds : null,
+    past_days: parseDays(values.feed_past_days.past_days_input.value),
+    future_days: parseDays(values.feed_future_days.future_days_input.value),
+    include_keywords: parseKeywords(values.feed_include.include_input.value),
+    exclude_keywords: parseKeywords(values.feed_exclude.exclude_input.value),
+    privacy: values.feed_privacy.privacy_select.selected_option.value
+  };
+}
+
+/**
+ * Registra los action handlers de los feeds iCal
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerFeedActions(app) {
+  // Handler para abrir el modal de nuevo feed
+  app.action('open_add_feed_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildFeedModal({ mode: 'add', sources: Source.findBySlackUserId(body.user.id) })
+      });
+    } catch (error) {
+      console.error('[Feeds] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Handler para el menu overflow (editar, regenerar, eliminar)
+  app.action(/^feed_overflow_\d+$/, async ({ body, ack, client, action }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const [actionType, feedIdStr] = action.selected_option.value.split('_');
+    const feed = FeedToken.findByIdAndUser(parseInt(feedIdStr, 10), slackUserId);
+
+    if (!feed) {
+      console.warn(`[Feeds] Feed ${feedIdStr} no encontrado para usuario ${slackUserId}`);
+      return;
+    }
+
+    try {
+      switch (actionType) {
+      case 'edit':
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: buildFeedModal({ mode: 'edit', feed, sources: Source.findBySlackUserId(slackUserId) })
+        });
+        break;
+
+      case 'regenerate':
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: buildRegenerateFeedConfirmModal(feed)
+        });
+        break;
+
+      case 'delete':
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: buildDeleteFeedConfirmModal(feed)
+        });
+        break;
+      }
+    } catch (error) {
+      console.error('[Feeds] Error procesando accion:', error.message);
+    }
+  });
+
+  // Handler para el submit del modal de nuevo feed
+  app.view('add_feed_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const data = readFeedModalValues(view.state.values, slackUserId);
+
+    if (!data.name) {
+      await ack({
+        response_action: 'errors',
+        errors: { feed_name: 'El nombre no puede estar vacio.' }
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      const feed = FeedToken.createForUser(data, slackUserId);
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Feed "${feed.name}" creado. Suscribete con esta URL:\n\`${getFeedUrl(feed)}\``
+      });
+
+      console.log(`[Feeds] Feed creado: "${feed.name}" (ID: ${feed.id}) para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Feeds] Error creando feed:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al crear el feed: ${error.message}`
+      });
+    }
+  });
+
+  // Handler para el submit del modal de editar feed
+  app.view('edit_feed_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const metadata = JSON.parse(view.private_metadata);
+    const data = readFeedModalValues(view.state.values, slackUserId);
+
+    // Verificar propiedad
+    const feed = FeedToken.findByIdAndUser(metadata.feedId, slackUserId);
+    if (!feed) {
+      await ack();
+      return;
+    }
+
+    if (!data.name) {
+      await ack({
+        response_action: 'errors',
+        errors: { feed_name: 'El nombre no puede estar vacio.' }
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      FeedToken.updateForUser(feed.id, slackUserId, data);
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Feed "${data.name}" actualizado. La URL no cambia.`
+      });
+
+      console.log(`[Feeds] Feed actualizado: "${data.name}" (ID: ${feed.id})`);
+    } catch (error) {
+      console.error('[Feeds] Error actualizando feed:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al actualizar el feed: ${error.message}`
+      });
+    }
+  });
+
+  // Handler para confirmar la regeneracion de la URL
+  app.view('regenerate_feed_confirm', async ({ ack, body, view, client }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const metadata = JSON.parse(view.private_metadata);
+
+    try {
+      const previous = FeedToken.findByIdAndUser(metadata.feedId, slackUserId);
+      const feed = FeedToken.regenerateToken(metadata.feedId, slackUserId);
+      if (!feed) return;
+
+      // Liberar el feed cacheado con la URL anterior
+      getFeedCache().invalidate(previous.token);
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Nueva URL del feed "${feed.name}":\n\`${getFeedUrl(feed)}\`\n\n_La URL anterior ha sido invalidada. Actualiza la suscripcion en tus apps de calendario._`
+      });
+
+      console.log(`[Feeds] URL regenerada del feed ${feed.id}`);
+    } catch (error) {
+      console.error('[Feeds] Error regenerando feed token:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al regenerar URL: ${error.message}`
+      });
+    }
+  });
+
+  // Handler para confirmar la eliminacion
+  app.view('delete_feed_confirm', async ({ ack, body, view, client }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const metadata = JSON.parse(view.private_metadata);
+
+    const feed = FeedToken.findByIdAndUser(metadata.feedId, slackUserId);
+    if (!feed) return;
+
+    try {
+      FeedToken.deleteForUser(feed.id, slackUserId);
+      getFeedCache().invalidate(feed.token);
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Feed "${feed.name}" eliminado.`
+      });
+
+      console.log(`[Feeds] Feed eliminado: "${feed.name}" (ID: ${feed.id})`);
+    } catch (error) {
+      console.error('[Feeds] Error eliminando feed:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al eliminar el feed: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[Feeds] Action handlers registrados');
+}
@@ -0,0 +1,177 @@
+import { DateTime } from 'luxon';
+import { Event } from '../../models/Event.js';
+import { Source } from '../../models/Source.js';
+import { getSyncService } from '../../services/SyncService.js';
+import { buildScopeUpgradeModal } from '../modals/eventModal.js';
+import { hasWriteAccess, getWriteAuthUrl } from '../commands/evento.js';
+import { getTodayInZone, getEventDateInZone } from '../../utils/timezone.js';
+
+// Dias hacia adelante en los que se buscan invitaciones sin responder
+const INVITATION_DAYS = 14;
+
+// Invitaciones mostradas en /calendario (cada una ocupa dos bloques)
+const MAX_INVITATIONS = 5;
+
+// Respuestas disponibles, en el orden de los botones
+const RESPONSES = [
+  { value: 'accepted', label: 'Aceptar', style: 'primary', done: ':white_check_mark: Has aceptado' },
+  { value: 'tentative', label: 'Provisional', done: ':grey_question: Has aceptado como provisional' },
+  { value: 'declined', label: 'Rechazar', style: 'danger', done: ':x: Has rechazado' }
+];
+
+/**
+ * Busca las invitaciones pendientes de respuesta del usuario en Google y Outlook
+ * Las series recurrentes aparecen una sola vez (la respuesta se aplica a toda la serie)
+ * @param {Array} sources - Sources del usuario
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Array} Eventos ordenados por fecha
+ */
+export function findPendingInvitations(sources, timezone) {
+  const sourceIds = sources
+    .filter(s => s.enabled && (s.type === 'google' || s.type === 'microsoft'))
+    .map(s => s.id);
+
+  // Las horas se guardan en UTC: se consulta desde el dia anterior (los eventos
+  // de todo el dia se guardan como fechas) y se descartan los anteriores a hoy
+  const today = getTodayInZone(timezone);
+  const dayStart = DateTime.fromISO(today, { zone: timezone }).startOf('day');
+  const events = Event.findOccurrences(sourceIds, {
+    startDate: dayStart.minus({ days: 1 }).toUTC().toISO(),
+    endDate: dayStart.plus({ days: INVITATION_DAYS }).toUTC().toISO()
+  });
+
+  const seen = new Set();
+  return events
+    .filter(event => getEventDateInZone(event, timezone) >= today)
+    .filter(event => event.response_status === 'needs-action' && event.status !== 'cancelled')
+    .filter(event => {
+      if (seen.has(event.id)) return false;
+      seen.add(event.id);
+      return true;
+    })
+    .slice(0, MAX_INVITATIONS);
+}
+
+/**
+ * Formatea la fecha de una invitacion
+ * @param {Object} event
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {string}
+ */
+function formatInvitationDate(event, timezone) {
+  if (event.all_day) {
+    return DateTime.fromISO(event.start_datetime, { zone: timezone }).setLocale('es').toFormat('ccc d LLL');
+  }
+  return DateTime.fromISO(event.start_datetime, { zone: 'utc' })
+    .setZone(timezone)
+    .setLocale('es')
+    .toFormat('ccc d LLL, HH:mm');
+}
+
+/**
+ * Construye los bloques de Slack con las invitaciones pendientes y sus botones de respuesta
+ * @param {Array} events - Resultado de findPendingInvitations()
+ * @param {Map} sourceMap - Mapa de source_id a Source
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Array} Bloques de Slack (vacio si no hay invitaciones)
+ */
+export function buildInvitationBlocks(events, sourceMap, timezone) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: ':envelope_with_arrow: *INVITACIONES PENDIENTES*'
+      }
+    }
+  ];
+
+  for (const event of events) {
+    const source = sourceMap.get(event.source_id);
+    const organizer = event.organizer ? ` • de ${event.organizer.name || event.organizer.email}` : '';
+    const recurring = event.recurrence ? ' • _serie_' : '';
+
+    blocks.push(
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${event.summary || '(Sin título)'}*\n${formatInvitationDate(event, timezone)}${organizer}${recurring}${source ? ` • ${source.name}` : ''}`
+        }
+      },
+      {
+        type: 'actions',
+        block_id: `invitation_${event.id}`,
+        elements: RESPONSES.map(response => ({
+          type: 'button',
+          text: { type: 'plain_text', text: response.label, emoji: true },
+          action_id: `invitation_${response.value}`,
+          value: String(event.id),
+          ...(response.style && { style: response.style })
+        }))
+      }
+    );
+  }
+
+  return blocks;
+}
+
+/**
+ * Registra los action handlers para responder invitaciones
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerInvitationActions(app) {
+  app.action(/^invitation_(accepted|tentative|declined)$/, async ({ body, ack, client, action }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const response = RESPONSES.find(r => action.action_id === `invitation_${r.value}`);
+    const event = Event.findById(parseInt(action.value, 10));
+
+    // Verificar propiedad
+    const source = event ? Source.findByIdAndUser(event.source_id, slackUserId) : null;
+    if (!source || (source.type !== 'google' && source.type !== 'microsoft')) {
+      console.warn(`[Invitations] Evento ${action.value} no encontrado para usuario ${slackUserId}`);
+      return;
+    }
+
+    try {
+      // Los tokens antiguos solo tienen permiso de lectura: pedir ampliacion de scopes
+      if (!hasWriteAccess(source)) {
+        const slackUser = { id: slackUserId, teamId: body.team?.id, name: body.user.name };
+        const authUrl = await getWriteAuthUrl(source, slackUser);
+
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: buildScopeUpgradeModal(source, authUrl)
+        });
+        return;
+      }
+
+      const provider = await getSyncService().aggregator.getProvider(source);
+      const updated = await provider.respondToInvitation(event.external_id, response.value);
+
+      // Guardar la respuesta para que /calendario la refleje sin esperar a la sincronizacion
+      Event.upsert(updated);
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `${response.done} "${event.summary}".`
+      });
+
+      console.log(`[Invitations] Evento ${event.id} respondido (${response.value}) por usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Invitations] Error respondiendo invitacion:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al responder la invitacion: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[Invitations] Action handlers registrados');
+}
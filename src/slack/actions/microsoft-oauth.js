@@ -33,6 +33,45 @@ function getCCA() {
   return ccaInstance;
 }
 
+// Scope necesario para crear eventos desde Slack
+export const MICROSOFT_WRITE_SCOPE = 'https://graph.microsoft.com/Calendars.ReadWrite';
+
+/**
+ * Verifica si los scopes concedidos permiten crear eventos en Outlook
+ * @param {string|null} scope - Scopes concedidos separados por espacios
+ * @returns {boolean}
+ */
+export function hasMicrosoftWriteScope(scope) {
+  return (scope || '').split(' ')
+    .some(s => s.toLowerCase().endsWith('calendars.readwrite'));
+}
+
+/**
+ * Obtiene los scopes a solicitar a Microsoft
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - Incluir permiso de escritura en calendarios
+ * @returns {string[]}
+ */
+export function getMicrosoftScopes(options = {}) {
+  const scopes = process.env.AZURE_SCOPES
+    ? process.env.AZURE_SCOPES.split(',').map(s => s.trim())
+    : [
+      'https://graph.microsoft.com/Calendars.Read',
+      'https://graph.microsoft.com/User.Read',
+      'offline_access'
+    ];
+
+  if (!options.write || hasMicrosoftWriteScope(scopes.join(' '))) {
+    return scopes;
+  }
+
+  // Calendars.ReadWrite incluye la lectura
+  return [
+    ...scopes.filter(s => !s.toLowerCase().endsWith('calendars.read')),
+    MICROSOFT_WRITE_SCOPE
+  ];
+}
+
 /**
  * Genera la URL de autorizacion OAuth de Microsoft/Azure
  * @param {Object} slackUser - Datos del usuario de Slack
@@ -41,16 +80,14 @@ function getCCA() {
  * @param {string} [slackUser.name] - Nombre del usuario
  * @param {string} [slackUser.responseUrl] - URL para actualizar mensaje de Slack
  * @param {string} [slackUser.channelId] - ID del canal de Slack
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - Solicitar permiso de escritura (ampliacion de scopes)
+ * @param {string} [options.loginHint] - Email de la cuenta a autorizar (ej: al ampliar permisos)
+ * @param {boolean} [options.newAccount] - Mostrar el selector de cuentas para conectar otra cuenta
  * @returns {Promise<Object>} - { url, state }
  */
-export async function getMicrosoftAuthUrl(slackUser = {}) {
-  const scopes = process.env.AZURE_SCOPES
-    ? process.env.AZURE_SCOPES.split(',').map(s => s.trim())
-    : [
-      'https://graph.microsoft.com/Calendars.Read',
-      'https://graph.microsoft.com/User.Read',
-      'offline_access'
-    ];
+export async function getMicrosoftAuthUrl(slackUser = {}, options = {}) {
+  const scopes = getMicrosoftScopes(options);
 
   // Generar state unico con datos del usuario de Slack
   const state = crypto.randomBytes(32).toString('hex');
@@ -62,6 +99,7 @@ export async function getMicrosoftAuthUrl(slackUser = {}) {
     slackUserName: slackUser.name,
     responseUrl: slackUser.responseUrl,
     channelId: slackUser.channelId,
+    write: Boolean(options.write),
     createdAt: Date.now()
   });
 
@@ -69,9 +107,14 @@ export async function getMicrosoftAuthUrl(slackUser = {}) {
     scopes: scopes,
     redirectUri: process.env.AZURE_REDIRECT_URI,
     state: state,
-    prompt: 'consent' // Forzar consentimiento para obtener refresh_token
+    // Forzar consentimiento para obtener refresh_token (o elegir otra cuenta)
+    prompt: options.newAccount ? 'select_account' : 'consent'
   };
 
+  if (options.loginHint) {
+    authCodeUrlParameters.loginHint = options.loginHint;
+  }
+
   const cca = getCCA();
   const url = await cca.getAuthCodeUrl(authCodeUrlParameters);
 
@@ -103,16 +146,12 @@ export function validateMicrosoftOAuthState(state) {
 /**
  * Intercambia el codigo de autorizacion por tokens de Microsoft
  * @param {string} code - Codigo de autorizacion de Microsoft
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - El flujo solicito permiso de escritura
  * @returns {Promise<Object>} Tokens de acceso y refresh
  */
-export async function exchangeMicrosoftCodeForTokens(code) {
-  const scopes = process.env.AZURE_SCOPES
-    ? process.env.AZURE_SCOPES.split(',').map(s => s.trim())
-    : [
-      'https://graph.microsoft.com/Calendars.Read',
-      'https://graph.microsoft.com/User.Read',
-      'offline_access'
-    ];
+export async function exchangeMicrosoftCodeForTokens(code, options = {}) {
+  const scopes = getMicrosoftScopes(options);
 
   const tokenRequest = {
     code: code,
@@ -167,16 +206,11 @@ export async function getMicrosoftUserInfo(accessToken) {
  * Refresca los tokens de Microsoft usando MSAL
  * @param {string} refreshToken - Refresh token actual (no usado directamente por MSAL)
  * @param {Object} account - Account object de MSAL (si disponible)
+ * @param {string|null} grantedScope - Scopes concedidos al token (para no perder la escritura)
  * @returns {Promise<Object>} Nuevos tokens
  */
-export async function refreshMicrosoftTokens(refreshToken, account = null) {
-  const scopes = process.env.AZURE_SCOPES
-    ? process.env.AZURE_SCOPES.split(',').map(s => s.trim())
-    : [
-      'https://graph.microsoft.com/Calendars.Read',
-      'https://graph.microsoft.com/User.Read',
-      'offline_access'
-    ];
+export async function refreshMicrosoftTokens(refreshToken, account = null, grantedScope = null) {
+  const scopes = getMicrosoftScopes({ write: hasMicrosoftWriteScope(grantedScope) });
 
   const cca = getCCA();
 
@@ -196,7 +230,7 @@ export async function refreshMicrosoftTokens(refreshToken, account = null) {
         scope: response.scopes ? response.scopes.join(' ') : null,
         token_type: response.tokenType || 'Bearer'
       };
-    } catch (error) {
+    } catch {
       console.log('[MicrosoftOAuth] Silent token acquisition failed, trying refresh token');
     }
   }
@@ -14,6 +14,20 @@ setInterval(() => {
   }
 }, 10 * 60 * 1000);
 
+// Scope necesario para crear eventos desde Slack
+export const GOOGLE_WRITE_SCOPE = 'https://www.googleapis.com/auth/calendar.events';
+
+/**
+ * Verifica si los scopes concedidos permiten crear eventos en Google Calendar
+ * @param {string|null} scope - Scopes concedidos separados por espacios
+ * @returns {boolean}
+ */
+export function hasGoogleWriteScope(scope) {
+  const granted = (scope || '').split(' ');
+  return granted.includes(GOOGLE_WRITE_SCOPE)
+    || granted.includes('https://www.googleapis.com/auth/calendar');
+}
+
 /**
  * Genera la URL de autorizacion OAuth de Google Calendar
  * @param {Object} slackUser - Datos del usuario de Slack
@@ -22,9 +36,13 @@ setInterval(() => {
  * @param {string} [slackUser.name] - Nombre del usuario
  * @param {string} [slackUser.responseUrl] - URL para actualizar mensaje de Slack
  * @param {string} [slackUser.channelId] - ID del canal de Slack
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - Solicitar permiso de escritura (ampliacion de scopes)
+ * @param {string} [options.loginHint] - Email de la cuenta a autorizar (ej: al ampliar permisos)
+ * @param {boolean} [options.newAccount] - Mostrar el selector de cuentas para conectar otra cuenta
  * @returns {Object} - { url, state }
  */
-export function getGoogleAuthUrl(slackUser = {}) {
+export function getGoogleAuthUrl(slackUser = {}, options = {}) {
   const oauth2Client = new google.auth.OAuth2(
     process.env.GOOGLE_CLIENT_ID,
     process.env.GOOGLE_CLIENT_SECRET,
@@ -38,6 +56,10 @@ export function getGoogleAuthUrl(slackUser = {}) {
       'https://www.googleapis.com/auth/userinfo.email'
     ];
 
+  if (options.write && !scopes.includes(GOOGLE_WRITE_SCOPE)) {
+    scopes.push(GOOGLE_WRITE_SCOPE);
+  }
+
   // Generar state unico con datos del usuario de Slack
   const state = crypto.randomBytes(32).toString('hex');
 
@@ -48,15 +70,24 @@ export function getGoogleAuthUrl(slackUser = {}) {
     slackUserName: slackUser.name,
     responseUrl: slackUser.responseUrl,
     channelId: slackUser.channelId,
+    write: Boolean(options.write),
     createdAt: Date.now()
   });
 
-  const url = oauth2Client.generateAuthUrl({
+  const authUrlParams = {
     access_type: 'offline',
     scope: scopes,
-    prompt: 'consent',
+    prompt: options.newAccount ? 'select_account consent' : 'consent',
+    // Conservar los scopes ya concedidos al ampliar permisos
+    include_granted_scopes: true,
     state: state
-  });
+  };
+
+  if (options.loginHint) {
+    authUrlParams.login_hint = options.loginHint;
+  }
+
+  const url = oauth2Client.generateAuthUrl(authUrlParams);
 
   return { url, state };
 }
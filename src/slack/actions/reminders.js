@@ -0,0 +1,93 @@
+import { UserSettings } from '../../models/UserSettings.js';
+
+// Antelaciones disponibles para los recordatorios (en minutos)
+export const REMINDER_OPTIONS = [1, 5, 10, 15, 30];
+
+/**
+ * Construye una opcion del selector de antelacion
+ * @param {number|null} minutes - null = desactivados
+ * @returns {Object}
+ */
+function toReminderOption(minutes) {
+  return {
+    text: {
+      type: 'plain_text',
+      text: minutes ? `${minutes} min antes` : 'Desactivados',
+      emoji: true
+    },
+    value: minutes ? String(minutes) : 'off'
+  };
+}
+
+/**
+ * Construye los bloques de Slack con la configuracion de recordatorios de reuniones
+ * @param {string} slackUserId - ID del usuario de Slack
+ * @returns {Array} Bloques de Slack
+ */
+export function buildRemindersBlocks(slackUserId) {
+  const settings = UserSettings.getForUser(slackUserId);
+  const minutes = settings.reminder_minutes;
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: minutes
+          ? `*Recordatorios de reuniones*\n:white_check_mark: ${minutes} min antes de cada evento, con enlace para unirse`
+          : '*Recordatorios de reuniones*\n_Recibe un aviso por mensaje directo antes de cada evento, con el enlace de Meet, Teams o Zoom._'
+      },
+      accessory: {
+        type: 'static_select',
+        action_id: 'reminder_minutes_select',
+        placeholder: { type: 'plain_text', text: 'Antelacion', emoji: true },
+        options: [null, ...REMINDER_OPTIONS].map(toReminderOption),
+        initial_option: toReminderOption(REMINDER_OPTIONS.includes(minutes) ? minutes : null)
+      }
+    }
+  ];
+}
+
+/**
+ * Registra los action handlers de los recordatorios de reuniones
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerReminderActions(app) {
+  // Handler para el selector de antelacion en /ajustes
+  app.action('reminder_minutes_select', async ({ body, ack, client, action }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const value = action.selected_option.value;
+    const minutes = value === 'off' ? null : parseInt(value, 10);
+
+    if (minutes !== null && !REMINDER_OPTIONS.includes(minutes)) return;
+
+    try {
+      UserSettings.updateReminders(slackUserId, minutes);
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: minutes
+          ? `Te avisare ${minutes} min antes de cada evento.`
+          : 'Recordatorios de reuniones desactivados.'
+      });
+
+      console.log(`[Reminders] Configuracion actualizada para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Reminders] Error guardando configuracion:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al guardar los recordatorios: ${error.message}`
+      });
+    }
+  });
+
+  // El boton "Unirse" abre el enlace directamente; solo hay que confirmar la accion
+  app.action('reminder_join', async ({ ack }) => {
+    await ack();
+  });
+
+  console.log('[Reminders] Action handlers registrados');
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import slackApp from '../app.js';
+
+// Almacen temporal de estados OAuth (en produccion usar Redis)
+const pendingSlackOAuthStates = new Map();
+
+// Limpiar estados expirados cada 10 minutos
+setInterval(() => {
+  const now = Date.now();
+  for (const [state, data] of pendingSlackOAuthStates) {
+    if (now - data.createdAt > 10 * 60 * 1000) {
+      pendingSlackOAuthStates.delete(state);
+    }
+  }
+}, 10 * 60 * 1000);
+
+// Scopes de usuario necesarios para leer y cambiar el estado de Slack
+export const SLACK_STATUS_SCOPES = ['users.profile:read', 'users.profile:write'];
+
+/**
+ * Indica si la app de Slack tiene configurado el flujo OAuth de usuario
+ * @returns {boolean}
+ */
+export function isSlackOAuthConfigured() {
+  return Boolean(process.env.SLACK_CLIENT_ID && process.env.SLACK_CLIENT_SECRET && process.env.SLACK_REDIRECT_URI);
+}
+
+/**
+ * Genera la URL de autorizacion OAuth de Slack (token de usuario)
+ * El bot no puede cambiar el estado de otras personas: cada usuario autoriza
+ * a la app a hacerlo en su nombre
+ * @param {Object} slackUser - Datos del usuario de Slack
+ * @param {string} slackUser.id - ID del usuario de Slack
+ * @param {string} [slackUser.teamId] - ID del workspace de Slack
+ * @param {string} [slackUser.responseUrl] - URL para actualizar mensaje de Slack
+ * @returns {Object} - { url, state }
+ */
+export function getSlackAuthUrl(slackUser = {}) {
+  // Generar state unico con datos del usuario de Slack
+  const state = crypto.randomBytes(32).toString('hex');
+
+  pendingSlackOAuthStates.set(state, {
+    slackUserId: slackUser.id,
+    slackTeamId: slackUser.teamId,
+    responseUrl: slackUser.responseUrl,
+    createdAt: Date.now()
+  });
+
+  const params = new URLSearchParams({
+    client_id: process.env.SLACK_CLIENT_ID,
+    user_scope: SLACK_STATUS_SCOPES.join(','),
+    redirect_uri: process.env.SLACK_REDIRECT_URI,
+    state
+  });
+
+  if (slackUser.teamId) {
+    params.set('team', slackUser.teamId);
+  }
+
+  return { url: `https://slack.com/oauth/v2/authorize?${params}`, state };
+}
+
+/**
+ * Valida y consume un state de OAuth de Slack
+ * @param {string} state - State recibido en callback
+ * @returns {Object|null} - Datos del usuario o null si invalido
+ */
+export function validateSlackOAuthState(state) {
+  if (!state) return null;
+
+  const data = pendingSlackOAuthStates.get(state);
+  if (!data) return null;
+
+  // Verificar que no haya expirado (10 minutos)
+  if (Date.now() - data.createdAt > 10 * 60 * 1000) {
+    pendingSlackOAuthStates.delete(state);
+    return null;
+  }
+
+  // Consumir el state (uso unico)
+  pendingSlackOAuthStates.delete(state);
+  return data;
+}
+
+/**
+ * Intercambia el codigo de autorizacion por el token de usuario de Slack
+ * @param {string} code - Codigo de autorizacion de Slack
+ * @returns {Promise<Object>} - { slackUserId, accessToken, scope }
+ */
+export async function exchangeSlackCodeForToken(code) {
+  const response = await slackApp.client.oauth.v2.access({
+    client_id: process.env.SLACK_CLIENT_ID,
+    client_secret: process.env.SLACK_CLIENT_SECRET,
+    redirect_uri: process.env.SLACK_REDIRECT_URI,
+    code
+  });
+
+  const authedUser = response.authed_user || {};
+  if (!authedUser.access_token) {
+    throw new Error('Slack no devolvio un token de usuario');
+  }
+
+  return {
+    slackUserId: authedUser.id,
+    accessToken: authedUser.access_token,
+    scope: authedUser.scope
+  };
+}
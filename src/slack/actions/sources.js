@@ -1,5 +1,19 @@
 import { Source } from '../../models/Source.js';
-import { buildSourceModal, buildDeleteConfirmModal, SOURCE_COLORS } from '../modals/sourceModal.js';
+import { OAuthToken } from '../../models/OAuthToken.js';
+import {
+  buildSourceModal,
+  buildCalDAVModal,
+  buildIcsUploadModal,
+  buildDeleteConfirmModal,
+  buildCalendarPickerModal,
+  buildCalendarPickerLoadingModal,
+  getCalendarOptionValue,
+  SOURCE_COLORS
+} from '../modals/sourceModal.js';
+import { getBusyMirrorService } from '../../services/BusyMirrorService.js';
+import { createProvider } from '../../services/CalendarAggregator.js';
+import { encryptSecret, applyAuthConfig, hasAuthSecret, isValidHeaderName } from '../../utils/credentials.js';
+import { validateICalData, saveIcsFile, deleteIcsFile, MAX_ICS_SIZE } from '../../utils/icsFiles.js';
 
 /**
  * Construye los bloques de Slack para mostrar la lista de sources del usuario
@@ -7,9 +21,12 @@ import { buildSourceModal, buildDeleteConfirmModal, SOURCE_COLORS } from '../mod
  * @returns {Array} Bloques de Slack
  */
 export function buildSourcesBlocks(slackUserId) {
-  // Filtrar solo calendarios ICS (excluir google y microsoft que se muestran aparte)
-  const sources = Source.findBySlackUserId(slackUserId)
-    .filter(s => s.type !== 'google' && s.type !== 'microsoft');
+  const sources = Source.findBySlackUserId(slackUserId);
+
+  // Email de la cuenta de cada calendario de Google/Outlook
+  const accountEmails = new Map(
+    OAuthToken.findAllBySlackUserId(slackUserId).map(t => [t.id, t.account_email])
+  );
 
   const blocks = [
     { type: 'divider' },
@@ -28,7 +45,7 @@ export function buildSourcesBlocks(slackUserId) {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '_No tienes calendarios ICS configurados._'
+        text: '_No tienes calendarios configurados._'
       }
     });
   } else {
@@ -37,12 +54,21 @@ export function buildSourcesBlocks(slackUserId) {
       const colorInfo = SOURCE_COLORS.find(c => c.value === source.color);
       const colorLabel = colorInfo ? colorInfo.label : '';
       const statusEmoji = source.enabled ? ':white_check_mark:' : ':no_entry_sign:';
+      let accountEmail = accountEmails.get(source.oauth_token_id);
+      if (source.type === 'caldav') {
+        accountEmail = `${source.config.username} @ ${new URL(source.config.url).host}`;
+      } else if (source.type === 'ical_local' && source.config.file_name) {
+        accountEmail = `:page_facing_up: ${source.config.file_name}`;
+      }
+      const privacyText = source.privacy === 'busy'
+        ? ' :lock: solo ocupado'
+        : source.privacy === 'titles' ? ' :lock: solo titulos' : '';
 
       blocks.push({
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `${statusEmoji} *${source.name}*${colorLabel ? ` (${colorLabel})` : ''}`
+          text: `${statusEmoji} *${source.name}*${colorLabel ? ` (${colorLabel})` : ''}${privacyText}${accountEmail ? `\n_${accountEmail}_` : ''}`
         },
         accessory: {
           type: 'overflow',
@@ -60,6 +86,10 @@ export function buildSourcesBlocks(slackUserId) {
               },
               value: `toggle_${source.id}`
             },
+            ...(source.type === 'ical_local' ? [{
+              text: { type: 'plain_text', text: 'Reemplazar archivo', emoji: true },
+              value: `replace_${source.id}`
+            }] : []),
             {
               text: { type: 'plain_text', text: 'Eliminar', emoji: true },
               value: `delete_${source.id}`
@@ -83,6 +113,24 @@ export function buildSourcesBlocks(slackUserId) {
         },
         action_id: 'open_add_source_modal',
         style: 'primary'
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Agregar CalDAV',
+          emoji: true
+        },
+        action_id: 'open_add_caldav_modal'
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Subir .ics',
+          emoji: true
+        },
+        action_id: 'open_upload_ics_modal'
       }
     ]
   });
@@ -90,6 +138,144 @@ export function buildSourcesBlocks(slackUserId) {
   return blocks;
 }
 
+/**
+ * Actualiza los bloques "Ocupado" afectados por un cambio en un source
+ * (como origen y como calendario destino)
+ * @param {Object} source - Source antes del cambio
+ */
+export async function refreshBusyMirror(source) {
+  const mirrorService = getBusyMirrorService();
+  const targetIds = [source.mirror_target_id];
+  if (mirrorService.canBeTarget(source)) {
+    targetIds.push(source.id);
+  }
+
+  for (const targetId of targetIds.filter(Boolean)) {
+    try {
+      await mirrorService.syncTarget(targetId);
+    } catch (error) {
+      console.error('[Sources] Error actualizando bloques ocupado:', error.message);
+    }
+  }
+}
+
+/**
+ * Elimina un source y actualiza los bloques "Ocupado" que dependen de el
+ * @param {Object} source
+ * @param {string} slackUserId
+ */
+export async function deleteSource(source, slackUserId) {
+  // Si recibe bloques "Ocupado", desactivarlo primero para borrar los placeholders
+  if (getBusyMirrorService().canBeTarget(source)) {
+    Source.updateForUser(source.id, slackUserId, { enabled: 0 });
+    await refreshBusyMirror({ id: source.id, type: source.type });
+  }
+
+  Source.deleteForUser(source.id, slackUserId);
+
+  // Los archivos .ics subidos solo los usa este calendario
+  if (source.type === 'ical_local') {
+    deleteIcsFile(source.config?.path);
+  }
+
+  // Quitar sus bloques del calendario destino
+  await refreshBusyMirror({ mirror_target_id: source.mirror_target_id });
+}
+
+/**
+ * Elige un color para un nuevo calendario, priorizando los que el usuario aun no usa
+ * @param {Array} sources - Sources del usuario
+ * @returns {string}
+ */
+export function pickSourceColor(sources) {
+  const usedColors = new Set(sources.map(s => s.color));
+  const unused = SOURCE_COLORS.find(c => !usedColors.has(c.value));
+  return (unused || SOURCE_COLORS[sources.length % SOURCE_COLORS.length]).value;
+}
+
+/**
+ * Obtiene los calendarios de una cuenta OAuth
+ * @param {OAuthToken} tokenRecord
+ * @returns {Promise<Array>}
+ */
+async function listAccountCalendars(tokenRecord) {
+  const provider = createProvider({
+    type: tokenRecord.provider,
+    slack_user_id: tokenRecord.slack_user_id,
+    oauth_token_id: tokenRecord.id,
+    config: { calendarId: 'primary' }
+  });
+  await provider.initialize();
+  return provider.listCalendars();
+}
+
+/**
+ * Valida la URL de un calendario ICS remoto
+ * @param {string} url
+ * @returns {string|null} Mensaje de error, o null si es valida
+ */
+function getIcsUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'URL invalida. Debe ser una URL completa (https://...)';
+  }
+
+  // fetch no admite credenciales en la URL, y asi no quedan guardadas en claro
+  if (parsed.username || parsed.password) {
+    return 'No incluyas usuario y contraseña en la URL: usa los campos de autenticacion';
+  }
+  return null;
+}
+
+/**
+ * Lee y valida los campos de autenticacion del modal de un calendario ICS remoto
+ * @param {Object} values - view.state.values
+ * @param {Object} [currentConfig] - Config actual del source (al editar)
+ * @returns {{ auth: Object, errors: Object|null }} auth para applyAuthConfig()
+ */
+function readAuthFields(values, currentConfig = {}) {
+  const auth = {
+    type: values.source_auth?.auth_type_select?.selected_option?.value || 'none',
+    username: values.source_auth_username?.auth_username_input?.value?.trim() || '',
+    header: values.source_auth_header?.auth_header_input?.value?.trim() || '',
+    secret: values.source_auth_secret?.auth_secret_input?.value?.trim() || ''
+  };
+
+  const errors = {};
+  if (auth.type === 'basic' && !auth.username) {
+    errors.source_auth_username = 'Indica el usuario';
+  }
+  if (auth.type === 'header' && !isValidHeaderName(auth.header)) {
+    errors.source_auth_header = 'Nombre de cabecera invalido (ej: X-API-Key)';
+  }
+  if (auth.type !== 'none' && !auth.secret && !hasAuthSecret(currentConfig, auth.type)) {
+    errors.source_auth_secret = 'Indica la contraseña, el token o el valor de la cabecera';
+  }
+
+  return { auth, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * Descarga un archivo subido a Slack (requiere el scope files:read)
+ * @param {Object} file - Archivo de un file_input (con url_private_download)
+ * @param {string} token - Token del bot
+ * @returns {Promise<string>} Contenido del archivo
+ */
+async function downloadSlackFile(file, token) {
+  const response = await fetch(file.url_private_download || file.url_private, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+
+  // Sin permisos Slack redirige a la pagina de login (HTML)
+  if (!response.ok || response.headers.get('content-type')?.includes('text/html')) {
+    throw new Error('No se pudo descargar el archivo. El bot necesita el scope files:read');
+  }
+
+  return response.text();
+}
+
 /**
  * Registra todos los action handlers relacionados con sources
  * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
@@ -109,7 +295,35 @@ export function registerSourceActions(app) {
     }
   });
 
-  // Handler para el menu overflow (editar, toggle, eliminar)
+  // Handler para abrir el modal de agregar un servidor CalDAV
+  app.action('open_add_caldav_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildCalDAVModal()
+      });
+    } catch (error) {
+      console.error('[Sources] Error abriendo modal CalDAV:', error.message);
+    }
+  });
+
+  // Handler para abrir el modal de subir un archivo .ics
+  app.action('open_upload_ics_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildIcsUploadModal()
+      });
+    } catch (error) {
+      console.error('[Sources] Error abriendo modal de archivo .ics:', error.message);
+    }
+  });
+
+  // Handler para el menu overflow (editar, toggle, reemplazar archivo, eliminar)
   app.action(/^source_overflow_\d+$/, async ({ body, ack, client, action }) => {
     await ack();
 
@@ -138,6 +352,7 @@ export function registerSourceActions(app) {
         Source.updateForUser(source.id, slackUserId, {
           enabled: source.enabled ? 0 : 1
         });
+        await refreshBusyMirror(source);
         const newStatus = source.enabled ? 'desactivado' : 'activado';
         await client.chat.postEphemeral({
           channel: body.channel.id,
@@ -147,6 +362,13 @@ export function registerSourceActions(app) {
         break;
       }
 
+      case 'replace':
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: buildIcsUploadModal({ source })
+        });
+        break;
+
       case 'delete':
         await client.views.open({
           trigger_id: body.trigger_id,
@@ -167,20 +389,27 @@ export function registerSourceActions(app) {
     const name = values.source_name.name_input.value;
     const url = values.source_url.url_input.value;
     const color = values.source_color.color_select?.selected_option?.value || null;
+    const privacy = values.source_privacy?.privacy_select?.selected_option?.value || 'full';
 
     // Validar formato de URL
-    try {
-      new URL(url);
-    } catch {
+    const urlError = getIcsUrlError(url);
+    if (urlError) {
       await ack({
         response_action: 'errors',
         errors: {
-          source_url: 'URL invalida. Debe ser una URL completa (https://...)'
+          source_url: urlError
         }
       });
       return;
     }
 
+    // Credenciales del calendario (se guardan encriptadas)
+    const { auth, errors: authErrors } = readAuthFields(values);
+    if (authErrors) {
+      await ack({ response_action: 'errors', errors: authErrors });
+      return;
+    }
+
     // Verificar si ya existe un source con esta URL para este usuario
     const existingSources = Source.findBySlackUserId(slackUserId);
     const duplicate = existingSources.find(s => s.config?.url === url);
@@ -201,8 +430,9 @@ export function registerSourceActions(app) {
       Source.createForUser({
         name,
         type: 'ical_remote',
-        config: { url },
-        color
+        config: applyAuthConfig({ url }, auth),
+        color,
+        privacy
       }, slackUserId);
 
       // Sincronizar todos los calendarios del usuario
@@ -228,6 +458,177 @@ export function registerSourceActions(app) {
     }
   });
 
+  // Handler para el submit del modal de CalDAV: descubre y agrega los calendarios de la cuenta
+  app.view('add_caldav_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+
+    const url = values.caldav_url.url_input.value;
+    const username = values.caldav_username.username_input.value.trim();
+    const password = values.caldav_password.password_input.value;
+    const privacy = values.source_privacy?.privacy_select?.selected_option?.value || 'full';
+
+    // Validar formato de URL
+    try {
+      new URL(url);
+    } catch {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          caldav_url: 'URL invalida. Debe ser una URL completa (https://...)'
+        }
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      const config = { url, username, password_encrypted: encryptSecret(password) };
+
+      // El descubrimiento valida tambien las credenciales
+      const provider = createProvider({ type: 'caldav', slack_user_id: slackUserId, config });
+      await provider.initialize();
+      const calendars = await provider.listCalendars();
+
+      const existingSources = Source.findBySlackUserId(slackUserId);
+      const existingUrls = new Set(existingSources.map(s => s.config?.calendar_url).filter(Boolean));
+      const newCalendars = calendars.filter(c => !existingUrls.has(c.id));
+
+      if (newCalendars.length === 0) {
+        await client.chat.postMessage({
+          channel: slackUserId,
+          text: calendars.length
+            ? 'Ya tienes todos los calendarios de esta cuenta CalDAV.'
+            : 'No se encontraron calendarios de eventos en esta cuenta CalDAV.'
+        });
+        return;
+      }
+
+      const created = [];
+      for (const calendar of newCalendars) {
+        created.push(Source.createForUser({
+          name: calendar.name,
+          type: 'caldav',
+          config: { ...config, calendar_url: calendar.id },
+          color: pickSourceColor([...existingSources, ...created]),
+          privacy
+        }, slackUserId));
+      }
+
+      const { getSyncService } = await import('../../services/SyncService.js');
+      getSyncService().syncUserSources(slackUserId).catch(err => {
+        console.error('[Sources] Error syncing user sources:', err.message);
+      });
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Calendarios CalDAV agregados: ${created.map(s => `"${s.name}"`).join(', ')}. Se sincronizaran automaticamente.`
+      });
+
+      console.log(`[Sources] ${created.length} calendarios CalDAV creados para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Sources] Error conectando CalDAV:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al conectar con el servidor CalDAV: ${error.message}`
+      });
+    }
+  });
+
+  // Handler para el submit del modal de archivo .ics: crea el calendario o reemplaza su archivo
+  app.view('upload_ics_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+    const metadata = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+    const [file] = values.ics_file.file_input.files || [];
+
+    if (!file) {
+      await ack({
+        response_action: 'errors',
+        errors: { ics_file: 'Sube un archivo .ics' }
+      });
+      return;
+    }
+    if (file.size > MAX_ICS_SIZE) {
+      await ack({
+        response_action: 'errors',
+        errors: { ics_file: `El archivo supera el maximo de ${Math.round(MAX_ICS_SIZE / 1024 / 1024)} MB` }
+      });
+      return;
+    }
+
+    // Verificar propiedad al reemplazar
+    const source = metadata.sourceId ? Source.findByIdAndUser(metadata.sourceId, slackUserId) : null;
+    if (metadata.sourceId && source?.type !== 'ical_local') {
+      await ack();
+      return;
+    }
+
+    await ack();
+
+    try {
+      const content = await downloadSlackFile(file, client.token);
+      validateICalData(content);
+
+      const { getSyncService } = await import('../../services/SyncService.js');
+
+      if (source) {
+        // Mismo archivo: su nuevo mtime hace que ICalLocalProvider lo vuelva a leer
+        const filePath = saveIcsFile(content, source.config.path);
+        Source.updateForUser(source.id, slackUserId, {
+          config: { ...source.config, path: filePath, file_name: file.name }
+        });
+
+        // El provider en cache tiene la config anterior
+        const syncService = getSyncService();
+        syncService.aggregator.clearProvider(source);
+        if (source.enabled) {
+          await syncService.syncSource(source.id);
+        }
+
+        await client.chat.postMessage({
+          channel: slackUserId,
+          text: source.enabled
+            ? `Archivo de "${source.name}" reemplazado por ${file.name}. Eventos actualizados.`
+            : `Archivo de "${source.name}" reemplazado por ${file.name}. Se sincronizara al activar el calendario.`
+        });
+
+        console.log(`[Sources] Archivo .ics reemplazado: "${source.name}" (ID: ${source.id})`);
+        return;
+      }
+
+      const name = values.source_name.name_input.value;
+      const privacy = values.source_privacy?.privacy_select?.selected_option?.value || 'full';
+      const filePath = saveIcsFile(content);
+
+      Source.createForUser({
+        name,
+        type: 'ical_local',
+        config: { path: filePath, file_name: file.name },
+        color: pickSourceColor(Source.findBySlackUserId(slackUserId)),
+        privacy
+      }, slackUserId);
+
+      getSyncService().syncUserSources(slackUserId).catch(err => {
+        console.error('[Sources] Error syncing user sources:', err.message);
+      });
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Calendario "${name}" agregado desde ${file.name}.`
+      });
+
+      console.log(`[Sources] Source .ics creado: "${name}" para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Sources] Error procesando archivo .ics:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al procesar el archivo .ics: ${error.message}`
+      });
+    }
+  });
+
   // Handler para el submit del modal de editar source
   app.view('edit_source_submit', async ({ ack, body, view, client }) => {
     const slackUserId = body.user.id;
@@ -235,8 +636,9 @@ export function registerSourceActions(app) {
     const metadata = JSON.parse(view.private_metadata);
 
     const name = values.source_name.name_input.value;
-    const url = values.source_url.url_input.value;
+    const url = values.source_url?.url_input?.value;
     const color = values.source_color.color_select?.selected_option?.value || null;
+    const privacy = values.source_privacy?.privacy_select?.selected_option?.value || 'full';
 
     // Verificar propiedad
     const source = Source.findByIdAndUser(metadata.sourceId, slackUserId);
@@ -245,19 +647,37 @@ export function registerSourceActions(app) {
       return;
     }
 
+    // Calendarios de Google/Outlook/CalDAV y archivos .ics: solo nombre, color y privacidad
+    if (source.type !== 'ical_remote') {
+      await ack();
+      Source.updateForUser(source.id, slackUserId, { name, color, privacy });
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Calendario "${name}" actualizado correctamente.`
+      });
+      console.log(`[Sources] Source actualizado: "${name}" (ID: ${source.id})`);
+      return;
+    }
+
     // Validar formato de URL
-    try {
-      new URL(url);
-    } catch {
+    const urlError = getIcsUrlError(url);
+    if (urlError) {
       await ack({
         response_action: 'errors',
         errors: {
-          source_url: 'URL invalida. Debe ser una URL completa (https://...)'
+          source_url: urlError
         }
       });
       return;
     }
 
+    // Credenciales: vacias = mantener las guardadas
+    const { auth, errors: authErrors } = readAuthFields(values, source.config);
+    if (authErrors) {
+      await ack({ response_action: 'errors', errors: authErrors });
+      return;
+    }
+
     // Verificar duplicados (excluyendo el source actual)
     const existingSources = Source.findBySlackUserId(slackUserId);
     const duplicate = existingSources.find(s => s.config?.url === url && s.id !== source.id);
@@ -277,10 +697,15 @@ export function registerSourceActions(app) {
       // Actualizar el source
       Source.updateForUser(source.id, slackUserId, {
         name,
-        config: { url },
-        color
+        config: applyAuthConfig({ ...source.config, url }, auth),
+        color,
+        privacy
       });
 
+      // El provider en cache tiene la URL y las credenciales anteriores
+      const { getSyncService } = await import('../../services/SyncService.js');
+      getSyncService().aggregator.clearProvider(source);
+
       // Notificar al usuario
       await client.chat.postMessage({
         channel: slackUserId,
@@ -312,7 +737,7 @@ export function registerSourceActions(app) {
 
     try {
       const sourceName = source.name;
-      Source.deleteForUser(source.id, slackUserId);
+      await deleteSource(source, slackUserId);
 
       // Notificar al usuario
       await client.chat.postMessage({
@@ -330,5 +755,116 @@ export function registerSourceActions(app) {
     }
   });
 
+  // Handler para abrir el selector de calendarios de una cuenta
+  app.action('open_calendar_picker', async ({ body, ack, client, action }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const tokenRecord = OAuthToken.findByIdAndUser(parseInt(action.value, 10), slackUserId);
+    if (!tokenRecord) {
+      console.warn(`[Sources] Cuenta ${action.value} no encontrada para usuario ${slackUserId}`);
+      return;
+    }
+
+    try {
+      // Abrir el modal antes de consultar la API (el trigger_id caduca en 3 segundos)
+      const { view } = await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildCalendarPickerLoadingModal()
+      });
+
+      const calendars = await listAccountCalendars(tokenRecord);
+
+      await client.views.update({
+        view_id: view.id,
+        view: buildCalendarPickerModal({
+          tokenRecord,
+          calendars,
+          sources: Source.findByOAuthTokenId(tokenRecord.id)
+        })
+      });
+    } catch (error) {
+      console.error('[Sources] Error listando calendarios:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al obtener los calendarios de ${tokenRecord.account_email || 'la cuenta'}: ${error.message}`
+      });
+    }
+  });
+
+  // Handler para el submit del selector de calendarios
+  app.view('calendar_picker_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const { tokenId } = JSON.parse(view.private_metadata);
+
+    const selectedValues = new Set(
+      Object.values(view.state.values)
+        .flatMap(block => block.calendars_checkboxes?.selected_options || [])
+        .map(option => option.value)
+    );
+
+    const tokenRecord = OAuthToken.findByIdAndUser(tokenId, slackUserId);
+    if (!tokenRecord) {
+      await ack();
+      return;
+    }
+
+    await ack();
+
+    try {
+      // Los valores de las opciones son hashes: volver a consultar los calendarios
+      const calendars = await listAccountCalendars(tokenRecord);
+      const selected = calendars.filter(c => selectedValues.has(getCalendarOptionValue(c.id)));
+      const selectedIds = new Set(selected.map(c => c.id));
+      const accountSources = Source.findByOAuthTokenId(tokenRecord.id);
+      const syncedIds = new Set(accountSources.map(s => s.config?.calendarId));
+
+      // Crear un source por cada calendario nuevo
+      const created = [];
+      for (const calendar of selected.filter(c => !syncedIds.has(c.id))) {
+        created.push(Source.createForUser({
+          name: calendar.name,
+          type: tokenRecord.provider,
+          config: { calendarId: calendar.id },
+          color: pickSourceColor(Source.findBySlackUserId(slackUserId)),
+          oauth_token_id: tokenRecord.id
+        }, slackUserId));
+      }
+
+      // Eliminar los calendarios desmarcados (CASCADE borra eventos y sync_state)
+      const removed = accountSources.filter(s => !selectedIds.has(s.config?.calendarId));
+      for (const source of removed) {
+        await deleteSource(source, slackUserId);
+      }
+
+      if (created.length) {
+        const { getSyncService } = await import('../../services/SyncService.js');
+        getSyncService().syncUserSources(slackUserId).catch(err => {
+          console.error('[Sources] Error syncing user sources:', err.message);
+        });
+      }
+
+      const changes = [
+        ...created.map(s => `:heavy_plus_sign: ${s.name}`),
+        ...removed.map(s => `:heavy_minus_sign: ${s.name}`)
+      ];
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: changes.length
+          ? `Calendarios de ${tokenRecord.account_email || 'la cuenta'} actualizados:\n${changes.join('\n')}`
+          : `Sin cambios en los calendarios de ${tokenRecord.account_email || 'la cuenta'}.`
+      });
+
+      console.log(`[Sources] Calendarios de cuenta ${tokenRecord.id}: ${created.length} agregados, ${removed.length} eliminados`);
+    } catch (error) {
+      console.error('[Sources] Error actualizando calendarios de la cuenta:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al actualizar los calendarios: ${error.message}`
+      });
+    }
+  });
+
   console.log('[Sources] Action handlers registrados');
 }
@@ -0,0 +1,135 @@
+import { Source } from '../../models/Source.js';
+import { StatusSettings } from '../../models/StatusSettings.js';
+import { getStatusService } from '../../services/StatusService.js';
+import { buildStatusModal } from '../modals/statusModal.js';
+import { parseKeywords } from './feeds.js';
+import { getSlackAuthUrl, isSlackOAuthConfigured } from './slack-oauth.js';
+
+/**
+ * Construye los bloques de Slack con la configuracion del estado automatico
+ * @param {Object} slackUser - Datos del usuario de Slack
+ * @param {string} slackUser.id - ID del usuario de Slack
+ * @param {string} [slackUser.teamId] - ID del workspace de Slack
+ * @param {string} [slackUser.responseUrl] - URL para actualizar el mensaje de /ajustes
+ * @returns {Array} Bloques de Slack (vacio si la app no tiene OAuth de usuario configurado)
+ */
+export function buildStatusBlocks(slackUser) {
+  if (!isSlackOAuthConfigured()) {
+    return [];
+  }
+
+  const settings = StatusSettings.getForUser(slackUser.id);
+
+  if (!settings.isConnected) {
+    const { url } = getSlackAuthUrl(slackUser);
+
+    return [
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*Estado de Slack automatico*\n_Pon tu estado en reunion, fuera de la oficina o concentrado segun tu calendario._'
+        },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Autorizar', emoji: true },
+          action_id: 'slack_status_oauth_start',
+          url
+        }
+      }
+    ];
+  }
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: settings.enabled
+          ? '*Estado de Slack automatico*\n:white_check_mark: Tu estado cambia con tus reuniones, ausencias y tiempo de concentracion'
+          : '*Estado de Slack automatico*\n_Desactivado_'
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Configurar', emoji: true },
+        action_id: 'open_status_modal'
+      }
+    }
+  ];
+}
+
+/**
+ * Registra los action handlers del estado automatico
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerStatusActions(app) {
+  // El boton de autorizar abre la URL de OAuth directamente
+  app.action('slack_status_oauth_start', async ({ ack }) => {
+    await ack();
+  });
+
+  // Handler para abrir el modal de configuracion
+  app.action('open_status_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildStatusModal({
+          settings: StatusSettings.getForUser(body.user.id),
+          sources: Source.findBySlackUserId(body.user.id)
+        })
+      });
+    } catch (error) {
+      console.error('[Status] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Handler para el submit del modal
+  app.view('status_settings_submit', async ({ ack, body, view, client }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+    const userSourceIds = Source.findBySlackUserId(slackUserId).map(s => s.id);
+
+    // Solo se aceptan calendarios del usuario; sin seleccion = todos
+    const sourceIds = (values.status_sources?.sources_select?.selected_options || [])
+      .map(option => parseInt(option.value, 10))
+      .filter(id => userSourceIds.includes(id));
+    const enabled = (values.status_enabled.enabled_checkbox.selected_options || []).length > 0;
+
+    try {
+      const settings = StatusSettings.updateRules(slackUserId, {
+        enabled,
+        source_ids: sourceIds.length ? sourceIds : null,
+        focus_keywords: parseKeywords(values.status_focus.focus_input.value),
+        ignore_keywords: parseKeywords(values.status_ignore.ignore_input.value)
+      });
+
+      // Al desactivar, devolver el estado que el usuario tenia antes
+      if (!enabled) {
+        await getStatusService().restore(client, settings);
+      }
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: enabled
+          ? 'Tu estado de Slack cambiara automaticamente segun tu calendario.'
+          : 'Estado de Slack automatico desactivado.'
+      });
+
+      console.log(`[Status] Configuracion actualizada para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Status] Error guardando configuracion:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al guardar el estado automatico: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[Status] Action handlers registrados');
+}
@@ -0,0 +1,112 @@
+import { UserSettings } from '../../models/UserSettings.js';
+import { buildWorkingHoursModal, WEEKDAYS } from '../modals/availabilityModal.js';
+
+/**
+ * Resume los dias laborables (ej: "Lunes a Viernes" o "Lunes, Miercoles")
+ * @param {number[]} days - Dias ISO
+ * @returns {string}
+ */
+function describeWorkDays(days) {
+  const sorted = [...days].sort((a, b) => a - b);
+  const labels = WEEKDAYS.filter(day => sorted.includes(day.value)).map(day => day.label);
+  const isRange = sorted.length > 2 && sorted.every((day, i) => i === 0 || day === sorted[i - 1] + 1);
+
+  return isRange ? `${labels[0]} a ${labels[labels.length - 1]}` : labels.join(', ');
+}
+
+/**
+ * Construye los bloques de Slack con el horario laboral del usuario
+ * @param {string} slackUserId - ID del usuario de Slack
+ * @returns {Array} Bloques de Slack
+ */
+export function buildWorkingHoursBlocks(slackUserId) {
+  const settings = UserSettings.getForUser(slackUserId);
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Horario laboral*\n${describeWorkDays(settings.work_days)}, de ${settings.work_start} a ${settings.work_end}\n_Se usa en \`/disponibilidad\` para proponer huecos._`
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Configurar', emoji: true },
+        action_id: 'open_working_hours_modal'
+      }
+    }
+  ];
+}
+
+/**
+ * Registra los action handlers del horario laboral
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerWorkingHoursActions(app) {
+  // Handler para abrir el modal de horario laboral
+  app.action('open_working_hours_modal', async ({ body, ack, client }) => {
+    await ack();
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildWorkingHoursModal(UserSettings.getForUser(body.user.id))
+      });
+    } catch (error) {
+      console.error('[WorkingHours] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Handler para el submit del modal
+  app.view('working_hours_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+
+    const workStart = values.work_start.start_time.selected_time;
+    const workEnd = values.work_end.end_time.selected_time;
+    const workDays = (values.work_days.days_checkboxes.selected_options || [])
+      .map(option => parseInt(option.value, 10));
+
+    if (workEnd <= workStart) {
+      await ack({
+        response_action: 'errors',
+        errors: { work_end: 'La hora de fin debe ser posterior a la de inicio.' }
+      });
+      return;
+    }
+
+    if (workDays.length === 0) {
+      await ack({
+        response_action: 'errors',
+        errors: { work_days: 'Elige al menos un dia.' }
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      const settings = UserSettings.upsert(slackUserId, {
+        work_start: workStart,
+        work_end: workEnd,
+        work_days: workDays
+      });
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Horario laboral guardado: ${describeWorkDays(settings.work_days)}, de ${settings.work_start} a ${settings.work_end}.`
+      });
+
+      console.log(`[WorkingHours] Horario actualizado para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[WorkingHours] Error guardando horario:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al guardar el horario laboral: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[WorkingHours] Action handlers registrados');
+}
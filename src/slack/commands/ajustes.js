@@ -1,70 +1,17 @@
 import { getGoogleAuthUrl } from '../actions/oauth.js';
 import { getMicrosoftAuthUrl } from '../actions/microsoft-oauth.js';
 import { OAuthToken } from '../../models/OAuthToken.js';
-import { FeedToken } from '../../models/FeedToken.js';
 import { Source } from '../../models/Source.js';
 import { SyncService } from '../../services/SyncService.js';
 import { buildSourcesBlocks } from '../actions/sources.js';
-
-/**
- * Construye la URL del feed iCal para un usuario
- * @param {string} slackUserId
- * @returns {string}
- */
-function getFeedUrl(slackUserId) {
-  const feedToken = FeedToken.getOrCreateForUser(slackUserId);
-  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
-  return `${baseUrl}/feed/${feedToken.token}/orbitando.ics`;
-}
-
-/**
- * Construye los bloques de la seccion "Mi Feed iCal"
- * @param {string} slackUserId
- * @returns {Array}
- */
-function buildFeedBlocks(slackUserId) {
-  const feedUrl = getFeedUrl(slackUserId);
-
-  return [
-    { type: 'divider' },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: '*Mi Feed iCal*\n\nSuscribete desde cualquier app de calendario:'
-      }
-    },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `\`${feedUrl}\``
-      },
-      accessory: {
-        type: 'button',
-        text: { type: 'plain_text', text: 'Regenerar URL', emoji: true },
-        action_id: 'regenerate_feed_token',
-        style: 'danger',
-        confirm: {
-          title: { type: 'plain_text', text: 'Regenerar URL del feed' },
-          text: {
-            type: 'mrkdwn',
-            text: 'Esto invalidara la URL actual. Los calendarios que la esten usando dejaran de actualizarse.\n\nDeseas continuar?'
-          },
-          confirm: { type: 'plain_text', text: 'Si, regenerar' },
-          deny: { type: 'plain_text', text: 'Cancelar' }
-        }
-      }
-    },
-    {
-      type: 'context',
-      elements: [{
-        type: 'mrkdwn',
-        text: '_Copia esta URL en Google Calendar, Apple Calendar u Outlook_'
-      }]
-    }
-  ];
-}
+import { buildBusyMirrorBlocks } from '../actions/busyMirror.js';
+import { buildFeedsBlocks } from '../actions/feeds.js';
+import { buildWorkingHoursBlocks } from '../actions/workingHours.js';
+import { buildDigestBlocks } from '../actions/digest.js';
+import { buildRemindersBlocks } from '../actions/reminders.js';
+import { buildStatusBlocks } from '../actions/status.js';
+import { buildApiTokensBlocks } from '../actions/apiTokens.js';
+import { getBusyMirrorService } from '../../services/BusyMirrorService.js';
 
 /**
  * Verifica si un usuario es administrador
@@ -120,65 +67,111 @@ function buildFooterBlocks(userId, lastSyncDate) {
 }
 
 /**
- * Construye los bloques de conexion de Google Calendar
- * @param {string} slackUserId - ID del usuario de Slack
- * @param {string} slackTeamId - ID del workspace de Slack
- * @param {string} userName - Nombre del usuario
- * @param {string} responseUrl - URL para actualizar mensaje de Slack
- * @param {string} channelId - ID del canal de Slack
+ * Quita los bloques "Ocupado" de calendarios eliminados en sus calendarios destino
+ * @param {number[]} targetIds
  */
-function buildGoogleConnectionBlocks(slackUserId, slackTeamId, userName, responseUrl, channelId) {
-  const tokenRecord = OAuthToken.findBySlackUserId(slackUserId, 'google');
-  const hasValidTokens = tokenRecord && tokenRecord.refreshToken;
-
-  if (hasValidTokens) {
-    return [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `:google-calendar: *Cuenta:* ${tokenRecord.account_email || 'No disponible'}`
+function refreshMirrorTargets(targetIds) {
+  for (const targetId of new Set(targetIds)) {
+    getBusyMirrorService().syncTarget(targetId).catch(err => {
+      console.error('[Ajustes] Error actualizando bloques ocupado:', err.message);
+    });
+  }
+}
+
+/**
+ * Construye los bloques de cada cuenta conectada con sus botones de calendarios y desconectar
+ * @param {Array} tokenRecords - Tokens OAuth del usuario para un proveedor
+ * @param {Object} options
+ * @param {string} options.icon - Emoji del proveedor
+ * @param {string} options.providerName - Nombre del proveedor para el dialogo de confirmacion
+ * @param {string} options.actionId - action_id del boton de desconectar
+ * @returns {Array}
+ */
+function buildAccountBlocks(tokenRecords, { icon, providerName, actionId }) {
+  return tokenRecords.flatMap(tokenRecord => [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${icon} *Cuenta:* ${tokenRecord.account_email || 'No disponible'}`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Elegir calendarios', emoji: true },
+          action_id: 'open_calendar_picker',
+          value: String(tokenRecord.id)
         },
-        accessory: {
+        {
           type: 'button',
           text: { type: 'plain_text', text: 'Desconectar', emoji: true },
           style: 'danger',
-          action_id: 'disconnect_google',
+          action_id: actionId,
+          value: String(tokenRecord.id),
           confirm: {
-            title: { type: 'plain_text', text: 'Desconectar Google Calendar' },
-            text: { type: 'mrkdwn', text: 'Esto eliminara la conexion con tu cuenta de Google.\n\nEstas seguro?' },
+            title: { type: 'plain_text', text: `Desconectar ${providerName}` },
+            text: { type: 'mrkdwn', text: `Esto eliminara la conexion con ${tokenRecord.account_email || 'tu cuenta'} y sus calendarios.\n\nEstas seguro?` },
             confirm: { type: 'plain_text', text: 'Si, desconectar' },
             deny: { type: 'plain_text', text: 'Cancelar' }
           }
         }
-      }
-    ];
-  } else {
-    const { url: authUrl } = getGoogleAuthUrl({
-      id: slackUserId,
-      teamId: slackTeamId,
-      name: userName,
-      responseUrl,
-      channelId
-    });
+      ]
+    }
+  ]);
+}
 
-    return [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: ':google-calendar: \nConecta tu cuenta de Google para sincronizar tus eventos.'
-        },
-        accessory: {
-          type: 'button',
-          text: { type: 'plain_text', text: 'Conectar', emoji: true },
-          style: 'primary',
-          action_id: 'google_oauth_start',
-          url: authUrl
-        }
-      }
-    ];
+/**
+ * Construye los bloques de conexion de Google Calendar
+ * @param {string} slackUserId - ID del usuario de Slack
+ * @param {string} slackTeamId - ID del workspace de Slack
+ * @param {string} userName - Nombre del usuario
+ * @param {string} responseUrl - URL para actualizar mensaje de Slack
+ * @param {string} channelId - ID del canal de Slack
+ */
+function buildGoogleConnectionBlocks(slackUserId, slackTeamId, userName, responseUrl, channelId) {
+  const tokenRecords = OAuthToken.findAllBySlackUserId(slackUserId, 'google')
+    .filter(tokenRecord => tokenRecord.refreshToken);
+  const hasAccounts = tokenRecords.length > 0;
+
+  const { url: authUrl } = getGoogleAuthUrl({
+    id: slackUserId,
+    teamId: slackTeamId,
+    name: userName,
+    responseUrl,
+    channelId
+  }, { newAccount: hasAccounts });
+
+  const connectButton = {
+    type: 'button',
+    text: { type: 'plain_text', text: hasAccounts ? 'Conectar otra' : 'Conectar', emoji: true },
+    action_id: 'google_oauth_start',
+    url: authUrl
+  };
+
+  if (!hasAccounts) {
+    connectButton.style = 'primary';
   }
+
+  return [
+    ...buildAccountBlocks(tokenRecords, {
+      icon: ':google-calendar:',
+      providerName: 'Google Calendar',
+      actionId: 'disconnect_google'
+    }),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: hasAccounts
+          ? ':google-calendar: \nConecta otra cuenta de Google (ej: personal o de trabajo).'
+          : ':google-calendar: \nConecta tu cuenta de Google para sincronizar tus eventos.'
+      },
+      accessory: connectButton
+    }
+  ];
 }
 
 /**
@@ -190,57 +183,46 @@ function buildGoogleConnectionBlocks(slackUserId, slackTeamId, userName, respons
  * @param {string} channelId - ID del canal de Slack
  */
 async function buildMicrosoftConnectionBlocks(slackUserId, slackTeamId, userName, responseUrl, channelId) {
-  const tokenRecord = OAuthToken.findBySlackUserId(slackUserId, 'microsoft');
-  const hasValidTokens = tokenRecord && tokenRecord.refreshToken;
-
-  if (hasValidTokens) {
-    return [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `:ms_outlook: *Cuenta:* ${tokenRecord.account_email || 'No disponible'}`
-        },
-        accessory: {
-          type: 'button',
-          text: { type: 'plain_text', text: 'Desconectar', emoji: true },
-          style: 'danger',
-          action_id: 'disconnect_microsoft',
-          confirm: {
-            title: { type: 'plain_text', text: 'Desconectar Microsoft Outlook' },
-            text: { type: 'mrkdwn', text: 'Esto eliminara la conexion con tu cuenta de Microsoft.\n\nEstas seguro?' },
-            confirm: { type: 'plain_text', text: 'Si, desconectar' },
-            deny: { type: 'plain_text', text: 'Cancelar' }
-          }
-        }
-      }
-    ];
-  } else {
-    const { url: authUrl } = await getMicrosoftAuthUrl({
-      id: slackUserId,
-      teamId: slackTeamId,
-      name: userName,
-      responseUrl,
-      channelId
-    });
-
-    return [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: ':ms_outlook: \nConecta tu cuenta de Microsoft para sincronizar tus eventos.'
-        },
-        accessory: {
-          type: 'button',
-          text: { type: 'plain_text', text: 'Conectar', emoji: true },
-          style: 'primary',
-          action_id: 'microsoft_oauth_start',
-          url: authUrl
-        }
-      }
-    ];
+  const tokenRecords = OAuthToken.findAllBySlackUserId(slackUserId, 'microsoft')
+    .filter(tokenRecord => tokenRecord.refreshToken);
+  const hasAccounts = tokenRecords.length > 0;
+
+  const { url: authUrl } = await getMicrosoftAuthUrl({
+    id: slackUserId,
+    teamId: slackTeamId,
+    name: userName,
+    responseUrl,
+    channelId
+  }, { newAccount: hasAccounts });
+
+  const connectButton = {
+    type: 'button',
+    text: { type: 'plain_text', text: hasAccounts ? 'Conectar otra' : 'Conectar', emoji: true },
+    action_id: 'microsoft_oauth_start',
+    url: authUrl
+  };
+
+  if (!hasAccounts) {
+    connectButton.style = 'primary';
   }
+
+  return [
+    ...buildAccountBlocks(tokenRecords, {
+      icon: ':ms_outlook:',
+      providerName: 'Microsoft Outlook',
+      actionId: 'disconnect_microsoft'
+    }),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: hasAccounts
+          ? ':ms_outlook: \nConecta otra cuenta de Microsoft (ej: personal o de trabajo).'
+          : ':ms_outlook: \nConecta tu cuenta de Microsoft para sincronizar tus eventos.'
+      },
+      accessory: connectButton
+    }
+  ];
 }
 
 /**
@@ -270,7 +252,13 @@ export function registerAjustesCommand(app) {
 
     const footerBlocks = buildFooterBlocks(slackUserId, lastSyncDate);
     const sourcesBlocks = buildSourcesBlocks(slackUserId);
-    const feedBlocks = (googleToken || microsoftToken) ? buildFeedBlocks(slackUserId) : [];
+    const busyMirrorBlocks = buildBusyMirrorBlocks(slackUserId);
+    const feedBlocks = buildFeedsBlocks(slackUserId);
+    const workingHoursBlocks = buildWorkingHoursBlocks(slackUserId);
+    const digestBlocks = buildDigestBlocks(slackUserId);
+    const remindersBlocks = buildRemindersBlocks(slackUserId);
+    const statusBlocks = buildStatusBlocks({ id: slackUserId, teamId: slackTeamId, responseUrl });
+    const apiTokensBlocks = buildApiTokensBlocks(slackUserId);
 
     await client.chat.postEphemeral({
       channel: command.channel_id,
@@ -309,23 +297,36 @@ export function registerAjustesCommand(app) {
           }
         },
         ...sourcesBlocks,
+        ...busyMirrorBlocks,
         ...feedBlocks,
+        ...workingHoursBlocks,
+        ...digestBlocks,
+        ...remindersBlocks,
+        ...statusBlocks,
+        ...apiTokensBlocks,
         ...footerBlocks
       ]
     });
   });
 
   // Handler para desconectar cuenta de Google
-  app.action('disconnect_google', async ({ body, ack, client }) => {
+  app.action('disconnect_google', async ({ body, ack, client, action }) => {
     await ack();
 
     const slackUserId = body.user.id;
+    const tokenId = parseInt(action.value, 10);
+
+    // Calendarios destino que reciben bloques "Ocupado" de esta cuenta
+    const mirrorTargetIds = Source.findByOAuthTokenId(tokenId)
+      .map(source => source.mirror_target_id)
+      .filter(Boolean);
 
-    // 1. Eliminar sources de tipo 'google' (CASCADE borra eventos y sync_state)
-    const sourcesDeleted = Source.deleteByProviderForUser(slackUserId, 'google');
+    // 1. Eliminar los sources de la cuenta (CASCADE borra eventos y sync_state)
+    const sourcesDeleted = Source.deleteByOAuthTokenForUser(tokenId, slackUserId);
+    refreshMirrorTargets(mirrorTargetIds);
 
-    // 2. Eliminar tokens OAuth
-    const tokenDeleted = OAuthToken.delete(slackUserId, 'google');
+    // 2. Eliminar tokens OAuth de la cuenta
+    const tokenDeleted = OAuthToken.deleteForUser(tokenId, slackUserId);
 
     if (tokenDeleted) {
       const sourcesText = sourcesDeleted > 0
@@ -350,7 +351,7 @@ export function registerAjustesCommand(app) {
       await client.chat.postEphemeral({
         channel: body.channel.id,
         user: slackUserId,
-        text: '⚠️ No se encontro ninguna cuenta de Google conectada.'
+        text: '⚠️ No se encontro la cuenta de Google.'
       });
     }
   });
@@ -361,16 +362,23 @@ export function registerAjustesCommand(app) {
   });
 
   // Handler para desconectar cuenta de Microsoft
-  app.action('disconnect_microsoft', async ({ body, ack, client }) => {
+  app.action('disconnect_microsoft', async ({ body, ack, client, action }) => {
     await ack();
 
     const slackUserId = body.user.id;
+    const tokenId = parseInt(action.value, 10);
 
-    // 1. Eliminar sources de tipo 'microsoft' (CASCADE borra eventos y sync_state)
-    const sourcesDeleted = Source.deleteByProviderForUser(slackUserId, 'microsoft');
+    // Calendarios destino que reciben bloques "Ocupado" de esta cuenta
+    const mirrorTargetIds = Source.findByOAuthTokenId(tokenId)
+      .map(source => source.mirror_target_id)
+      .filter(Boolean);
 
-    // 2. Eliminar tokens OAuth
-    const tokenDeleted = OAuthToken.delete(slackUserId, 'microsoft');
+    // 1. Eliminar los sources de la cuenta (CASCADE borra eventos y sync_state)
+    const sourcesDeleted = Source.deleteByOAuthTokenForUser(tokenId, slackUserId);
+    refreshMirrorTargets(mirrorTargetIds);
+
+    // 2. Eliminar tokens OAuth de la cuenta
+    const tokenDeleted = OAuthToken.deleteForUser(tokenId, slackUserId);
 
     if (tokenDeleted) {
       const sourcesText = sourcesDeleted > 0
@@ -395,7 +403,7 @@ export function registerAjustesCommand(app) {
       await client.chat.postEphemeral({
         channel: body.channel.id,
         user: slackUserId,
-        text: '⚠️ No se encontro ninguna cuenta de Microsoft conectada.'
+        text: '⚠️ No se encontro la cuenta de Microsoft.'
       });
     }
   });
@@ -405,56 +413,6 @@ export function registerAjustesCommand(app) {
     await ack();
   });
 
-  // Handler para regenerar token del feed iCal
-  app.action('regenerate_feed_token', async ({ body, ack, client }) => {
-    await ack();
-
-    const slackUserId = body.user.id;
-
-    try {
-      // Regenerar token
-      const newToken = FeedToken.regenerateToken(slackUserId);
-      const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
-      const newFeedUrl = `${baseUrl}/feed/${newToken.token}/orbitando.ics`;
-
-      await client.chat.postEphemeral({
-        channel: body.channel.id,
-        user: slackUserId,
-        text: 'URL regenerada',
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Nueva URL del feed generada:*'
-            }
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `\`${newFeedUrl}\``
-            }
-          },
-          {
-            type: 'context',
-            elements: [{
-              type: 'mrkdwn',
-              text: '_La URL anterior ha sido invalidada. Actualiza la suscripcion en tus apps de calendario._'
-            }]
-          }
-        ]
-      });
-    } catch (error) {
-      console.error('[Slack] Error regenerando feed token:', error.message);
-      await client.chat.postEphemeral({
-        channel: body.channel.id,
-        user: slackUserId,
-        text: `Error al regenerar URL: ${error.message}`
-      });
-    }
-  });
-
   // Handler para sincronizar calendario (solo admins)
   app.action('sync_calendar_admin', async ({ body, ack, client }) => {
     await ack();
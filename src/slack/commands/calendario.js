@@ -1,11 +1,13 @@
 import { Event } from '../../models/Event.js';
 import { Source } from '../../models/Source.js';
 import { FeedToken } from '../../models/FeedToken.js';
+import { getFeedUrl } from '../actions/feeds.js';
+import { findPendingInvitations, buildInvitationBlocks } from '../actions/invitations.js';
 import { OAuthToken } from '../../models/OAuthToken.js';
 import {
   fetchUserTimezone,
   formatTimeInZone,
-  formatDateInZone,
+  getEventDateInZone,
   getTodayInZone,
   getDateRelativeToToday
 } from '../../utils/timezone.js';
@@ -64,6 +66,23 @@ function formatEventTime(event, timezone) {
   return formatTimeInZone(event.start_datetime, timezone, 'HH:mm');
 }
 
+/**
+ * Formatea el titulo de un evento segun la respuesta del usuario a la invitacion
+ * @param {Object} event
+ * @returns {string} Titulo en mrkdwn
+ */
+function formatEventTitle(event) {
+  const title = event.summary || '(Sin título)';
+
+  if (event.response_status === 'declined') {
+    return `~${title}~ _(rechazado)_`;
+  }
+  if (event.response_status === 'tentative') {
+    return `*${title}* _(provisional)_`;
+  }
+  return `*${title}*`;
+}
+
 /**
  * Agrupa eventos por dia (hoy o manana) usando timezone del usuario
  * @param {Array} events
@@ -77,7 +96,7 @@ function groupEventsByDay(events, todayStr, tomorrowStr, timezone) {
   const tomorrowEvents = [];
 
   for (const event of events) {
-    const eventDateStr = formatDateInZone(event.start_datetime, timezone);
+    const eventDateStr = getEventDateInZone(event, timezone);
 
     if (eventDateStr === todayStr) {
       todayEvents.push(event);
@@ -99,7 +118,7 @@ function groupEventsByDay(events, todayStr, tomorrowStr, timezone) {
  * @param {string} timezone - IANA timezone identifier
  * @returns {Array}
  */
-function buildDayBlocks(emoji, label, dateStr, events, sourceMap, timezone) {
+export function buildDayBlocks(emoji, label, dateStr, events, sourceMap, timezone) {
   if (events.length === 0) {
     return [];
   }
@@ -116,10 +135,10 @@ function buildDayBlocks(emoji, label, dateStr, events, sourceMap, timezone) {
 
   const eventLines = events.map(event => {
     const time = formatEventTime(event, timezone);
-    const title = event.summary || '(Sin título)';
+    const title = formatEventTitle(event);
     const source = sourceMap.get(event.source_id);
     const sourceIcon = getSourceIcon(source);
-    return `• ${time}  *${title}* ${sourceIcon}`;
+    return `• ${time}  ${title} ${sourceIcon}`;
   });
 
   blocks.push({
@@ -200,21 +219,32 @@ export function registerCalendarioCommand(app) {
       // Calcular rango usando timezone del usuario
       const todayStr = getTodayInZone(userTimezone);
       const tomorrowStr = getDateRelativeToToday(userTimezone, 1);
-      const dayAfterTomorrowStr = getDateRelativeToToday(userTimezone, 2);
 
-      // Obtener eventos de todas las fuentes
-      const events = Event.findBySourceIds(sourceIds, {
-        startDate: todayStr,
-        endDate: dayAfterTomorrowStr
+      // Obtener eventos de todas las fuentes (con recurrencias expandidas)
+      // Las horas se guardan en UTC: se consulta desde el dia anterior (los eventos
+      // de todo el dia se guardan como fechas) hasta el final de manana en UTC
+      const dayStart = DateTime.fromISO(todayStr, { zone: userTimezone }).startOf('day');
+      const events = Event.findOccurrences(sourceIds, {
+        startDate: dayStart.minus({ days: 1 }).toUTC().toISO(),
+        endDate: dayStart.plus({ days: 2 }).toUTC().toISO()
       });
 
       // Agrupar eventos por dia usando timezone
       const { todayEvents, tomorrowEvents } = groupEventsByDay(events, todayStr, tomorrowStr, userTimezone);
 
+      // Invitaciones sin responder de Google y Outlook, con botones de respuesta
+      const invitationBlocks = buildInvitationBlocks(
+        findPendingInvitations(sources, userTimezone),
+        sourceMap,
+        userTimezone
+      );
+      if (invitationBlocks.length) {
+        invitationBlocks.unshift({ type: 'divider' });
+      }
+
       // Obtener URL del feed si existe
       const feedToken = FeedToken.findBySlackUserId(slackUserId);
-      const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
-      const feedUrl = feedToken ? `${baseUrl}/feed/${feedToken.token}/orbitando.ics` : null;
+      const feedUrl = feedToken ? getFeedUrl(feedToken) : null;
 
       // Si no hay eventos
       if (todayEvents.length === 0 && tomorrowEvents.length === 0) {
@@ -243,6 +273,7 @@ export function registerCalendarioCommand(app) {
                 text: '🎉 *¡Agenda libre!*\n\nNo tienes eventos programados para hoy ni mañana.'
               }
             },
+            ...invitationBlocks,
             { type: 'divider' },
             {
               type: 'context',
@@ -300,6 +331,8 @@ export function registerCalendarioCommand(app) {
         });
       }
 
+      blocks.push(...invitationBlocks);
+
       // Footer con resumen y URL del feed
       const totalEvents = todayEvents.length + tomorrowEvents.length;
       const footerText = feedUrl
@@ -0,0 +1,265 @@
+import { DateTime } from 'luxon';
+import { getAvailabilityService } from '../../services/AvailabilityService.js';
+import { buildAvailabilityModal, formatDuration } from '../modals/availabilityModal.js';
+import { getUserTimezone, openEventModal } from './evento.js';
+
+// Rango maximo de busqueda en dias
+const MAX_RANGE_DAYS = 14;
+
+/**
+ * Extrae usuarios, grupos y duracion del texto del comando
+ * Ej: "<@U123|ana> <!subteam^S456|@equipo> 45m"
+ * @param {string} text
+ * @returns {{ userIds: string[], groupIds: string[], duration: number|null }}
+ */
+function parseCommandText(text = '') {
+  const userIds = [...text.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]);
+  const groupIds = [...text.matchAll(/<!subteam\^([A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]);
+
+  const durationMatch = text.replace(/<[^>]*>/g, '').match(/(\d+)\s*(h|min|m)\b/i);
+  let duration = null;
+  if (durationMatch) {
+    const value = parseInt(durationMatch[1], 10);
+    duration = durationMatch[2].toLowerCase() === 'h' ? value * 60 : value;
+  }
+
+  return { userIds, groupIds, duration };
+}
+
+/**
+ * Obtiene los miembros de grupos de usuarios de Slack (requiere el scope usergroups:read)
+ * @param {Object} client - Cliente de Slack
+ * @param {string[]} groupIds
+ * @returns {Promise<string[]>}
+ */
+async function fetchGroupMembers(client, groupIds) {
+  const members = [];
+
+  for (const groupId of groupIds) {
+    try {
+      const result = await client.usergroups.users.list({ usergroup: groupId });
+      members.push(...(result.users || []));
+    } catch (error) {
+      console.warn(`[Disponibilidad] No se pudieron obtener los miembros del grupo ${groupId}:`, error.message);
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Construye los bloques del mensaje con los huecos encontrados
+ * @param {Object} options
+ * @param {Array} options.slots - Huecos de AvailabilityService.findCommonSlots()
+ * @param {Array} options.participants - [{ slackUserId, timezone }]
+ * @param {string[]} options.withoutCalendars - Usuarios sin calendarios conectados
+ * @param {number} options.duration - Duracion en minutos
+ * @param {string} options.timezone - IANA timezone del usuario que busca
+ * @returns {Array} Bloques de Slack
+ */
+function buildSlotsBlocks({ slots, participants, withoutCalendars, duration, timezone }) {
+  const userIds = participants.map(p => p.slackUserId);
+  const otherTimezones = [...new Set(participants.map(p => p.timezone))].filter(tz => tz !== timezone);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `:mag: *Huecos libres de ${formatDuration(duration)}* para ${userIds.map(id => `<@${id}>`).join(', ')}`
+      }
+    }
+  ];
+
+  if (slots.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '_No hay huecos comunes dentro del horario laboral de todos en esas fechas. Prueba con un rango mas amplio o una duracion menor._'
+      }
+    });
+  }
+
+  slots.forEach((slot, index) => {
+    const start = slot.start.setZone(timezone).setLocale('es');
+    const end = slot.end.setZone(timezone);
+    const dayName = start.toFormat('cccc d \'de\' MMMM');
+
+    const block = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${index + 1}.* ${dayName.charAt(0).toUpperCase() + dayName.slice(1)}  •  *${start.toFormat('HH:mm')} - ${end.toFormat('HH:mm')}*`
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Crear evento', emoji: true },
+        action_id: `availability_slot_${index}`,
+        value: JSON.stringify({ start: slot.start.toUTC().toISO(), end: slot.end.toUTC().toISO(), users: userIds })
+      }
+    };
+
+    if (index === 0) {
+      block.accessory.style = 'primary';
+    }
+
+    blocks.push(block);
+
+    if (otherTimezones.length) {
+      blocks.push({
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: otherTimezones
+            .map(tz => `${tz}: ${slot.start.setZone(tz).toFormat('HH:mm')} - ${slot.end.setZone(tz).toFormat('HH:mm')}`)
+            .join('  •  ')
+        }]
+      });
+    }
+  });
+
+  const notes = [`_Horas en ${timezone}. Ordenados de mejor a peor encaje en el horario laboral de todos._`];
+  if (withoutCalendars.length) {
+    notes.push(`:warning: Sin calendarios conectados (se consideran libres): ${withoutCalendars.map(id => `<@${id}>`).join(', ')}`);
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: notes.map(text => ({ type: 'mrkdwn', text }))
+  });
+
+  return blocks;
+}
+
+/**
+ * Registra el comando /disponibilidad para buscar huecos libres comunes
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerDisponibilidadCommand(app) {
+  app.command('/disponibilidad', async ({ command, ack, client }) => {
+    await ack();
+
+    const slackUserId = command.user_id;
+    console.log(`[Slack] /disponibilidad invoked by user ${slackUserId} @${command.user_name}`);
+
+    try {
+      const { userIds, groupIds, duration } = parseCommandText(command.text);
+      const groupMembers = await fetchGroupMembers(client, groupIds);
+      const timezone = await getUserTimezone(client, slackUserId);
+
+      await client.views.open({
+        trigger_id: command.trigger_id,
+        view: buildAvailabilityModal({
+          timezone,
+          users: [...new Set([slackUserId, ...userIds, ...groupMembers])],
+          duration: duration || undefined
+        })
+      });
+    } catch (error) {
+      console.error('[Disponibilidad] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Handler para el submit del modal de busqueda
+  app.view('availability_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+    const { timezone } = JSON.parse(view.private_metadata);
+
+    const userIds = values.availability_users.users_select.selected_users || [];
+    const duration = parseInt(values.availability_duration.duration_select.selected_option.value, 10);
+    const startDate = values.availability_start.start_date.selected_date;
+    const endDate = values.availability_end.end_date.selected_date;
+
+    const start = DateTime.fromISO(startDate, { zone: timezone });
+    const end = DateTime.fromISO(endDate, { zone: timezone });
+
+    if (end < start) {
+      await ack({
+        response_action: 'errors',
+        errors: { availability_end: 'La fecha final debe ser igual o posterior a la inicial.' }
+      });
+      return;
+    }
+
+    if (end.diff(start, 'days').days >= MAX_RANGE_DAYS) {
+      await ack({
+        response_action: 'errors',
+        errors: { availability_end: `El rango maximo es de ${MAX_RANGE_DAYS} dias.` }
+      });
+      return;
+    }
+
+    if (end < DateTime.now().setZone(timezone).startOf('day')) {
+      await ack({
+        response_action: 'errors',
+        errors: { availability_end: 'El rango debe incluir hoy o dias futuros.' }
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      const participants = [];
+      for (const userId of userIds) {
+        participants.push({ slackUserId: userId, timezone: await getUserTimezone(client, userId) });
+      }
+
+      const { slots, withoutCalendars } = getAvailabilityService().findCommonSlots({
+        participants,
+        durationMinutes: duration,
+        startDate,
+        endDate,
+        timezone
+      });
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: slots.length
+          ? `${slots.length} hueco(s) libre(s) de ${formatDuration(duration)} encontrados.`
+          : 'No hay huecos libres comunes en esas fechas.',
+        blocks: buildSlotsBlocks({ slots, participants, withoutCalendars, duration, timezone })
+      });
+
+      console.log(`[Disponibilidad] ${slots.length} huecos para ${userIds.length} usuarios (${startDate} - ${endDate})`);
+    } catch (error) {
+      console.error('[Disponibilidad] Error buscando huecos:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al buscar huecos libres: ${error.message}`
+      });
+    }
+  });
+
+  // Al elegir un hueco, abrir el modal de nuevo evento con la hora y los invitados
+  app.action(/^availability_slot_\d+$/, async ({ body, ack, client, action }) => {
+    await ack();
+
+    const slackUserId = body.user.id;
+
+    try {
+      const { start, end, users } = JSON.parse(action.value);
+      const timezone = await getUserTimezone(client, slackUserId);
+      const localStart = DateTime.fromISO(start).setZone(timezone);
+      const localEnd = DateTime.fromISO(end).setZone(timezone);
+
+      await openEventModal({
+        client,
+        triggerId: body.trigger_id,
+        slackUserId,
+        initial: {
+          date: localStart.toFormat('yyyy-MM-dd'),
+          startTime: localStart.toFormat('HH:mm'),
+          endTime: localEnd.toFormat('HH:mm'),
+          users: users.filter(id => id !== slackUserId)
+        }
+      });
+    } catch (error) {
+      console.error('[Disponibilidad] Error abriendo modal de evento:', error.message);
+    }
+  });
+
+  console.log('[Disponibilidad] Command handlers registrados');
+}
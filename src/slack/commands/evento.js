@@ -0,0 +1,295 @@
+import { DateTime } from 'luxon';
+import { Event } from '../../models/Event.js';
+import { Source } from '../../models/Source.js';
+import { OAuthToken } from '../../models/OAuthToken.js';
+import { getSyncService } from '../../services/SyncService.js';
+import { getGoogleAuthUrl, hasGoogleWriteScope } from '../actions/oauth.js';
+import { getMicrosoftAuthUrl, hasMicrosoftWriteScope } from '../actions/microsoft-oauth.js';
+import { buildEventModal, buildScopeUpgradeModal } from '../modals/eventModal.js';
+import { fetchUserTimezone } from '../../utils/timezone.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Obtiene los calendarios del usuario en los que se pueden crear eventos
+ * @param {string} slackUserId
+ * @returns {Array}
+ */
+function getWritableSources(slackUserId) {
+  return Source.findBySlackUserId(slackUserId)
+    .filter(s => s.enabled && (s.type === 'google' || s.type === 'microsoft'));
+}
+
+/**
+ * Obtiene la timezone del usuario (de BD o de Slack)
+ * @param {Object} client - Cliente de Slack
+ * @param {string} slackUserId
+ * @returns {Promise<string>}
+ */
+export async function getUserTimezone(client, slackUserId) {
+  const timezone = OAuthToken.getTimezone(slackUserId);
+  if (timezone && timezone !== 'UTC') {
+    return timezone;
+  }
+  return fetchUserTimezone(client, slackUserId);
+}
+
+/**
+ * Verifica si el token del proveedor de un source permite crear eventos
+ * @param {Object} source
+ * @returns {boolean}
+ */
+export function hasWriteAccess(source) {
+  const tokenRecord = source.oauth_token_id
+    ? OAuthToken.findById(source.oauth_token_id)
+    : OAuthToken.findBySlackUserId(source.slack_user_id, source.type);
+  if (!tokenRecord) return false;
+
+  return source.type === 'microsoft'
+    ? hasMicrosoftWriteScope(tokenRecord.scope)
+    : hasGoogleWriteScope(tokenRecord.scope);
+}
+
+/**
+ * Genera la URL para ampliar los permisos de la cuenta de un source a escritura
+ * @param {Object} source
+ * @param {Object} slackUser - { id, teamId, name }
+ * @returns {Promise<string>}
+ */
+export async function getWriteAuthUrl(source, slackUser) {
+  const tokenRecord = source.oauth_token_id ? OAuthToken.findById(source.oauth_token_id) : null;
+  const options = { write: true, loginHint: tokenRecord?.account_email || undefined };
+
+  const { url } = source.type === 'microsoft'
+    ? await getMicrosoftAuthUrl(slackUser, options)
+    : getGoogleAuthUrl(slackUser, options);
+  return url;
+}
+
+/**
+ * Obtiene los emails de usuarios de Slack (requiere el scope users:read.email)
+ * @param {Object} client - Cliente de Slack
+ * @param {string[]} userIds
+ * @returns {Promise<string[]>}
+ */
+async function fetchUserEmails(client, userIds) {
+  const emails = [];
+
+  for (const userId of userIds) {
+    try {
+      const userInfo = await client.users.info({ user: userId });
+      if (userInfo.user?.profile?.email) {
+        emails.push(userInfo.user.profile.email);
+      }
+    } catch (error) {
+      console.warn(`[Evento] No se pudo obtener el email de ${userId}:`, error.message);
+    }
+  }
+
+  return emails;
+}
+
+/**
+ * Abre el modal de nuevo evento o avisa si el usuario no tiene calendarios con escritura
+ * @param {Object} params
+ * @param {Object} params.client - Cliente de Slack
+ * @param {string} params.triggerId
+ * @param {string} params.slackUserId
+ * @param {string} [params.channelId] - Canal donde avisar si no hay calendarios
+ * @param {Object} [params.initial] - Valores iniciales del modal
+ */
+export async function openEventModal({ client, triggerId, slackUserId, channelId, initial }) {
+  const sources = getWritableSources(slackUserId);
+
+  if (sources.length === 0) {
+    const text = '⚠️ *No tienes calendarios de Google u Outlook conectados*\n\nUsa `/ajustes` para vincular una cuenta y poder crear eventos.';
+    if (channelId) {
+      await client.chat.postEphemeral({ channel: channelId, user: slackUserId, text });
+    } else {
+      await client.chat.postMessage({ channel: slackUserId, text });
+    }
+    return;
+  }
+
+  const timezone = await getUserTimezone(client, slackUserId);
+
+  await client.views.open({
+    trigger_id: triggerId,
+    view: buildEventModal({ sources, timezone, initial })
+  });
+}
+
+/**
+ * Registra el comando /evento y el atajo de mensaje para crear eventos
+ * @param {import('@slack/bolt').App} app - Instancia del bot de Slack
+ */
+export function registerEventoCommand(app) {
+  app.command('/evento', async ({ command, ack, client }) => {
+    await ack();
+
+    const slackUserId = command.user_id;
+    console.log(`[Slack] /evento invoked by user ${slackUserId} @${command.user_name}`);
+
+    try {
+      await openEventModal({
+        client,
+        triggerId: command.trigger_id,
+        slackUserId,
+        channelId: command.channel_id,
+        initial: { summary: command.text?.trim() || undefined }
+      });
+    } catch (error) {
+      console.error('[Evento] Error abriendo modal:', error.message);
+    }
+  });
+
+  // Atajo de mensaje: crear un evento a partir de un hilo
+  app.shortcut('create_event_from_message', async ({ shortcut, ack, client }) => {
+    await ack();
+
+    const slackUserId = shortcut.user.id;
+    const message = shortcut.message || {};
+
+    try {
+      let permalink = null;
+      try {
+        const result = await client.chat.getPermalink({
+          channel: shortcut.channel.id,
+          message_ts: message.ts
+        });
+        permalink = result.permalink;
+      } catch (error) {
+        console.warn('[Evento] No se pudo obtener el enlace del mensaje:', error.message);
+      }
+
+      // Primera linea del mensaje como titulo
+      const firstLine = (message.text || '').split('\n')[0].trim();
+
+      await openEventModal({
+        client,
+        triggerId: shortcut.trigger_id,
+        slackUserId,
+        initial: {
+          summary: firstLine ? firstLine.substring(0, 255) : undefined,
+          description: permalink || undefined,
+          users: message.user && message.user !== slackUserId ? [message.user] : []
+        }
+      });
+    } catch (error) {
+      console.error('[Evento] Error abriendo modal desde mensaje:', error.message);
+    }
+  });
+
+  // Handler para el boton de ampliar permisos (no se ejecuta porque tiene URL)
+  app.action('event_scope_upgrade', async ({ ack }) => {
+    await ack();
+  });
+
+  // Handler para el submit del modal de nuevo evento
+  app.view('create_event_submit', async ({ ack, body, view, client }) => {
+    const slackUserId = body.user.id;
+    const values = view.state.values;
+    const { timezone } = JSON.parse(view.private_metadata);
+
+    const sourceId = parseInt(values.event_source.source_select.selected_option.value, 10);
+    const summary = values.event_title.title_input.value;
+    const date = values.event_date.date_input.selected_date;
+    const startTime = values.event_start.start_input.selected_time;
+    const endTime = values.event_end.end_input.selected_time;
+    const userIds = values.event_attendees.users_input.selected_users || [];
+    const emailsText = values.event_emails.emails_input.value || '';
+    const location = values.event_location.location_input.value || null;
+    const description = values.event_description.description_input.value || null;
+
+    // Verificar propiedad
+    const source = Source.findByIdAndUser(sourceId, slackUserId);
+    if (!source || (source.type !== 'google' && source.type !== 'microsoft')) {
+      await ack({
+        response_action: 'errors',
+        errors: { event_source: 'Calendario no valido.' }
+      });
+      return;
+    }
+
+    const start = DateTime.fromISO(`${date}T${startTime}`, { zone: timezone });
+    const end = DateTime.fromISO(`${date}T${endTime}`, { zone: timezone });
+
+    if (end <= start) {
+      await ack({
+        response_action: 'errors',
+        errors: { event_end: 'La hora de fin debe ser posterior a la de inicio.' }
+      });
+      return;
+    }
+
+    const emails = emailsText.split(',').map(e => e.trim()).filter(Boolean);
+    const invalidEmail = emails.find(e => !EMAIL_REGEX.test(e));
+    if (invalidEmail) {
+      await ack({
+        response_action: 'errors',
+        errors: { event_emails: `Email invalido: ${invalidEmail}` }
+      });
+      return;
+    }
+
+    // Los tokens antiguos solo tienen permiso de lectura: pedir ampliacion de scopes
+    if (!hasWriteAccess(source)) {
+      const slackUser = { id: slackUserId, teamId: body.team?.id, name: body.user.name };
+      const authUrl = await getWriteAuthUrl(source, slackUser);
+
+      await ack({
+        response_action: 'update',
+        view: buildScopeUpgradeModal(source, authUrl)
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      const slackEmails = await fetchUserEmails(client, userIds);
+      const attendees = [...new Set([...slackEmails, ...emails])];
+
+      const provider = await getSyncService().aggregator.getProvider(source);
+      const created = await provider.createEvent({
+        summary,
+        description,
+        location,
+        start: start.toISO(),
+        end: end.toISO(),
+        timezone,
+        attendees
+      });
+
+      // Guardar el evento para que aparezca en /calendario sin esperar a la sincronizacion
+      Event.upsert(created);
+
+      const attendeesText = attendees.length ? `\n:busts_in_silhouette: ${attendees.join(', ')}` : '';
+      const locationText = location ? `\n:round_pushpin: ${location}` : '';
+
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Evento "${summary}" creado en ${source.name}.`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `:white_check_mark: *Evento creado en ${source.name}*\n*${summary}*\n:calendar: ${start.toFormat('dd/MM/yyyy HH:mm')} - ${end.toFormat('HH:mm')} (${timezone})${locationText}${attendeesText}`
+            }
+          }
+        ]
+      });
+
+      console.log(`[Evento] Evento creado: "${summary}" en source ${source.id} para usuario ${slackUserId}`);
+    } catch (error) {
+      console.error('[Evento] Error creando evento:', error.message);
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `Error al crear el evento: ${error.message}`
+      });
+    }
+  });
+
+  console.log('[Evento] Command handlers registrados');
+}
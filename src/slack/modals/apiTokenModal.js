@@ -0,0 +1,116 @@
+/**
+ * Construye el modal para crear un token de la API
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildApiTokenModal() {
+  return {
+    type: 'modal',
+    callback_id: 'add_api_token_submit',
+    title: {
+      type: 'plain_text',
+      text: 'Nuevo token de API',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Crear',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'api_token_name',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'name_input',
+          placeholder: { type: 'plain_text', text: 'Ej: Dashboard del equipo' },
+          max_length: 100
+        },
+        label: { type: 'plain_text', text: 'Nombre', emoji: true },
+        hint: { type: 'plain_text', text: 'Para reconocer donde usas el token' }
+      }
+    ]
+  };
+}
+
+/**
+ * Construye el modal que muestra un token recien creado (solo se muestra una vez)
+ * @param {Object} apiToken - ApiToken creado
+ * @param {string} token - Valor del token
+ * @param {string} apiUrl - URL base de la API
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildApiTokenCreatedModal(apiToken, token, apiUrl) {
+  return {
+    type: 'modal',
+    callback_id: 'api_token_created',
+    title: {
+      type: 'plain_text',
+      text: 'Token creado',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cerrar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:key: *${apiToken.name}*\n\`${token}\``
+        }
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `:warning: Copialo ahora: no se volvera a mostrar.\nUsalo en la cabecera \`Authorization: Bearer <token>\` de las peticiones a \`${apiUrl}\`.`
+        }]
+      }
+    ]
+  };
+}
+
+/**
+ * Construye el modal de confirmacion para revocar un token de la API
+ * @param {Object} apiToken
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildRevokeApiTokenConfirmModal(apiToken) {
+  return {
+    type: 'modal',
+    callback_id: 'revoke_api_token_confirm',
+    private_metadata: JSON.stringify({ apiTokenId: apiToken.id }),
+    title: {
+      type: 'plain_text',
+      text: 'Revocar token',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Si, revocar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:warning: *Revocar el token "${apiToken.name}"*\n\nLos scripts y dashboards que lo usen dejaran de tener acceso.`
+        }
+      }
+    ]
+  };
+}
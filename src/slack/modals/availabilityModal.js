@@ -0,0 +1,251 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Duraciones disponibles para buscar huecos (minutos)
+ */
+export const AVAILABILITY_DURATIONS = [15, 30, 45, 60, 90, 120];
+
+/**
+ * Dias de la semana (ISO: 1 = lunes ... 7 = domingo)
+ */
+export const WEEKDAYS = [
+  { value: 1, label: 'Lunes' },
+  { value: 2, label: 'Martes' },
+  { value: 3, label: 'Miercoles' },
+  { value: 4, label: 'Jueves' },
+  { value: 5, label: 'Viernes' },
+  { value: 6, label: 'Sabado' },
+  { value: 7, label: 'Domingo' }
+];
+
+/**
+ * Formatea una duracion en minutos (ej: "1 h 30 min")
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours ? `${hours} h` : '', rest ? `${rest} min` : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Construye una opcion de duracion
+ * @param {number} minutes
+ * @returns {Object}
+ */
+function toDurationOption(minutes) {
+  return {
+    text: {
+      type: 'plain_text',
+      text: formatDuration(minutes),
+      emoji: true
+    },
+    value: String(minutes)
+  };
+}
+
+/**
+ * Construye el modal para buscar huecos libres comunes
+ * @param {Object} options
+ * @param {string} options.timezone - IANA timezone del usuario
+ * @param {string[]} [options.users] - IDs de usuarios de Slack preseleccionados
+ * @param {number} [options.duration] - Duracion preseleccionada en minutos
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildAvailabilityModal({ timezone, users = [], duration = 30 }) {
+  const today = DateTime.now().setZone(timezone);
+  const initialDuration = AVAILABILITY_DURATIONS.includes(duration) ? duration : 30;
+
+  const usersElement = {
+    type: 'multi_users_select',
+    action_id: 'users_select',
+    max_selected_items: 20,
+    placeholder: {
+      type: 'plain_text',
+      text: 'Selecciona personas'
+    }
+  };
+
+  if (users.length) {
+    usersElement.initial_users = users.slice(0, 20);
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'availability_submit',
+    private_metadata: JSON.stringify({ timezone }),
+    title: {
+      type: 'plain_text',
+      text: 'Buscar huecos',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Buscar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'availability_users',
+        element: usersElement,
+        label: {
+          type: 'plain_text',
+          text: 'Personas',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'availability_duration',
+        element: {
+          type: 'static_select',
+          action_id: 'duration_select',
+          options: AVAILABILITY_DURATIONS.map(toDurationOption),
+          initial_option: toDurationOption(initialDuration)
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Duracion',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'availability_start',
+        element: {
+          type: 'datepicker',
+          action_id: 'start_date',
+          initial_date: today.toFormat('yyyy-MM-dd')
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Desde',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'availability_end',
+        element: {
+          type: 'datepicker',
+          action_id: 'end_date',
+          initial_date: today.plus({ days: 4 }).toFormat('yyyy-MM-dd')
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Hasta',
+          emoji: true
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `:information_source: Se usan los calendarios sincronizados, la zona horaria y el horario laboral de cada persona (se configura en \`/ajustes\`). Horas en ${timezone}.`
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Construye el modal para configurar el horario laboral
+ * @param {Object} settings - UserSettings del usuario
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildWorkingHoursModal(settings) {
+  const toDayOption = day => ({
+    text: { type: 'plain_text', text: day.label, emoji: true },
+    value: String(day.value)
+  });
+
+  const initialDays = WEEKDAYS.filter(day => settings.work_days.includes(day.value)).map(toDayOption);
+
+  const daysElement = {
+    type: 'checkboxes',
+    action_id: 'days_checkboxes',
+    options: WEEKDAYS.map(toDayOption)
+  };
+
+  if (initialDays.length) {
+    daysElement.initial_options = initialDays;
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'working_hours_submit',
+    title: {
+      type: 'plain_text',
+      text: 'Horario laboral',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Guardar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'work_start',
+        element: {
+          type: 'timepicker',
+          action_id: 'start_time',
+          initial_time: settings.work_start
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Inicio',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'work_end',
+        element: {
+          type: 'timepicker',
+          action_id: 'end_time',
+          initial_time: settings.work_end
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Fin',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'work_days',
+        element: daysElement,
+        label: {
+          type: 'plain_text',
+          text: 'Dias laborables',
+          emoji: true
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: ':information_source: Las horas son de tu zona horaria. `/disponibilidad` solo propone huecos dentro del horario laboral de cada persona.'
+          }
+        ]
+      }
+    ]
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Construye una opcion de select a partir de un source
+ * @param {Object} source
+ * @returns {Object}
+ */
+function toSourceOption(source) {
+  return {
+    text: {
+      type: 'plain_text',
+      text: source.name.substring(0, 75),
+      emoji: true
+    },
+    value: String(source.id)
+  };
+}
+
+/**
+ * Construye el modal para configurar el bloqueo de tiempo ocupado
+ * Los eventos de los calendarios de origen se reflejan como bloques "Ocupado"
+ * en el calendario destino (Google u Outlook)
+ * @param {Object} options
+ * @param {Array} options.targets - Sources google/microsoft del usuario
+ * @param {Array} options.sources - Todos los sources del usuario
+ * @param {Object} [options.target] - Calendario destino seleccionado
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildBusyMirrorModal({ targets, sources, target = null }) {
+  const selectedTarget = target || targets.find(t => sources.some(s => s.mirror_target_id === t.id)) || targets[0];
+  const targetOptions = targets.map(toSourceOption);
+  const originOptions = sources
+    .filter(s => s.id !== selectedTarget.id)
+    .map(toSourceOption);
+  const initialOrigins = sources
+    .filter(s => s.mirror_target_id === selectedTarget.id && s.id !== selectedTarget.id)
+    .map(toSourceOption);
+
+  const originsElement = {
+    type: 'multi_static_select',
+    action_id: 'origins_select',
+    placeholder: {
+      type: 'plain_text',
+      text: 'Selecciona calendarios'
+    },
+    options: originOptions
+  };
+
+  if (initialOrigins.length) {
+    originsElement.initial_options = initialOrigins;
+  }
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'mirror_target',
+      dispatch_action: true,
+      element: {
+        type: 'static_select',
+        action_id: 'mirror_target_select',
+        options: targetOptions,
+        initial_option: toSourceOption(selectedTarget)
+      },
+      label: {
+        type: 'plain_text',
+        text: 'Bloquear tiempo en',
+        emoji: true
+      }
+    }
+  ];
+
+  if (originOptions.length) {
+    blocks.push({
+      type: 'input',
+      block_id: 'mirror_origins',
+      optional: true,
+      element: originsElement,
+      label: {
+        type: 'plain_text',
+        text: 'Con los eventos de',
+        emoji: true
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Deja la lista vacia para dejar de bloquear tiempo en este calendario'
+      }
+    });
+  } else {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '_No tienes otros calendarios. Agrega uno desde `/ajustes`._'
+      }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: ':information_source: Se crean eventos privados "Ocupado" sin detalles para los proximos eventos de los calendarios elegidos.'
+      }
+    ]
+  });
+
+  return {
+    type: 'modal',
+    callback_id: 'busy_mirror_submit',
+    title: {
+      type: 'plain_text',
+      text: 'Bloquear ocupado',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Guardar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Construye el modal para configurar el resumen diario
+ * @param {Object} settings - UserSettings del usuario
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildDigestModal(settings) {
+  const enabledOption = {
+    text: { type: 'plain_text', text: 'Enviarme mi agenda del dia por mensaje directo', emoji: true },
+    value: 'enabled'
+  };
+  const weekdaysOption = {
+    text: { type: 'plain_text', text: 'Solo de lunes a viernes', emoji: true },
+    value: 'weekdays_only'
+  };
+
+  const enabledElement = {
+    type: 'checkboxes',
+    action_id: 'enabled_checkbox',
+    options: [enabledOption]
+  };
+
+  if (settings.digest_enabled) {
+    enabledElement.initial_options = [enabledOption];
+  }
+
+  const weekdaysElement = {
+    type: 'checkboxes',
+    action_id: 'weekdays_checkbox',
+    options: [weekdaysOption]
+  };
+
+  if (settings.digest_weekdays_only) {
+    weekdaysElement.initial_options = [weekdaysOption];
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'digest_settings_submit',
+    title: {
+      type: 'plain_text',
+      text: 'Resumen diario',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Guardar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'digest_enabled',
+        optional: true,
+        element: enabledElement,
+        label: {
+          type: 'plain_text',
+          text: 'Resumen',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'digest_time',
+        element: {
+          type: 'timepicker',
+          action_id: 'time_input',
+          initial_time: settings.digest_time
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Hora de envio',
+          emoji: true
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'En tu zona horaria'
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'digest_weekdays',
+        optional: true,
+        element: weekdaysElement,
+        label: {
+          type: 'plain_text',
+          text: 'Dias',
+          emoji: true
+        }
+      }
+    ]
+  };
+}
@@ -0,0 +1,267 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Construye el modal para crear un evento en un calendario conectado
+ * @param {Object} options
+ * @param {Array} options.sources - Sources con escritura (google/microsoft) del usuario
+ * @param {string} options.timezone - IANA timezone del usuario
+ * @param {Object} [options.initial] - Valores iniciales
+ * @param {string} [options.initial.summary] - Titulo
+ * @param {string} [options.initial.description] - Descripcion (ej: enlace al hilo de Slack)
+ * @param {string} [options.initial.date] - Fecha YYYY-MM-DD
+ * @param {string} [options.initial.startTime] - Hora de inicio HH:mm
+ * @param {string} [options.initial.endTime] - Hora de fin HH:mm
+ * @param {string[]} [options.initial.users] - IDs de usuarios de Slack invitados
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildEventModal({ sources, timezone, initial = {} }) {
+  // Por defecto: la proxima hora en punto, con duracion de 30 minutos
+  const nextHour = DateTime.now().setZone(timezone).plus({ hours: 1 }).startOf('hour');
+  const date = initial.date || nextHour.toFormat('yyyy-MM-dd');
+  const startTime = initial.startTime || nextHour.toFormat('HH:mm');
+  const endTime = initial.endTime || nextHour.plus({ minutes: 30 }).toFormat('HH:mm');
+
+  const sourceOptions = sources.map(source => ({
+    text: {
+      type: 'plain_text',
+      text: source.name.substring(0, 75),
+      emoji: true
+    },
+    value: String(source.id)
+  }));
+
+  const usersElement = {
+    type: 'multi_users_select',
+    action_id: 'users_input',
+    placeholder: {
+      type: 'plain_text',
+      text: 'Selecciona personas'
+    }
+  };
+
+  if (initial.users?.length) {
+    usersElement.initial_users = initial.users;
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'create_event_submit',
+    private_metadata: JSON.stringify({ timezone }),
+    title: {
+      type: 'plain_text',
+      text: 'Nuevo evento',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Crear',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'event_source',
+        element: {
+          type: 'static_select',
+          action_id: 'source_select',
+          options: sourceOptions,
+          initial_option: sourceOptions[0]
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Calendario',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_title',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'title_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Ej: Revision del sprint'
+          },
+          initial_value: initial.summary || undefined,
+          max_length: 255
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Titulo',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_date',
+        element: {
+          type: 'datepicker',
+          action_id: 'date_input',
+          initial_date: date
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Fecha',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_start',
+        element: {
+          type: 'timepicker',
+          action_id: 'start_input',
+          initial_time: startTime
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Hora de inicio',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_end',
+        element: {
+          type: 'timepicker',
+          action_id: 'end_input',
+          initial_time: endTime
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Hora de fin',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_attendees',
+        optional: true,
+        element: usersElement,
+        label: {
+          type: 'plain_text',
+          text: 'Invitados de Slack',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_emails',
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'emails_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'ana@example.com, luis@example.com'
+          }
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Otros invitados (emails)',
+          emoji: true
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'Separados por comas'
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_location',
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'location_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Ej: Sala 2 o enlace de videollamada'
+          },
+          max_length: 255
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Ubicacion',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'event_description',
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'description_input',
+          multiline: true,
+          initial_value: initial.description || undefined,
+          max_length: 3000
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Descripcion',
+          emoji: true
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `:earth_africa: Horas en tu zona horaria: *${timezone}*`
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Construye el modal que pide ampliar permisos antes de escribir en el calendario
+ * @param {Object} source - Source sin permiso de escritura
+ * @param {string} authUrl - URL de autorizacion con el scope de escritura
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildScopeUpgradeModal(source, authUrl) {
+  const providerName = source.type === 'microsoft' ? 'Microsoft' : 'Google';
+
+  return {
+    type: 'modal',
+    title: {
+      type: 'plain_text',
+      text: 'Permisos necesarios',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cerrar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:lock: *"${source.name}"* solo tiene permiso de lectura.\n\nAutoriza a la app a crear eventos y responder invitaciones en tu cuenta de ${providerName} y vuelve a intentarlo.`
+        }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: 'Conceder permisos', emoji: true },
+            style: 'primary',
+            action_id: 'event_scope_upgrade',
+            url: authUrl
+          }
+        ]
+      }
+    ]
+  };
+}
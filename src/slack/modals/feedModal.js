@@ -0,0 +1,291 @@
+import { DEFAULT_PAST_DAYS, DEFAULT_FUTURE_DAYS } from '../../services/ICalGenerator.js';
+
+/**
+ * Etiquetas de los niveles de privacidad de feeds y calendarios
+ */
+export const PRIVACY_OPTIONS = [
+  { value: 'full', label: 'Completo (titulo, descripcion y lugar)' },
+  { value: 'titles', label: 'Solo titulos y horarios' },
+  { value: 'busy', label: 'Solo ocupado/libre' }
+];
+
+/**
+ * Construye una opcion de select a partir de un source
+ * @param {Object} source
+ * @returns {Object}
+ */
+export function toSourceOption(source) {
+  return {
+    text: {
+      type: 'plain_text',
+      text: source.name.substring(0, 75),
+      emoji: true
+    },
+    value: String(source.id)
+  };
+}
+
+/**
+ * Construye una opcion de privacidad
+ * @param {Object} privacy - Elemento de PRIVACY_OPTIONS
+ * @returns {Object}
+ */
+export function toPrivacyOption(privacy) {
+  return {
+    text: { type: 'plain_text', text: privacy.label, emoji: true },
+    value: privacy.value
+  };
+}
+
+/**
+ * Construye un input de texto opcional
+ * @param {Object} options
+ * @returns {Object}
+ */
+export function buildTextInput({ blockId, actionId, label, placeholder, hint, initialValue }) {
+  const element = {
+    type: 'plain_text_input',
+    action_id: actionId,
+    placeholder: { type: 'plain_text', text: placeholder }
+  };
+
+  if (initialValue) {
+    element.initial_value = initialValue;
+  }
+
+  return {
+    type: 'input',
+    block_id: blockId,
+    optional: true,
+    element,
+    label: { type: 'plain_text', text: label, emoji: true },
+    hint: { type: 'plain_text', text: hint }
+  };
+}
+
+/**
+ * Construye un input numerico de dias
+ * @param {Object} options
+ * @returns {Object}
+ */
+function buildDaysInput({ blockId, actionId, label, hint, initialValue }) {
+  const element = {
+    type: 'number_input',
+    action_id: actionId,
+    is_decimal_allowed: false,
+    min_value: '0',
+    max_value: '3650'
+  };
+
+  if (initialValue !== null && initialValue !== undefined) {
+    element.initial_value = String(initialValue);
+  }
+
+  return {
+    type: 'input',
+    block_id: blockId,
+    optional: true,
+    element,
+    label: { type: 'plain_text', text: label, emoji: true },
+    hint: { type: 'plain_text', text: hint }
+  };
+}
+
+/**
+ * Construye el modal para crear o editar un feed iCal
+ * @param {Object} options
+ * @param {'add'|'edit'} options.mode - Modo del modal
+ * @param {Array} options.sources - Sources del usuario
+ * @param {Object} [options.feed] - Feed existente (solo para modo edit)
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildFeedModal({ mode, sources, feed = null }) {
+  const isEdit = mode === 'edit' && feed;
+
+  const sourcesElement = {
+    type: 'multi_static_select',
+    action_id: 'sources_select',
+    placeholder: { type: 'plain_text', text: 'Todos los calendarios' },
+    options: sources.map(toSourceOption)
+  };
+
+  const initialSources = isEdit && feed.source_ids
+    ? sources.filter(s => feed.source_ids.includes(s.id)).map(toSourceOption)
+    : [];
+  if (initialSources.length) {
+    sourcesElement.initial_options = initialSources;
+  }
+
+  const initialPrivacy = PRIVACY_OPTIONS.find(p => p.value === (isEdit ? feed.privacy : 'full'));
+
+  const nameElement = {
+    type: 'plain_text_input',
+    action_id: 'name_input',
+    placeholder: { type: 'plain_text', text: 'Ej: Solo trabajo' },
+    max_length: 100
+  };
+
+  if (isEdit) {
+    nameElement.initial_value = feed.name;
+  }
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'feed_name',
+      element: nameElement,
+      label: { type: 'plain_text', text: 'Nombre', emoji: true }
+    }
+  ];
+
+  if (sources.length) {
+    blocks.push({
+      type: 'input',
+      block_id: 'feed_sources',
+      optional: true,
+      element: sourcesElement,
+      label: { type: 'plain_text', text: 'Calendarios', emoji: true },
+      hint: { type: 'plain_text', text: 'Deja la lista vacia para incluir todos, tambien los que agregues despues' }
+    });
+  }
+
+  blocks.push(
+    buildDaysInput({
+      blockId: 'feed_past_days',
+      actionId: 'past_days_input',
+      label: 'Dias hacia atras',
+      hint: `Vacio = ${DEFAULT_PAST_DAYS} dias`,
+      initialValue: isEdit ? feed.past_days : null
+    }),
+    buildDaysInput({
+      blockId: 'feed_future_days',
+      actionId: 'future_days_input',
+      label: 'Dias hacia adelante',
+      hint: `Vacio = ${DEFAULT_FUTURE_DAYS} dias`,
+      initialValue: isEdit ? feed.future_days : null
+    }),
+    buildTextInput({
+      blockId: 'feed_include',
+      actionId: 'include_input',
+      label: 'Solo eventos con',
+      placeholder: 'Ej: sprint, cliente',
+      hint: 'Palabras separadas por comas. Se buscan en titulo, descripcion y lugar',
+      initialValue: isEdit ? feed.include_keywords.join(', ') : ''
+    }),
+    buildTextInput({
+      blockId: 'feed_exclude',
+      actionId: 'exclude_input',
+      label: 'Excluir eventos con',
+      placeholder: 'Ej: privado, medico',
+      hint: 'Palabras separadas por comas',
+      initialValue: isEdit ? feed.exclude_keywords.join(', ') : ''
+    }),
+    {
+      type: 'input',
+      block_id: 'feed_privacy',
+      element: {
+        type: 'static_select',
+        action_id: 'privacy_select',
+        options: PRIVACY_OPTIONS.map(toPrivacyOption),
+        initial_option: toPrivacyOption(initialPrivacy)
+      },
+      label: { type: 'plain_text', text: 'Privacidad', emoji: true }
+    }
+  );
+
+  return {
+    type: 'modal',
+    callback_id: isEdit ? 'edit_feed_submit' : 'add_feed_submit',
+    private_metadata: isEdit ? JSON.stringify({ feedId: feed.id }) : '',
+    title: {
+      type: 'plain_text',
+      text: isEdit ? 'Editar feed' : 'Nuevo feed',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: isEdit ? 'Guardar' : 'Crear',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks
+  };
+}
+
+/**
+ * Construye el modal de confirmacion para regenerar la URL de un feed
+ * @param {Object} feed
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildRegenerateFeedConfirmModal(feed) {
+  return {
+    type: 'modal',
+    callback_id: 'regenerate_feed_confirm',
+    private_metadata: JSON.stringify({ feedId: feed.id }),
+    title: {
+      type: 'plain_text',
+      text: 'Regenerar URL',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Si, regenerar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:warning: *Regenerar la URL del feed "${feed.name}"*\n\nEsto invalidara la URL actual. Los calendarios que la esten usando dejaran de actualizarse.`
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Construye el modal de confirmacion para eliminar un feed
+ * @param {Object} feed
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildDeleteFeedConfirmModal(feed) {
+  return {
+    type: 'modal',
+    callback_id: 'delete_feed_confirm',
+    private_metadata: JSON.stringify({ feedId: feed.id }),
+    title: {
+      type: 'plain_text',
+      text: 'Eliminar feed',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Eliminar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:warning: *Estas seguro de eliminar el feed "${feed.name}"?*\n\nLos calendarios suscritos a su URL dejaran de actualizarse.`
+        }
+      }
+    ]
+  };
+}
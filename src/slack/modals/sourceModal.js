@@ -1,3 +1,6 @@
+import crypto from 'crypto';
+import { PRIVACY_OPTIONS, toPrivacyOption } from './feedModal.js';
+
 /**
  * Colores predefinidos para calendarios
  */
@@ -12,6 +15,124 @@ export const SOURCE_COLORS = [
   { value: '#9E9E9E', label: 'Gris' }
 ];
 
+/**
+ * Opciones de autenticacion de los calendarios ICS remotos
+ */
+export const AUTH_OPTIONS = [
+  { value: 'none', label: 'Sin autenticacion' },
+  { value: 'basic', label: 'Usuario y contraseña' },
+  { value: 'bearer', label: 'Token (Bearer)' },
+  { value: 'header', label: 'Cabecera personalizada' }
+];
+
+/**
+ * Convierte una opcion de autenticacion en opcion de Slack
+ * @param {{ value: string, label: string }} option
+ * @returns {Object}
+ */
+function toAuthOption(option) {
+  return {
+    text: { type: 'plain_text', text: option.label, emoji: true },
+    value: option.value
+  };
+}
+
+/**
+ * Construye los campos de autenticacion de un calendario ICS remoto
+ * Los secretos nunca se muestran: al editar, vacio = mantener el guardado
+ * @param {Object|null} source - Source existente en modo editar
+ * @returns {Array} Bloques de Slack
+ */
+function buildAuthBlocks(source) {
+  const config = source?.config || {};
+  const initialAuth = AUTH_OPTIONS.find(o => o.value === (config.auth_type || 'none'));
+  const hasSecret = !!config.auth_secret_encrypted;
+
+  return [
+    {
+      type: 'input',
+      block_id: 'source_auth',
+      element: {
+        type: 'static_select',
+        action_id: 'auth_type_select',
+        options: AUTH_OPTIONS.map(toAuthOption),
+        initial_option: toAuthOption(initialAuth)
+      },
+      label: {
+        type: 'plain_text',
+        text: 'Autenticacion',
+        emoji: true
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Para calendarios privados que piden credenciales (ej: RRHH, guardias)'
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'source_auth_username',
+      optional: true,
+      element: {
+        type: 'plain_text_input',
+        action_id: 'auth_username_input',
+        initial_value: config.auth_username || undefined
+      },
+      label: {
+        type: 'plain_text',
+        text: 'Usuario',
+        emoji: true
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Solo para usuario y contraseña'
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'source_auth_header',
+      optional: true,
+      element: {
+        type: 'plain_text_input',
+        action_id: 'auth_header_input',
+        placeholder: {
+          type: 'plain_text',
+          text: 'X-API-Key'
+        },
+        initial_value: config.auth_header || undefined
+      },
+      label: {
+        type: 'plain_text',
+        text: 'Nombre de la cabecera',
+        emoji: true
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Solo para cabecera personalizada'
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'source_auth_secret',
+      optional: true,
+      element: {
+        type: 'plain_text_input',
+        action_id: 'auth_secret_input'
+      },
+      label: {
+        type: 'plain_text',
+        text: 'Contraseña, token o valor de la cabecera',
+        emoji: true
+      },
+      hint: {
+        type: 'plain_text',
+        text: hasSecret
+          ? 'Hay uno guardado (encriptado). Dejalo vacio para mantenerlo'
+          : 'Se guarda encriptado y no se vuelve a mostrar'
+      }
+    }
+  ];
+}
+
 /**
  * Construye el modal para agregar/editar un source de calendario
  * @param {Object} options
@@ -21,6 +142,21 @@ export const SOURCE_COLORS = [
  */
 export function buildSourceModal({ mode = 'add', source = null }) {
   const isEdit = mode === 'edit' && source;
+  // Los calendarios de Google/Outlook se eligen desde la cuenta: no tienen URL
+  const isAccountSource = isEdit && (source.type === 'google' || source.type === 'microsoft');
+  // Los de CalDAV se descubren en el servidor con sus credenciales
+  const isCalDAVSource = isEdit && source.type === 'caldav';
+  // Los archivos .ics subidos se cambian con *Reemplazar archivo*
+  const isFileSource = isEdit && source.type === 'ical_local';
+
+  let infoText = ':information_source: Los calendarios ICS se sincronizan automaticamente cada 15 minutos.';
+  if (isAccountSource) {
+    infoText = ':information_source: Para elegir otros calendarios de la cuenta usa *Elegir calendarios* en `/ajustes`.';
+  } else if (isCalDAVSource) {
+    infoText = ':information_source: Para cambiar el servidor o la contraseña, elimina el calendario y agregalo de nuevo.';
+  } else if (isFileSource) {
+    infoText = ':information_source: Para actualizar los eventos sube una nueva version con *Reemplazar archivo*.';
+  }
 
   // Encontrar la opcion de color inicial si existe
   let initialColorOption = null;
@@ -57,6 +193,8 @@ export function buildSourceModal({ mode = 'add', source = null }) {
     colorSelectElement.initial_option = initialColorOption;
   }
 
+  const initialPrivacy = PRIVACY_OPTIONS.find(p => p.value === (isEdit ? source.privacy : 'full'));
+
   return {
     type: 'modal',
     callback_id: isEdit ? 'edit_source_submit' : 'add_source_submit',
@@ -96,7 +234,7 @@ export function buildSourceModal({ mode = 'add', source = null }) {
           emoji: true
         }
       },
-      {
+      ...(isAccountSource || isCalDAVSource || isFileSource ? [] : [{
         type: 'input',
         block_id: 'source_url',
         element: {
@@ -115,9 +253,9 @@ export function buildSourceModal({ mode = 'add', source = null }) {
         },
         hint: {
           type: 'plain_text',
-          text: 'URL publica del archivo .ics del calendario'
+          text: 'URL del archivo .ics del calendario'
         }
-      },
+      }, ...buildAuthBlocks(isEdit ? source : null)]),
       {
         type: 'input',
         block_id: 'source_color',
@@ -129,12 +267,138 @@ export function buildSourceModal({ mode = 'add', source = null }) {
           emoji: true
         }
       },
+      {
+        type: 'input',
+        block_id: 'source_privacy',
+        element: {
+          type: 'static_select',
+          action_id: 'privacy_select',
+          options: PRIVACY_OPTIONS.map(toPrivacyOption),
+          initial_option: toPrivacyOption(initialPrivacy)
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Privacidad en los feeds iCal',
+          emoji: true
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'Se aplica la opcion mas restrictiva entre la del calendario y la del feed'
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: infoText
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Construye el modal para agregar los calendarios de un servidor CalDAV
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildCalDAVModal() {
+  return {
+    type: 'modal',
+    callback_id: 'add_caldav_submit',
+    title: {
+      type: 'plain_text',
+      text: 'Agregar CalDAV',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Conectar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'caldav_url',
+        element: {
+          type: 'url_text_input',
+          action_id: 'url_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'https://cloud.ejemplo.com/remote.php/dav'
+          }
+        },
+        label: {
+          type: 'plain_text',
+          text: 'URL del servidor',
+          emoji: true
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'Servidor (ej: https://caldav.fastmail.com, https://caldav.icloud.com) o URL de un calendario concreto'
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'caldav_username',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'username_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'usuario@ejemplo.com'
+          }
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Usuario',
+          emoji: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'caldav_password',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'password_input'
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Contraseña de aplicacion',
+          emoji: true
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'Crea una contraseña de aplicacion en tu proveedor. Se guarda encriptada'
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'source_privacy',
+        element: {
+          type: 'static_select',
+          action_id: 'privacy_select',
+          options: PRIVACY_OPTIONS.map(toPrivacyOption),
+          initial_option: toPrivacyOption(PRIVACY_OPTIONS[0])
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Privacidad en los feeds iCal',
+          emoji: true
+        }
+      },
       {
         type: 'context',
         elements: [
           {
             type: 'mrkdwn',
-            text: ':information_source: Los calendarios ICS se sincronizan automaticamente cada 15 minutos.'
+            text: ':information_source: Se agregan todos los calendarios de eventos de la cuenta. Puedes desactivar o eliminar los que no quieras desde `/ajustes`.'
           }
         ]
       }
@@ -142,6 +406,116 @@ export function buildSourceModal({ mode = 'add', source = null }) {
   };
 }
 
+/**
+ * Construye el modal para subir un archivo .ics como calendario, o reemplazar
+ * el archivo de un calendario subido antes
+ * @param {Object} [options]
+ * @param {Object} [options.source] - Source ical_local cuyo archivo se reemplaza
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildIcsUploadModal({ source = null } = {}) {
+  const isReplace = !!source;
+
+  const fileBlock = {
+    type: 'input',
+    block_id: 'ics_file',
+    element: {
+      type: 'file_input',
+      action_id: 'file_input',
+      filetypes: ['ics'],
+      max_files: 1
+    },
+    label: {
+      type: 'plain_text',
+      text: 'Archivo .ics',
+      emoji: true
+    },
+    hint: {
+      type: 'plain_text',
+      text: 'Exporta el calendario desde tu aplicacion y sube el archivo'
+    }
+  };
+
+  const blocks = isReplace
+    ? [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `Sube la nueva version de *${source.name}*. Sus eventos se reemplazaran por los del archivo.`
+        }
+      },
+      fileBlock
+    ]
+    : [
+      {
+        type: 'input',
+        block_id: 'source_name',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'name_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Ej: Calendario del club'
+          },
+          max_length: 100
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Nombre',
+          emoji: true
+        }
+      },
+      fileBlock,
+      {
+        type: 'input',
+        block_id: 'source_privacy',
+        element: {
+          type: 'static_select',
+          action_id: 'privacy_select',
+          options: PRIVACY_OPTIONS.map(toPrivacyOption),
+          initial_option: toPrivacyOption(PRIVACY_OPTIONS[0])
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Privacidad en los feeds iCal',
+          emoji: true
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: ':information_source: El archivo no se actualiza solo: para cambiar sus eventos usa *Reemplazar archivo* en la lista de calendarios.'
+          }
+        ]
+      }
+    ];
+
+  return {
+    type: 'modal',
+    callback_id: 'upload_ics_submit',
+    private_metadata: isReplace ? JSON.stringify({ sourceId: source.id }) : '',
+    title: {
+      type: 'plain_text',
+      text: isReplace ? 'Reemplazar archivo' : 'Subir .ics',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: isReplace ? 'Reemplazar' : 'Agregar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks
+  };
+}
+
 /**
  * Construye el modal de confirmacion de eliminacion
  * @param {Object} source - Source a eliminar
@@ -178,3 +552,147 @@ export function buildDeleteConfirmModal(source) {
     ]
   };
 }
+
+/**
+ * Valor de opcion de Slack para un calendario de una cuenta
+ * Los IDs de calendario de Microsoft superan el limite de 150 caracteres de Slack
+ * @param {string} calendarId
+ * @returns {string}
+ */
+export function getCalendarOptionValue(calendarId) {
+  return crypto.createHash('sha256').update(calendarId).digest('hex').substring(0, 32);
+}
+
+/**
+ * Etiquetas de los tipos de calendario devueltos por listCalendars()
+ */
+const CALENDAR_KIND_LABELS = {
+  primary: 'Principal',
+  own: 'Propio',
+  shared: 'Compartido',
+  holidays: 'Festivos'
+};
+
+/**
+ * Construye un modal de espera mientras se consultan los calendarios de la cuenta
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildCalendarPickerLoadingModal() {
+  return {
+    type: 'modal',
+    title: {
+      type: 'plain_text',
+      text: 'Elegir calendarios',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: ':hourglass_flowing_sand: Cargando calendarios de la cuenta...'
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Construye el modal para elegir que calendarios de una cuenta se sincronizan
+ * @param {Object} options
+ * @param {Object} options.tokenRecord - Token OAuth de la cuenta
+ * @param {Array} options.calendars - Calendarios de la cuenta (listCalendars())
+ * @param {Array} options.sources - Sources existentes de la cuenta
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildCalendarPickerModal({ tokenRecord, calendars, sources }) {
+  const syncedIds = new Set(sources.map(s => s.config?.calendarId));
+
+  const toOption = calendar => ({
+    text: {
+      type: 'plain_text',
+      text: calendar.name.substring(0, 75),
+      emoji: true
+    },
+    description: {
+      type: 'plain_text',
+      text: CALENDAR_KIND_LABELS[calendar.kind] || 'Calendario'
+    },
+    value: getCalendarOptionValue(calendar.id)
+  });
+
+  // Slack admite un maximo de 10 opciones por grupo de checkboxes
+  const blocks = [];
+  for (let i = 0; i < calendars.length; i += 10) {
+    const chunk = calendars.slice(i, i + 10);
+    const element = {
+      type: 'checkboxes',
+      action_id: 'calendars_checkboxes',
+      options: chunk.map(toOption)
+    };
+
+    const initialOptions = chunk.filter(c => syncedIds.has(c.id)).map(toOption);
+    if (initialOptions.length) {
+      element.initial_options = initialOptions;
+    }
+
+    blocks.push({
+      type: 'input',
+      block_id: `account_calendars_${i / 10}`,
+      optional: true,
+      element,
+      label: {
+        type: 'plain_text',
+        text: i === 0 ? 'Calendarios a sincronizar' : 'Mas calendarios',
+        emoji: true
+      }
+    });
+  }
+
+  if (calendars.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '_No se encontraron calendarios en esta cuenta._'
+      }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `:bust_in_silhouette: ${tokenRecord.account_email || 'Cuenta conectada'}\nAl desmarcar un calendario se eliminan sus eventos sincronizados.`
+      }
+    ]
+  });
+
+  return {
+    type: 'modal',
+    callback_id: 'calendar_picker_submit',
+    private_metadata: JSON.stringify({ tokenId: tokenRecord.id }),
+    title: {
+      type: 'plain_text',
+      text: 'Elegir calendarios',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Guardar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks
+  };
+}
@@ -0,0 +1,107 @@
+import { toSourceOption, buildTextInput } from './feedModal.js';
+
+/**
+ * Construye el modal para configurar el estado de Slack automatico
+ * @param {Object} options
+ * @param {Object} options.settings - StatusSettings del usuario
+ * @param {Array} options.sources - Sources del usuario
+ * @returns {Object} Vista de modal de Slack
+ */
+export function buildStatusModal({ settings, sources }) {
+  const enabledOption = {
+    text: { type: 'plain_text', text: 'Cambiar mi estado segun mi calendario', emoji: true },
+    value: 'enabled'
+  };
+
+  const enabledElement = {
+    type: 'checkboxes',
+    action_id: 'enabled_checkbox',
+    options: [enabledOption]
+  };
+
+  if (settings.enabled) {
+    enabledElement.initial_options = [enabledOption];
+  }
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'status_enabled',
+      optional: true,
+      element: enabledElement,
+      label: { type: 'plain_text', text: 'Estado automatico', emoji: true }
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: ':spiral_calendar_pad: En una reunion  •  :palm_tree: Fuera de la oficina  •  :headphones: Tiempo de concentracion\n_Al terminar el evento se recupera tu estado anterior, salvo que lo hayas cambiado tu._'
+      }]
+    }
+  ];
+
+  if (sources.length) {
+    const sourcesElement = {
+      type: 'multi_static_select',
+      action_id: 'sources_select',
+      placeholder: { type: 'plain_text', text: 'Todos los calendarios' },
+      options: sources.map(toSourceOption)
+    };
+
+    const initialSources = settings.source_ids
+      ? sources.filter(s => settings.source_ids.includes(s.id)).map(toSourceOption)
+      : [];
+    if (initialSources.length) {
+      sourcesElement.initial_options = initialSources;
+    }
+
+    blocks.push({
+      type: 'input',
+      block_id: 'status_sources',
+      optional: true,
+      element: sourcesElement,
+      label: { type: 'plain_text', text: 'Calendarios', emoji: true },
+      hint: { type: 'plain_text', text: 'Deja la lista vacia para usar todos' }
+    });
+  }
+
+  blocks.push(
+    buildTextInput({
+      blockId: 'status_focus',
+      actionId: 'focus_input',
+      label: 'Tiempo de concentracion',
+      placeholder: 'Ej: focus, deep work',
+      hint: 'Eventos cuyo titulo contiene estas palabras. Los bloques "Concentracion" de Google cuentan siempre',
+      initialValue: settings.focus_keywords.join(', ')
+    }),
+    buildTextInput({
+      blockId: 'status_ignore',
+      actionId: 'ignore_input',
+      label: 'Ignorar eventos con',
+      placeholder: 'Ej: comida, recordatorio',
+      hint: 'Palabras separadas por comas. Estos eventos no cambian tu estado',
+      initialValue: settings.ignore_keywords.join(', ')
+    })
+  );
+
+  return {
+    type: 'modal',
+    callback_id: 'status_settings_submit',
+    title: {
+      type: 'plain_text',
+      text: 'Estado de Slack',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Guardar',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancelar',
+      emoji: true
+    },
+    blocks
+  };
+}
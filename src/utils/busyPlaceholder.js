@@ -0,0 +1,29 @@
+/**
+ * Markers of the "Busy" placeholder events created by busy mirroring
+ * They are stored in the target calendar so that placeholders are recognized
+ * when the target is synced again and never mirrored back
+ */
+
+// Google: key of the private extended property set on placeholders
+export const GOOGLE_PLACEHOLDER_PROPERTY = 'orbitantBusyMirror';
+
+// Microsoft: category assigned to placeholders
+export const MICROSOFT_PLACEHOLDER_CATEGORY = 'Orbitant Busy';
+
+/**
+ * Check if a stored event is a busy placeholder created by this service
+ * @param {Object} event - Event with raw_data from the provider
+ * @returns {boolean}
+ */
+export function isBusyPlaceholder(event) {
+  const rawData = event.raw_data || {};
+
+  return Boolean(rawData.extendedProperties?.private?.[GOOGLE_PLACEHOLDER_PROPERTY])
+    || (Array.isArray(rawData.categories) && rawData.categories.includes(MICROSOFT_PLACEHOLDER_CATEGORY));
+}
+
+export default {
+  GOOGLE_PLACEHOLDER_PROPERTY,
+  MICROSOFT_PLACEHOLDER_CATEGORY,
+  isBusyPlaceholder
+};
@@ -0,0 +1,212 @@
+import { encrypt, decrypt } from './crypto.js';
+
+// Sufijo de los campos de config de un source que guardan secretos encriptados
+const SECRET_SUFFIX = '_encrypted';
+
+/**
+ * Tipos de autenticacion de los calendarios iCal remotos
+ * basic: usuario y contraseña, bearer: token, header: cabecera personalizada (ej: X-API-Key)
+ */
+export const AUTH_TYPES = ['none', 'basic', 'bearer', 'header'];
+
+// Nombre valido de cabecera HTTP (token de RFC 9110)
+const HEADER_NAME_REGEX = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+/**
+ * Encripta un secreto de un source (ej: contraseña de aplicacion de CalDAV)
+ * @param {string} value - Secreto en claro
+ * @returns {string} - Secreto encriptado con TOKEN_ENCRYPTION_KEY
+ */
+export function encryptSecret(value) {
+  return encrypt(value, process.env.TOKEN_ENCRYPTION_KEY);
+}
+
+/**
+ * Desencripta un secreto guardado con encryptSecret()
+ * @param {string|null} value - Secreto encriptado
+ * @returns {string|null} - Secreto en claro, o null si no hay
+ */
+export function decryptSecret(value) {
+  if (!value) return null;
+  return decrypt(value, process.env.TOKEN_ENCRYPTION_KEY);
+}
+
+/**
+ * Quita los secretos de la config de un source antes de mostrarla o devolverla por la API
+ * @param {Object|null} config
+ * @returns {Object|null}
+ */
+export function redactSecrets(config) {
+  if (!config || typeof config !== 'object') return config;
+
+  return Object.fromEntries(
+    Object.entries(config).filter(([key]) => !key.endsWith(SECRET_SUFFIX))
+  );
+}
+
+/**
+ * Oculta las credenciales de una URL para escribirla en logs (usuario, contraseña
+ * y valores de la query, donde algunos servicios ponen el token)
+ * @param {string} url
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  // Sin corchetes, que en una URL se escaparian
+  if (parsed.username || parsed.password) {
+    parsed.username = '***';
+    parsed.password = '';
+  }
+  for (const key of [...parsed.searchParams.keys()]) {
+    parsed.searchParams.set(key, '***');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Aplica la autenticacion a la config de un calendario iCal remoto
+ * El secreto se encripta; si llega vacio se conserva el guardado (mismo tipo)
+ * @param {Object} config - Config del source (ej: { url })
+ * @param {Object} auth
+ * @param {string} auth.type - Uno de AUTH_TYPES
+ * @param {string} [auth.username] - Usuario (basic)
+ * @param {string} [auth.header] - Nombre de la cabecera (header)
+ * @param {string} [auth.secret] - Contraseña, token o valor de la cabecera
+ * @returns {Object} Config con los campos auth_* (sin ellos si el tipo es 'none')
+ */
+export function applyAuthConfig(config, { type, username, header, secret }) {
+  const result = Object.fromEntries(
+    Object.entries(config).filter(([key]) => !key.startsWith('auth_'))
+  );
+  if (!type || type === 'none') return result;
+
+  result.auth_type = type;
+  if (type === 'basic') result.auth_username = username;
+  if (type === 'header') result.auth_header = header;
+  result.auth_secret_encrypted = !secret && config.auth_type === type
+    ? config.auth_secret_encrypted
+    : encryptSecret(secret);
+
+  return result;
+}
+
+/**
+ * Verifica el nombre de una cabecera personalizada
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidHeaderName(name) {
+  return typeof name === 'string' && HEADER_NAME_REGEX.test(name);
+}
+
+/**
+ * Indica si la config tiene un secreto guardado para un tipo de autenticacion
+ * @param {Object} config
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function hasAuthSecret(config, type) {
+  return config?.auth_type === type && !!config.auth_secret_encrypted;
+}
+
+/**
+ * Obtiene las cabeceras de autenticacion de un calendario iCal remoto
+ * @param {Object} config - Config del source
+ * @returns {Object} Cabeceras HTTP (vacio sin autenticacion)
+ */
+export function getAuthHeaders(config) {
+  if (!config?.auth_type || !config.auth_secret_encrypted) return {};
+
+  const secret = decryptSecret(config.auth_secret_encrypted);
+
+  switch (config.auth_type) {
+  case 'basic':
+    return { 'Authorization': `Basic ${Buffer.from(`${config.auth_username || ''}:${secret}`).toString('base64')}` };
+  case 'bearer':
+    return { 'Authorization': `Bearer ${secret}` };
+  case 'header':
+    return { [config.auth_header]: secret };
+  default:
+    return {};
+  }
+}
+
+/**
+ * Obtiene las cabeceras personalizadas de un calendario iCal remoto (guardadas encriptadas)
+ * @param {Object} config - Config del source
+ * @returns {Object} Cabeceras HTTP (vacio si no hay)
+ */
+export function getCustomHeaders(config) {
+  if (!config?.headers_encrypted) return {};
+  return JSON.parse(decryptSecret(config.headers_encrypted));
+}
+
+/**
+ * Pasa las cabeceras guardadas en claro (config.headers) a almacenamiento encriptado
+ * Un Authorization Basic o Bearer, o una unica cabecera personalizada, se convierten
+ * en autenticacion (campos auth_*), que se puede ver y cambiar desde Slack y la API;
+ * el resto de cabeceras se guardan encriptadas en headers_encrypted
+ * @param {Object} config - Config del source
+ * @returns {Object|null} Config nueva, o null si no tiene cabeceras en claro
+ */
+export function encryptPlainHeaders(config) {
+  if (!config?.headers || typeof config.headers !== 'object') return null;
+
+  const { headers, ...rest } = config;
+  const remaining = { ...getCustomHeaders(config), ...headers };
+  let result = rest;
+
+  if (!config.auth_type) {
+    const names = Object.keys(remaining);
+    const authorization = names.find(name => name.toLowerCase() === 'authorization');
+    let auth = null;
+
+    if (authorization) {
+      const [, scheme, credentials] = String(remaining[authorization]).match(/^(\S+)\s+(.+)$/) || [];
+      if (/^bearer$/i.test(scheme || '')) {
+        auth = { type: 'bearer', secret: credentials };
+      } else if (/^basic$/i.test(scheme || '')) {
+        const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator !== -1) {
+          auth = { type: 'basic', username: decoded.slice(0, separator), secret: decoded.slice(separator + 1) };
+        }
+      }
+      if (auth) delete remaining[authorization];
+    } else if (names.length === 1 && isValidHeaderName(names[0]) && remaining[names[0]]) {
+      auth = { type: 'header', header: names[0], secret: String(remaining[names[0]]) };
+      delete remaining[names[0]];
+    }
+
+    if (auth?.secret) {
+      result = applyAuthConfig(result, auth);
+    }
+  }
+
+  delete result.headers_encrypted;
+  if (Object.keys(remaining).length > 0) {
+    result.headers_encrypted = encryptSecret(JSON.stringify(remaining));
+  }
+
+  return result;
+}
+
+export default {
+  encryptSecret,
+  decryptSecret,
+  redactSecrets,
+  redactUrl,
+  applyAuthConfig,
+  isValidHeaderName,
+  hasAuthSecret,
+  getAuthHeaders,
+  getCustomHeaders,
+  encryptPlainHeaders
+};
@@ -0,0 +1,105 @@
+import { createHash } from 'crypto';
+
+/**
+ * Utility functions to compare fetched events with the stored ones
+ *
+ * Providers without change tracking (iCal URLs and files, full CalDAV syncs)
+ * always receive the whole calendar. Instead of replacing every stored event,
+ * each event is identified by its external_id (UID plus RECURRENCE-ID for
+ * modified occurrences) and compared through a hash of its content, so only
+ * new, changed and removed events touch the database.
+ */
+
+// Fields of a normalized event that make up its content
+const CONTENT_FIELDS = [
+  'summary',
+  'description',
+  'location',
+  'start_datetime',
+  'end_datetime',
+  'all_day',
+  'timezone',
+  'status',
+  'organizer',
+  'attendees',
+  'response_status',
+  'recurrence',
+  'recurrence_id',
+  'raw_data'
+];
+
+/**
+ * Serialize a value with the keys of its objects sorted
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compute the content hash of a normalized event
+ * JSON columns read from the database are parsed first, so a stored event and
+ * the same event fetched again produce the same hash
+ * @param {Object} event
+ * @returns {string}
+ */
+export function getContentHash(event) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    const value = event[field];
+    content[field] = typeof value === 'string' && ['organizer', 'attendees', 'raw_data'].includes(field)
+      ? JSON.parse(value)
+      : value;
+  }
+
+  // Events without attendees are stored with NULL
+  if (Array.isArray(content.attendees) && content.attendees.length === 0) {
+    content.attendees = null;
+  }
+
+  return createHash('sha1').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * Compare the events fetched from a source with the stored ones
+ * @param {Array} events - Normalized events fetched from the source
+ * @param {Map<string, string|null>} storedHashes - Content hash of each stored event by external_id
+ * @returns {{ events: Array, deleted: string[], unchangedCount: number }}
+ *   New and changed events (with their content_hash), external IDs of the
+ *   stored events that are gone and the number of unchanged events
+ */
+export function diffEvents(events, storedHashes) {
+  // A calendar can repeat an event: the last copy wins, as on upsert
+  const fetched = new Map();
+  for (const event of events) {
+    fetched.set(event.external_id, { ...event, content_hash: getContentHash(event) });
+  }
+
+  const changed = [];
+  let unchangedCount = 0;
+
+  for (const [externalId, event] of fetched) {
+    if (storedHashes.get(externalId) === event.content_hash) {
+      unchangedCount++;
+    } else {
+      changed.push(event);
+    }
+  }
+
+  const deleted = [...storedHashes.keys()].filter(externalId => !fetched.has(externalId));
+
+  return { events: changed, deleted, unchangedCount };
+}
+
+export default { getContentHash, diffEvents };
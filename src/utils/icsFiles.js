@@ -0,0 +1,82 @@
+import { mkdirSync, writeFileSync, renameSync, unlinkSync } from 'fs';
+import path from 'path';
+import ICAL from 'ical.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Directorio donde se guardan los archivos .ics subidos desde Slack
+export const ICS_UPLOAD_DIR = process.env.ICS_UPLOAD_DIR || './data/ics';
+
+// Tamaño maximo de un archivo .ics subido
+export const MAX_ICS_SIZE = (parseInt(process.env.ICS_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+/**
+ * Verifica que un texto es un calendario iCalendar con eventos
+ * @param {string} content
+ * @throws {Error} Si no es un .ics valido o no tiene eventos
+ */
+export function validateICalData(content) {
+  let vcalendar;
+  try {
+    vcalendar = new ICAL.Component(ICAL.parse(content));
+  } catch {
+    throw new Error('El archivo no es un calendario .ics valido');
+  }
+
+  if (vcalendar.name !== 'vcalendar') {
+    throw new Error('El archivo no es un calendario .ics valido');
+  }
+  if (vcalendar.getAllSubcomponents('vevent').length === 0) {
+    throw new Error('El calendario no tiene eventos');
+  }
+}
+
+/**
+ * Verifica si una ruta esta dentro del directorio de archivos subidos
+ * @param {string|null} filePath
+ * @returns {boolean}
+ */
+export function isManagedIcsFile(filePath) {
+  if (!filePath) return false;
+  const relative = path.relative(path.resolve(ICS_UPLOAD_DIR), path.resolve(filePath));
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Guarda un archivo .ics subido, o reemplaza uno guardado antes
+ * Se escribe en un archivo temporal y se renombra, asi una sincronizacion
+ * nunca lee un archivo a medias (y su mtime cambia para ICalLocalProvider)
+ * @param {string} content - Contenido del .ics
+ * @param {string|null} [existingPath] - Ruta a reemplazar (debe estar en ICS_UPLOAD_DIR)
+ * @returns {string} Ruta del archivo
+ */
+export function saveIcsFile(content, existingPath = null) {
+  const filePath = isManagedIcsFile(existingPath)
+    ? existingPath
+    : path.join(ICS_UPLOAD_DIR, `${uuidv4()}.ics`);
+
+  mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  writeFileSync(tempPath, content, 'utf-8');
+  renameSync(tempPath, filePath);
+
+  return filePath;
+}
+
+/**
+ * Elimina un archivo .ics subido (los archivos fuera de ICS_UPLOAD_DIR no se tocan)
+ * @param {string|null} filePath
+ */
+export function deleteIcsFile(filePath) {
+  if (!isManagedIcsFile(filePath)) return;
+
+  try {
+    unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[IcsFiles] Error eliminando archivo:', error.message);
+    }
+  }
+}
+
+export default { validateICalData, isManagedIcsFile, saveIcsFile, deleteIcsFile };
@@ -0,0 +1,73 @@
+/**
+ * Extraction of video call links (Google Meet, Microsoft Teams, Zoom, Webex)
+ * from the stored events of any provider
+ */
+
+// Known video call URLs, in order of preference when an event has several
+const MEETING_URL_PATTERNS = [
+  { provider: 'meet', name: 'Google Meet', regex: /https:\/\/meet\.google\.com\/[a-z0-9-]+/i },
+  { provider: 'teams', name: 'Microsoft Teams', regex: /https:\/\/teams\.(?:microsoft|live)\.com\/(?:l\/meetup-join|meet)\/[^\s"'<>]+/i },
+  { provider: 'zoom', name: 'Zoom', regex: /https:\/\/(?:[a-z0-9-]+\.)?zoom\.us\/(?:j|my|w)\/[^\s"'<>]+/i },
+  { provider: 'webex', name: 'Webex', regex: /https:\/\/[a-z0-9-]+\.webex\.com\/[^\s"'<>]+/i }
+];
+
+/**
+ * Identify the video call provider of a URL
+ * @param {string} url
+ * @returns {{ url: string, provider: string, name: string }}
+ */
+function toMeetingLink(url) {
+  const match = MEETING_URL_PATTERNS.find(pattern => pattern.regex.test(url));
+  return match
+    ? { url, provider: match.provider, name: match.name }
+    : { url, provider: 'other', name: 'Videollamada' };
+}
+
+/**
+ * Find the first known video call URL in a text (description, location, HTML body)
+ * @param {string|null} text
+ * @returns {{ url: string, provider: string, name: string }|null}
+ */
+export function findMeetingLinkInText(text) {
+  if (!text) return null;
+
+  for (const pattern of MEETING_URL_PATTERNS) {
+    const match = text.match(pattern.regex);
+    if (match) {
+      // Links inside HTML bodies come with escaped ampersands
+      const url = match[0].replace(/&amp;/g, '&');
+      return { url, provider: pattern.provider, name: pattern.name };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the video call link of an event
+ * Structured fields of the provider first (Google hangoutLink / conferenceData,
+ * Microsoft onlineMeeting.joinUrl), then URLs in the location and description
+ * @param {Object} event - Event with raw_data from the provider
+ * @returns {{ url: string, provider: string, name: string }|null}
+ */
+export function getMeetingLink(event) {
+  const rawData = event.raw_data || {};
+
+  const videoEntryPoint = rawData.conferenceData?.entryPoints?.find(entry => entry.entryPointType === 'video');
+  const structuredUrl = rawData.hangoutLink
+    || videoEntryPoint?.uri
+    || rawData.onlineMeeting?.joinUrl
+    || rawData.onlineMeetingUrl;
+
+  if (structuredUrl) {
+    return toMeetingLink(structuredUrl);
+  }
+
+  return findMeetingLinkInText(event.location)
+    || findMeetingLinkInText(event.description);
+}
+
+export default {
+  findMeetingLinkInText,
+  getMeetingLink
+};
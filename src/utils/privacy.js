@@ -0,0 +1,48 @@
+/**
+ * Privacy levels of published events, from least to most restrictive
+ * - full: every field of the event
+ * - titles: title and times, without description or location
+ * - busy: only the times, titled "Busy"
+ */
+export const PRIVACY_LEVELS = ['full', 'titles', 'busy'];
+
+/**
+ * Get the most restrictive of several privacy levels
+ * Unknown or empty levels are ignored
+ * @param {...string} levels
+ * @returns {string}
+ */
+export function mostRestrictivePrivacy(...levels) {
+  return levels.reduce((result, level) => (
+    PRIVACY_LEVELS.indexOf(level) > PRIVACY_LEVELS.indexOf(result) ? level : result
+  ), 'full');
+}
+
+/**
+ * Check if an event does not block time (TRANSP:TRANSPARENT)
+ * @param {Object} event - Event with raw_data from the provider
+ * @returns {boolean}
+ */
+export function isTransparent(event) {
+  const rawData = event.raw_data || {};
+  return rawData.transparency === 'transparent' || rawData.showAs === 'free';
+}
+
+/**
+ * Check if an event is marked as private in its calendar (CLASS:PRIVATE)
+ * @param {Object} event - Event with raw_data from the provider
+ * @returns {boolean}
+ */
+export function isPrivateEvent(event) {
+  const rawData = event.raw_data || {};
+  return ['private', 'confidential'].includes(rawData.visibility)
+    || ['private', 'confidential'].includes(rawData.class)
+    || ['private', 'confidential'].includes(rawData.sensitivity);
+}
+
+export default {
+  PRIVACY_LEVELS,
+  mostRestrictivePrivacy,
+  isTransparent,
+  isPrivateEvent
+};
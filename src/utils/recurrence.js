@@ -0,0 +1,408 @@
+import ICAL from 'ical.js';
+import { DateTime, IANAZone } from 'luxon';
+import { icalTimeToUTC } from './timezone.js';
+
+// Safety limit for rules without end (e.g. daily events created years ago)
+const MAX_ITERATIONS = 50000;
+
+/**
+ * Utility functions for expanding recurring events into occurrences
+ *
+ * Recurring events are stored once (the "master" with its rule) and
+ * modified occurrences are stored as separate events with a recurrence_id.
+ * Occurrence keys use the same format as start_datetime: an ISO UTC string
+ * for timed events and YYYY-MM-DD for all-day events.
+ */
+
+/**
+ * Build the occurrence key of an ICAL.Time
+ * @param {ICAL.Time} time
+ * @returns {string}
+ */
+export function getOccurrenceKey(time) {
+  if (time.isDate) {
+    return time.toString().split('T')[0];
+  }
+  return icalTimeToUTC(time);
+}
+
+/**
+ * Get the identifier shared by a recurring event and its modified occurrences
+ * (iCal UID or Microsoft seriesMasterId)
+ * @param {Object} event
+ * @returns {string}
+ */
+export function getSeriesId(event) {
+  return event.raw_data?.seriesMasterId || event.raw_data?.uid || event.external_id;
+}
+
+/**
+ * Get the timezone recurrences are expanded in, so that local times survive DST
+ * @param {Object} event
+ * @returns {string} IANA timezone identifier (default: 'UTC')
+ */
+export function getRecurrenceTimezone(event) {
+  const candidates = [
+    event.timezone,
+    event.raw_data?.tzid,
+    event.raw_data?.originalStartTimeZone
+  ];
+  return candidates.find(tz => tz && IANAZone.isValidZone(tz)) || 'UTC';
+}
+
+// Microsoft Graph day names to RRULE weekdays
+const GRAPH_DAYS = {
+  sunday: 'SU', monday: 'MO', tuesday: 'TU',
+  wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA'
+};
+
+// Microsoft Graph week index of relative patterns to RRULE positions
+const GRAPH_INDEXES = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+/**
+ * Convert Microsoft Graph recurrence format to RRULE string
+ * @param {string} jsonStr - JSON string from Microsoft Graph API
+ * @param {Object} [options]
+ * @param {boolean} [options.allDay] - Whether DTSTART is a date (UNTIL is then a date too)
+ * @param {string} [options.timezone] - Timezone of the end date when the range has no valid one
+ * @returns {string|null} RRULE string or null if conversion fails
+ */
+export function convertMicrosoftRecurrence(jsonStr, { allDay = false, timezone = 'UTC' } = {}) {
+  try {
+    const recurrence = JSON.parse(jsonStr);
+    const pattern = recurrence.pattern;
+
+    if (!pattern) return null;
+
+    const freqMap = {
+      'daily': 'DAILY',
+      'weekly': 'WEEKLY',
+      'absoluteMonthly': 'MONTHLY',
+      'relativeMonthly': 'MONTHLY',
+      'absoluteYearly': 'YEARLY',
+      'relativeYearly': 'YEARLY'
+    };
+
+    const freq = freqMap[pattern.type];
+    if (!freq) return null;
+
+    let rrule = `FREQ=${freq}`;
+
+    if (pattern.interval && pattern.interval > 1) {
+      rrule += `;INTERVAL=${pattern.interval}`;
+    }
+
+    const days = (pattern.daysOfWeek || []).map(d => GRAPH_DAYS[d]).filter(Boolean);
+    const isRelative = pattern.type === 'relativeMonthly' || pattern.type === 'relativeYearly';
+    const position = GRAPH_INDEXES[pattern.index] || GRAPH_INDEXES.first;
+
+    if (days.length && isRelative && days.length === 1) {
+      // e.g. the first Monday of the month
+      rrule += `;BYDAY=${position}${days[0]}`;
+    } else if (days.length) {
+      rrule += `;BYDAY=${days.join(',')}`;
+      if (isRelative) {
+        // e.g. the last weekday of the month: the position counts every listed day
+        rrule += `;BYSETPOS=${position}`;
+      }
+    }
+
+    if (pattern.dayOfMonth) {
+      rrule += `;BYMONTHDAY=${pattern.dayOfMonth}`;
+    }
+
+    if (pattern.month) {
+      rrule += `;BYMONTH=${pattern.month}`;
+    }
+
+    if (pattern.firstDayOfWeek && GRAPH_DAYS[pattern.firstDayOfWeek]) {
+      rrule += `;WKST=${GRAPH_DAYS[pattern.firstDayOfWeek]}`;
+    }
+
+    if (recurrence.range?.endDate && recurrence.range.type === 'endDate') {
+      if (allDay) {
+        rrule += `;UNTIL=${recurrence.range.endDate.replace(/-/g, '')}`;
+      } else {
+        // With a date-time DTSTART, UNTIL must be UTC: the end of the last day in the recurrence timezone
+        const zone = IANAZone.isValidZone(recurrence.range.recurrenceTimeZone)
+          ? recurrence.range.recurrenceTimeZone
+          : timezone;
+        const until = DateTime.fromISO(recurrence.range.endDate, { zone }).endOf('day').toUTC();
+        if (!until.isValid) return null;
+        rrule += `;UNTIL=${until.toFormat('yyyyMMdd\'T\'HHmmss\'Z\'')}`;
+      }
+    } else if (recurrence.range?.numberOfOccurrences) {
+      rrule += `;COUNT=${recurrence.range.numberOfOccurrences}`;
+    }
+
+    return rrule;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the RRULE string of a stored event
+ * Supports plain RRULE strings (iCal), Microsoft Graph JSON and Google arrays
+ * @param {string} recurrence
+ * @param {Object} [options] - See convertMicrosoftRecurrence
+ * @returns {string|null}
+ */
+export function getRRuleString(recurrence, options = {}) {
+  if (!recurrence) return null;
+
+  const value = recurrence.trim();
+
+  if (value.startsWith('{')) {
+    return convertMicrosoftRecurrence(value, options);
+  }
+
+  if (value.startsWith('[')) {
+    try {
+      const rule = JSON.parse(value).find(line => /^RRULE:/i.test(line));
+      return rule ? rule.replace(/^RRULE:/i, '') : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return value.replace(/^RRULE:?/i, '');
+}
+
+/**
+ * Get the bounds that all-day events (stored as dates) are compared with
+ * A date covers a different UTC range in each timezone, so the window gets
+ * a day of margin on each side and callers keep the local days they need
+ * @param {Object} options
+ * @param {string} [options.startDate] - Window start (ISO string)
+ * @param {string} [options.endDate] - Window end (ISO string)
+ * @returns {{ startDay: string|undefined, endDay: string|undefined }} Dates (YYYY-MM-DD)
+ */
+export function getAllDayBounds({ startDate, endDate }) {
+  return {
+    startDay: startDate ? startDate.substring(0, 10) : undefined,
+    endDay: endDate
+      ? DateTime.fromISO(endDate.substring(0, 10), { zone: 'utc' }).plus({ days: 1 }).toISODate()
+      : undefined
+  };
+}
+
+/**
+ * Check if an event or occurrence overlaps a window
+ * Events in progress at the start of the window are included
+ * @param {Object} event - With start_datetime, end_datetime and all_day
+ * @param {Object} options
+ * @param {string} [options.startDate] - Window start (ISO string)
+ * @param {string} [options.endDate] - Window end (ISO string)
+ * @returns {boolean}
+ */
+export function overlapsWindow(event, { startDate, endDate }) {
+  const start = event.start_datetime;
+  const end = event.end_datetime || start;
+
+  if (event.all_day) {
+    // End dates of all-day events are exclusive
+    const { startDay, endDay } = getAllDayBounds({ startDate, endDate });
+    return (!endDay || start <= endDay) && (!startDay || end >= startDay);
+  }
+
+  return (!endDate || start <= endDate) && (!startDate || end >= startDate);
+}
+
+/**
+ * Convert a stored start/end value to a DateTime in the recurrence timezone
+ * @param {string} value - ISO datetime (UTC) or YYYY-MM-DD
+ * @param {string} timezone
+ * @returns {DateTime}
+ */
+function toZonedDateTime(value, timezone) {
+  return DateTime.fromISO(value, { zone: 'utc' }).setZone(timezone);
+}
+
+/**
+ * Expand a recurring event into the occurrences that overlap a window
+ * @param {Object} event - Recurring (master) event
+ * @param {Object} options
+ * @param {string} [options.startDate] - Window start (same format as start_datetime)
+ * @param {string} options.endDate - Window end (same format as start_datetime)
+ * @param {Set<string>} [options.skip] - Occurrence keys replaced by modified occurrences
+ * @returns {Array<{ start_datetime: string, end_datetime: string|null, recurrence_id: string }>}
+ */
+export function expandRecurringEvent(event, { startDate, endDate, skip = new Set() }) {
+  const isAllDay = Boolean(event.all_day);
+  const timezone = getRecurrenceTimezone(event);
+
+  const rruleStr = getRRuleString(event.recurrence, { allDay: isAllDay, timezone });
+  if (!rruleStr || !event.start_datetime || !endDate) return [];
+
+  let rrule;
+  try {
+    rrule = ICAL.Recur.fromString(rruleStr);
+  } catch {
+    console.warn(`[Recurrence] Invalid recurrence rule for event ${event.id}: ${event.recurrence}`);
+    return [];
+  }
+
+  const start = isAllDay
+    ? DateTime.fromISO(event.start_datetime.split('T')[0], { zone: 'utc' })
+    : toZonedDateTime(event.start_datetime, timezone);
+  const end = event.end_datetime
+    ? (isAllDay
+      ? DateTime.fromISO(event.end_datetime.split('T')[0], { zone: 'utc' })
+      : toZonedDateTime(event.end_datetime, timezone))
+    : null;
+  const duration = end ? end.diff(start) : null;
+
+  // Rules are expanded in local (floating) time, then mapped back to UTC
+  const dtstart = ICAL.Time.fromData({
+    year: start.year,
+    month: start.month,
+    day: start.day,
+    hour: isAllDay ? 0 : start.hour,
+    minute: isAllDay ? 0 : start.minute,
+    second: isAllDay ? 0 : start.second,
+    isDate: isAllDay
+  });
+
+  // A UTC UNTIL is compared in the same local (floating) time as the occurrences
+  if (rrule.until && !rrule.until.isDate && !isAllDay && rrule.until.zone === ICAL.Timezone.utcTimezone) {
+    const until = DateTime.fromObject({
+      year: rrule.until.year,
+      month: rrule.until.month,
+      day: rrule.until.day,
+      hour: rrule.until.hour,
+      minute: rrule.until.minute,
+      second: rrule.until.second
+    }, { zone: 'utc' }).setZone(timezone);
+
+    rrule.until = ICAL.Time.fromData({
+      year: until.year,
+      month: until.month,
+      day: until.day,
+      hour: until.hour,
+      minute: until.minute,
+      second: until.second
+    });
+  }
+
+  // A date-only UNTIL includes the whole last day
+  if (rrule.until?.isDate && !isAllDay) {
+    rrule.until = ICAL.Time.fromData({
+      year: rrule.until.year,
+      month: rrule.until.month,
+      day: rrule.until.day,
+      hour: 23,
+      minute: 59,
+      second: 59
+    });
+  }
+
+  const exdates = new Set(event.raw_data?.exdate || []);
+  const buildOccurrence = (occurrenceStart) => {
+    const occurrenceEnd = duration ? occurrenceStart.plus(duration) : null;
+    const key = isAllDay ? occurrenceStart.toISODate() : occurrenceStart.toUTC().toISO();
+    return {
+      start_datetime: key,
+      end_datetime: occurrenceEnd
+        ? (isAllDay ? occurrenceEnd.toISODate() : occurrenceEnd.toUTC().toISO())
+        : null,
+      recurrence_id: key
+    };
+  };
+
+  // Occurrences starting later cannot touch the window
+  const lastStart = isAllDay ? getAllDayBounds({ endDate }).endDay : endDate;
+
+  const occurrences = [];
+  const iterator = rrule.iterator(dtstart);
+  let next;
+  let iterations = 0;
+
+  while ((next = iterator.next()) && iterations++ < MAX_ITERATIONS) {
+    const occurrenceStart = isAllDay
+      ? DateTime.fromObject({ year: next.year, month: next.month, day: next.day }, { zone: 'utc' })
+      : DateTime.fromObject({
+        year: next.year,
+        month: next.month,
+        day: next.day,
+        hour: next.hour,
+        minute: next.minute,
+        second: next.second
+      }, { zone: timezone });
+
+    const occurrence = buildOccurrence(occurrenceStart);
+
+    if (occurrence.start_datetime > lastStart) break;
+    if (!overlapsWindow({ ...occurrence, all_day: isAllDay }, { startDate, endDate })) continue;
+    if (exdates.has(occurrence.recurrence_id) || skip.has(occurrence.recurrence_id)) continue;
+
+    occurrences.push(occurrence);
+  }
+
+  // Extra dates (RDATE) outside of the rule
+  for (const rdate of event.raw_data?.rdate || []) {
+    const occurrence = buildOccurrence(isAllDay
+      ? DateTime.fromISO(rdate, { zone: 'utc' })
+      : toZonedDateTime(rdate, timezone));
+
+    if (!overlapsWindow({ ...occurrence, all_day: isAllDay }, { startDate, endDate })) continue;
+    if (exdates.has(occurrence.recurrence_id) || skip.has(occurrence.recurrence_id)) continue;
+    if (occurrences.some(o => o.recurrence_id === occurrence.recurrence_id)) continue;
+
+    occurrences.push(occurrence);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Expand a list of stored events into the occurrences inside a window
+ * Non-recurring events are kept as they are, recurring events are replaced by
+ * their occurrences and modified occurrences replace the generated ones
+ * @param {Array} events - Events with a toOccurrence() method (Event model)
+ * @param {Object} options
+ * @param {string} [options.startDate]
+ * @param {string} options.endDate
+ * @returns {Array} Events sorted by start_datetime
+ */
+export function expandEvents(events, { startDate, endDate }) {
+  // Modified occurrences, grouped by the series they belong to
+  const overridesBySeries = new Map();
+  for (const event of events) {
+    if (!event.recurrence_id) continue;
+    const seriesId = `${event.source_id}:${getSeriesId(event)}`;
+    if (!overridesBySeries.has(seriesId)) {
+      overridesBySeries.set(seriesId, new Set());
+    }
+    overridesBySeries.get(seriesId).add(event.recurrence_id);
+  }
+
+  const result = [];
+
+  for (const event of events) {
+    if (event.recurrence && !event.recurrence_id) {
+      const skip = overridesBySeries.get(`${event.source_id}:${getSeriesId(event)}`);
+      const occurrences = expandRecurringEvent(event, { startDate, endDate, skip });
+      for (const occurrence of occurrences) {
+        result.push(event.toOccurrence(occurrence));
+      }
+    } else if (overlapsWindow(event, { startDate, endDate }) && !(event.recurrence_id && event.status === 'cancelled')) {
+      // Cancelled modified occurrences only remove the generated occurrence
+      result.push(event);
+    }
+  }
+
+  return result.sort((a, b) => a.start_datetime.localeCompare(b.start_datetime));
+}
+
+export default {
+  getOccurrenceKey,
+  getSeriesId,
+  getRecurrenceTimezone,
+  getAllDayBounds,
+  overlapsWindow,
+  convertMicrosoftRecurrence,
+  getRRuleString,
+  expandRecurringEvent,
+  expandEvents
+};
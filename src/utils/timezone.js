@@ -1,4 +1,154 @@
-import { DateTime } from 'luxon';
+import ICAL from 'ical.js';
+import { DateTime, IANAZone } from 'luxon';
+
+/**
+ * Windows timezone names (used by Microsoft Graph and Outlook .ics files) to IANA
+ * Based on the CLDR windowsZones mapping (territory 001)
+ */
+export const WINDOWS_TIMEZONES = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'UTC-11': 'Etc/GMT+11',
+  'Aleutian Standard Time': 'America/Adak',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Marquesas Standard Time': 'Pacific/Marquesas',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'UTC-09': 'Etc/GMT+9',
+  'Pacific Standard Time (Mexico)': 'America/Tijuana',
+  'UTC-08': 'Etc/GMT+8',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+  'Mountain Standard Time': 'America/Denver',
+  'Yukon Standard Time': 'America/Whitehorse',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Easter Island Standard Time': 'Pacific/Easter',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time (Mexico)': 'America/Cancun',
+  'Eastern Standard Time': 'America/New_York',
+  'Haiti Standard Time': 'America/Port-au-Prince',
+  'Cuba Standard Time': 'America/Havana',
+  'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Turks And Caicos Standard Time': 'America/Grand_Turk',
+  'Paraguay Standard Time': 'America/Asuncion',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Venezuela Standard Time': 'America/Caracas',
+  'Central Brazilian Standard Time': 'America/Cuiaba',
+  'SA Western Standard Time': 'America/La_Paz',
+  'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'Tocantins Standard Time': 'America/Araguaina',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'SA Eastern Standard Time': 'America/Cayenne',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+  'Greenland Standard Time': 'America/Nuuk',
+  'Montevideo Standard Time': 'America/Montevideo',
+  'Magallanes Standard Time': 'America/Punta_Arenas',
+  'Saint Pierre Standard Time': 'America/Miquelon',
+  'Bahia Standard Time': 'America/Bahia',
+  'UTC-02': 'Etc/GMT+2',
+  'Azores Standard Time': 'Atlantic/Azores',
+  'Cape Verde Standard Time': 'Atlantic/Cape_Verde',
+  'UTC': 'Etc/UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'Sao Tome Standard Time': 'Africa/Sao_Tome',
+  'Morocco Standard Time': 'Africa/Casablanca',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos',
+  'Jordan Standard Time': 'Asia/Amman',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Middle East Standard Time': 'Asia/Beirut',
+  'Egypt Standard Time': 'Africa/Cairo',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'Syria Standard Time': 'Asia/Damascus',
+  'West Bank Standard Time': 'Asia/Hebron',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'South Sudan Standard Time': 'Africa/Juba',
+  'Kaliningrad Standard Time': 'Europe/Kaliningrad',
+  'Sudan Standard Time': 'Africa/Khartoum',
+  'Libya Standard Time': 'Africa/Tripoli',
+  'Namibia Standard Time': 'Africa/Windhoek',
+  'Arabic Standard Time': 'Asia/Baghdad',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Arab Standard Time': 'Asia/Riyadh',
+  'Belarus Standard Time': 'Europe/Minsk',
+  'Russian Standard Time': 'Europe/Moscow',
+  'E. Africa Standard Time': 'Africa/Nairobi',
+  'Volgograd Standard Time': 'Europe/Volgograd',
+  'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'Astrakhan Standard Time': 'Europe/Astrakhan',
+  'Azerbaijan Standard Time': 'Asia/Baku',
+  'Russia Time Zone 3': 'Europe/Samara',
+  'Mauritius Standard Time': 'Indian/Mauritius',
+  'Saratov Standard Time': 'Europe/Saratov',
+  'Georgian Standard Time': 'Asia/Tbilisi',
+  'Caucasus Standard Time': 'Asia/Yerevan',
+  'Afghanistan Standard Time': 'Asia/Kabul',
+  'West Asia Standard Time': 'Asia/Tashkent',
+  'Ekaterinburg Standard Time': 'Asia/Yekaterinburg',
+  'Pakistan Standard Time': 'Asia/Karachi',
+  'Qyzylorda Standard Time': 'Asia/Qyzylorda',
+  'India Standard Time': 'Asia/Kolkata',
+  'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Kathmandu',
+  'Central Asia Standard Time': 'Asia/Almaty',
+  'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Omsk Standard Time': 'Asia/Omsk',
+  'Myanmar Standard Time': 'Asia/Yangon',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'Altai Standard Time': 'Asia/Barnaul',
+  'W. Mongolia Standard Time': 'Asia/Hovd',
+  'North Asia Standard Time': 'Asia/Krasnoyarsk',
+  'N. Central Asia Standard Time': 'Asia/Novosibirsk',
+  'Tomsk Standard Time': 'Asia/Tomsk',
+  'China Standard Time': 'Asia/Shanghai',
+  'North Asia East Standard Time': 'Asia/Irkutsk',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'Ulaanbaatar Standard Time': 'Asia/Ulaanbaatar',
+  'Aus Central W. Standard Time': 'Australia/Eucla',
+  'Transbaikal Standard Time': 'Asia/Chita',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'North Korea Standard Time': 'Asia/Pyongyang',
+  'Korea Standard Time': 'Asia/Seoul',
+  'Yakutsk Standard Time': 'Asia/Yakutsk',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'West Pacific Standard Time': 'Pacific/Port_Moresby',
+  'Tasmania Standard Time': 'Australia/Hobart',
+  'Vladivostok Standard Time': 'Asia/Vladivostok',
+  'Lord Howe Standard Time': 'Australia/Lord_Howe',
+  'Bougainville Standard Time': 'Pacific/Bougainville',
+  'Russia Time Zone 10': 'Asia/Srednekolymsk',
+  'Magadan Standard Time': 'Asia/Magadan',
+  'Norfolk Standard Time': 'Pacific/Norfolk',
+  'Sakhalin Standard Time': 'Asia/Sakhalin',
+  'Central Pacific Standard Time': 'Pacific/Guadalcanal',
+  'Russia Time Zone 11': 'Asia/Kamchatka',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'UTC+12': 'Etc/GMT-12',
+  'Fiji Standard Time': 'Pacific/Fiji',
+  'Chatham Islands Standard Time': 'Pacific/Chatham',
+  'UTC+13': 'Etc/GMT-13',
+  'Tonga Standard Time': 'Pacific/Tongatapu',
+  'Samoa Standard Time': 'Pacific/Apia',
+  'Line Islands Standard Time': 'Pacific/Kiritimati'
+};
+
+// VTIMEZONE components already built, by timezone and years
+const vtimezoneCache = new Map();
 
 /**
  * Fetches the user's timezone from Slack API
@@ -69,6 +219,34 @@ export function getDateRelativeToToday(timezone, daysOffset) {
   return DateTime.now().setZone(timezone).plus({ days: daysOffset }).toFormat('yyyy-MM-dd');
 }
 
+/**
+ * Gets the local date of an event in the given timezone
+ * All-day events are stored as dates, which are the same in every timezone
+ * @param {Object} event - Event with start_datetime and all_day
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {string} - Date string in YYYY-MM-DD format
+ */
+export function getEventDateInZone(event, timezone) {
+  return event.all_day
+    ? event.start_datetime.split('T')[0]
+    : formatDateInZone(event.start_datetime, timezone);
+}
+
+/**
+ * Gets the interval of an all-day event: its local days in the given timezone
+ * @param {Object} event - All-day event with start_datetime and end_datetime (exclusive)
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {{ start: DateTime, end: DateTime }} - In UTC
+ */
+export function getAllDayInterval(event, timezone) {
+  const start = DateTime.fromISO(event.start_datetime.substring(0, 10), { zone: timezone });
+  const end = event.end_datetime
+    ? DateTime.fromISO(event.end_datetime.substring(0, 10), { zone: timezone })
+    : start.plus({ days: 1 });
+
+  return { start: start.toUTC(), end: end.toUTC() };
+}
+
 /**
  * Checks if a datetime is on a specific date in the given timezone
  * @param {string} isoDateTime - ISO 8601 datetime string
@@ -82,12 +260,164 @@ export function isOnDate(isoDateTime, targetDate, timezone) {
   return eventDate === targetDate;
 }
 
+/**
+ * Convert a timezone name (IANA or Windows) to an IANA identifier
+ * @param {string|null} name - e.g. 'Europe/Madrid' or 'Romance Standard Time'
+ * @returns {string|null} IANA identifier, or null when unknown
+ */
+export function toIANATimezone(name) {
+  if (!name) return null;
+  if (WINDOWS_TIMEZONES[name]) return WINDOWS_TIMEZONES[name];
+  return IANAZone.isValidZone(name) ? name : null;
+}
+
+/**
+ * Get the timezone of an ICAL.Time (IANA), also when ical.js could not resolve its TZID
+ * (no VTIMEZONE in the file) and left it floating
+ * @param {ICAL.Time} time
+ * @returns {string|null}
+ */
+export function getICalTimeZone(time) {
+  const tzid = time.zone && time.zone.tzid !== 'floating' ? time.zone.tzid : time.timezone;
+  return toIANATimezone(tzid);
+}
+
+/**
+ * Convert an ICAL.Time to an ISO UTC string
+ * Times with a TZID that ical.js could not resolve are read in that timezone
+ * instead of the timezone of the server
+ * @param {ICAL.Time} time
+ * @returns {string}
+ */
+export function icalTimeToUTC(time) {
+  const unresolved = !time.zone || time.zone.tzid === 'floating';
+  const timezone = unresolved ? toIANATimezone(time.timezone) : null;
+
+  if (!timezone) {
+    return time.toJSDate().toISOString();
+  }
+
+  return DateTime.fromObject({
+    year: time.year,
+    month: time.month,
+    day: time.day,
+    hour: time.hour,
+    minute: time.minute,
+    second: time.second
+  }, { zone: timezone }).toUTC().toISO();
+}
+
+/**
+ * Convert a local datetime without offset (e.g. Microsoft Graph dateTime) to an ISO UTC string
+ * @param {string} dateTime - e.g. '2024-01-15T09:00:00.0000000'
+ * @param {string|null} timeZone - IANA or Windows name of the timezone of dateTime (default: UTC)
+ * @returns {string|null}
+ */
+export function toUTCDateTime(dateTime, timeZone) {
+  if (!dateTime) return null;
+  const zone = toIANATimezone(timeZone) || 'utc';
+  return DateTime.fromISO(dateTime, { zone }).toUTC().toISO();
+}
+
+/**
+ * Build a VTIMEZONE component for an IANA timezone
+ * Each offset change between startYear and endYear becomes its own observance,
+ * so clients get the right local times across DST without their own tz database
+ * @param {string} tzid - IANA timezone identifier
+ * @param {Object} options
+ * @param {number} options.startYear
+ * @param {number} options.endYear
+ * @returns {ICAL.Component}
+ */
+export function buildVTimezone(tzid, { startYear, endYear }) {
+  const cacheKey = `${tzid}:${startYear}:${endYear}`;
+  if (vtimezoneCache.has(cacheKey)) {
+    return new ICAL.Component(vtimezoneCache.get(cacheKey));
+  }
+
+  const minute = 60 * 1000;
+  const offsetAt = (minutes) => DateTime.fromMillis(minutes * minute, { zone: tzid }).offset;
+
+  const vtimezone = new ICAL.Component('vtimezone');
+  vtimezone.updatePropertyWithValue('tzid', tzid);
+
+  // Offset in force at the start of the range
+  const start = DateTime.fromObject({ year: startYear }, { zone: tzid });
+  vtimezone.addSubcomponent(buildObservance(start, start.offset, start.offset));
+
+  // Walk the range day by day and find each offset change to the minute
+  const end = DateTime.fromObject({ year: endYear + 1 }, { zone: tzid }).toMillis() / minute;
+  let day = start.toMillis() / minute;
+  let offset = start.offset;
+
+  while (day < end) {
+    const nextDay = day + 24 * 60;
+    const nextOffset = offsetAt(nextDay);
+
+    if (nextOffset !== offset) {
+      let before = day;
+      let after = nextDay;
+      while (after - before > 1) {
+        const middle = Math.floor((before + after) / 2);
+        if (offsetAt(middle) === offset) {
+          before = middle;
+        } else {
+          after = middle;
+        }
+      }
+
+      const transition = DateTime.fromMillis(after * minute, { zone: tzid });
+      vtimezone.addSubcomponent(buildObservance(transition, offset, nextOffset));
+      offset = nextOffset;
+    }
+
+    day = nextDay;
+  }
+
+  vtimezoneCache.set(cacheKey, vtimezone.toJSON());
+  return vtimezone;
+}
+
+/**
+ * Build a STANDARD or DAYLIGHT observance starting at an instant
+ * @param {DateTime} onset - First instant of the observance, in its timezone
+ * @param {number} offsetFrom - Offset in minutes before the onset
+ * @param {number} offsetTo - Offset in minutes from the onset
+ * @returns {ICAL.Component}
+ */
+function buildObservance(onset, offsetFrom, offsetTo) {
+  const observance = new ICAL.Component(onset.isInDST ? 'daylight' : 'standard');
+
+  // DTSTART is the local time of the onset in the offset it replaces
+  const local = onset.toUTC().plus({ minutes: offsetFrom });
+  observance.updatePropertyWithValue('dtstart', ICAL.Time.fromData({
+    year: local.year,
+    month: local.month,
+    day: local.day,
+    hour: local.hour,
+    minute: local.minute,
+    second: local.second
+  }));
+  observance.updatePropertyWithValue('tzoffsetfrom', ICAL.UtcOffset.fromSeconds(offsetFrom * 60));
+  observance.updatePropertyWithValue('tzoffsetto', ICAL.UtcOffset.fromSeconds(offsetTo * 60));
+  observance.updatePropertyWithValue('tzname', onset.offsetNameShort);
+
+  return observance;
+}
+
 export default {
   fetchUserTimezone,
   formatTimeInZone,
   formatDateInZone,
+  getEventDateInZone,
+  getAllDayInterval,
   getDateTimeInZone,
   getTodayInZone,
   getDateRelativeToToday,
-  isOnDate
+  isOnDate,
+  toIANATimezone,
+  toUTCDateTime,
+  getICalTimeZone,
+  icalTimeToUTC,
+  buildVTimezone
 };
@@ -0,0 +1,122 @@
+/**
+ * Minimal XML reader for WebDAV/CalDAV responses
+ * Elements are matched by local name: namespace prefixes are dropped, which is
+ * enough for the DAV:, CalDAV and CalendarServer properties read by the app
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// CDATA, comments, processing instructions/doctype, closing tags, opening tags and text
+const TOKEN_REGEX = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Drop the namespace prefix of an element or attribute name
+ * @param {string} name
+ * @returns {string}
+ */
+function localName(name) {
+  return name.substring(name.indexOf(':') + 1);
+}
+
+/**
+ * Decode the XML entities of a text
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()];
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.substring(2), 16)
+      : parseInt(entity.substring(1), 10);
+
+    // Out of range or surrogate references are kept as they are
+    if (code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return match;
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Escape a text to be written inside an XML element or attribute
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document into a tree of elements
+ * @param {string} xml
+ * @returns {{ name: string, attributes: Object, children: Array, text: string }} Root node,
+ *   whose children are the top-level elements
+ */
+export function parseXML(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+
+  for (const match of xml.matchAll(TOKEN_REGEX)) {
+    const [, cdata, closing, opening, attributes, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    } else if (closing !== undefined) {
+      if (stack.length > 1 && current.name === localName(closing)) {
+        stack.pop();
+      }
+    } else if (opening !== undefined) {
+      const element = { name: localName(opening), attributes: {}, children: [], text: '' };
+      for (const [, name, doubleQuoted, singleQuoted] of (attributes || '').matchAll(ATTRIBUTE_REGEX)) {
+        element.attributes[localName(name)] = decodeEntities(doubleQuoted ?? singleQuoted);
+      }
+
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Get the direct children of an element with a local name
+ * @param {Object|null} node
+ * @param {string} name
+ * @returns {Array}
+ */
+export function getChildren(node, name) {
+  return node ? node.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Get the first direct child of an element with a local name
+ * @param {Object|null} node
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getChild(node, name) {
+  return node?.children.find(child => child.name === name) || null;
+}
+
+/**
+ * Get the trimmed text of the first direct child with a local name
+ * @param {Object|null} node
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function getChildText(node, name) {
+  const child = getChild(node, name);
+  return child ? child.text.trim() : null;
+}
+
+export default { parseXML, getChildren, getChild, getChildText, decodeEntities, escapeXML };